@@ -0,0 +1,25 @@
+-- Leads are the source of truth for estimate requests. Airtable is a
+-- downstream copy, synced asynchronously by the lead sync queue consumer.
+CREATE TABLE leads (
+	id TEXT PRIMARY KEY,
+	app_url TEXT NOT NULL,
+	email TEXT NOT NULL,
+	platform TEXT,
+	selected_features TEXT NOT NULL DEFAULT '[]', -- JSON array of display names
+	selected_services TEXT NOT NULL DEFAULT '[]', -- JSON array of display names
+	has_custom_request INTEGER NOT NULL DEFAULT 0,
+	custom_request_text TEXT,
+	additional_context TEXT,
+	estimated_price INTEGER NOT NULL,
+	feature_discount INTEGER NOT NULL DEFAULT 0,
+	status TEXT NOT NULL DEFAULT 'New',
+	submitted_at TEXT NOT NULL,
+	created_at TEXT NOT NULL,
+	airtable_record_id TEXT,
+	airtable_synced_at TEXT,
+	airtable_sync_attempts INTEGER NOT NULL DEFAULT 0,
+	airtable_last_error TEXT
+);
+
+CREATE INDEX leads_created_at ON leads (created_at);
+CREATE INDEX leads_email ON leads (email);
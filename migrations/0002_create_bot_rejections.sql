@@ -0,0 +1,10 @@
+-- Submissions rejected by the estimate form's bot defense, with the check that failed
+CREATE TABLE bot_rejections (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	reason TEXT NOT NULL,
+	ip TEXT,
+	user_agent TEXT,
+	created_at TEXT NOT NULL
+);
+
+CREATE INDEX bot_rejections_created_at ON bot_rejections (created_at);
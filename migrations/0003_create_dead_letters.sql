@@ -0,0 +1,18 @@
+-- Deliveries to downstream systems that failed permanently (or ran out of
+-- retries), kept with the original payload and error so an admin can fix the
+-- cause and replay them.
+CREATE TABLE dead_letters (
+	id TEXT PRIMARY KEY,
+	destination TEXT NOT NULL, -- e.g. 'airtable'
+	lead_id TEXT,
+	payload TEXT NOT NULL, -- JSON: the queue message and what was sent
+	error TEXT NOT NULL,
+	error_status INTEGER, -- HTTP status from the destination, if any
+	attempts INTEGER NOT NULL,
+	status TEXT NOT NULL DEFAULT 'pending', -- pending | replayed | resolved
+	replay_count INTEGER NOT NULL DEFAULT 0,
+	created_at TEXT NOT NULL,
+	updated_at TEXT NOT NULL
+);
+
+CREATE INDEX dead_letters_status_created_at ON dead_letters (status, created_at);
@@ -0,0 +1,36 @@
+-- Delivery state of each lead per lead sink (Airtable, CRM, webhooks),
+-- replacing the Airtable-only columns on leads.
+CREATE TABLE lead_sink_deliveries (
+	lead_id TEXT NOT NULL,
+	sink TEXT NOT NULL,
+	status TEXT NOT NULL DEFAULT 'pending', -- pending | delivered | failed | dead_lettered
+	external_ids TEXT, -- JSON object of ids the sink assigned
+	attempts INTEGER NOT NULL DEFAULT 0,
+	last_error TEXT,
+	delivered_at TEXT,
+	updated_at TEXT NOT NULL,
+	PRIMARY KEY (lead_id, sink)
+);
+
+CREATE INDEX lead_sink_deliveries_status ON lead_sink_deliveries (sink, status);
+
+INSERT INTO lead_sink_deliveries (lead_id, sink, status, external_ids, attempts, last_error, delivered_at, updated_at)
+SELECT
+	id,
+	'airtable',
+	CASE
+		WHEN airtable_record_id IS NOT NULL THEN 'delivered'
+		WHEN airtable_last_error IS NOT NULL THEN 'failed'
+		ELSE 'pending'
+	END,
+	CASE WHEN airtable_record_id IS NOT NULL THEN json_object('recordId', airtable_record_id) END,
+	airtable_sync_attempts,
+	airtable_last_error,
+	airtable_synced_at,
+	COALESCE(airtable_synced_at, created_at)
+FROM leads;
+
+ALTER TABLE leads DROP COLUMN airtable_record_id;
+ALTER TABLE leads DROP COLUMN airtable_synced_at;
+ALTER TABLE leads DROP COLUMN airtable_sync_attempts;
+ALTER TABLE leads DROP COLUMN airtable_last_error;
@@ -0,0 +1,22 @@
+-- Delivery log for outbound lifecycle webhooks: one row per event and
+-- endpoint, holding the exact body that is signed and sent.
+CREATE TABLE webhook_deliveries (
+	id TEXT PRIMARY KEY,
+	event_id TEXT NOT NULL,
+	event_type TEXT NOT NULL, -- e.g. 'lead.created'
+	endpoint_id TEXT NOT NULL, -- id from EVENT_WEBHOOKS
+	lead_id TEXT,
+	payload TEXT NOT NULL, -- JSON event body
+	status TEXT NOT NULL DEFAULT 'pending', -- pending | delivered | retrying | failed
+	attempts INTEGER NOT NULL DEFAULT 0,
+	response_status INTEGER, -- HTTP status of the last attempt, if any
+	last_error TEXT,
+	redelivery_count INTEGER NOT NULL DEFAULT 0,
+	delivered_at TEXT,
+	created_at TEXT NOT NULL,
+	updated_at TEXT NOT NULL
+);
+
+CREATE INDEX webhook_deliveries_endpoint_created_at ON webhook_deliveries (endpoint_id, created_at);
+CREATE INDEX webhook_deliveries_status_created_at ON webhook_deliveries (status, created_at);
+CREATE INDEX webhook_deliveries_lead_id ON webhook_deliveries (lead_id);
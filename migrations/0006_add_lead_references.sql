@@ -0,0 +1,29 @@
+-- Named sequence counters, e.g. 'lead-reference:2026'. Bumped in the same
+-- batch as the row that takes the number, so numbers are never skipped.
+CREATE TABLE counters (
+	name TEXT PRIMARY KEY,
+	value INTEGER NOT NULL
+);
+
+-- Customer-facing lead references like FIN-2026-0142, numbered per year
+ALTER TABLE leads ADD COLUMN reference TEXT;
+
+UPDATE leads
+SET reference = (
+	SELECT printf('FIN-%s-%04d', numbered.year, numbered.n)
+	FROM (
+		SELECT
+			id,
+			strftime('%Y', created_at) AS year,
+			ROW_NUMBER() OVER (PARTITION BY strftime('%Y', created_at) ORDER BY created_at, id) AS n
+		FROM leads
+	) AS numbered
+	WHERE numbered.id = leads.id
+);
+
+INSERT INTO counters (name, value)
+SELECT 'lead-reference:' || strftime('%Y', created_at), COUNT(*)
+FROM leads
+GROUP BY strftime('%Y', created_at);
+
+CREATE UNIQUE INDEX leads_reference ON leads (reference);
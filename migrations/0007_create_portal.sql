@@ -0,0 +1,40 @@
+-- Client portal: one-time sign-in links, plus the delivery notes and
+-- documents the team shares with a customer on each of their requests.
+
+-- Each emailed sign-in link carries a signed token naming one of these rows;
+-- used_at is set when the link is exchanged for a session, so it works once.
+CREATE TABLE portal_login_tokens (
+	id TEXT PRIMARY KEY,
+	email TEXT NOT NULL,
+	created_at TEXT NOT NULL,
+	expires_at TEXT NOT NULL,
+	used_at TEXT
+);
+
+CREATE INDEX portal_login_tokens_expires_at ON portal_login_tokens (expires_at);
+
+-- Customer-visible notes on a request's delivery (progress, handover details)
+CREATE TABLE lead_notes (
+	id TEXT PRIMARY KEY,
+	lead_id TEXT NOT NULL REFERENCES leads (id),
+	body TEXT NOT NULL,
+	created_at TEXT NOT NULL
+);
+
+CREATE INDEX lead_notes_lead_id ON lead_notes (lead_id, created_at);
+
+-- Files shared with the customer; the content lives in the DOCUMENTS R2 bucket
+CREATE TABLE lead_documents (
+	id TEXT PRIMARY KEY,
+	lead_id TEXT NOT NULL REFERENCES leads (id),
+	filename TEXT NOT NULL,
+	content_type TEXT NOT NULL,
+	size INTEGER NOT NULL,
+	r2_key TEXT NOT NULL,
+	created_at TEXT NOT NULL
+);
+
+CREATE INDEX lead_documents_lead_id ON lead_documents (lead_id, created_at);
+
+-- Portal sign-in matches requests by email regardless of case
+CREATE INDEX leads_email_nocase ON leads (email COLLATE NOCASE);
@@ -0,0 +1,29 @@
+-- Append-only log of every lead status change. leads.status holds the
+-- current status; this table records who moved it and when. from_status is
+-- NULL for the status a lead was created with.
+CREATE TABLE lead_status_history (
+	id TEXT PRIMARY KEY,
+	lead_id TEXT NOT NULL REFERENCES leads (id),
+	from_status TEXT,
+	to_status TEXT NOT NULL,
+	actor TEXT NOT NULL,
+	note TEXT,
+	created_at TEXT NOT NULL
+);
+
+CREATE INDEX lead_status_history_lead_id ON lead_status_history (lead_id, created_at);
+
+CREATE TRIGGER lead_status_history_no_update BEFORE UPDATE ON lead_status_history
+BEGIN
+	SELECT RAISE(ABORT, 'lead_status_history is append-only');
+END;
+
+CREATE TRIGGER lead_status_history_no_delete BEFORE DELETE ON lead_status_history
+BEGIN
+	SELECT RAISE(ABORT, 'lead_status_history is append-only');
+END;
+
+-- Existing leads start their history at their current status
+INSERT INTO lead_status_history (id, lead_id, from_status, to_status, actor, note, created_at)
+SELECT lower(hex(randomblob(16))), id, NULL, status, 'system', 'Recorded when status history was introduced', created_at
+FROM leads;
@@ -0,0 +1,37 @@
+-- Full-text index for the admin dashboard's lead search over the app URL,
+-- email and custom request text. leads_fts is an external-content table:
+-- the text stays in leads and these triggers keep the index in step.
+CREATE VIRTUAL TABLE leads_fts USING fts5(
+	app_url,
+	email,
+	custom_request_text,
+	content = 'leads',
+	content_rowid = 'rowid'
+);
+
+CREATE TRIGGER leads_fts_insert AFTER INSERT ON leads
+BEGIN
+	INSERT INTO leads_fts (rowid, app_url, email, custom_request_text)
+	VALUES (new.rowid, new.app_url, new.email, new.custom_request_text);
+END;
+
+CREATE TRIGGER leads_fts_delete AFTER DELETE ON leads
+BEGIN
+	INSERT INTO leads_fts (leads_fts, rowid, app_url, email, custom_request_text)
+	VALUES ('delete', old.rowid, old.app_url, old.email, old.custom_request_text);
+END;
+
+CREATE TRIGGER leads_fts_update AFTER UPDATE OF app_url, email, custom_request_text ON leads
+BEGIN
+	INSERT INTO leads_fts (leads_fts, rowid, app_url, email, custom_request_text)
+	VALUES ('delete', old.rowid, old.app_url, old.email, old.custom_request_text);
+	INSERT INTO leads_fts (rowid, app_url, email, custom_request_text)
+	VALUES (new.rowid, new.app_url, new.email, new.custom_request_text);
+END;
+
+-- Index the leads stored before search existed
+INSERT INTO leads_fts (leads_fts) VALUES ('rebuild');
+
+-- Dashboard filters
+CREATE INDEX leads_status_submitted_at ON leads (status, submitted_at);
+CREATE INDEX leads_submitted_at ON leads (submitted_at);
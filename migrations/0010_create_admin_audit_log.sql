@@ -0,0 +1,22 @@
+-- Append-only record of admin actions that touch customer data in bulk,
+-- such as lead exports. details is JSON describing what was requested.
+CREATE TABLE admin_audit_log (
+	id TEXT PRIMARY KEY,
+	actor TEXT NOT NULL,
+	action TEXT NOT NULL,
+	details TEXT NOT NULL,
+	request_id TEXT,
+	created_at TEXT NOT NULL
+);
+
+CREATE INDEX admin_audit_log_created_at ON admin_audit_log (created_at);
+
+CREATE TRIGGER admin_audit_log_no_update BEFORE UPDATE ON admin_audit_log
+BEGIN
+	SELECT RAISE(ABORT, 'admin_audit_log is append-only');
+END;
+
+CREATE TRIGGER admin_audit_log_no_delete BEFORE DELETE ON admin_audit_log
+BEGIN
+	SELECT RAISE(ABORT, 'admin_audit_log is append-only');
+END;
@@ -0,0 +1,26 @@
+-- Versioned quotes prepared by the team for a lead. Each lead's versions are
+-- numbered from 1. A version is a draft until it's sent, then frozen; sending
+-- a newer version marks the previously sent one superseded. line_items is a
+-- JSON array of { catalogId, description, hours, price }.
+CREATE TABLE quotes (
+	id TEXT PRIMARY KEY,
+	lead_id TEXT NOT NULL REFERENCES leads (id),
+	version INTEGER NOT NULL,
+	status TEXT NOT NULL DEFAULT 'draft',
+	currency TEXT NOT NULL,
+	line_items TEXT NOT NULL,
+	subtotal INTEGER NOT NULL,
+	discount INTEGER NOT NULL DEFAULT 0,
+	total INTEGER NOT NULL,
+	message TEXT,
+	expires_on TEXT NOT NULL,
+	created_by TEXT NOT NULL,
+	created_at TEXT NOT NULL,
+	updated_at TEXT NOT NULL,
+	sent_by TEXT,
+	sent_at TEXT,
+	UNIQUE (lead_id, version)
+);
+
+-- At most one draft per lead: new versions start from it or from the last sent one
+CREATE UNIQUE INDEX quotes_one_draft ON quotes (lead_id) WHERE status = 'draft';
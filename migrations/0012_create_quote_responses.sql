@@ -0,0 +1,33 @@
+-- The terms version a quote was sent under, pinned so later edits to the
+-- terms don't change what the customer is agreeing to
+ALTER TABLE quotes ADD COLUMN terms_version TEXT;
+
+-- A customer's answer to a sent quote, at most one per quote. Acceptances are
+-- a lightweight e-signature: the typed name, the exact terms text shown (and
+-- its SHA-256), and the IP and user agent it came from. Append-only.
+CREATE TABLE quote_responses (
+	id TEXT PRIMARY KEY,
+	quote_id TEXT NOT NULL UNIQUE REFERENCES quotes (id),
+	lead_id TEXT NOT NULL REFERENCES leads (id),
+	decision TEXT NOT NULL,
+	signature_name TEXT,
+	terms_version TEXT,
+	terms_text TEXT,
+	terms_sha256 TEXT,
+	reason TEXT,
+	ip TEXT,
+	user_agent TEXT,
+	created_at TEXT NOT NULL
+);
+
+CREATE INDEX quote_responses_lead_id ON quote_responses (lead_id);
+
+CREATE TRIGGER quote_responses_no_update BEFORE UPDATE ON quote_responses
+BEGIN
+	SELECT RAISE(ABORT, 'quote_responses is append-only');
+END;
+
+CREATE TRIGGER quote_responses_no_delete BEFORE DELETE ON quote_responses
+BEGIN
+	SELECT RAISE(ABORT, 'quote_responses is append-only');
+END;
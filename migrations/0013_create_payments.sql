@@ -0,0 +1,31 @@
+-- Payments for accepted quotes, one row per Stripe Checkout Session. Amounts
+-- are in whole currency units like quotes. status is pending until Stripe
+-- reports the session paid, expired or failed.
+CREATE TABLE payments (
+	id TEXT PRIMARY KEY,
+	lead_id TEXT NOT NULL REFERENCES leads (id),
+	quote_id TEXT NOT NULL REFERENCES quotes (id),
+	description TEXT NOT NULL,
+	amount INTEGER NOT NULL,
+	currency TEXT NOT NULL,
+	status TEXT NOT NULL DEFAULT 'pending',
+	checkout_session_id TEXT NOT NULL UNIQUE,
+	checkout_url TEXT,
+	payment_intent_id TEXT,
+	expires_at TEXT,
+	paid_at TEXT,
+	created_at TEXT NOT NULL,
+	updated_at TEXT NOT NULL
+);
+
+CREATE INDEX payments_lead_id ON payments (lead_id);
+CREATE INDEX payments_quote_id ON payments (quote_id);
+
+-- Stripe webhook events already applied, keyed by event id, so redelivered
+-- events don't apply twice
+CREATE TABLE stripe_events (
+	id TEXT PRIMARY KEY,
+	type TEXT NOT NULL,
+	payment_id TEXT,
+	received_at TEXT NOT NULL
+);
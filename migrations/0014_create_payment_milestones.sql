@@ -0,0 +1,51 @@
+-- The payment schedule a quote was sent with (JSON, see src/payment-schedules.js),
+-- so the customer accepts the schedule they were shown
+ALTER TABLE quotes ADD COLUMN payment_schedule TEXT;
+
+-- Milestones an accepted quote is paid in, created from its schedule when the
+-- customer accepts. status is scheduled until the milestone's trigger makes it
+-- due, then paid (by Stripe Checkout) or waived by an admin.
+CREATE TABLE payment_milestones (
+	id TEXT PRIMARY KEY,
+	lead_id TEXT NOT NULL REFERENCES leads (id),
+	quote_id TEXT NOT NULL REFERENCES quotes (id),
+	position INTEGER NOT NULL,
+	label TEXT NOT NULL,
+	percent INTEGER NOT NULL,
+	amount INTEGER NOT NULL,
+	currency TEXT NOT NULL,
+	due_trigger TEXT NOT NULL,
+	status TEXT NOT NULL DEFAULT 'scheduled',
+	due_at TEXT,
+	paid_at TEXT,
+	waived_by TEXT,
+	waived_reason TEXT,
+	waived_at TEXT,
+	created_at TEXT NOT NULL,
+	updated_at TEXT NOT NULL,
+	UNIQUE (quote_id, position)
+);
+
+CREATE INDEX payment_milestones_lead_id ON payment_milestones (lead_id);
+
+ALTER TABLE payments ADD COLUMN milestone_id TEXT REFERENCES payment_milestones (id);
+
+-- Quotes accepted before schedules existed are paid in full on acceptance
+INSERT INTO payment_milestones (
+	id, lead_id, quote_id, position, label, percent, amount, currency, due_trigger, status, due_at, paid_at, created_at, updated_at
+)
+SELECT
+	lower(hex(randomblob(16))), q.lead_id, q.id, 1, 'Payment in full', 100, q.total, q.currency, 'acceptance',
+	CASE WHEN paid.amount >= q.total THEN 'paid' ELSE 'due' END,
+	q.updated_at,
+	CASE WHEN paid.amount >= q.total THEN paid.paid_at END,
+	q.updated_at, q.updated_at
+FROM quotes q
+JOIN (
+	SELECT quotes.id AS quote_id, COALESCE(SUM(payments.amount), 0) AS amount, MAX(payments.paid_at) AS paid_at
+	FROM quotes LEFT JOIN payments ON payments.quote_id = quotes.id AND payments.status = 'paid'
+	GROUP BY quotes.id
+) paid ON paid.quote_id = q.id
+WHERE q.status = 'accepted' AND q.total > 0;
+
+UPDATE payments SET milestone_id = (SELECT id FROM payment_milestones WHERE payment_milestones.quote_id = payments.quote_id);
@@ -0,0 +1,24 @@
+-- Invoices for accepted quotes and receipts for paid payments. number comes
+-- from a per-year counter bumped in the same batch as the insert, so the
+-- sequence has no gaps. Amounts are in whole currency units like quotes;
+-- details holds everything the PDF shows (amounts there are in cents), so it
+-- can be rendered again. size is set once the PDF is stored in R2 at r2_key.
+CREATE TABLE invoices (
+	id TEXT PRIMARY KEY,
+	lead_id TEXT NOT NULL REFERENCES leads (id),
+	quote_id TEXT NOT NULL REFERENCES quotes (id),
+	payment_id TEXT REFERENCES payments (id),
+	kind TEXT NOT NULL,
+	number TEXT NOT NULL UNIQUE,
+	amount INTEGER NOT NULL,
+	currency TEXT NOT NULL,
+	details TEXT NOT NULL,
+	r2_key TEXT NOT NULL,
+	size INTEGER,
+	issued_at TEXT NOT NULL
+);
+
+-- One invoice per quote and one receipt per payment
+CREATE UNIQUE INDEX invoices_quote_invoice ON invoices (quote_id) WHERE kind = 'invoice';
+CREATE UNIQUE INDEX invoices_payment_id ON invoices (payment_id);
+CREATE INDEX invoices_lead_id ON invoices (lead_id, issued_at);
@@ -0,0 +1,8 @@
+-- Bot defense challenges that have already been accepted, so each one passes
+-- only once. Rows are only needed until the challenge would have expired.
+CREATE TABLE used_challenges (
+	nonce TEXT PRIMARY KEY,
+	expires_at TEXT NOT NULL
+);
+
+CREATE INDEX used_challenges_expires_at ON used_challenges (expires_at);
@@ -0,0 +1,4 @@
+-- The itemized estimate (a buildQuote result, as JSON) the customer was shown
+-- when they submitted, so emails sent later match it even if the catalog has
+-- changed since. NULL for leads stored before it was kept.
+ALTER TABLE leads ADD COLUMN estimate TEXT;
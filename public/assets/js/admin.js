@@ -0,0 +1,796 @@
+/**
+ * Admin Dashboard
+ * Lead list with filters and search, and a detail view for triaging a lead
+ *
+ * Cloudflare Access signs requests in production. Without it (local dev) the
+ * admin API token is asked for once and kept for the browser session.
+ */
+
+(function () {
+  'use strict';
+
+  const TOKEN_KEY = 'finalize.adminToken';
+  const LEAD_PATH = /^\/admin\/leads\/([^/]+)\/?$/;
+  const FILTERS = ['status', 'platform', 'feature', 'from', 'to', 'q'];
+  const SEARCH_DELAY_MS = 300;
+
+  // How each payment milestone trigger reads, e.g. "Deposit 50% on acceptance"
+  const DUE_TRIGGERS = { acceptance: 'on acceptance', start: 'when work starts', delivery: 'on delivery' };
+
+  // DOM elements
+  const elements = {
+    errorMessage: document.getElementById('errorMessage'),
+    searchForm: document.getElementById('searchForm'),
+    search: document.getElementById('search'),
+    tokenForm: document.getElementById('tokenForm'),
+    adminToken: document.getElementById('adminToken'),
+    listView: document.getElementById('listView'),
+    filterForm: document.getElementById('filterForm'),
+    filterStatus: document.getElementById('filterStatus'),
+    filterPlatform: document.getElementById('filterPlatform'),
+    filterFeature: document.getElementById('filterFeature'),
+    resultCount: document.getElementById('resultCount'),
+    exportBtn: document.getElementById('exportBtn'),
+    leadRows: document.getElementById('leadRows'),
+    loadMoreBtn: document.getElementById('loadMoreBtn'),
+    detailView: document.getElementById('detailView'),
+    detailReference: document.getElementById('detailReference'),
+    detailStatus: document.getElementById('detailStatus'),
+    transitionButtons: document.getElementById('transitionButtons'),
+    detailIssues: document.getElementById('detailIssues'),
+    detailFields: document.getElementById('detailFields'),
+    detailQuote: document.getElementById('detailQuote'),
+    detailHistory: document.getElementById('detailHistory'),
+    detailSinks: document.getElementById('detailSinks'),
+    detailDelivery: document.getElementById('detailDelivery'),
+    newQuoteBtn: document.getElementById('newQuoteBtn'),
+    quoteEditor: document.getElementById('quoteEditor'),
+    quoteEditorTitle: document.getElementById('quoteEditorTitle'),
+    quoteLines: document.getElementById('quoteLines'),
+    addLineBtn: document.getElementById('addLineBtn'),
+    quoteDiscount: document.getElementById('quoteDiscount'),
+    quoteExpiresOn: document.getElementById('quoteExpiresOn'),
+    quoteMessage: document.getElementById('quoteMessage'),
+    quoteEditorTotal: document.getElementById('quoteEditorTotal'),
+    sendQuoteBtn: document.getElementById('sendQuoteBtn'),
+    discardQuoteBtn: document.getElementById('discardQuoteBtn'),
+    quoteVersions: document.getElementById('quoteVersions')
+  };
+
+  let filtersLoaded = false;
+  let nextCursor = null;
+  let searchTimer = null;
+  // Lead shown in the detail view and its draft quote, if any
+  let currentLead = null;
+  let currentDraft = null;
+
+  // Initialize
+  function init() {
+    elements.tokenForm.addEventListener('submit', handleToken);
+    elements.filterForm.addEventListener('change', applyFilters);
+    elements.filterForm.addEventListener('reset', () => setTimeout(applyFilters));
+    elements.searchForm.addEventListener('submit', event => {
+      event.preventDefault();
+      applyFilters();
+    });
+    elements.search.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(applyFilters, SEARCH_DELAY_MS);
+    });
+    elements.loadMoreBtn.addEventListener('click', () => loadLeads({ append: true }));
+    elements.exportBtn.addEventListener('click', exportLeads);
+    elements.newQuoteBtn.addEventListener('click', createQuote);
+    elements.addLineBtn.addEventListener('click', () => elements.quoteLines.append(lineRow({ description: '', hours: null, price: 0 })));
+    elements.quoteEditor.addEventListener('input', updateEditorTotal);
+    elements.quoteEditor.addEventListener('submit', event => {
+      event.preventDefault();
+      saveQuote();
+    });
+    elements.sendQuoteBtn.addEventListener('click', sendQuote);
+    elements.discardQuoteBtn.addEventListener('click', discardQuote);
+
+    // Links marked data-route navigate without a page load
+    document.addEventListener('click', event => {
+      const link = event.target.closest('a[data-route]');
+      if (link && !event.metaKey && !event.ctrlKey && !event.shiftKey) {
+        event.preventDefault();
+        navigate(link.getAttribute('href'));
+      }
+    });
+    window.addEventListener('popstate', route);
+
+    route();
+  }
+
+  // Call the admin API, adding the fallback token when there is one
+  async function api(path, options = {}) {
+    const token = sessionStorage.getItem(TOKEN_KEY);
+    const headers = { ...(options.body ? { 'Content-Type': 'application/json' } : {}) };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    const response = await fetch(`/api/v1/admin/${path}`, { credentials: 'same-origin', ...options, headers });
+    if (response.status === 401) {
+      sessionStorage.removeItem(TOKEN_KEY);
+      showView(elements.tokenForm);
+      throw Object.assign(new Error('Not signed in'), { handled: true });
+    }
+    return response;
+  }
+
+  async function apiJson(path, options) {
+    const response = await api(path, options);
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      const userMessage = result.errors ? `${result.error}: ${result.errors.join('; ')}` : result.error;
+      throw Object.assign(new Error(result.error || `Request failed with ${response.status}`), { userMessage });
+    }
+    return result;
+  }
+
+  function showError(error) {
+    if (error.handled) {
+      return;
+    }
+    console.error('Admin dashboard error:', error);
+    elements.errorMessage.textContent = error.userMessage || 'Something went wrong talking to the API. Please try again.';
+    elements.errorMessage.classList.remove('d-none');
+  }
+
+  function showView(view) {
+    elements.errorMessage.classList.add('d-none');
+    for (const element of [elements.tokenForm, elements.listView, elements.detailView]) {
+      element.classList.toggle('d-none', element !== view);
+    }
+  }
+
+  function handleToken(event) {
+    event.preventDefault();
+    const token = elements.adminToken.value.trim();
+    if (!token) {
+      elements.adminToken.classList.add('is-invalid');
+      return;
+    }
+    sessionStorage.setItem(TOKEN_KEY, token);
+    elements.adminToken.value = '';
+    filtersLoaded = false;
+    route();
+  }
+
+  function navigate(href) {
+    window.history.pushState(null, '', href);
+    route();
+  }
+
+  // Render the view for the current URL
+  function route() {
+    const match = LEAD_PATH.exec(window.location.pathname);
+    if (match) {
+      loadLead(decodeURIComponent(match[1]));
+    } else {
+      loadList();
+    }
+  }
+
+  // --- Lead list ---
+
+  // The list's filters live in the query string, so they survive the detail view and reloads
+  function currentFilters() {
+    const params = new URLSearchParams(window.location.search);
+    const filters = {};
+    for (const name of FILTERS) {
+      if (params.get(name)) {
+        filters[name] = params.get(name);
+      }
+    }
+    return filters;
+  }
+
+  function applyFilters() {
+    const params = new URLSearchParams();
+    for (const element of elements.filterForm.elements) {
+      if (element.name && element.value) {
+        params.set(element.name, element.value);
+      }
+    }
+    if (elements.search.value.trim()) {
+      params.set('q', elements.search.value.trim());
+    }
+    const query = params.toString();
+    window.history.replaceState(null, '', `/admin${query ? `?${query}` : ''}`);
+    route();
+  }
+
+  function fillOptions(select, values) {
+    select.replaceChildren(select.options[0], ...values.map(value => new Option(value, value)));
+  }
+
+  async function loadFilterOptions() {
+    if (filtersLoaded) {
+      return;
+    }
+    const result = await apiJson('leads/filters');
+    fillOptions(elements.filterStatus, result.statuses);
+    fillOptions(elements.filterPlatform, result.platforms);
+    fillOptions(elements.filterFeature, result.features);
+    filtersLoaded = true;
+  }
+
+  async function loadList() {
+    try {
+      await loadFilterOptions();
+      const filters = currentFilters();
+      for (const element of elements.filterForm.elements) {
+        if (element.name) {
+          element.value = filters[element.name] || '';
+        }
+      }
+      elements.search.value = filters.q || '';
+      await loadLeads();
+      showView(elements.listView);
+    } catch (error) {
+      showError(error);
+    }
+  }
+
+  async function loadLeads({ append = false } = {}) {
+    const params = new URLSearchParams(currentFilters());
+    if (append && nextCursor) {
+      params.set('cursor', nextCursor);
+    }
+
+    try {
+      const result = await apiJson(`leads?${params}`);
+      nextCursor = result.nextCursor;
+      const rows = result.leads.map(renderLeadRow);
+      if (append) {
+        elements.leadRows.append(...rows);
+      } else {
+        elements.leadRows.replaceChildren(...rows);
+      }
+      elements.resultCount.textContent = `${result.total} ${result.total === 1 ? 'lead' : 'leads'}`;
+      elements.loadMoreBtn.classList.toggle('d-none', !nextCursor);
+    } catch (error) {
+      showError(error);
+    }
+  }
+
+  // Export the leads matching the current filters
+  function exportLeads() {
+    const params = new URLSearchParams({ ...currentFilters(), format: 'csv' });
+    download(`leads/export?${params}`, `leads-${new Date().toISOString().slice(0, 10)}.csv`);
+  }
+
+  function renderLeadRow(lead) {
+    const row = create('tr');
+    row.style.cursor = 'pointer';
+    row.addEventListener('click', () => navigate(`/admin/leads/${encodeURIComponent(lead.id)}`));
+
+    const reference = create('td', 'fw-semibold text-nowrap', lead.reference);
+    if (lead.issueCount > 0) {
+      reference.append(create('span', 'badge bg-warning text-dark ms-2', `${lead.issueCount} ${lead.issueCount === 1 ? 'issue' : 'issues'}`));
+    }
+    row.append(
+      reference,
+      create('td', 'text-nowrap', formatDate(lead.submittedAt)),
+      create('td', 'text-break', lead.appUrl),
+      create('td', 'text-break', lead.email),
+      create('td', '', lead.platform || '—'),
+      create('td', 'text-end', formatMoney(lead.estimatedPrice)),
+      create('td', '', lead.status)
+    );
+    return row;
+  }
+
+  // --- Lead detail ---
+
+  async function loadLead(id) {
+    try {
+      renderLead(await apiJson(`leads/${encodeURIComponent(id)}`));
+      showView(elements.detailView);
+    } catch (error) {
+      showError(error);
+    }
+  }
+
+  function renderLead(result) {
+    const { lead, quote } = result;
+    currentLead = lead;
+    elements.detailReference.textContent = lead.reference;
+    elements.detailStatus.textContent = lead.status;
+
+    elements.transitionButtons.replaceChildren(
+      ...result.allowedTransitions.map(status => {
+        const button = create('button', 'btn btn-sm btn-outline-dark', `Move to ${status}`);
+        button.type = 'button';
+        button.addEventListener('click', () => changeStatus(lead, status, button));
+        return button;
+      })
+    );
+
+    if (result.issues.length > 0) {
+      const list = create('ul', 'mb-0');
+      list.append(...result.issues.map(issue => create('li', '', issue.message)));
+      elements.detailIssues.replaceChildren(create('h2', 'h6 fw-semibold text-danger mb-2', 'Needs Attention'), list);
+    }
+    elements.detailIssues.classList.toggle('d-none', result.issues.length === 0);
+
+    // The full stored payload
+    const fields = [
+      ['App URL', lead.appUrl],
+      ['Email', lead.email],
+      ['Platform', lead.platform],
+      ['Features', lead.selectedFeatures.join(', ')],
+      ['Services', lead.selectedServices.join(', ')],
+      ['Custom Request', lead.hasCustomRequest ? lead.customRequestText || 'Yes, no details given' : 'No'],
+      ['Additional Context', lead.additionalContext],
+      ['Stored Estimate', `${formatMoney(lead.estimatedPrice)} (${formatMoney(lead.featureDiscount)} discount)`],
+      ['Submitted', formatDateTime(lead.submittedAt)],
+      ['Lead ID', lead.id]
+    ];
+    elements.detailFields.replaceChildren(
+      ...fields.flatMap(([label, value]) => {
+        const text = create('dd', 'col-sm-8 text-break', value || '—');
+        text.style.whiteSpace = 'pre-line';
+        return [create('dt', 'col-sm-4 small text-muted', label), text];
+      })
+    );
+
+    elements.detailQuote.replaceChildren(renderQuote(quote));
+
+    elements.detailHistory.replaceChildren(
+      ...result.statusHistory.map(entry => {
+        const item = create('li', 'border-start ps-3 mb-3');
+        item.append(
+          create('p', 'fw-semibold mb-0', entry.from ? `${entry.from} → ${entry.to}` : entry.to),
+          create('p', 'small text-muted mb-0', `${formatDateTime(entry.changedAt)} · ${entry.actor}`)
+        );
+        if (entry.note) {
+          item.append(create('p', 'small mb-0', entry.note));
+        }
+        return item;
+      })
+    );
+
+    elements.detailSinks.replaceChildren(
+      ...(result.sinkDeliveries.length > 0
+        ? result.sinkDeliveries.map(delivery => {
+          const item = create('li', 'd-flex justify-content-between gap-2 py-1');
+          item.append(create('span', '', delivery.sink), create('span', 'small text-muted', `${delivery.status} · ${delivery.attempts} attempts`));
+          return item;
+        })
+        : [create('li', 'text-muted small', 'Not sent to any sinks')])
+    );
+
+    renderDelivery(result.notes, result.documents);
+    renderQuotes(result.quotes, result.payments, result.milestones, result.invoices);
+  }
+
+  function renderQuote(quote) {
+    const table = create('table', 'table table-sm mb-0');
+    const body = create('tbody');
+    const line = (label, amount, className = '') => {
+      const row = create('tr', className);
+      row.append(create('td', '', label), create('td', 'text-end', amount));
+      return row;
+    };
+
+    for (const item of quote.lineItems) {
+      body.append(line(`${item.name} (${item.type})`, formatMoney(item.amount)));
+    }
+    if (quote.customRequest) {
+      body.append(line(`${quote.customRequest.name} (base price)`, formatMoney(quote.customRequest.basePrice)));
+    }
+    body.append(line('Subtotal', formatMoney(quote.subtotal), 'fw-semibold'));
+    for (const discount of quote.discounts) {
+      body.append(line(discount.label, `−${formatMoney(discount.amount)}`, 'text-success'));
+    }
+    body.append(line(quote.isFinal ? 'Total' : 'Total (custom request to be priced)', formatMoney(quote.total), 'fw-bold'));
+    table.append(body);
+    return table;
+  }
+
+  function renderDelivery(notes, documents) {
+    const items = notes.map(note => {
+      const item = create('div', 'border-start ps-3 mb-3');
+      const body = create('p', 'mb-1', note.body);
+      body.style.whiteSpace = 'pre-line';
+      item.append(body, create('p', 'small text-muted mb-0', formatDateTime(note.createdAt)));
+      return item;
+    });
+
+    for (const document of documents) {
+      const link = create('a', 'd-block py-1', `${document.filename} (${formatSize(document.size)})`);
+      link.href = '#';
+      link.addEventListener('click', event => {
+        event.preventDefault();
+        download(`documents/${encodeURIComponent(document.id)}`, document.filename);
+      });
+      items.push(link);
+    }
+
+    elements.detailDelivery.replaceChildren(...(items.length > 0 ? items : [create('p', 'text-muted small mb-0', 'None yet')]));
+  }
+
+  // Downloads need the API's auth header, so they're fetched rather than linked
+  async function download(path, filename) {
+    try {
+      const response = await api(path);
+      if (!response.ok) {
+        throw new Error(`Download failed with ${response.status}`);
+      }
+      const link = create('a');
+      link.href = URL.createObjectURL(await response.blob());
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (error) {
+      showError(error);
+    }
+  }
+
+  async function changeStatus(lead, status, button) {
+    const note = window.prompt(`Move ${lead.reference} to ${status}? Add an optional note:`, '');
+    if (note === null) {
+      return;
+    }
+
+    button.disabled = true;
+    try {
+      await apiJson(`leads/${encodeURIComponent(lead.id)}/status`, {
+        method: 'POST',
+        body: JSON.stringify({ status, note: note.trim() || undefined })
+      });
+      await loadLead(lead.id);
+    } catch (error) {
+      showError(error);
+      button.disabled = false;
+    }
+  }
+
+  // --- Quotes ---
+
+  function renderQuotes(quotes, payments, milestones, invoices) {
+    currentDraft = quotes.find(quote => quote.status === 'draft') || null;
+    elements.newQuoteBtn.classList.toggle('d-none', !!currentDraft);
+    elements.quoteEditor.classList.toggle('d-none', !currentDraft);
+
+    if (currentDraft) {
+      elements.quoteEditorTitle.textContent = `Version ${currentDraft.version} (draft)`;
+      elements.quoteLines.replaceChildren(...currentDraft.lineItems.map(lineRow));
+      elements.quoteDiscount.value = currentDraft.discount;
+      elements.quoteExpiresOn.value = currentDraft.expiresOn;
+      elements.quoteMessage.value = currentDraft.message || '';
+      updateEditorTotal();
+    }
+
+    const sent = quotes.filter(quote => quote.status !== 'draft');
+    elements.quoteVersions.replaceChildren(
+      ...(sent.length > 0
+        ? sent.map(quote =>
+          renderQuoteVersion(
+            quote,
+            payments.filter(payment => payment.quoteId === quote.id),
+            milestones.filter(milestone => milestone.quoteId === quote.id),
+            invoices.filter(invoice => invoice.quoteId === quote.id)
+          )
+        )
+        : [create('p', 'text-muted small mb-0', 'No quotes sent yet')])
+    );
+  }
+
+  // A sent (or superseded) version, kept for reference
+  function renderQuoteVersion(quote, payments, milestones, invoices) {
+    const details = create('details', 'border-top py-2');
+    const summary = create('summary', 'd-flex flex-wrap justify-content-between gap-2');
+    summary.append(
+      create('span', 'fw-semibold', `Version ${quote.version} · ${quote.status}`),
+      create('span', 'small text-muted', `${formatMoney(quote.total)} · sent ${formatDateTime(quote.sentAt)} by ${quote.sentBy}`)
+    );
+    const items = create('ul', 'list-unstyled small mt-2 mb-0');
+    for (const item of quote.lineItems) {
+      const line = create('li', 'd-flex justify-content-between gap-2');
+      const hours = item.hours === null ? '' : ` (${item.hours} h)`;
+      line.append(create('span', '', `${item.description}${hours}`), create('span', '', formatMoney(item.price)));
+      items.append(line);
+    }
+    if (quote.discount) {
+      items.append(create('li', 'text-success', `Discount −${formatMoney(quote.discount)}`));
+    }
+    items.append(create('li', 'text-muted', `Valid until ${quote.expiresOn}`));
+    if (quote.status === 'sent' && quote.paymentSchedule) {
+      const schedule = quote.paymentSchedule.milestones.map(milestone => `${milestone.label} ${milestone.percent}% ${DUE_TRIGGERS[milestone.due]}`);
+      items.append(create('li', 'text-muted', `Payment schedule (${quote.paymentSchedule.rule}): ${schedule.join(', ') || 'nothing to pay'}`));
+    }
+    items.append(...quoteResponseLines(quote.response));
+    items.append(...milestones.map(milestoneLine));
+    items.append(...payments.map(paymentLine));
+    items.append(...invoices.map(invoiceLine));
+    if (quote.status === 'accepted' && quote.total > 0 && missingInvoices(payments, invoices)) {
+      const line = create('li', 'mt-2');
+      const issue = create('button', 'btn btn-sm btn-outline-dark', 'Issue missing invoice and receipts');
+      issue.type = 'button';
+      issue.addEventListener('click', () => issueInvoices(quote, issue));
+      line.append(issue);
+      items.append(line);
+    }
+    details.append(summary, items);
+    return details;
+  }
+
+  // An invoice or receipt, downloaded as PDF
+  function invoiceLine(invoice) {
+    const line = create('li', 'mt-2');
+    const kind = invoice.kind === 'invoice' ? 'Invoice' : 'Receipt';
+    const link = create('a', '', `${kind} ${invoice.number}`);
+    link.href = '#';
+    link.addEventListener('click', event => {
+      event.preventDefault();
+      download(`invoices/${encodeURIComponent(invoice.id)}`, `${invoice.number}.pdf`);
+    });
+    line.append(link, create('span', 'text-muted', ` · ${formatMoney(invoice.amount)} · issued ${formatDateTime(invoice.issuedAt)}`));
+    return line;
+  }
+
+  // Whether an accepted quote lacks its invoice or a paid payment's receipt
+  function missingInvoices(payments, invoices) {
+    const receipts = new Set(invoices.map(invoice => invoice.paymentId));
+    return (
+      !invoices.some(invoice => invoice.kind === 'invoice') ||
+      payments.some(payment => payment.status === 'paid' && !receipts.has(payment.id))
+    );
+  }
+
+  async function issueInvoices(quote, button) {
+    button.disabled = true;
+    try {
+      await apiJson(`leads/${encodeURIComponent(currentLead.id)}/quotes/${quote.version}/invoices`, { method: 'POST' });
+      await loadLead(currentLead.id);
+    } catch (error) {
+      showError(error);
+      button.disabled = false;
+    }
+  }
+
+  // A payment milestone, with actions while it's outstanding
+  function milestoneLine(milestone) {
+    const settled = milestone.status === 'paid' || milestone.status === 'waived';
+    const line = create('li', 'd-flex flex-wrap align-items-center justify-content-between gap-2 mt-2');
+    const label = `${milestone.label} · ${formatMoney(milestone.amount)} (${milestone.percent}%) · due ${DUE_TRIGGERS[milestone.due]}`;
+    let status = milestone.status;
+    if (milestone.status === 'paid') {
+      status = `paid ${formatDateTime(milestone.paidAt)}`;
+    } else if (milestone.status === 'waived') {
+      status = `waived by ${milestone.waivedBy}: ${milestone.waivedReason}`;
+    }
+    line.append(create('span', settled ? 'text-success' : '', `${label} · ${status}`));
+    if (settled) {
+      return line;
+    }
+
+    const actions = create('span', 'd-flex gap-1');
+    const link = create('button', 'btn btn-sm btn-outline-secondary', 'Payment link');
+    link.type = 'button';
+    link.addEventListener('click', () => window.prompt(`Payment link for ${milestone.label}:`, milestone.payUrl));
+    const request = create('button', 'btn btn-sm btn-outline-dark', milestone.status === 'due' ? 'Send reminder' : 'Request payment');
+    request.type = 'button';
+    request.addEventListener('click', () => requestMilestone(milestone, request));
+    const waive = create('button', 'btn btn-sm btn-outline-danger', 'Waive');
+    waive.type = 'button';
+    waive.addEventListener('click', () => waiveMilestone(milestone, waive));
+    actions.append(link, request, waive);
+    line.append(actions);
+    return line;
+  }
+
+  async function requestMilestone(milestone, button) {
+    if (!window.confirm(`Email ${currentLead.email} a link to pay ${milestone.label} (${formatMoney(milestone.amount)})?`)) {
+      return;
+    }
+
+    button.disabled = true;
+    try {
+      const result = await apiJson(milestonePath(milestone, 'request'), { method: 'POST' });
+      await loadLead(currentLead.id);
+      if (!result.emailSent) {
+        window.prompt('The payment is due, but the email to the customer failed. Share this link with them:', result.payUrl);
+      }
+    } catch (error) {
+      showError(error);
+      button.disabled = false;
+    }
+  }
+
+  async function waiveMilestone(milestone, button) {
+    const reason = window.prompt(`Waive ${milestone.label} (${formatMoney(milestone.amount)})? Say why:`, '');
+    if (reason === null) {
+      return;
+    }
+
+    button.disabled = true;
+    try {
+      await apiJson(milestonePath(milestone, 'waive'), { method: 'POST', body: JSON.stringify({ reason }) });
+      await loadLead(currentLead.id);
+    } catch (error) {
+      showError(error);
+      button.disabled = false;
+    }
+  }
+
+  function milestonePath(milestone, action) {
+    return `leads/${encodeURIComponent(currentLead.id)}/milestones/${encodeURIComponent(milestone.id)}/${action}`;
+  }
+
+  // The customer's answer: the e-signature for acceptances, the reason for declines
+  function quoteResponseLines(response) {
+    if (!response) {
+      return [];
+    }
+    const when = formatDateTime(response.respondedAt);
+    if (response.decision === 'declined') {
+      return [create('li', 'mt-2', `Declined ${when}: ${response.reason || 'no reason given'}`)];
+    }
+    return [
+      create('li', 'mt-2 text-success', `Accepted ${when}, signed “${response.signatureName}”`),
+      create('li', 'text-muted', `Terms ${response.termsVersion} · SHA-256 ${response.termsSha256.slice(0, 12)}…`),
+      create('li', 'text-muted text-break', `From ${response.ip || 'unknown IP'} · ${response.userAgent || 'unknown browser'}`)
+    ];
+  }
+
+  // A Stripe Checkout payment; pending ones are open sessions the customer hasn't finished
+  function paymentLine(payment) {
+    const when = payment.status === 'paid' ? formatDateTime(payment.paidAt) : formatDateTime(payment.createdAt);
+    const className = payment.status === 'paid' ? 'text-success' : 'text-muted';
+    return create('li', className, `Payment ${formatMoney(payment.amount)} · ${payment.status} ${when} · ${payment.checkoutSessionId}`);
+  }
+
+  // One editable line item; catalog items keep their catalog id
+  function lineRow(item) {
+    const row = create('div', 'row g-2 mb-2 quote-line');
+    row.dataset.catalogId = item.catalogId || '';
+
+    const description = create('input', 'form-control form-control-sm');
+    description.name = 'description';
+    description.value = item.description;
+    description.maxLength = 500;
+    const hours = create('input', 'form-control form-control-sm');
+    Object.assign(hours, { name: 'hours', type: 'number', min: 0, step: 0.25, value: item.hours ?? '' });
+    const price = create('input', 'form-control form-control-sm');
+    Object.assign(price, { name: 'price', type: 'number', min: 0, step: 1, value: item.price });
+    const remove = create('button', 'btn btn-sm btn-outline-danger', '×');
+    remove.type = 'button';
+    remove.setAttribute('aria-label', 'Remove line item');
+    remove.addEventListener('click', () => {
+      row.remove();
+      updateEditorTotal();
+    });
+
+    const cell = (className, child) => {
+      const element = create('div', className);
+      element.append(child);
+      return element;
+    };
+    row.append(cell('col', description), cell('col-2', hours), cell('col-2', price), cell('col-auto', remove));
+    return row;
+  }
+
+  function readEditor() {
+    const lineItems = [...elements.quoteLines.querySelectorAll('.quote-line')].map(row => {
+      const field = name => row.querySelector(`[name="${name}"]`).value.trim();
+      return {
+        catalogId: row.dataset.catalogId || null,
+        description: field('description'),
+        hours: field('hours') === '' ? null : Number(field('hours')),
+        price: Number(field('price'))
+      };
+    });
+    return {
+      lineItems,
+      discount: Number(elements.quoteDiscount.value) || 0,
+      expiresOn: elements.quoteExpiresOn.value,
+      message: elements.quoteMessage.value.trim() || null
+    };
+  }
+
+  function updateEditorTotal() {
+    const { lineItems, discount } = readEditor();
+    const subtotal = lineItems.reduce((sum, item) => sum + (Number.isFinite(item.price) ? item.price : 0), 0);
+    elements.quoteEditorTotal.textContent = `Total ${formatMoney(subtotal - discount)}`;
+  }
+
+  function quotesPath(suffix = '') {
+    return `leads/${encodeURIComponent(currentLead.id)}/quotes${suffix}`;
+  }
+
+  // Start a new version from the last one sent (or the estimate)
+  async function createQuote() {
+    try {
+      await apiJson(quotesPath(), { method: 'POST', body: '{}' });
+      await loadLead(currentLead.id);
+    } catch (error) {
+      showError(error);
+    }
+  }
+
+  async function saveQuote() {
+    try {
+      await apiJson(quotesPath(`/${currentDraft.version}`), { method: 'PUT', body: JSON.stringify(readEditor()) });
+      await loadLead(currentLead.id);
+    } catch (error) {
+      showError(error);
+    }
+  }
+
+  async function sendQuote() {
+    if (!window.confirm(`Send version ${currentDraft.version} to ${currentLead.email}?`)) {
+      return;
+    }
+
+    elements.sendQuoteBtn.disabled = true;
+    try {
+      const version = currentDraft.version;
+      await apiJson(quotesPath(`/${version}`), { method: 'PUT', body: JSON.stringify(readEditor()) });
+      const result = await apiJson(quotesPath(`/${version}/send`), { method: 'POST' });
+      await loadLead(currentLead.id);
+      if (!result.emailSent) {
+        window.prompt('The quote was sent, but the email to the customer failed. Share this link with them:', result.reviewUrl);
+      }
+    } catch (error) {
+      showError(error);
+    } finally {
+      elements.sendQuoteBtn.disabled = false;
+    }
+  }
+
+  async function discardQuote() {
+    if (!window.confirm(`Discard the version ${currentDraft.version} draft?`)) {
+      return;
+    }
+
+    try {
+      await apiJson(quotesPath(`/${currentDraft.version}`), { method: 'DELETE' });
+      await loadLead(currentLead.id);
+    } catch (error) {
+      showError(error);
+    }
+  }
+
+  // --- Formatting ---
+
+  // Format a whole-dollar amount
+  function formatMoney(amount) {
+    return `$${Number(amount).toLocaleString('en-US')}`;
+  }
+
+  function formatDate(value) {
+    return new Date(value).toLocaleDateString(undefined, { dateStyle: 'medium' });
+  }
+
+  function formatDateTime(value) {
+    return new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  function formatSize(bytes) {
+    return bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  // Build an element with a class and text content
+  function create(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) {
+      element.className = className;
+    }
+    if (text !== undefined) {
+      element.textContent = text;
+    }
+    return element;
+  }
+
+  // Initialize on DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
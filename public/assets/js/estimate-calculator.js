@@ -21,37 +21,29 @@
     featureDiscount: 0
   };
 
-  // Pricing configuration
-  const pricing = {
-    features: 100,
-    security: 150,
-    uiux: 150,
-    deployment: 100,
-    customBase: 250,
-    featureDiscountThreshold: 3,
-    featureDiscountRate: 0.10
-  };
+  // Pricing catalog, loaded from /api/pricing
+  let catalog = null;
+
+  // Incremented per quote request so out-of-order responses are dropped
+  let quoteSequence = 0;
+
+  // Bot defense challenge being solved: { startedAt, pending: Promise<{ challenge, solution }> }
+  let botChallenge = null;
+
+  // Pending submission attempt: { payload, idempotencyKey, timestamp, botCheck }
+  let submission = null;
 
-  // Human-readable name mappings
-  const nameMapping = {
-    // Features
-    'authentication': 'Authentication',
-    'payments': 'Payments',
-    'saas': 'SaaS Subscriptions',
-    'uploads': 'File Uploads',
-    'notifications': 'Notifications',
-    // Services
-    'security': 'Security Audit & Fixes',
-    'uiux': 'UI/UX Review',
-    'deployment': 'Deploy to Production',
-    // Platforms
-    'lovable': 'Lovable',
-    'cursor': 'Cursor',
-    'claude': 'Claude Code',
-    'bolt': 'Bolt.new',
-    'replit': 'Replit',
-    'windsurf': 'Windsurf',
-    'other': 'Other'
+  // Submission retry policy
+  const SUBMIT_TIMEOUT_MS = 15000;
+  const SUBMIT_MAX_ATTEMPTS = 3;
+  const SUBMIT_RETRY_DELAY_MS = 1000;
+
+  // Card styles per catalog category
+  const cardClasses = {
+    feature: 'feature-card',
+    security: 'security-card',
+    uiux: 'custom-card',
+    deployment: 'deployment-card'
   };
 
   // DOM elements
@@ -60,40 +52,141 @@
     platform: document.getElementById('platform'),
     otherPlatformContainer: document.getElementById('otherPlatformContainer'),
     otherPlatform: document.getElementById('otherPlatform'),
-    featureCheckboxes: document.querySelectorAll('.feature-card input[type="checkbox"]'),
-    serviceCheckboxes: document.querySelectorAll('.security-card input[type="checkbox"], .custom-card input[type="checkbox"], .deployment-card input[type="checkbox"]'),
+    sections: document.querySelectorAll('[data-section]'),
+    customRequestPrice: document.getElementById('customRequestPrice'),
     hasCustomRequest: document.getElementById('hasCustomRequest'),
     customRequestContainer: document.getElementById('customRequestContainer'),
     customRequest: document.getElementById('customRequest'),
     charCount: document.getElementById('charCount'),
     email: document.getElementById('email'),
+    website: document.getElementById('website'),
     sendRequestBtn: document.getElementById('sendRequestBtn'),
     featureDiscount: document.getElementById('featureDiscount'),
+    featureDiscountLabel: document.getElementById('featureDiscountLabel'),
     errorMessage: document.getElementById('errorMessage'),
     successMessage: document.getElementById('successMessage'),
     estimateSummary: document.getElementById('estimateSummary'),
+    estimateBreakdown: document.getElementById('estimateBreakdown'),
     totalEstimate: document.getElementById('totalEstimate'),
     customRequestNote: document.getElementById('customRequestNote')
   };
 
   // Initialize
-  function init() {
+  async function init() {
+    // Start solving the bot defense challenge while the customer fills in the form
+    startBotChallenge();
+
+    try {
+      catalog = await loadCatalog();
+    } catch (error) {
+      console.error('Error loading pricing:', error);
+      elements.errorMessage.textContent = 'Pricing is unavailable right now. Please refresh the page or contact us directly.';
+      elements.errorMessage.classList.remove('d-none');
+      elements.sendRequestBtn.disabled = true;
+      return;
+    }
+
+    renderCatalog();
     attachEventListeners();
     updateLiveCalculation();
   }
 
+  // Fetch the pricing catalog from the API
+  async function loadCatalog() {
+    const response = await fetch('/api/pricing');
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || 'Failed to load pricing');
+    }
+
+    return result.catalog;
+  }
+
+  // Escape catalog text before inserting it into markup
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function formatPrice(amount) {
+    return `$${amount}`;
+  }
+
+  // Build a selection card for a feature or service
+  function renderCard(item, inputName) {
+    const inputId = `${inputName}-${item.id}`;
+
+    return `
+      <div class="col-md-4">
+        <div class="selection-card ${cardClasses[item.category] || 'feature-card'}" data-category="${escapeHtml(item.category)}"
+          data-id="${escapeHtml(item.id)}">
+          <input type="checkbox" class="selection-checkbox" id="${escapeHtml(inputId)}" name="${inputName}"
+            value="${escapeHtml(item.id)}">
+          <label for="${escapeHtml(inputId)}" class="selection-label">
+            <div class="card-content">
+              <div class="d-flex flex-column gap-3">
+                <div class="d-flex align-items-center justify-content-between">
+                  <iconify-icon icon="${escapeHtml(item.icon)}" class="fs-8 ${escapeHtml(item.iconColor)}"></iconify-icon>
+                  <div class="card-price">${formatPrice(item.price)}</div>
+                </div>
+                <span class="card-title mb-0">${escapeHtml(item.name)}</span>
+              </div>
+              <p class="card-subtitle">${escapeHtml(item.subtitle)}</p>
+            </div>
+          </label>
+        </div>
+      </div>`;
+  }
+
+  // Render cards, platforms and labels from the catalog
+  function renderCatalog() {
+    elements.sections.forEach(section => {
+      const features = catalog.features.filter(item => item.section === section.dataset.section);
+      const services = catalog.services.filter(item => item.section === section.dataset.section);
+
+      section.innerHTML = features.map(item => renderCard(item, 'features')).join('') +
+                          services.map(item => renderCard(item, 'services')).join('');
+    });
+
+    catalog.platforms.forEach(platform => {
+      elements.platform.add(new Option(platform.name, platform.id));
+    });
+
+    elements.customRequestPrice.textContent = `Starting from ${formatPrice(catalog.customRequest.basePrice)}`;
+
+    const featureDiscount = getFeatureDiscountRule();
+    if (featureDiscount) {
+      elements.featureDiscountLabel.textContent = featureDiscount.label;
+    }
+  }
+
+  // Discount rule for feature bundles, if the catalog has one
+  function getFeatureDiscountRule() {
+    return catalog.discounts.find(rule => rule.appliesTo === 'features') || null;
+  }
+
+  // Look up a catalog entry by id
+  function findItem(items, id) {
+    return items.find(item => item.id === id) || null;
+  }
+
   // Attach all event listeners
   function attachEventListeners() {
     // Platform selection
     elements.platform.addEventListener('change', handlePlatformChange);
 
     // Feature checkboxes
-    elements.featureCheckboxes.forEach(checkbox => {
+    document.querySelectorAll('input[name="features"]').forEach(checkbox => {
       checkbox.addEventListener('change', handleFeatureChange);
     });
 
     // Service checkboxes
-    elements.serviceCheckboxes.forEach(checkbox => {
+    document.querySelectorAll('input[name="services"]').forEach(checkbox => {
       checkbox.addEventListener('change', handleServiceChange);
     });
 
@@ -140,7 +233,8 @@
     const checkbox = e.target;
     const card = checkbox.closest('.selection-card');
     const featureId = card.dataset.id;
-    const featureName = nameMapping[featureId] || featureId;
+    const feature = findItem(catalog.features, featureId);
+    const featureName = feature ? feature.name : featureId;
 
     if (checkbox.checked) {
       if (!state.selectedFeatures.some(f => f.id === featureId)) {
@@ -161,7 +255,8 @@
     const checkbox = e.target;
     const card = checkbox.closest('.selection-card');
     const serviceId = card.dataset.id;
-    const serviceName = nameMapping[serviceId] || serviceId;
+    const service = findItem(catalog.services, serviceId);
+    const serviceName = service ? service.name : serviceId;
 
     if (checkbox.checked) {
       if (!state.selectedServices.some(s => s.id === serviceId)) {
@@ -199,41 +294,113 @@
 
   // Update live calculation
   function updateLiveCalculation() {
-    const featureCount = state.selectedFeatures.length;
-    const hasServices = state.selectedServices.length > 0;
-    const hasCustom = state.hasCustomRequest;
-    const hasSelections = featureCount > 0 || hasServices || hasCustom;
-
-    // Show/hide discount notice for features
-    if (featureCount >= pricing.featureDiscountThreshold) {
-      elements.featureDiscount.classList.remove('d-none');
-    } else {
-      elements.featureDiscount.classList.add('d-none');
-    }
+    const hasSelections = state.selectedFeatures.length > 0 ||
+                          state.selectedServices.length > 0 ||
+                          state.hasCustomRequest;
 
     // Update estimate summary
     if (hasSelections) {
       updateEstimateSummary();
-      elements.estimateSummary.classList.remove('d-none');
     } else {
+      // Invalidate any quote still in flight
+      quoteSequence++;
+      state.totalPrice = 0;
+      state.featureDiscount = 0;
+      elements.featureDiscount.classList.add('d-none');
       elements.estimateSummary.classList.add('d-none');
     }
   }
 
-  // Update estimate summary
-  function updateEstimateSummary() {
-    const { total, discount, breakdown } = calculateEstimate();
+  // Selection fields shared by the quote and submit payloads
+  function getSelectionPayload() {
+    return {
+      selectedFeatures: state.selectedFeatures.map(f => f.name),
+      selectedServices: state.selectedServices.map(s => s.name),
+      hasCustomRequest: state.hasCustomRequest
+    };
+  }
+
+  // Ask the API for an itemized quote
+  async function fetchQuote() {
+    const response = await fetch('/api/quote', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(getSelectionPayload())
+    });
+
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || 'Failed to load quote');
+    }
+
+    return result.quote;
+  }
+
+  // Update estimate summary from the server quote
+  async function updateEstimateSummary() {
+    const sequence = ++quoteSequence;
+    let quote;
+
+    try {
+      quote = await fetchQuote();
+    } catch (error) {
+      console.error('Error loading quote:', error);
+      if (sequence === quoteSequence) {
+        elements.estimateBreakdown.innerHTML = '';
+        elements.totalEstimate.textContent = 'Unavailable';
+        elements.estimateSummary.classList.remove('d-none');
+      }
+      return;
+    }
+
+    // A newer selection has been made while this one was in flight
+    if (sequence !== quoteSequence) {
+      return;
+    }
+
+    renderQuote(quote);
+  }
+
+  // Render an itemized quote
+  function renderQuote(quote) {
+    state.totalPrice = quote.total;
+    state.featureDiscount = quote.discountTotal;
+
+    const lines = quote.lineItems.map(line => ({ label: line.name, amount: formatPrice(line.amount) }));
+    if (quote.customRequest) {
+      lines.push({ label: quote.customRequest.name, amount: `from ${formatPrice(quote.customRequest.basePrice)}` });
+    }
+    quote.discounts.forEach(line => {
+      lines.push({ label: line.label, amount: `-${formatPrice(line.amount)}` });
+    });
+
+    elements.estimateBreakdown.innerHTML = lines.map(line => `
+      <li class="d-flex justify-content-between">
+        <span>${escapeHtml(line.label)}</span>
+        <span>${escapeHtml(line.amount)}</span>
+      </li>`).join('');
 
     // Update total display
-    const totalText = breakdown.hasCustom ? `$${total}+` : `$${total}`;
-    elements.totalEstimate.textContent = totalText;
+    elements.totalEstimate.textContent = quote.isFinal ? formatPrice(quote.total) : `${formatPrice(quote.total)}+`;
+
+    // Show/hide discount notice for features
+    if (quote.discounts.some(line => line.rule.appliesTo === 'features')) {
+      elements.featureDiscount.classList.remove('d-none');
+    } else {
+      elements.featureDiscount.classList.add('d-none');
+    }
 
     // Show/hide custom request note
-    if (breakdown.hasCustom) {
+    if (quote.customRequest) {
       elements.customRequestNote.classList.remove('d-none');
     } else {
       elements.customRequestNote.classList.add('d-none');
     }
+
+    elements.estimateSummary.classList.remove('d-none');
   }
 
   // Validate email
@@ -310,47 +477,138 @@
     return isValid;
   }
 
-  // Calculate estimate
-  function calculateEstimate() {
-    let total = 0;
-    let discount = 0;
-    const breakdown = {
-      features: [],
-      services: [],
-      hasCustom: state.hasCustomRequest
-    };
+  // Fetch a bot defense challenge from the API
+  async function requestChallenge() {
+    const response = await fetch('/api/challenge', { cache: 'no-store' });
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || 'Failed to load challenge');
+    }
+
+    return result.challenge;
+  }
+
+  // Solve a proof-of-work challenge off the main thread
+  function solveChallenge(challenge) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker('/assets/js/pow-worker.js');
+
+      worker.addEventListener('message', (e) => {
+        worker.terminate();
+        resolve(e.data.solution);
+      });
 
-    // Calculate features
-    state.selectedFeatures.forEach(feature => {
-      const card = document.querySelector(`.feature-card[data-id="${feature.id}"]`);
-      const price = parseInt(card.dataset.price);
-      const label = feature.name;
+      worker.addEventListener('error', (e) => {
+        worker.terminate();
+        reject(new Error(e.message || 'Failed to solve challenge'));
+      });
 
-      breakdown.features.push({ label, price });
-      total += price;
+      worker.postMessage({ token: challenge.token, difficulty: challenge.difficulty });
     });
+  }
+
+  // Request and solve a challenge in the background
+  function startBotChallenge() {
+    const startedAt = Date.now();
+    const pending = requestChallenge()
+      .then(challenge => solveChallenge(challenge).then(solution => ({ challenge, solution })));
+
+    // Handled when the form is submitted; this only keeps it out of unhandled rejections
+    pending.catch(error => console.error('Error preparing bot check:', error));
+
+    botChallenge = { startedAt, pending };
+  }
+
+  // Wait for a solved, unexpired challenge that is old enough to submit
+  async function getBotCheck() {
+    let current = botChallenge;
+    let result;
 
-    // Apply discount if 3+ features
-    if (breakdown.features.length >= pricing.featureDiscountThreshold) {
-      const featuresTotal = breakdown.features.reduce((sum, item) => sum + item.price, 0);
-      discount = Math.round(featuresTotal * pricing.featureDiscountRate);
-      total -= discount;
+    try {
+      result = await current.pending;
+    } catch (error) {
+      startBotChallenge();
+      current = botChallenge;
+      result = await current.pending;
     }
 
-    // Calculate services
-    state.selectedServices.forEach(service => {
-      const card = document.querySelector(`[data-id="${service.id}"]`);
-      const price = parseInt(card.dataset.price);
-      const label = service.name;
+    // Lifetimes are measured locally so client clock skew doesn't matter
+    const { challenge } = result;
+    if (Date.now() - current.startedAt >= challenge.expiresAt - challenge.issuedAt) {
+      startBotChallenge();
+      current = botChallenge;
+      result = await current.pending;
+    }
 
-      breakdown.services.push({ label, price });
-      total += price;
-    });
+    const wait = current.startedAt + (result.challenge.minSubmitSeconds + 1) * 1000 - Date.now();
+    if (wait > 0) {
+      await delay(wait);
+    }
+
+    return { token: result.challenge.token, solution: result.solution };
+  }
+
+  // Reuse the attempt's idempotency key until the form contents change
+  function getSubmissionAttempt(requestData) {
+    const payload = JSON.stringify(requestData);
 
-    state.totalPrice = total;
-    state.featureDiscount = discount;
+    if (!submission || submission.payload !== payload) {
+      submission = {
+        payload,
+        idempotencyKey: createIdempotencyKey(),
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    return submission;
+  }
+
+  function createIdempotencyKey() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
+    }
+
+    const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
 
-    return { total, discount, breakdown };
+  function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // POST the submission, retrying timeouts and server errors with the same key
+  async function postSubmission(body, idempotencyKey) {
+    for (let attempt = 1; ; attempt++) {
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), SUBMIT_TIMEOUT_MS);
+
+      try {
+        const response = await fetch('/api/submit-request', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Idempotency-Key': idempotencyKey
+          },
+          body,
+          signal: controller.signal
+        });
+
+        // 409 means an earlier try with this key is still being processed
+        const retryable = response.status >= 500 || response.status === 409;
+        if (!retryable || attempt >= SUBMIT_MAX_ATTEMPTS) {
+          return response;
+        }
+      } catch (error) {
+        if (attempt >= SUBMIT_MAX_ATTEMPTS) {
+          throw error;
+        }
+      } finally {
+        clearTimeout(timeout);
+      }
+
+      await delay(SUBMIT_RETRY_DELAY_MS * attempt);
+    }
   }
 
   // Handle send request button click
@@ -383,40 +641,55 @@
     }
 
     // Prepare data
-    const platformValue = state.platform === 'other' ? state.otherPlatform : (nameMapping[state.platform] || state.platform);
+    const platform = findItem(catalog.platforms, state.platform);
+    const platformValue = state.platform === 'other' ? state.otherPlatform : (platform ? platform.name : state.platform);
     const requestData = {
       appUrl: state.appUrl,
       platform: platformValue,
-      selectedFeatures: state.selectedFeatures.map(f => f.name),
-      selectedServices: state.selectedServices.map(s => s.name),
-      hasCustomRequest: state.hasCustomRequest,
+      ...getSelectionPayload(),
       customRequestText: state.customRequestText,
       email: state.email,
       additionalContext: state.additionalContext,
-      timestamp: new Date().toISOString()
+      website: elements.website.value
     };
+    const attempt = getSubmissionAttempt(requestData);
 
     try {
+      // The bot check is pinned to the attempt so retries send an identical body
+      if (!attempt.botCheck) {
+        attempt.botCheck = await getBotCheck();
+      }
+
       // Send request to API
-      const response = await fetch('/api/submit-request', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestData)
-      });
+      const response = await postSubmission(
+        JSON.stringify({ ...requestData, timestamp: attempt.timestamp, botCheck: attempt.botCheck }),
+        attempt.idempotencyKey
+      );
 
       const result = await response.json();
 
       if (!response.ok || !result.success) {
-        throw new Error(result.error || 'Failed to submit request');
+        const error = new Error(result.error || 'Failed to submit request');
+        // Rate limit and bot check errors are written for customers
+        error.userMessage = response.status === 429 || result.code === 'bot_check_failed' ? result.error : null;
+        // Lets support find the server logs for this failure
+        error.requestId = result.requestId || response.headers.get('X-Request-Id');
+
+        // Start over with a fresh challenge on the next click, also after a
+        // rate limit or server error in case the challenge was used up
+        if (result.code === 'bot_check_failed' || response.status === 429 || response.status >= 500) {
+          submission = null;
+          startBotChallenge();
+        }
+
+        throw error;
       }
 
       // Track submission
       trackEvent('request_submitted', { total_value: state.totalPrice });
 
       // Show success message
-      showSuccessMessage();
+      showSuccessMessage(result.reference);
 
       // Clear form
       clearForm();
@@ -425,12 +698,13 @@
       console.error('Error submitting request:', error);
 
       // Show error message
-      elements.errorMessage.textContent = 'Failed to submit request. Please try again or contact us directly.';
+      const message = error.userMessage || 'Failed to submit request. Please try again or contact us directly.';
+      elements.errorMessage.textContent = error.requestId ? `${message} (Reference: ${error.requestId})` : message;
       elements.errorMessage.classList.remove('d-none');
       elements.errorMessage.scrollIntoView({ behavior: 'smooth', block: 'center' });
 
       // Track error
-      trackEvent('request_submission_failed', { error: error.message });
+      trackEvent('request_submission_failed', { error: error.message, request_id: error.requestId });
 
     } finally {
       // Reset button state
@@ -443,13 +717,15 @@
   }
 
   // Show success message
-  function showSuccessMessage() {
+  function showSuccessMessage(reference) {
     // Hide form sections
     elements.form.classList.add('d-none');
 
     // Show success message
     elements.successMessage.classList.remove('d-none');
     document.getElementById('confirmEmail').textContent = state.email;
+    document.getElementById('confirmReference').textContent = reference;
+    document.getElementById('statusLink').href = `/status?ref=${encodeURIComponent(reference)}`;
 
     // Scroll to top
     window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -472,12 +748,15 @@
     state.additionalContext = '';
     state.totalPrice = 0;
     state.featureDiscount = 0;
+    quoteSequence++;
+    submission = null;
 
     // Reset UI
     elements.featureDiscount.classList.add('d-none');
     elements.customRequestContainer.classList.add('d-none');
     elements.otherPlatformContainer.classList.add('d-none');
     elements.estimateSummary.classList.add('d-none');
+    elements.estimateBreakdown.innerHTML = '';
     elements.customRequestNote.classList.add('d-none');
   }
 
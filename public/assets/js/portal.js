@@ -0,0 +1,283 @@
+/**
+ * Client Portal
+ * Passwordless sign-in and the list of a customer's requests, notes, documents, payments and invoices
+ */
+
+(function () {
+  'use strict';
+
+  // How each payment milestone trigger reads, e.g. "Deposit (50%), due on acceptance"
+  const DUE_TRIGGERS = { acceptance: 'on acceptance', start: 'when work starts', delivery: 'on delivery' };
+  const MILESTONE_LABELS = { scheduled: 'Not due yet', paid: 'Paid', waived: 'Waived' };
+  const MILESTONE_BADGES = { scheduled: 'bg-light text-dark', paid: 'bg-success', waived: 'bg-secondary' };
+  const INVOICE_KINDS = { invoice: 'Invoice', receipt: 'Receipt' };
+
+  // DOM elements
+  const elements = {
+    errorMessage: document.getElementById('errorMessage'),
+    loginForm: document.getElementById('loginForm'),
+    email: document.getElementById('email'),
+    loginBtn: document.getElementById('loginBtn'),
+    linkSent: document.getElementById('linkSent'),
+    linkSentMessage: document.getElementById('linkSentMessage'),
+    portal: document.getElementById('portal'),
+    portalEmail: document.getElementById('portalEmail'),
+    logoutBtn: document.getElementById('logoutBtn'),
+    requestList: document.getElementById('requestList')
+  };
+
+  // Initialize
+  async function init() {
+    elements.loginForm.addEventListener('submit', handleLogin);
+    elements.logoutBtn.addEventListener('click', handleLogout);
+
+    let signInError = null;
+    const token = new URLSearchParams(window.location.search).get('token');
+    if (token) {
+      // Sign-in links work once, so keep the token out of history and bookmarks
+      window.history.replaceState(null, '', window.location.pathname);
+      signInError = await exchangeToken(token);
+    }
+
+    await loadRequests(signInError);
+  }
+
+  // Call the portal API; the session cookie is sent automatically
+  async function api(path, options = {}) {
+    const response = await fetch(`/api/v1/portal/${path}`, {
+      credentials: 'same-origin',
+      ...options,
+      headers: options.body ? { 'Content-Type': 'application/json' } : {}
+    });
+    const result = await response.json();
+    return { response, result };
+  }
+
+  function showError(message) {
+    elements.errorMessage.textContent = message;
+    elements.errorMessage.classList.remove('d-none');
+  }
+
+  function showView(view) {
+    elements.errorMessage.classList.add('d-none');
+    for (const element of [elements.loginForm, elements.linkSent, elements.portal]) {
+      element.classList.toggle('d-none', element !== view);
+    }
+  }
+
+  // Trade a sign-in link's token for a session; returns an error message if that failed
+  async function exchangeToken(token) {
+    const fallback = 'We couldn\'t sign you in. Please request a new link.';
+    try {
+      const { response, result } = await api('session', { method: 'POST', body: JSON.stringify({ token }) });
+      return response.ok && result.success ? null : result.error || fallback;
+    } catch (error) {
+      console.error('Error signing in:', error);
+      return fallback;
+    }
+  }
+
+  // Load the signed-in customer's requests, or show the sign-in form
+  async function loadRequests(signInError) {
+    try {
+      const { response, result } = await api('requests');
+
+      if (response.status === 401) {
+        showView(elements.loginForm);
+        if (signInError) {
+          showError(signInError);
+        }
+        return;
+      }
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to load requests');
+      }
+
+      elements.portalEmail.textContent = result.email;
+      renderRequests(result.requests);
+      showView(elements.portal);
+    } catch (error) {
+      console.error('Error loading requests:', error);
+      showError('We couldn\'t load your requests. Please try again in a moment.');
+    }
+  }
+
+  // Handle the sign-in form
+  async function handleLogin(event) {
+    event.preventDefault();
+
+    const email = elements.email.value.trim();
+    const valid = elements.email.checkValidity() && !!email;
+    elements.email.classList.toggle('is-invalid', !valid);
+    if (!valid) {
+      return;
+    }
+
+    const btnText = elements.loginBtn.querySelector('.btn-text');
+    const originalText = btnText.textContent;
+    elements.loginBtn.disabled = true;
+    btnText.textContent = 'Sending...';
+
+    try {
+      const { response, result } = await api('login', { method: 'POST', body: JSON.stringify({ email }) });
+      if (!response.ok || !result.success) {
+        const error = new Error(result.error || 'Failed to send sign-in link');
+        error.userMessage = response.status === 429 || response.status === 400 ? result.error : null;
+        throw error;
+      }
+
+      elements.linkSentMessage.textContent = result.message;
+      showView(elements.linkSent);
+    } catch (error) {
+      console.error('Error requesting sign-in link:', error);
+      showError(error.userMessage || 'We couldn\'t send a sign-in link. Please try again in a moment.');
+    } finally {
+      elements.loginBtn.disabled = false;
+      btnText.textContent = originalText;
+    }
+  }
+
+  async function handleLogout() {
+    try {
+      await api('logout', { method: 'POST' });
+    } finally {
+      elements.requestList.replaceChildren();
+      showView(elements.loginForm);
+    }
+  }
+
+  // Format a whole-dollar amount
+  function formatMoney(amount) {
+    return `$${Number(amount).toLocaleString('en-US')}`;
+  }
+
+  function formatDate(value) {
+    return new Date(value).toLocaleDateString(undefined, { dateStyle: 'long' });
+  }
+
+  function formatSize(bytes) {
+    return bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  // Build an element with a class and text content
+  function create(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) {
+      element.className = className;
+    }
+    if (text !== undefined) {
+      element.textContent = text;
+    }
+    return element;
+  }
+
+  function renderSection(title, items) {
+    const section = create('div', 'mt-3');
+    section.append(create('h4', 'h6 fw-semibold mb-2', title), ...items);
+    return section;
+  }
+
+  // One card per request
+  function renderRequest(request) {
+    const card = create('article', 'border rounded-3 p-4 mb-4');
+
+    const header = create('div', 'd-flex flex-wrap align-items-center justify-content-between gap-2 mb-2');
+    header.append(create('h3', 'h5 fw-bold m-0', request.reference), create('span', 'badge rounded-pill bg-dark px-3 py-2', request.status));
+    card.append(header, create('p', 'small text-muted text-break mb-3', `${request.appUrl} · Submitted ${formatDate(request.submittedAt)}`));
+
+    const selections = create('ul', 'list-unstyled mb-0');
+    for (const line of request.quote.lineItems) {
+      const item = create('li', 'd-flex justify-content-between py-1');
+      item.append(create('span', '', line.name), create('span', '', formatMoney(line.amount)));
+      selections.append(item);
+    }
+    if (request.hasCustomRequest) {
+      selections.append(create('li', 'text-muted py-1', `Custom request: ${request.customRequestText || 'Details to follow'}`));
+    }
+    const discount = request.featureDiscount ? ` (after ${formatMoney(request.featureDiscount)} discount)` : '';
+    const total = create('p', 'fw-semibold border-top pt-2 mt-2 mb-0', `Quoted Price: ${formatMoney(request.estimatedPrice)}${discount}`);
+    card.append(renderSection('Quote', [selections, total]));
+
+    if (request.milestones.length > 0) {
+      card.append(renderSection('Payments', [renderMilestones(request.milestones)]));
+    }
+
+    if (request.invoices.length > 0) {
+      const list = create('ul', 'list-unstyled mb-0');
+      for (const invoice of request.invoices) {
+        const item = create('li', 'd-flex flex-wrap justify-content-between gap-2 py-1');
+        const link = create('a', '', `${INVOICE_KINDS[invoice.kind]} ${invoice.number}`);
+        link.href = invoice.url;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        item.append(link, create('span', 'small text-muted', `${formatMoney(invoice.amount)} · ${formatDate(invoice.issuedAt)}`));
+        list.append(item);
+      }
+      card.append(renderSection('Invoices & Receipts', [list]));
+    }
+
+    if (request.notes.length > 0) {
+      card.append(
+        renderSection(
+          'Delivery Notes',
+          request.notes.map(note => {
+            const item = create('div', 'border-start ps-3 mb-2');
+            item.append(create('p', 'mb-1', note.body), create('p', 'small text-muted mb-0', formatDate(note.createdAt)));
+            item.firstChild.style.whiteSpace = 'pre-line';
+            return item;
+          })
+        )
+      );
+    }
+
+    if (request.documents.length > 0) {
+      const list = create('ul', 'list-unstyled mb-0');
+      for (const document of request.documents) {
+        const item = create('li', 'py-1');
+        const link = create('a', '', document.filename);
+        link.href = document.url;
+        link.download = document.filename;
+        item.append(link, create('span', 'small text-muted ms-2', formatSize(document.size)));
+        list.append(item);
+      }
+      card.append(renderSection('Documents', [list]));
+    }
+
+    return card;
+  }
+
+  // Each payment milestone with its status, and a link to pay the ones that are due
+  function renderMilestones(milestones) {
+    const list = create('ul', 'list-unstyled mb-0');
+    for (const milestone of milestones) {
+      const item = create('li', 'd-flex flex-wrap align-items-center justify-content-between gap-2 py-1');
+      const label = create('span', '', `${milestone.label} (${milestone.percent}%), due ${DUE_TRIGGERS[milestone.due]}`);
+      const amount = create('span', 'd-flex align-items-center gap-2', formatMoney(milestone.amount));
+      if (milestone.status === 'due') {
+        const pay = create('a', 'btn btn-sm btn-dark rounded-pill px-3', 'Pay now');
+        pay.href = milestone.payUrl;
+        amount.append(pay);
+      } else {
+        amount.append(create('span', `badge rounded-pill ${MILESTONE_BADGES[milestone.status]}`, MILESTONE_LABELS[milestone.status]));
+      }
+      item.append(label, amount);
+      list.append(item);
+    }
+    return list;
+  }
+
+  function renderRequests(requests) {
+    if (requests.length === 0) {
+      elements.requestList.replaceChildren(create('p', 'text-muted text-center', 'You don\'t have any requests yet.'));
+      return;
+    }
+    elements.requestList.replaceChildren(...requests.map(renderRequest));
+  }
+
+  // Initialize on DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,41 @@
+/**
+ * Proof-of-Work Solver
+ * Runs in a Web Worker so solving the bot defense challenge doesn't block the page
+ */
+
+(function () {
+  'use strict';
+
+  const encoder = new TextEncoder();
+
+  // Count the leading zero bits of a digest
+  function leadingZeroBits(bytes) {
+    let bits = 0;
+
+    for (const byte of bytes) {
+      if (byte === 0) {
+        bits += 8;
+        continue;
+      }
+      bits += Math.clz32(byte) - 24;
+      break;
+    }
+
+    return bits;
+  }
+
+  // Find a counter whose SHA-256(`${token}:${counter}`) starts with `difficulty` zero bits
+  self.addEventListener('message', async (e) => {
+    const { token, difficulty } = e.data;
+
+    for (let counter = 0; ; counter++) {
+      const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${token}:${counter}`));
+
+      if (leadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+        self.postMessage({ solution: String(counter) });
+        return;
+      }
+    }
+  });
+
+})();
@@ -0,0 +1,354 @@
+/**
+ * Quote Review
+ * Shows a quote sent by the team, opened from one of the signed links in the quote email.
+ * The accept and decline links also show the form to answer it, and accepted quotes are paid in
+ * the milestones of their payment schedule by Stripe Checkout, which sends the customer back here.
+ */
+
+(function () {
+  'use strict';
+
+  // How each payment milestone trigger reads, e.g. "Deposit (50%), due on acceptance"
+  const DUE_TRIGGERS = { acceptance: 'on acceptance', start: 'when work starts', delivery: 'on delivery' };
+  const MILESTONE_STATUSES = { scheduled: 'Not due yet', due: 'Due now', paid: 'Paid', waived: 'Waived' };
+
+  // DOM elements
+  const elements = {
+    errorMessage: document.getElementById('errorMessage'),
+    details: document.getElementById('quoteDetails'),
+    reference: document.getElementById('quoteReference'),
+    version: document.getElementById('quoteVersion'),
+    app: document.getElementById('quoteApp'),
+    notice: document.getElementById('quoteNotice'),
+    message: document.getElementById('quoteMessage'),
+    items: document.getElementById('quoteItems'),
+    totals: document.getElementById('quoteTotals'),
+    expiry: document.getElementById('quoteExpiry'),
+    answer: document.getElementById('quoteAnswer'),
+    respondHint: document.getElementById('quoteRespondHint'),
+    acceptForm: document.getElementById('acceptForm'),
+    termsText: document.getElementById('termsText'),
+    termsVersion: document.getElementById('termsVersion'),
+    acceptAgree: document.getElementById('acceptAgree'),
+    acceptName: document.getElementById('acceptName'),
+    acceptBtn: document.getElementById('acceptBtn'),
+    declineForm: document.getElementById('declineForm'),
+    declineReason: document.getElementById('declineReason'),
+    declineBtn: document.getElementById('declineBtn'),
+    paymentSection: document.getElementById('paymentSection'),
+    paymentStatus: document.getElementById('paymentStatus'),
+    paymentMilestones: document.getElementById('paymentMilestones'),
+    payBtn: document.getElementById('payBtn')
+  };
+
+  // The link the page was opened from
+  const link = {};
+
+  // The milestone the pay button is for
+  let payingMilestone = null;
+
+  // Initialize
+  function init() {
+    const params = new URLSearchParams(window.location.search);
+    link.id = params.get('id');
+    link.token = params.get('token');
+    link.action = params.get('action');
+    // Set by a milestone's payment link
+    link.milestone = params.get('milestone');
+    // Set by Stripe's return to this page: success or cancelled
+    link.payment = params.get('payment');
+
+    if (!link.id || !link.token) {
+      showError('This link is incomplete. Please open it straight from your quote email.');
+      return;
+    }
+
+    elements.acceptForm.addEventListener('submit', handleAccept);
+    elements.declineForm.addEventListener('submit', handleDecline);
+    elements.payBtn.addEventListener('click', handlePay);
+
+    loadQuote(link.id, link.token);
+  }
+
+  function showError(message) {
+    elements.errorMessage.textContent = message;
+    elements.errorMessage.classList.remove('d-none');
+    elements.errorMessage.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  function hideError() {
+    elements.errorMessage.classList.add('d-none');
+  }
+
+  // Fetch the quote from the API
+  async function loadQuote(id, token) {
+    try {
+      const response = await fetch(`/api/v1/quotes/${encodeURIComponent(id)}?${new URLSearchParams({ token })}`);
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        const error = new Error(result.error || 'Failed to load quote');
+        // Not found and expired link errors are written for customers
+        error.userMessage = [401, 404].includes(response.status) ? result.error : null;
+        throw error;
+      }
+
+      showQuote(result);
+    } catch (error) {
+      console.error('Error loading quote:', error);
+      showError(error.userMessage || 'We couldn\'t load your quote. Please try again in a moment.');
+    }
+  }
+
+  // Format a whole-dollar amount
+  function formatMoney(amount) {
+    return `$${Number(amount).toLocaleString('en-US')}`;
+  }
+
+  function formatDate(value) {
+    // Expiry dates are calendar dates, so don't let the local time zone shift them
+    return new Date(`${value}T00:00:00Z`).toLocaleDateString(undefined, { dateStyle: 'long', timeZone: 'UTC' });
+  }
+
+  function row(cells, className) {
+    const tr = document.createElement('tr');
+    if (className) {
+      tr.className = className;
+    }
+    cells.forEach((text, index) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (index > 0) {
+        td.className = 'text-end text-nowrap';
+      }
+      tr.append(td);
+    });
+    return tr;
+  }
+
+  // Notice shown above the quote when it's no longer the one to act on
+  function noticeFor(quote) {
+    if (quote.status === 'superseded') {
+      return 'We\'ve sent you a newer version of this quote. Please check your email for the latest one.';
+    }
+    if (quote.expired) {
+      return 'This quote has expired. Reply to our email and we\'ll send you an updated one.';
+    }
+    return null;
+  }
+
+  // Render the quote
+  function showQuote({ reference, appUrl, quote, terms, response, payment }) {
+    elements.reference.textContent = reference;
+    elements.version.textContent = `Version ${quote.version}`;
+    elements.app.textContent = appUrl;
+
+    const notice = noticeFor(quote);
+    elements.notice.textContent = notice || '';
+    elements.notice.classList.toggle('d-none', !notice);
+
+    elements.message.textContent = quote.message || '';
+    elements.message.classList.toggle('d-none', !quote.message);
+
+    elements.items.replaceChildren(
+      ...quote.lineItems.map(item => row([item.description, item.hours === null ? '' : String(item.hours), formatMoney(item.price)]))
+    );
+    elements.totals.replaceChildren(
+      row(['Subtotal', '', formatMoney(quote.subtotal)]),
+      ...(quote.discount ? [row(['Discount', '', `-${formatMoney(quote.discount)}`], 'text-success')] : []),
+      row(['Total', '', formatMoney(quote.total)], 'fw-bold'),
+      ...scheduleRows(quote)
+    );
+    elements.expiry.textContent = `${quote.expired ? 'Expired' : 'Valid until'} ${formatDate(quote.expiresOn)}.`;
+
+    showResponse(quote, terms, response);
+    showPayment(payment);
+
+    elements.details.classList.remove('d-none');
+  }
+
+  // The payment schedule, while the quote is still to be accepted; a single payment on acceptance goes without saying
+  function scheduleRows(quote) {
+    const schedule = quote.paymentSchedule || [];
+    if (quote.status !== 'sent' || schedule.length < 2) {
+      return [];
+    }
+    return [
+      row(['Payment schedule', '', ''], 'small text-muted'),
+      ...schedule.map(milestone =>
+        row([`${milestone.label} (${milestone.percent}%), due ${DUE_TRIGGERS[milestone.due]}`, '', formatMoney(milestone.amount)], 'small')
+      )
+    ];
+  }
+
+  // Show the customer's answer, or the form for the link they opened
+  function showResponse(quote, terms, response) {
+    const open = quote.status === 'sent' && !quote.expired;
+    const answer = answerText(response);
+
+    elements.answer.textContent = answer || '';
+    elements.answer.classList.toggle('d-none', !answer);
+    elements.answer.classList.toggle('alert-success', response?.decision === 'accepted');
+    elements.answer.classList.toggle('alert-secondary', response?.decision === 'declined');
+
+    const showAccept = open && link.action === 'accept' && !!terms;
+    const showDecline = open && link.action === 'decline';
+    if (showAccept) {
+      elements.termsText.textContent = terms.text;
+      elements.termsVersion.textContent = `Terms version ${terms.version}`;
+      elements.acceptForm.dataset.termsVersion = terms.version;
+    }
+    elements.acceptForm.classList.toggle('d-none', !showAccept);
+    elements.declineForm.classList.toggle('d-none', !showDecline);
+    elements.respondHint.classList.toggle('d-none', !open || showAccept || showDecline);
+  }
+
+  function answerText(response) {
+    if (!response) {
+      return null;
+    }
+    const when = new Date(response.respondedAt).toLocaleString(undefined, { dateStyle: 'long', timeStyle: 'short' });
+    if (response.decision === 'accepted') {
+      return `You accepted this quote on ${when}, signed as ${response.signatureName}. We'll be in touch about next steps.`;
+    }
+    return `You declined this quote on ${when}. Thanks for letting us know.`;
+  }
+
+  // POST an answer to the quote and show the result
+  async function respond(action, body, button) {
+    const btnText = button.querySelector('.btn-text');
+    const originalText = btnText.textContent;
+    button.disabled = true;
+    btnText.textContent = 'Sending...';
+    hideError();
+
+    try {
+      const response = await fetch(`/api/v1/quotes/${encodeURIComponent(link.id)}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: link.token, ...body })
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        const error = new Error(result.error || `Failed to ${action} quote`);
+        // Validation, expired link and closed quote errors are written for customers
+        if ([400, 401, 409].includes(response.status)) {
+          error.userMessage = result.errors ? result.errors.join(' ') : result.error;
+        }
+        throw error;
+      }
+
+      await loadQuote(link.id, link.token);
+    } catch (error) {
+      console.error(`Error trying to ${action} quote:`, error);
+      showError(error.userMessage || 'We couldn\'t save your answer. Please try again in a moment.');
+    } finally {
+      button.disabled = false;
+      btnText.textContent = originalText;
+    }
+  }
+
+  // What's been paid on an accepted quote, its milestones, and the button to pay the one that's due
+  function showPayment(payment) {
+    elements.paymentSection.classList.toggle('d-none', !payment);
+    if (!payment) {
+      return;
+    }
+
+    // The milestone from the payment link if it's due, otherwise the first one due
+    const due = payment.milestones.filter(milestone => milestone.status === 'due');
+    payingMilestone = due.find(milestone => milestone.id === link.milestone) || due[0] || null;
+
+    const paid = payment.amountPaid ? ` (${formatMoney(payment.amountPaid)} paid so far)` : '';
+    let status;
+    if (payment.status === 'paid') {
+      const date = payment.paidAt ? ` on ${new Date(payment.paidAt).toLocaleDateString(undefined, { dateStyle: 'long' })}` : '';
+      status = `Paid in full${date}. Thank you!`;
+    } else if (link.payment === 'success') {
+      status = 'Thanks! We\'re confirming your payment with Stripe. Refresh this page in a moment to see it.';
+    } else if (!payingMilestone) {
+      status = `Nothing is due right now${paid}. We'll email you a payment link when the next payment is due.`;
+    } else {
+      const cancelled = link.payment === 'cancelled' ? 'Your payment was cancelled. ' : '';
+      const how = payment.online ? '' : ' We\'ll send you payment details by email.';
+      status = `${cancelled}${payingMilestone.label}: ${formatMoney(payingMilestone.amount)} is due${paid}.${how}`;
+    }
+    elements.paymentStatus.textContent = status;
+
+    // A single payment needs no breakdown
+    const split = payment.milestones.length > 1;
+    elements.paymentMilestones.replaceChildren(...(split ? payment.milestones.map(milestoneItem) : []));
+    elements.paymentMilestones.classList.toggle('d-none', !split);
+
+    const canPay = payment.online && !!payingMilestone && link.payment !== 'success';
+    elements.payBtn.querySelector('.btn-text').textContent = payingMilestone ? `Pay ${formatMoney(payingMilestone.amount)} Now` : 'Pay Now';
+    elements.payBtn.classList.toggle('d-none', !canPay);
+  }
+
+  function milestoneItem(milestone) {
+    const item = document.createElement('li');
+    item.className = 'd-flex justify-content-between gap-2 py-1';
+    const label = document.createElement('span');
+    label.textContent = `${milestone.label} (${milestone.percent}%), due ${DUE_TRIGGERS[milestone.due]}`;
+    const amount = document.createElement('span');
+    amount.className = 'text-nowrap';
+    amount.textContent = `${formatMoney(milestone.amount)} · ${MILESTONE_STATUSES[milestone.status]}`;
+    item.append(label, amount);
+    return item;
+  }
+
+  // Send the customer to Stripe Checkout
+  async function handlePay() {
+    elements.payBtn.disabled = true;
+    hideError();
+
+    try {
+      const response = await fetch(`/api/v1/quotes/${encodeURIComponent(link.id)}/checkout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: link.token, milestoneId: payingMilestone.id })
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        const error = new Error(result.error || 'Failed to start checkout');
+        // Conflict (already paid, not due) and provider errors are written for customers
+        error.userMessage = [401, 409, 502].includes(response.status) ? result.error : null;
+        throw error;
+      }
+
+      window.location.assign(result.checkoutUrl);
+    } catch (error) {
+      console.error('Error starting checkout:', error);
+      showError(error.userMessage || 'We couldn\'t start the payment. Please try again in a moment.');
+      elements.payBtn.disabled = false;
+    }
+  }
+
+  function handleAccept(event) {
+    event.preventDefault();
+
+    const name = elements.acceptName.value.trim();
+    const validName = name.length >= 2;
+    elements.acceptName.classList.toggle('is-invalid', !validName);
+    elements.acceptAgree.classList.toggle('is-invalid', !elements.acceptAgree.checked);
+    if (!validName || !elements.acceptAgree.checked) {
+      return;
+    }
+
+    respond('accept', { name, agree: true, termsVersion: elements.acceptForm.dataset.termsVersion }, elements.acceptBtn);
+  }
+
+  function handleDecline(event) {
+    event.preventDefault();
+    respond('decline', { reason: elements.declineReason.value.trim() || null }, elements.declineBtn);
+  }
+
+  // Initialize on DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
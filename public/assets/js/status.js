@@ -0,0 +1,141 @@
+/**
+ * Request Status
+ * Looks up a submitted request by reference and email, or by the signed link from the confirmation email
+ */
+
+(function () {
+  'use strict';
+
+  const REFERENCE_PATTERN = /^FIN-\d{4}-\d{4,}$/;
+
+  // DOM elements
+  const elements = {
+    form: document.getElementById('lookupForm'),
+    reference: document.getElementById('reference'),
+    email: document.getElementById('email'),
+    lookupBtn: document.getElementById('lookupBtn'),
+    errorMessage: document.getElementById('errorMessage'),
+    details: document.getElementById('requestDetails'),
+    detailReference: document.getElementById('detailReference'),
+    detailStatus: document.getElementById('detailStatus'),
+    detailSubmitted: document.getElementById('detailSubmitted'),
+    detailApp: document.getElementById('detailApp'),
+    detailPlatform: document.getElementById('detailPlatform'),
+    detailSelections: document.getElementById('detailSelections'),
+    detailCustomRequest: document.getElementById('detailCustomRequest'),
+    detailCustomRequestText: document.getElementById('detailCustomRequestText'),
+    detailPrice: document.getElementById('detailPrice'),
+    detailPriceNote: document.getElementById('detailPriceNote')
+  };
+
+  // Initialize
+  function init() {
+    const params = new URLSearchParams(window.location.search);
+    const reference = params.get('ref');
+    const token = params.get('token');
+
+    if (reference) {
+      elements.reference.value = reference;
+    }
+
+    elements.form.addEventListener('submit', handleSubmit);
+
+    // Links from the confirmation email open the request straight away
+    if (reference && token) {
+      lookup(reference, { token });
+    }
+  }
+
+  // Handle the lookup form
+  function handleSubmit(event) {
+    event.preventDefault();
+
+    const reference = elements.reference.value.trim().toUpperCase();
+    const email = elements.email.value.trim();
+    elements.reference.classList.toggle('is-invalid', !REFERENCE_PATTERN.test(reference));
+    elements.email.classList.toggle('is-invalid', !elements.email.checkValidity() || !email);
+
+    if (elements.form.querySelector('.is-invalid')) {
+      return;
+    }
+
+    lookup(reference, { email });
+  }
+
+  // Fetch the request from the API
+  async function lookup(reference, params) {
+    const btnText = elements.lookupBtn.querySelector('.btn-text');
+    const originalText = btnText.textContent;
+    elements.lookupBtn.disabled = true;
+    btnText.textContent = 'Checking...';
+    elements.errorMessage.classList.add('d-none');
+
+    try {
+      const response = await fetch(`/api/v1/requests/${encodeURIComponent(reference)}?${new URLSearchParams(params)}`);
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        const error = new Error(result.error || 'Failed to load request');
+        // Not found, expired link and rate limit errors are written for customers
+        error.userMessage = [401, 404, 429].includes(response.status) ? result.error : null;
+        throw error;
+      }
+
+      showRequest(result.request);
+    } catch (error) {
+      console.error('Error loading request:', error);
+
+      elements.errorMessage.textContent = error.userMessage || 'We couldn\'t load your request. Please try again in a moment.';
+      elements.errorMessage.classList.remove('d-none');
+    } finally {
+      elements.lookupBtn.disabled = false;
+      btnText.textContent = originalText;
+    }
+  }
+
+  // Format a whole-dollar amount
+  function formatMoney(amount) {
+    return `$${Number(amount).toLocaleString('en-US')}`;
+  }
+
+  // Render the request details in place of the form
+  function showRequest(request) {
+    const { quote } = request;
+
+    elements.detailReference.textContent = request.reference;
+    elements.detailStatus.textContent = request.status;
+    elements.detailSubmitted.textContent = new Date(request.submittedAt).toLocaleDateString(undefined, { dateStyle: 'long' });
+    elements.detailApp.textContent = request.appUrl;
+    elements.detailPlatform.textContent = request.platform || 'Not specified';
+
+    elements.detailSelections.replaceChildren(
+      ...quote.lineItems.map(line => {
+        const item = document.createElement('li');
+        item.className = 'd-flex justify-content-between py-1';
+        const name = document.createElement('span');
+        name.textContent = line.name;
+        const amount = document.createElement('span');
+        amount.textContent = formatMoney(line.amount);
+        item.append(name, amount);
+        return item;
+      })
+    );
+
+    elements.detailCustomRequest.classList.toggle('d-none', !request.hasCustomRequest);
+    elements.detailCustomRequestText.textContent = request.customRequestText || 'Details to follow';
+
+    const discount = request.featureDiscount ? ` (after ${formatMoney(request.featureDiscount)} discount)` : '';
+    elements.detailPrice.textContent = formatMoney(request.estimatedPrice) + discount;
+    elements.detailPriceNote.classList.toggle('d-none', !quote.customRequest);
+
+    elements.form.classList.add('d-none');
+    elements.details.classList.remove('d-none');
+  }
+
+  // Initialize on DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,167 @@
+/**
+ * Admin authentication
+ *
+ * In production the admin dashboard and API sit behind Cloudflare Access,
+ * which forwards a signed JWT in the Cf-Access-Jwt-Assertion header. It is
+ * verified against the team's signing keys (ACCESS_TEAM_DOMAIN, e.g.
+ * finalize.cloudflareaccess.com) and the Access application's audience tag
+ * (ACCESS_AUD), so a request that reaches the Worker around Access is still
+ * refused.
+ *
+ * `Authorization: Bearer <ADMIN_API_TOKEN>` is the shared-secret fallback for
+ * local dev and scripts. Leave ADMIN_API_TOKEN unset to require Access.
+ *
+ * Wrap a handler with `requireAdmin` to protect it:
+ *
+ *   router.route('/api/v1/admin/things', { GET: requireAdmin(listThings) });
+ *
+ * The handler's context gets `admin`, who made the request, so changes can be
+ * attributed (e.g. in the lead status history).
+ */
+
+import { ConfigurationError, UnauthorizedError } from './errors.js';
+import { requestJson } from './outbound.js';
+import { base64UrlDecode } from './signing.js';
+
+export const ACCESS_JWT_HEADER = 'Cf-Access-Jwt-Assertion';
+
+// Access rotates its signing keys every six weeks and publishes the next one
+// in advance, so cached keys only need refreshing for an unknown key id
+const CERTS_TTL_MS = 60 * 60 * 1000;
+const CERTS_MIN_REFRESH_MS = 30 * 1000;
+
+// Allowed clock skew for nbf/exp, in seconds
+const CLOCK_SKEW_SECONDS = 60;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// Imported signing keys per team domain: { fetchedAt, keys: Map<kid, CryptoKey> }
+const certsCache = new Map();
+
+/**
+ * Compare two strings without leaking where they differ
+ *
+ * Both are hashed first so timingSafeEqual gets equal-length inputs.
+ */
+async function safeEqual(a, b) {
+	const [left, right] = await Promise.all([
+		crypto.subtle.digest('SHA-256', encoder.encode(a)),
+		crypto.subtle.digest('SHA-256', encoder.encode(b)),
+	]);
+	return crypto.subtle.timingSafeEqual(left, right);
+}
+
+/**
+ * The Access team's issuer origin, or null when Access isn't configured
+ */
+function accessIssuer(env) {
+	if (!env.ACCESS_TEAM_DOMAIN || !env.ACCESS_AUD) {
+		return null;
+	}
+	const domain = env.ACCESS_TEAM_DOMAIN.trim().replace(/\/+$/, '');
+	return /^https?:\/\//.test(domain) ? domain : `https://${domain}`;
+}
+
+/**
+ * Signing key for a key id, fetching the team's certs when it isn't cached
+ */
+async function accessKey(issuer, kid) {
+	const cached = certsCache.get(issuer);
+	const age = cached ? Date.now() - cached.fetchedAt : Infinity;
+	if (cached && age < CERTS_TTL_MS && (cached.keys.has(kid) || age < CERTS_MIN_REFRESH_MS)) {
+		return cached.keys.get(kid) || null;
+	}
+
+	const { keys = [] } = await requestJson(`${issuer}/cdn-cgi/access/certs`, { method: 'GET', label: 'Cloudflare Access certs' });
+	const imported = new Map();
+	for (const jwk of keys) {
+		if (jwk.kty === 'RSA' && jwk.kid) {
+			imported.set(jwk.kid, await crypto.subtle.importKey('jwk', jwk, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['verify']));
+		}
+	}
+	certsCache.set(issuer, { fetchedAt: Date.now(), keys: imported });
+	return imported.get(kid) || null;
+}
+
+/**
+ * Verify an Access JWT and return its claims, or null if it isn't valid for this application
+ */
+export async function verifyAccessJwt(token, env) {
+	const issuer = accessIssuer(env);
+	const [headerPart, payloadPart, signaturePart, ...rest] = (token || '').split('.');
+	if (!issuer || !signaturePart || rest.length > 0) {
+		return null;
+	}
+
+	let header;
+	let payload;
+	let signature;
+	try {
+		header = JSON.parse(decoder.decode(base64UrlDecode(headerPart)));
+		payload = JSON.parse(decoder.decode(base64UrlDecode(payloadPart)));
+		signature = base64UrlDecode(signaturePart);
+	} catch {
+		return null;
+	}
+	if (header.alg !== 'RS256' || typeof header.kid !== 'string') {
+		return null;
+	}
+
+	const key = await accessKey(issuer, header.kid);
+	if (!key || !(await crypto.subtle.verify('RSASSA-PKCS1-v1_5', key, signature, encoder.encode(`${headerPart}.${payloadPart}`)))) {
+		return null;
+	}
+
+	const now = Date.now() / 1000;
+	const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+	if (
+		payload.iss !== issuer ||
+		!audiences.includes(env.ACCESS_AUD) ||
+		!(payload.exp > now - CLOCK_SKEW_SECONDS) ||
+		(payload.nbf !== undefined && payload.nbf > now + CLOCK_SKEW_SECONDS)
+	) {
+		return null;
+	}
+	return payload;
+}
+
+/**
+ * Authenticate an admin request, throwing UnauthorizedError if it can't be
+ *
+ * Returns the admin as `{ actor }`: the Access user's email (or a service
+ * token's client id), or `admin-token` for the shared secret, which everyone
+ * using it shares.
+ */
+export async function authenticateAdmin(request, env) {
+	const issuer = accessIssuer(env);
+	if (!issuer && !env.ADMIN_API_TOKEN) {
+		throw new ConfigurationError('Neither Cloudflare Access (ACCESS_TEAM_DOMAIN, ACCESS_AUD) nor ADMIN_API_TOKEN is set');
+	}
+
+	const assertion = request.headers.get(ACCESS_JWT_HEADER);
+	if (issuer && assertion) {
+		const claims = await verifyAccessJwt(assertion, env);
+		if (!claims) {
+			throw new UnauthorizedError('Cloudflare Access token is invalid or expired');
+		}
+		return { actor: claims.email || claims.common_name || claims.sub };
+	}
+
+	const match = /^Bearer\s+(.+)$/i.exec(request.headers.get('Authorization') || '');
+	if (!env.ADMIN_API_TOKEN || !match || !(await safeEqual(match[1].trim(), env.ADMIN_API_TOKEN))) {
+		throw new UnauthorizedError();
+	}
+
+	return { actor: 'admin-token' };
+}
+
+/**
+ * Wrap a route handler so it only runs for authenticated admins
+ */
+export function requireAdmin(handler) {
+	return async context => {
+		const admin = await authenticateAdmin(context.request, context.env);
+		return handler({ ...context, admin });
+	};
+}
@@ -0,0 +1,287 @@
+/**
+ * Admin lead triage API
+ *
+ * Backs the /admin dashboard: a filterable, searchable list of leads and a
+ * detail view with the full stored payload, the itemized price breakdown and
+ * anything that needs a second look. Everything is read from the D1 lead
+ * store; search uses the leads_fts full-text index.
+ */
+
+import { documentResponse, getDocument, listDocumentsForLeads, listNotesForLeads } from './delivery.js';
+import { BadRequestError, NotFoundError } from './errors.js';
+import { json } from './http.js';
+import { listInvoices, toAdminInvoice } from './invoices.js';
+import { LEAD_STATUSES, allowedTransitions, listStatusHistory } from './lead-status.js';
+import { getLead, getSinkDeliveries, toLead } from './leads.js';
+import { listMilestones, withPaymentUrls } from './milestones.js';
+import { listPayments } from './payments.js';
+import { CATALOG, buildQuote } from './pricing.js';
+import { listQuotes } from './quotes.js';
+import { base64UrlDecode, base64UrlEncode } from './signing.js';
+import { validateEstimateForm } from './validation.js';
+
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Search terms beyond this are ignored
+const MAX_SEARCH_TERMS = 8;
+
+/**
+ * Turn free text into an FTS5 query: every word must match, as a prefix
+ *
+ * Words are split the way FTS5's default tokenizer splits them, so
+ * "founder@example.com" matches as the words founder, example and com.
+ */
+export function searchQuery(text) {
+	const words = text.match(/[\p{L}\p{N}]+/gu) || [];
+	return words
+		.slice(0, MAX_SEARCH_TERMS)
+		.map(word => `"${word}"*`)
+		.join(' ');
+}
+
+function encodeCursor(lead) {
+	return base64UrlEncode(new TextEncoder().encode(JSON.stringify([lead.submittedAt, lead.id])));
+}
+
+function decodeCursor(cursor) {
+	try {
+		const [submittedAt, id] = JSON.parse(new TextDecoder().decode(base64UrlDecode(cursor)));
+		if (typeof submittedAt === 'string' && typeof id === 'string') {
+			return { submittedAt, id };
+		}
+	} catch {
+		// Fall through to the error below
+	}
+	throw new BadRequestError('cursor is not valid');
+}
+
+/**
+ * Leads matching the dashboard filters, newest first
+ *
+ * `from` and `to` are inclusive YYYY-MM-DD dates (UTC). Returns the page of
+ * leads, the total number of matches (unless `withTotal` is false) and the
+ * cursor for the next page.
+ */
+export async function listLeads(db, { status, platform, feature, from, to, q, limit = DEFAULT_LIST_LIMIT, cursor, withTotal = true } = {}) {
+	const conditions = [];
+	const bindings = [];
+	const where = (condition, ...values) => {
+		conditions.push(condition);
+		bindings.push(...values);
+	};
+
+	if (status) {
+		where('status = ?', status);
+	}
+	if (platform) {
+		where('platform = ?', platform);
+	}
+	if (feature) {
+		where('EXISTS (SELECT 1 FROM json_each(leads.selected_features) WHERE json_each.value = ?)', feature);
+	}
+	if (from) {
+		where('submitted_at >= ?', `${from}T00:00:00.000Z`);
+	}
+	if (to) {
+		const next = new Date(`${to}T00:00:00.000Z`);
+		next.setUTCDate(next.getUTCDate() + 1);
+		where('submitted_at < ?', next.toISOString());
+	}
+	const search = q ? searchQuery(q) : '';
+	if (search) {
+		where('rowid IN (SELECT rowid FROM leads_fts WHERE leads_fts MATCH ?)', search);
+	}
+
+	const filter = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+	const page = cursor ? decodeCursor(cursor) : null;
+	const pageFilter = page ? `${filter ? `${filter} AND` : 'WHERE'} (submitted_at, id) < (?, ?)` : filter;
+
+	const [{ results }, count] = await db.batch([
+		db
+			.prepare(`SELECT * FROM leads ${pageFilter} ORDER BY submitted_at DESC, id DESC LIMIT ?`)
+			.bind(...bindings, ...(page ? [page.submittedAt, page.id] : []), limit + 1),
+		...(withTotal ? [db.prepare(`SELECT COUNT(*) AS total FROM leads ${filter}`).bind(...bindings)] : []),
+	]);
+
+	const leads = results.slice(0, limit).map(toLead);
+	return {
+		leads,
+		total: count ? count.results[0].total : null,
+		nextCursor: results.length > limit ? encodeCursor(leads.at(-1)) : null,
+	};
+}
+
+/**
+ * Things about a stored lead worth a second look
+ *
+ * The form is re-validated against today's rules and the stored estimate is
+ * re-priced against today's catalog, so leads from older page versions or
+ * with since-removed catalog items stand out.
+ */
+export function leadIssues(lead, quote, sinkDeliveries = []) {
+	const issues = validateEstimateForm(lead).errors.map(message => ({ type: 'validation', message }));
+
+	for (const { type, value, reason } of quote.ignored) {
+		const message = reason === 'duplicate' ? `${value} is selected twice` : `${value} is not in the pricing catalog`;
+		issues.push({ type: 'selection', message: `${type === 'service' ? 'Service' : 'Feature'} ${message}` });
+	}
+
+	if (quote.total !== lead.estimatedPrice) {
+		issues.push({
+			type: 'pricing',
+			message: `Stored estimate $${lead.estimatedPrice} differs from current pricing $${quote.total}`,
+		});
+	}
+
+	for (const delivery of sinkDeliveries) {
+		if (delivery.status === 'failed' || delivery.status === 'dead_lettered') {
+			const state = delivery.status === 'failed' ? 'failed' : 'was dead-lettered';
+			issues.push({ type: 'delivery', message: `Delivery to ${delivery.sink} ${state}: ${delivery.lastError}` });
+		}
+	}
+
+	return issues;
+}
+
+function quoteFor(lead) {
+	return buildQuote({
+		selectedFeatures: lead.selectedFeatures,
+		selectedServices: lead.selectedServices,
+		hasCustomRequest: lead.hasCustomRequest,
+	});
+}
+
+/**
+ * Read an optional list filter, rejecting values outside `allowed`
+ */
+function readFilter(searchParams, name, allowed) {
+	const value = searchParams.get(name)?.trim();
+	if (!value) {
+		return undefined;
+	}
+	if (allowed && !allowed.includes(value)) {
+		throw new BadRequestError(`${name} must be one of ${allowed.join(', ')}`);
+	}
+	return value;
+}
+
+function readDate(searchParams, name) {
+	const value = readFilter(searchParams, name);
+	if (value && (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value)))) {
+		throw new BadRequestError(`${name} must be a date like 2026-03-31`);
+	}
+	return value;
+}
+
+/**
+ * Read the lead list filters from query parameters
+ *
+ * `status`, `platform`, `feature`, `from`, `to` and `q` (full-text search);
+ * unset ones are left undefined.
+ */
+export function readLeadFilters(searchParams) {
+	return {
+		status: readFilter(searchParams, 'status', LEAD_STATUSES),
+		platform: readFilter(searchParams, 'platform'),
+		feature: readFilter(searchParams, 'feature'),
+		from: readDate(searchParams, 'from'),
+		to: readDate(searchParams, 'to'),
+		q: readFilter(searchParams, 'q'),
+	};
+}
+
+/**
+ * Handle GET /api/v1/admin/leads
+ *
+ * Optional `status`, `platform`, `feature`, `from`, `to`, `q` (full-text
+ * search), `limit` and `cursor` query parameters.
+ */
+export async function handleListLeads({ env, url }) {
+	const { searchParams } = url;
+	const limitParam = searchParams.get('limit');
+	const limit = limitParam === null ? DEFAULT_LIST_LIMIT : Number(limitParam);
+	if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+		throw new BadRequestError(`limit must be between 1 and ${MAX_LIST_LIMIT}`);
+	}
+
+	const { leads, total, nextCursor } = await listLeads(env.DB, {
+		...readLeadFilters(searchParams),
+		cursor: readFilter(searchParams, 'cursor'),
+		limit,
+	});
+
+	return json({
+		success: true,
+		total,
+		nextCursor,
+		leads: leads.map(lead => ({ ...lead, issueCount: leadIssues(lead, quoteFor(lead)).length })),
+	});
+}
+
+/**
+ * Handle GET /api/v1/admin/leads/filters
+ *
+ * Values for the dashboard's filter menus.
+ */
+export async function handleGetLeadFilters({ env }) {
+	const { results } = await env.DB.prepare('SELECT DISTINCT platform FROM leads WHERE platform IS NOT NULL ORDER BY platform').all();
+
+	return json({
+		success: true,
+		statuses: LEAD_STATUSES,
+		platforms: results.map(row => row.platform),
+		features: CATALOG.features.map(feature => feature.name),
+	});
+}
+
+/**
+ * Handle GET /api/v1/admin/leads/:id
+ */
+export async function handleGetAdminLead({ env, params }) {
+	const lead = await getLead(env.DB, params.id);
+	if (!lead) {
+		throw new NotFoundError('Lead not found');
+	}
+
+	const quote = quoteFor(lead);
+	const [sinkDeliveries, statusHistory, notes, documents, quotes, payments, milestones, invoices] = await Promise.all([
+		getSinkDeliveries(env.DB, lead.id),
+		listStatusHistory(env.DB, lead.id),
+		listNotesForLeads(env.DB, [lead.id]),
+		listDocumentsForLeads(env.DB, [lead.id]),
+		listQuotes(env.DB, lead.id),
+		listPayments(env.DB, lead.id),
+		listMilestones(env.DB, lead.id),
+		listInvoices(env.DB, lead.id),
+	]);
+
+	return json({
+		success: true,
+		lead,
+		quote,
+		issues: leadIssues(lead, quote, sinkDeliveries),
+		allowedTransitions: allowedTransitions(lead.status),
+		statusHistory,
+		sinkDeliveries,
+		notes: notes[lead.id],
+		documents: documents[lead.id].map(({ r2Key, ...document }) => ({ ...document, url: `/api/v1/admin/documents/${document.id}` })),
+		quotes,
+		payments,
+		milestones: await withPaymentUrls(env, milestones),
+		invoices: invoices.map(toAdminInvoice),
+	});
+}
+
+/**
+ * Handle GET /api/v1/admin/documents/:id
+ */
+export async function handleGetAdminDocument({ env, params }) {
+	const document = await getDocument(env.DB, params.id);
+	if (!document) {
+		throw new NotFoundError('Document not found');
+	}
+	return documentResponse(env, document);
+}
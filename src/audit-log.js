@@ -0,0 +1,63 @@
+/**
+ * Admin audit log
+ *
+ * Append-only record of admin actions that read or change customer data in
+ * bulk (lead exports, for one). Entries can't be updated or deleted: the
+ * table's triggers refuse it.
+ */
+
+import { BadRequestError } from './errors.js';
+import { json } from './http.js';
+
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+
+function toAuditEntry(row) {
+	return {
+		id: row.id,
+		actor: row.actor,
+		action: row.action,
+		details: JSON.parse(row.details),
+		requestId: row.request_id,
+		createdAt: row.created_at,
+	};
+}
+
+/**
+ * Record an admin action
+ */
+export async function recordAuditEvent(db, { actor, action, details = {}, requestId = null }) {
+	const entry = { id: crypto.randomUUID(), actor, action, details, requestId, createdAt: new Date().toISOString() };
+	await db
+		.prepare('INSERT INTO admin_audit_log (id, actor, action, details, request_id, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+		.bind(entry.id, actor, action, JSON.stringify(details), requestId, entry.createdAt)
+		.run();
+	return entry;
+}
+
+/**
+ * List audit log entries, newest first
+ */
+export async function listAuditLog(db, { action, limit = DEFAULT_LIST_LIMIT } = {}) {
+	const query = action
+		? db.prepare('SELECT * FROM admin_audit_log WHERE action = ? ORDER BY created_at DESC, rowid DESC LIMIT ?').bind(action, limit)
+		: db.prepare('SELECT * FROM admin_audit_log ORDER BY created_at DESC, rowid DESC LIMIT ?').bind(limit);
+	const { results } = await query.all();
+	return results.map(toAuditEntry);
+}
+
+/**
+ * Handle GET /api/v1/admin/audit-log
+ *
+ * Optional `action` and `limit` query parameters.
+ */
+export async function handleListAuditLog({ env, url }) {
+	const limitParam = url.searchParams.get('limit');
+	const limit = limitParam === null ? DEFAULT_LIST_LIMIT : Number(limitParam);
+	if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+		throw new BadRequestError(`limit must be between 1 and ${MAX_LIST_LIMIT}`);
+	}
+
+	const entries = await listAuditLog(env.DB, { action: url.searchParams.get('action') || undefined, limit });
+	return json({ success: true, entries });
+}
@@ -0,0 +1,194 @@
+/**
+ * Bot defense for the estimate form
+ *
+ * Three layers, none needing a third-party captcha:
+ *   - a honeypot field (`website`) that people never see and bots fill in
+ *   - a signed render timestamp, so forms submitted faster than a person
+ *     could fill them in are rejected
+ *   - a proof-of-work challenge from GET /api/challenge, solved in a Web
+ *     Worker by the estimate page before it submits
+ *
+ * Each challenge is accepted once; its nonce is kept in D1 until it expires.
+ * Failed checks are recorded in D1 with their reason.
+ */
+
+import { BotCheckError, ConfigurationError } from './errors.js';
+import { json } from './http.js';
+import { createLogger } from './logger.js';
+import { base64UrlEncode, signToken, verifyToken } from './signing.js';
+
+const DEFAULT_DIFFICULTY = 16;
+const DEFAULT_MIN_SUBMIT_SECONDS = 3;
+const DEFAULT_CHALLENGE_TTL_SECONDS = 2 * 60 * 60;
+
+function readSettings(env) {
+	if (!env.BOT_DEFENSE_SECRET) {
+		throw new ConfigurationError('BOT_DEFENSE_SECRET is not set');
+	}
+
+	const difficulty = Number(env.POW_DIFFICULTY);
+	const minSubmitSeconds = Number(env.BOT_MIN_SUBMIT_SECONDS);
+	const ttlSeconds = Number(env.BOT_CHALLENGE_TTL_SECONDS);
+
+	return {
+		secret: env.BOT_DEFENSE_SECRET,
+		difficulty: Number.isInteger(difficulty) && difficulty >= 0 ? difficulty : DEFAULT_DIFFICULTY,
+		minSubmitSeconds: minSubmitSeconds >= 0 ? minSubmitSeconds : DEFAULT_MIN_SUBMIT_SECONDS,
+		ttlSeconds: ttlSeconds > 0 ? ttlSeconds : DEFAULT_CHALLENGE_TTL_SECONDS,
+	};
+}
+
+/**
+ * Number of leading zero bits in a digest
+ */
+function leadingZeroBits(bytes) {
+	let bits = 0;
+	for (const byte of bytes) {
+		if (byte === 0) {
+			bits += 8;
+			continue;
+		}
+		bits += Math.clz32(byte) - 24;
+		break;
+	}
+	return bits;
+}
+
+/**
+ * Check a proof-of-work solution: SHA-256(`${token}:${solution}`) must start
+ * with `difficulty` zero bits
+ */
+export async function isValidSolution(token, solution, difficulty) {
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${token}:${solution}`));
+	return leadingZeroBits(new Uint8Array(digest)) >= difficulty;
+}
+
+/**
+ * Issue a signed challenge; its issue time doubles as the form's render timestamp
+ */
+export async function issueChallenge(env) {
+	const { secret, difficulty, minSubmitSeconds, ttlSeconds } = readSettings(env);
+	const issuedAt = Date.now();
+	const nonce = base64UrlEncode(crypto.getRandomValues(new Uint8Array(16)));
+
+	return {
+		token: await signToken({ nonce, issuedAt, difficulty }, secret),
+		difficulty,
+		issuedAt,
+		expiresAt: issuedAt + ttlSeconds * 1000,
+		minSubmitSeconds,
+	};
+}
+
+/**
+ * Run all checks against a submission
+ *
+ * Returns `{ reason }` for a submission that fails, or `{ challenge }` with
+ * the nonce and expiry to claim once the submission is stored.
+ */
+export async function checkSubmission(env, data) {
+	const { secret, minSubmitSeconds, ttlSeconds } = readSettings(env);
+
+	if (typeof data.website === 'string' && data.website.trim() !== '') {
+		return { reason: 'honeypot_filled' };
+	}
+
+	const botCheck = data.botCheck;
+	if (!botCheck || typeof botCheck.token !== 'string' || typeof botCheck.solution !== 'string') {
+		return { reason: 'challenge_missing' };
+	}
+
+	const challenge = await verifyToken(botCheck.token, secret);
+	if (!challenge || typeof challenge.issuedAt !== 'number' || typeof challenge.nonce !== 'string') {
+		return { reason: 'challenge_invalid' };
+	}
+
+	const elapsedSeconds = (Date.now() - challenge.issuedAt) / 1000;
+	if (elapsedSeconds < minSubmitSeconds) {
+		return { reason: 'submitted_too_fast' };
+	}
+
+	if (elapsedSeconds > ttlSeconds) {
+		return { reason: 'challenge_expired' };
+	}
+
+	if (!(await isValidSolution(botCheck.token, botCheck.solution, challenge.difficulty))) {
+		return { reason: 'proof_of_work_invalid' };
+	}
+
+	return {
+		reason: null,
+		challenge: { nonce: challenge.nonce, expiresAt: new Date(challenge.issuedAt + ttlSeconds * 1000).toISOString() },
+	};
+}
+
+/**
+ * Record a rejected submission
+ */
+async function recordRejection(env, request, reason) {
+	await env.DB.prepare('INSERT INTO bot_rejections (reason, ip, user_agent, created_at) VALUES (?, ?, ?, ?)')
+		.bind(reason, request.headers.get('CF-Connecting-IP'), request.headers.get('User-Agent'), new Date().toISOString())
+		.run();
+}
+
+/**
+ * Log and record a failed check, then throw BotCheckError
+ */
+async function reject(request, env, reason, log) {
+	log.warn('bot_check.rejected', { reason });
+
+	try {
+		await recordRejection(env, request, reason);
+	} catch (error) {
+		log.error('bot_check.record_failed', { reason, error });
+	}
+
+	throw new BotCheckError(reason);
+}
+
+/**
+ * Reject submissions that fail the bot checks, recording why
+ *
+ * Returns the verified challenge. It isn't used up yet: call
+ * `claimChallenge` once nothing else can turn the submission away, so a
+ * rate-limited or failed attempt can be retried with the same challenge.
+ */
+export async function enforceBotDefense(request, env, data, log = createLogger()) {
+	const { reason, challenge } = await checkSubmission(env, data);
+	if (reason) {
+		await reject(request, env, reason, log);
+	}
+	return challenge;
+}
+
+/**
+ * Mark a challenge as used, rejecting it as a bot if it already was
+ *
+ * Expired nonces can't pass the checks again anyway, so they're cleared in the same batch.
+ */
+export async function claimChallenge(request, env, challenge, log = createLogger()) {
+	const [, claim] = await env.DB.batch([
+		env.DB.prepare('DELETE FROM used_challenges WHERE expires_at < ?').bind(new Date().toISOString()),
+		env.DB.prepare('INSERT INTO used_challenges (nonce, expires_at) VALUES (?, ?) ON CONFLICT (nonce) DO NOTHING').bind(
+			challenge.nonce,
+			challenge.expiresAt
+		),
+	]);
+	if (claim.meta.changes === 0) {
+		await reject(request, env, 'challenge_reused', log);
+	}
+}
+
+/**
+ * Give a claimed challenge back when the submission it passed couldn't be stored
+ */
+export async function releaseChallenge(env, challenge) {
+	await env.DB.prepare('DELETE FROM used_challenges WHERE nonce = ?').bind(challenge.nonce).run();
+}
+
+/**
+ * Handle GET /api/challenge
+ */
+export async function handleGetChallenge({ env }) {
+	return json({ success: true, challenge: await issueChallenge(env) }, { headers: { 'Cache-Control': 'no-store' } });
+}
@@ -0,0 +1,157 @@
+/**
+ * CORS policies for API routes
+ *
+ * A policy lists the origins a browser may call a route from. Patterns are
+ * exact origins (`https://finalize.dev`) or wildcard subdomains
+ * (`https://*.finalize.dev`, which does not match the apex). The Worker's own
+ * origin is always allowed, since it serves the estimate page.
+ *
+ * The default policy reads the comma-separated CORS_ALLOWED_ORIGINS var.
+ * Routes can register their own policy to open up to partner sites without
+ * widening the default:
+ *
+ *   router.route('/api/v1/pricing', { GET: handleGetPricing }, {
+ *     cors: corsPolicy({ origins: env => parseOriginList(env.PARTNER_ORIGINS) }),
+ *   });
+ */
+
+import { ForbiddenError } from './errors.js';
+
+const DEFAULT_ALLOW_HEADERS = ['Content-Type', 'Idempotency-Key'];
+const DEFAULT_EXPOSE_HEADERS = ['Idempotent-Replayed', 'Retry-After', 'X-Request-Id'];
+const DEFAULT_MAX_AGE_SECONDS = 600;
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/**
+ * Split a comma-separated origin list, dropping blanks and trailing slashes
+ */
+export function parseOriginList(value) {
+	if (!value) {
+		return [];
+	}
+	return String(value)
+		.split(',')
+		.map(origin => origin.trim().replace(/\/+$/, ''))
+		.filter(Boolean);
+}
+
+/**
+ * Check an origin against one allowlist pattern
+ */
+export function originMatches(origin, pattern) {
+	const wildcard = /^([a-z][a-z0-9+.-]*:\/\/)\*\.(.+)$/i.exec(pattern);
+	if (!wildcard) {
+		return origin.toLowerCase() === pattern.toLowerCase();
+	}
+
+	const [, scheme, domain] = wildcard;
+	const lowerOrigin = origin.toLowerCase();
+	const prefix = scheme.toLowerCase();
+	const suffix = `.${domain.toLowerCase()}`;
+
+	return (
+		lowerOrigin.startsWith(prefix) &&
+		lowerOrigin.endsWith(suffix) &&
+		/^[a-z0-9.-]+$/.test(lowerOrigin.slice(prefix.length, -suffix.length))
+	);
+}
+
+/**
+ * Build a CORS policy
+ *
+ * `origins` is an array of patterns or a function of env returning one.
+ */
+export function corsPolicy({
+	origins = env => parseOriginList(env.CORS_ALLOWED_ORIGINS),
+	allowHeaders = DEFAULT_ALLOW_HEADERS,
+	exposeHeaders = DEFAULT_EXPOSE_HEADERS,
+	maxAge = DEFAULT_MAX_AGE_SECONDS,
+} = {}) {
+	return {
+		origins: typeof origins === 'function' ? origins : () => origins,
+		allowHeaders,
+		exposeHeaders,
+		maxAge,
+	};
+}
+
+/**
+ * Whether the request's Origin may use a route under this policy
+ */
+export function isOriginAllowed(policy, request, env) {
+	const origin = request.headers.get('Origin');
+	if (!origin) {
+		return false;
+	}
+	if (origin === new URL(request.url).origin) {
+		return true;
+	}
+	return policy.origins(env).some(pattern => originMatches(origin, pattern));
+}
+
+/**
+ * Whether an OPTIONS request is a CORS preflight rather than a plain OPTIONS
+ */
+export function isPreflight(request) {
+	return request.method === 'OPTIONS' && request.headers.has('Origin') && request.headers.has('Access-Control-Request-Method');
+}
+
+/**
+ * Answer a preflight, or throw ForbiddenError for an origin outside the policy
+ */
+export function preflight(policy, request, env, allowed) {
+	if (!isOriginAllowed(policy, request, env)) {
+		throw new ForbiddenError('Origin not allowed', { code: 'origin_not_allowed' });
+	}
+
+	return new Response(null, {
+		status: 204,
+		headers: {
+			Allow: allowed.join(', '),
+			'Access-Control-Allow-Origin': request.headers.get('Origin'),
+			'Access-Control-Allow-Methods': allowed.join(', '),
+			'Access-Control-Allow-Headers': policy.allowHeaders.join(', '),
+			'Access-Control-Max-Age': String(policy.maxAge),
+		},
+	});
+}
+
+/**
+ * Throw ForbiddenError for a write sent from an origin outside the policy
+ *
+ * Browsers send simple POSTs (form or text/plain bodies) cross-origin without
+ * a preflight, so the allowlist is checked again before a write is handled.
+ * Requests without an Origin header, such as server-to-server webhooks, pass.
+ */
+export function enforceOrigin(policy, request, env) {
+	if (SAFE_METHODS.has(request.method) || !request.headers.has('Origin')) {
+		return;
+	}
+	if (!isOriginAllowed(policy, request, env)) {
+		throw new ForbiddenError('Origin not allowed', { code: 'origin_not_allowed' });
+	}
+}
+
+/**
+ * Add CORS headers to a response
+ *
+ * Allowed origins are echoed back; responses always vary on Origin so caches
+ * never serve one origin's headers to another.
+ */
+export function applyCors(policy, request, env, response) {
+	const headers = new Headers(response.headers);
+	headers.append('Vary', 'Origin');
+
+	if (isOriginAllowed(policy, request, env)) {
+		headers.set('Access-Control-Allow-Origin', request.headers.get('Origin'));
+		if (policy.exposeHeaders.length > 0) {
+			headers.set('Access-Control-Expose-Headers', policy.exposeHeaders.join(', '));
+		}
+	}
+
+	return new Response(response.body, {
+		status: response.status,
+		statusText: response.statusText,
+		headers,
+	});
+}
@@ -0,0 +1,32 @@
+/**
+ * Gap-free sequence numbers
+ *
+ * A counter is bumped by a statement that goes in the same D1 batch as the
+ * insert using the new value. Batches are transactions, so a failed insert
+ * rolls the counter back and no number is skipped or handed out twice:
+ *
+ *   await db.batch([
+ *     incrementCounter(db, 'lead-reference:2026'),
+ *     db.prepare(`INSERT INTO leads (…, reference) VALUES (…, ${COUNTER_VALUE_SQL})`).bind(…, 'lead-reference:2026'),
+ *   ]);
+ */
+
+// Current value of a counter, for use inside the batched insert; bind the counter name
+export const COUNTER_VALUE_SQL = '(SELECT value FROM counters WHERE name = ?)';
+
+/**
+ * Statement that increments a counter, starting it at 1
+ */
+export function incrementCounter(db, name) {
+	return db
+		.prepare('INSERT INTO counters (name, value) VALUES (?, 1) ON CONFLICT (name) DO UPDATE SET value = value + 1')
+		.bind(name);
+}
+
+/**
+ * Current value of a counter (0 if it has never been used)
+ */
+export async function getCounter(db, name) {
+	const row = await db.prepare('SELECT value FROM counters WHERE name = ?').bind(name).first();
+	return row ? row.value : 0;
+}
@@ -0,0 +1,160 @@
+/**
+ * Dead-letter store
+ *
+ * Deliveries that fail permanently, or run out of retries, are parked in D1
+ * with the queue message, the payload that was sent and the error. Admins list
+ * them and replay them once the cause is fixed: a replay re-sends the original
+ * queue message tagged with the dead letter's id, and the consumer resolves the
+ * dead letter when that delivery succeeds (or updates it if it fails again).
+ */
+
+import { BadRequestError, ConflictError, NotFoundError } from './errors.js';
+import { json } from './http.js';
+import { SINKS } from './sinks/index.js';
+
+export const DEAD_LETTER_STATUSES = ['pending', 'replayed', 'resolved'];
+
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+
+// Queue each destination's messages are replayed onto; every lead sink uses the lead sync queue
+const REPLAY_QUEUES = Object.fromEntries(Object.keys(SINKS).map(sink => [sink, env => env.LEAD_SYNC_QUEUE]));
+
+/**
+ * Convert a `dead_letters` row into a dead letter object
+ */
+function toDeadLetter(row) {
+	if (!row) {
+		return null;
+	}
+
+	return {
+		id: row.id,
+		destination: row.destination,
+		leadId: row.lead_id,
+		payload: JSON.parse(row.payload),
+		error: row.error,
+		errorStatus: row.error_status,
+		attempts: row.attempts,
+		status: row.status,
+		replayCount: row.replay_count,
+		createdAt: row.created_at,
+		updatedAt: row.updated_at,
+	};
+}
+
+/**
+ * Park a failed delivery
+ *
+ * Passing the `id` of a replayed dead letter updates it instead of adding a
+ * second entry for the same delivery.
+ */
+export async function recordDeadLetter(db, { id, destination, leadId = null, payload, error, errorStatus = null, attempts }) {
+	const now = new Date().toISOString();
+
+	if (id) {
+		const result = await db
+			.prepare(
+				`UPDATE dead_letters
+				SET status = 'pending', payload = ?, error = ?, error_status = ?, attempts = ?, updated_at = ?
+				WHERE id = ?`
+			)
+			.bind(JSON.stringify(payload), error, errorStatus, attempts, now, id)
+			.run();
+		if (result.meta.changes > 0) {
+			return id;
+		}
+	}
+
+	const newId = crypto.randomUUID();
+	await db
+		.prepare(
+			`INSERT INTO dead_letters (
+				id, destination, lead_id, payload, error, error_status, attempts, status, created_at, updated_at
+			) VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)`
+		)
+		.bind(newId, destination, leadId, JSON.stringify(payload), error, errorStatus, attempts, now, now)
+		.run();
+	return newId;
+}
+
+/**
+ * Fetch a dead letter by id
+ */
+export async function getDeadLetter(db, id) {
+	const row = await db.prepare('SELECT * FROM dead_letters WHERE id = ?').bind(id).first();
+	return toDeadLetter(row);
+}
+
+/**
+ * List dead letters, newest first
+ */
+export async function listDeadLetters(db, { status, limit = DEFAULT_LIST_LIMIT } = {}) {
+	const query = status
+		? db.prepare('SELECT * FROM dead_letters WHERE status = ? ORDER BY created_at DESC LIMIT ?').bind(status, limit)
+		: db.prepare('SELECT * FROM dead_letters ORDER BY created_at DESC LIMIT ?').bind(limit);
+	const { results } = await query.all();
+	return results.map(toDeadLetter);
+}
+
+/**
+ * Mark a replayed dead letter as delivered
+ */
+export async function resolveDeadLetter(db, id) {
+	await db
+		.prepare("UPDATE dead_letters SET status = 'resolved', updated_at = ? WHERE id = ?")
+		.bind(new Date().toISOString(), id)
+		.run();
+}
+
+/**
+ * Handle GET /api/v1/admin/dead-letters
+ *
+ * Optional `status` and `limit` query parameters.
+ */
+export async function handleListDeadLetters({ env, url }) {
+	const status = url.searchParams.get('status');
+	if (status && !DEAD_LETTER_STATUSES.includes(status)) {
+		throw new BadRequestError(`status must be one of ${DEAD_LETTER_STATUSES.join(', ')}`);
+	}
+
+	const limitParam = url.searchParams.get('limit');
+	const limit = limitParam === null ? DEFAULT_LIST_LIMIT : Number(limitParam);
+	if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+		throw new BadRequestError(`limit must be between 1 and ${MAX_LIST_LIMIT}`);
+	}
+
+	return json({ success: true, deadLetters: await listDeadLetters(env.DB, { status, limit }) });
+}
+
+/**
+ * Handle POST /api/v1/admin/dead-letters/:id/replay
+ */
+export async function handleReplayDeadLetter({ env, params, log }) {
+	const deadLetter = await getDeadLetter(env.DB, params.id);
+	if (!deadLetter) {
+		throw new NotFoundError('Dead letter not found');
+	}
+	if (deadLetter.status === 'resolved') {
+		throw new ConflictError('Dead letter was already delivered', { code: 'dead_letter_resolved' });
+	}
+
+	const queue = REPLAY_QUEUES[deadLetter.destination]?.(env);
+	if (!queue) {
+		throw new ConflictError(`Dead letters for ${deadLetter.destination} cannot be replayed`, { code: 'dead_letter_not_replayable' });
+	}
+
+	await queue.send({ ...deadLetter.payload.message, deadLetterId: deadLetter.id });
+
+	const now = new Date().toISOString();
+	await env.DB.prepare("UPDATE dead_letters SET status = 'replayed', replay_count = replay_count + 1, updated_at = ? WHERE id = ?")
+		.bind(now, deadLetter.id)
+		.run();
+
+	log.info('dead_letter.replayed', { deadLetterId: deadLetter.id, destination: deadLetter.destination, leadId: deadLetter.leadId });
+
+	return json({
+		success: true,
+		deadLetter: { ...deadLetter, status: 'replayed', replayCount: deadLetter.replayCount + 1, updatedAt: now },
+	});
+}
@@ -0,0 +1,188 @@
+/**
+ * Delivery notes and documents
+ *
+ * What the team shares with a customer on one of their requests: notes on
+ * the delivery (progress, handover details) and documents, whose content is
+ * kept in the DOCUMENTS R2 bucket under `leads/<lead id>/<document id>/`.
+ * Customers see both in the client portal (see portal.js).
+ */
+
+import { BadRequestError, HttpError, NotFoundError } from './errors.js';
+import { json, readJsonObject } from './http.js';
+import { getLead } from './leads.js';
+
+const MAX_NOTE_LENGTH = 5000;
+const MAX_FILENAME_LENGTH = 200;
+
+// Workers request bodies are buffered to check the size before storing them
+const MAX_DOCUMENT_BYTES = 25 * 1024 * 1024;
+
+function toNote(row) {
+	return {
+		id: row.id,
+		leadId: row.lead_id,
+		body: row.body,
+		createdAt: row.created_at,
+	};
+}
+
+function toDocument(row) {
+	if (!row) {
+		return null;
+	}
+
+	return {
+		id: row.id,
+		leadId: row.lead_id,
+		filename: row.filename,
+		contentType: row.content_type,
+		size: row.size,
+		r2Key: row.r2_key,
+		createdAt: row.created_at,
+	};
+}
+
+/**
+ * Notes for several leads at once, keyed by lead id, oldest first
+ */
+export async function listNotesForLeads(db, leadIds) {
+	const notes = Object.fromEntries(leadIds.map(id => [id, []]));
+	if (leadIds.length === 0) {
+		return notes;
+	}
+
+	const { results } = await db
+		.prepare(`SELECT * FROM lead_notes WHERE lead_id IN (${leadIds.map(() => '?').join(', ')}) ORDER BY created_at`)
+		.bind(...leadIds)
+		.all();
+	for (const row of results) {
+		notes[row.lead_id].push(toNote(row));
+	}
+	return notes;
+}
+
+/**
+ * Documents for several leads at once, keyed by lead id, oldest first
+ */
+export async function listDocumentsForLeads(db, leadIds) {
+	const documents = Object.fromEntries(leadIds.map(id => [id, []]));
+	if (leadIds.length === 0) {
+		return documents;
+	}
+
+	const { results } = await db
+		.prepare(`SELECT * FROM lead_documents WHERE lead_id IN (${leadIds.map(() => '?').join(', ')}) ORDER BY created_at`)
+		.bind(...leadIds)
+		.all();
+	for (const row of results) {
+		documents[row.lead_id].push(toDocument(row));
+	}
+	return documents;
+}
+
+/**
+ * Fetch a document's metadata by id
+ */
+export async function getDocument(db, id) {
+	const row = await db.prepare('SELECT * FROM lead_documents WHERE id = ?').bind(id).first();
+	return toDocument(row);
+}
+
+/**
+ * Respond with a document's content as a download
+ */
+export async function documentResponse(env, document) {
+	const object = await env.DOCUMENTS.get(document.r2Key);
+	if (!object) {
+		throw new NotFoundError('Document not found');
+	}
+
+	const asciiName = document.filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+	return new Response(object.body, {
+		headers: {
+			'Content-Type': document.contentType,
+			'Content-Length': String(document.size),
+			'Content-Disposition': `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(document.filename)}`,
+			'Cache-Control': 'private, no-store',
+		},
+	});
+}
+
+async function requireLead(db, id) {
+	const lead = await getLead(db, id);
+	if (!lead) {
+		throw new NotFoundError('Lead not found');
+	}
+	return lead;
+}
+
+/**
+ * Handle POST /api/v1/admin/leads/:id/notes
+ *
+ * Takes `{ body }`; the note is shown to the customer as written.
+ */
+export async function handleAddLeadNote({ request, env, params, log }) {
+	const lead = await requireLead(env.DB, params.id);
+	const data = await readJsonObject(request);
+	const body = typeof data.body === 'string' ? data.body.trim() : '';
+	if (!body || body.length > MAX_NOTE_LENGTH) {
+		throw new BadRequestError(`body must be between 1 and ${MAX_NOTE_LENGTH} characters`);
+	}
+
+	const note = { id: crypto.randomUUID(), leadId: lead.id, body, createdAt: new Date().toISOString() };
+	await env.DB.prepare('INSERT INTO lead_notes (id, lead_id, body, created_at) VALUES (?, ?, ?, ?)')
+		.bind(note.id, note.leadId, note.body, note.createdAt)
+		.run();
+
+	log.info('lead.note_added', { leadId: lead.id, noteId: note.id });
+
+	return json({ success: true, note }, { status: 201 });
+}
+
+/**
+ * Handle POST /api/v1/admin/leads/:id/documents?filename=<name>
+ *
+ * The request body is the file itself, with its Content-Type.
+ */
+export async function handleUploadLeadDocument({ request, env, url, params, log }) {
+	const lead = await requireLead(env.DB, params.id);
+	const filename = (url.searchParams.get('filename') || '').trim();
+	if (!filename || filename.length > MAX_FILENAME_LENGTH || /[/\\]/.test(filename)) {
+		throw new BadRequestError(`filename must be a file name of at most ${MAX_FILENAME_LENGTH} characters`);
+	}
+
+	const tooLarge = () =>
+		new HttpError(413, `Documents can be at most ${MAX_DOCUMENT_BYTES / 1024 / 1024} MB`, { code: 'document_too_large' });
+	if (Number(request.headers.get('Content-Length')) > MAX_DOCUMENT_BYTES) {
+		throw tooLarge();
+	}
+	const content = await request.arrayBuffer();
+	if (content.byteLength === 0) {
+		throw new BadRequestError('The document is empty');
+	}
+	if (content.byteLength > MAX_DOCUMENT_BYTES) {
+		throw tooLarge();
+	}
+
+	const id = crypto.randomUUID();
+	const document = {
+		id,
+		leadId: lead.id,
+		filename,
+		contentType: request.headers.get('Content-Type') || 'application/octet-stream',
+		size: content.byteLength,
+		r2Key: `leads/${lead.id}/${id}/${filename}`,
+		createdAt: new Date().toISOString(),
+	};
+
+	await env.DOCUMENTS.put(document.r2Key, content, { httpMetadata: { contentType: document.contentType } });
+	await env.DB.prepare(
+		'INSERT INTO lead_documents (id, lead_id, filename, content_type, size, r2_key, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)'
+	)
+		.bind(document.id, document.leadId, document.filename, document.contentType, document.size, document.r2Key, document.createdAt)
+		.run();
+
+	log.info('lead.document_uploaded', { leadId: lead.id, documentId: id, size: document.size });
+
+	return json({ success: true, document }, { status: 201 });
+}
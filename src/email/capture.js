@@ -0,0 +1,29 @@
+/**
+ * Capture email provider
+ *
+ * Keeps sent messages in memory instead of delivering them, for tests and
+ * `wrangler dev`. The outbox is per isolate and lost on restart.
+ */
+
+const outbox = [];
+
+export const captureProvider = {
+	name: 'capture',
+
+	async send(env, message) {
+		const id = `captured-${crypto.randomUUID()}`;
+		outbox.push({ id, ...message });
+		return { id };
+	},
+};
+
+/**
+ * Messages captured so far, oldest first
+ */
+export function capturedEmails() {
+	return [...outbox];
+}
+
+export function clearCapturedEmails() {
+	outbox.length = 0;
+}
@@ -0,0 +1,54 @@
+/**
+ * Transactional email
+ *
+ * Providers share one interface:
+ *
+ *   {
+ *     name,
+ *     send(env, message) -> { id }   // id the provider assigned, if any
+ *   }
+ *
+ * where `message` is `{ from, to, replyTo, subject, html, text, idempotencyKey }`.
+ * EMAIL_PROVIDER picks the provider (resend, mailchannels, or capture for
+ * local runs and tests); EMAIL_FROM and EMAIL_REPLY_TO are the defaults for
+ * `from` and `replyTo`.
+ */
+
+import { ConfigurationError } from '../errors.js';
+import { captureProvider } from './capture.js';
+import { mailchannelsProvider } from './mailchannels.js';
+import { resendProvider } from './resend.js';
+
+export const EMAIL_PROVIDERS = Object.fromEntries(
+	[resendProvider, mailchannelsProvider, captureProvider].map(provider => [provider.name, provider])
+);
+
+/**
+ * The provider selected by EMAIL_PROVIDER
+ */
+export function getEmailProvider(env) {
+	if (!env.EMAIL_PROVIDER) {
+		throw new ConfigurationError('EMAIL_PROVIDER is not set');
+	}
+	if (!Object.hasOwn(EMAIL_PROVIDERS, env.EMAIL_PROVIDER)) {
+		throw new ConfigurationError(`Unknown email provider ${env.EMAIL_PROVIDER}`);
+	}
+	return EMAIL_PROVIDERS[env.EMAIL_PROVIDER];
+}
+
+/**
+ * Send an email through the configured provider
+ *
+ * Returns `{ provider, id }`. Provider failures throw DeliveryError, so
+ * callers can retry transient ones like any other outbound call.
+ */
+export async function sendEmail(env, message) {
+	const provider = getEmailProvider(env);
+	const from = message.from || env.EMAIL_FROM;
+	if (!from) {
+		throw new ConfigurationError('EMAIL_FROM is not set');
+	}
+
+	const { id = null } = await provider.send(env, { ...message, from, replyTo: message.replyTo || env.EMAIL_REPLY_TO || null });
+	return { provider: provider.name, id };
+}
@@ -0,0 +1,45 @@
+/**
+ * MailChannels email provider
+ *
+ * Uses the MailChannels Email API (`POST /tx/v1/send`). Needs the
+ * MAILCHANNELS_API_KEY secret; MAILCHANNELS_API_BASE overrides the host.
+ */
+
+import { ConfigurationError } from '../errors.js';
+import { requestJson } from '../outbound.js';
+
+const DEFAULT_API_BASE = 'https://api.mailchannels.net';
+
+/**
+ * Split `Name <address>` into MailChannels' `{ name, email }`
+ */
+function toAddress(value) {
+	const match = /^\s*(.*?)\s*<([^>]+)>\s*$/.exec(value);
+	return match ? { name: match[1].replace(/^"|"$/g, ''), email: match[2] } : { email: value.trim() };
+}
+
+export const mailchannelsProvider = {
+	name: 'mailchannels',
+
+	async send(env, { from, to, replyTo, subject, html, text }) {
+		if (!env.MAILCHANNELS_API_KEY) {
+			throw new ConfigurationError('MAILCHANNELS_API_KEY is not set');
+		}
+
+		// Accepted messages get a 202 with no id worth keeping
+		await requestJson(`${env.MAILCHANNELS_API_BASE || DEFAULT_API_BASE}/tx/v1/send`, {
+			headers: { 'X-Api-Key': env.MAILCHANNELS_API_KEY },
+			body: {
+				personalizations: [{ to: [toAddress(to)] }],
+				from: toAddress(from),
+				reply_to: replyTo ? toAddress(replyTo) : undefined,
+				subject,
+				content: [
+					{ type: 'text/plain', value: text },
+					{ type: 'text/html', value: html },
+				],
+			},
+		});
+		return { id: null };
+	},
+};
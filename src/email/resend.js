@@ -0,0 +1,32 @@
+/**
+ * Resend email provider
+ *
+ * Works with Resend and other services that accept its `POST /emails` API.
+ * Needs the RESEND_API_KEY secret; RESEND_API_BASE overrides the host.
+ */
+
+import { ConfigurationError } from '../errors.js';
+import { requestJson } from '../outbound.js';
+
+const DEFAULT_API_BASE = 'https://api.resend.com';
+
+export const resendProvider = {
+	name: 'resend',
+
+	async send(env, { from, to, replyTo, subject, html, text, idempotencyKey }) {
+		if (!env.RESEND_API_KEY) {
+			throw new ConfigurationError('RESEND_API_KEY is not set');
+		}
+
+		const headers = { Authorization: `Bearer ${env.RESEND_API_KEY}` };
+		if (idempotencyKey) {
+			headers['Idempotency-Key'] = idempotencyKey;
+		}
+
+		const result = await requestJson(`${env.RESEND_API_BASE || DEFAULT_API_BASE}/emails`, {
+			headers,
+			body: { from, to: [to], reply_to: replyTo || undefined, subject, html, text },
+		});
+		return { id: result?.id ?? null };
+	},
+};
@@ -0,0 +1,296 @@
+/**
+ * Email templates
+ *
+ * Each template returns `{ subject, html, text }`. The HTML uses inline styles
+ * and tables only, since that's all most mail clients render reliably.
+ */
+
+import { escapeHtml, formatMoney } from '../format.js';
+import { DUE_DESCRIPTIONS } from '../payment-schedules.js';
+
+const SECTIONS = [
+	{ type: 'feature', title: 'Features' },
+	{ type: 'service', title: 'Services' },
+];
+
+const STYLES = {
+	body: "margin:0;padding:24px;background:#f6f7f9;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;color:#1f2933;",
+	card: 'max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;',
+	heading: 'font-size:20px;margin:0 0 16px;',
+	paragraph: 'margin:0 0 16px;line-height:1.5;',
+	note: 'margin:16px 0;line-height:1.5;color:#52606d;',
+	section: 'padding:12px 0 4px;font-weight:600;',
+	cell: 'padding:6px 0;',
+	amount: 'padding:6px 0;text-align:right;white-space:nowrap;',
+	divider: 'border-top:1px solid #e4e7eb;',
+	discount: 'color:#0f7b3f;',
+	button: 'display:inline-block;padding:10px 20px;background:#1f2933;color:#ffffff;border-radius:999px;text-decoration:none;',
+};
+
+/**
+ * Wrap rendered rows and paragraphs in the shared email layout
+ */
+function htmlLayout(content) {
+	return [
+		'<!DOCTYPE html>',
+		'<html lang="en">',
+		`<body style="${STYLES.body}">`,
+		`<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="${STYLES.card}"><tr><td>`,
+		...content,
+		'</td></tr></table>',
+		'</body>',
+		'</html>',
+	].join('\n');
+}
+
+function htmlRow(label, amount, style = '') {
+	return `<tr><td style="${STYLES.cell}${style}">${label}</td><td style="${STYLES.amount}${style}">${amount}</td></tr>`;
+}
+
+/**
+ * Confirmation sent to the customer after they submit the estimate form
+ *
+ * `quote` is the itemized estimate stored with the lead (a buildQuote
+ * result); its total is the lead's estimatedPrice. `statusUrl` is the signed
+ * link to the request's status page.
+ */
+export function renderConfirmationEmail({ lead, quote, statusUrl }) {
+	const { reference } = lead;
+	const money = amount => formatMoney(amount, quote.currency);
+	const sections = SECTIONS.map(section => ({ ...section, lines: quote.lineItems.filter(line => line.type === section.type) })).filter(
+		section => section.lines.length > 0
+	);
+	const custom = quote.customRequest;
+	const intro = `We've received your request for ${lead.appUrl} and will get back to you shortly. Here's a copy of what you selected.`;
+	const customNote = custom
+		? `Custom requests start at ${money(custom.basePrice)} and are priced once we've reviewed them, so the total may change. ` +
+			"We'll confirm the final price before any work starts."
+		: null;
+	const signOff = `Reply to this email if anything has changed, and mention ${reference}.`;
+
+	const text = [
+		'Thanks for your estimate request!',
+		'',
+		intro,
+		'',
+		`Reference: ${reference}`,
+		`Platform: ${lead.platform}`,
+		'',
+		...sections.flatMap(section => [section.title, ...section.lines.map(line => `  - ${line.name}: ${money(line.amount)}`), '']),
+		...(custom
+			? [custom.name, `  - From ${money(custom.basePrice)}`, ...(lead.customRequestText ? [`  "${lead.customRequestText}"`] : []), '']
+			: []),
+		`Subtotal: ${money(quote.subtotal)}`,
+		...quote.discounts.map(discount => `${discount.label} -${money(discount.amount)}`),
+		`Estimated total: ${money(quote.total)}`,
+		...(customNote ? ['', customNote] : []),
+		'',
+		`Check the status of your request any time: ${statusUrl}`,
+		'',
+		signOff,
+		'',
+		'The Finalize team',
+	].join('\n');
+
+	const html = htmlLayout([
+		`<h1 style="${STYLES.heading}">Thanks for your estimate request!</h1>`,
+		`<p style="${STYLES.paragraph}">${escapeHtml(intro)}</p>`,
+		`<p style="${STYLES.paragraph}">Reference: <strong>${escapeHtml(reference)}</strong><br>Platform: ${escapeHtml(lead.platform)}</p>`,
+		'<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="border-collapse:collapse;">',
+		...sections.flatMap(section => [
+			`<tr><td colspan="2" style="${STYLES.section}">${section.title}</td></tr>`,
+			...section.lines.map(line => htmlRow(escapeHtml(line.name), money(line.amount))),
+		]),
+		...(custom
+			? [
+					`<tr><td colspan="2" style="${STYLES.section}">${escapeHtml(custom.name)}</td></tr>`,
+					htmlRow(
+						lead.customRequestText ? `&ldquo;${escapeHtml(lead.customRequestText)}&rdquo;` : 'Details to follow',
+						`From ${money(custom.basePrice)}`
+					),
+				]
+			: []),
+		htmlRow('Subtotal', money(quote.subtotal), STYLES.divider),
+		...quote.discounts.map(discount => htmlRow(escapeHtml(discount.label), `-${money(discount.amount)}`, STYLES.discount)),
+		htmlRow('<strong>Estimated total</strong>', `<strong>${money(quote.total)}</strong>`, STYLES.divider),
+		'</table>',
+		...(customNote ? [`<p style="${STYLES.note}">${escapeHtml(customNote)}</p>`] : []),
+		`<p style="${STYLES.paragraph}"><a href="${escapeHtml(statusUrl)}" style="${STYLES.button}">Check your request status</a></p>`,
+		`<p style="${STYLES.paragraph}">${escapeHtml(signOff)}</p>`,
+		'<p style="margin:0;">The Finalize team</p>',
+	]);
+
+	return { subject: `We received your estimate request (${reference})`, html, text };
+}
+
+/**
+ * One-time sign-in link for the client portal
+ */
+export function renderPortalLoginEmail({ loginUrl, expiresInMinutes }) {
+	const intro = `Use the link below to sign in to your Finalize client portal. It works once and expires in ${expiresInMinutes} minutes.`;
+	const ignore = "If you didn't ask to sign in, you can ignore this email.";
+
+	const text = ['Sign in to Finalize', '', intro, '', loginUrl, '', ignore, '', 'The Finalize team'].join('\n');
+
+	const html = htmlLayout([
+		`<h1 style="${STYLES.heading}">Sign in to Finalize</h1>`,
+		`<p style="${STYLES.paragraph}">${escapeHtml(intro)}</p>`,
+		`<p style="${STYLES.paragraph}"><a href="${escapeHtml(loginUrl)}" style="${STYLES.button}">Sign in</a></p>`,
+		`<p style="${STYLES.note}">${escapeHtml(ignore)}</p>`,
+		'<p style="margin:0;">The Finalize team</p>',
+	]);
+
+	return { subject: 'Your Finalize sign-in link', html, text };
+}
+
+/**
+ * A quote from the team, with the signed links to review, accept or decline it
+ *
+ * The accept link opens the review page with the sign-off form, so the HTML
+ * version leads with it.
+ */
+export function renderQuoteEmail({ lead, quote, reviewUrl, acceptUrl, declineUrl }) {
+	const { reference } = lead;
+	const money = amount => formatMoney(amount, quote.currency);
+	const hours = item => (item.hours === null ? '' : ` (${item.hours} h)`);
+	const intro =
+		quote.version > 1
+			? `We've revised our quote for ${lead.appUrl}. This version replaces the one we sent before.`
+			: `Here's our quote for ${lead.appUrl}.`;
+	const validity = `This quote is valid until ${quote.expiresOn}. The accept and decline links stop working after that.`;
+	const signOff = `Reply to this email with any questions, and mention ${reference}.`;
+	// A single payment on acceptance goes without saying
+	const schedule = quote.paymentSchedule?.milestones.length > 1 ? quote.paymentSchedule.milestones : [];
+	const scheduleLine = milestone => `${milestone.label} (${milestone.percent}%), due ${DUE_DESCRIPTIONS[milestone.due]}`;
+
+	const text = [
+		`Your quote for ${reference}`,
+		'',
+		intro,
+		...(quote.message ? ['', quote.message] : []),
+		'',
+		...quote.lineItems.map(item => `  - ${item.description}${hours(item)}: ${money(item.price)}`),
+		'',
+		`Subtotal: ${money(quote.subtotal)}`,
+		...(quote.discount ? [`Discount -${money(quote.discount)}`] : []),
+		`Total: ${money(quote.total)}`,
+		...(schedule.length > 0
+			? ['', 'Payment schedule:', ...schedule.map(milestone => `  - ${scheduleLine(milestone)}: ${money(milestone.amount)}`)]
+			: []),
+		'',
+		validity,
+		'',
+		`Review your quote: ${reviewUrl}`,
+		`Accept this quote: ${acceptUrl}`,
+		`Decline this quote: ${declineUrl}`,
+		'',
+		signOff,
+		'',
+		'The Finalize team',
+	].join('\n');
+
+	const html = htmlLayout([
+		`<h1 style="${STYLES.heading}">Your quote for ${escapeHtml(reference)}</h1>`,
+		`<p style="${STYLES.paragraph}">${escapeHtml(intro)}</p>`,
+		...(quote.message ? [`<p style="${STYLES.paragraph}white-space:pre-line;">${escapeHtml(quote.message)}</p>`] : []),
+		'<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="border-collapse:collapse;">',
+		...quote.lineItems.map(item => htmlRow(escapeHtml(`${item.description}${hours(item)}`), money(item.price))),
+		htmlRow('Subtotal', money(quote.subtotal), STYLES.divider),
+		...(quote.discount ? [htmlRow('Discount', `-${money(quote.discount)}`, STYLES.discount)] : []),
+		htmlRow('<strong>Total</strong>', `<strong>${money(quote.total)}</strong>`, STYLES.divider),
+		...(schedule.length > 0
+			? [
+					`<tr><td colspan="2" style="${STYLES.section}">Payment schedule</td></tr>`,
+					...schedule.map(milestone => htmlRow(escapeHtml(scheduleLine(milestone)), money(milestone.amount))),
+				]
+			: []),
+		'</table>',
+		`<p style="${STYLES.note}">${escapeHtml(validity)}</p>`,
+		`<p style="${STYLES.paragraph}"><a href="${escapeHtml(acceptUrl)}" style="${STYLES.button}">Review and accept</a></p>`,
+		`<p style="${STYLES.paragraph}">Not going ahead? <a href="${escapeHtml(declineUrl)}">Decline this quote</a>.</p>`,
+		`<p style="${STYLES.paragraph}">${escapeHtml(signOff)}</p>`,
+		'<p style="margin:0;">The Finalize team</p>',
+	]);
+
+	const revised = quote.version > 1 ? ' (revised)' : '';
+	return { subject: `Your Finalize quote for ${reference}${revised}`, html, text };
+}
+
+/**
+ * Asks the customer to pay a milestone of their accepted quote
+ *
+ * `payUrl` is the signed link to the quote page for that milestone;
+ * `reminder` is set when the team sends it again.
+ */
+export function renderMilestoneDueEmail({ lead, milestone, payUrl, reminder = false }) {
+	const { reference } = lead;
+	const amount = formatMoney(milestone.amount, milestone.currency);
+	const intro = reminder
+		? `A reminder that the ${milestone.label.toLowerCase()} payment of ${amount} for ${lead.appUrl} is due.`
+		: `The ${milestone.label.toLowerCase()} payment of ${amount} for ${lead.appUrl} is now due.`;
+	const signOff = `Reply to this email with any questions, and mention ${reference}.`;
+
+	const text = [
+		`Payment due for ${reference}`,
+		'',
+		intro,
+		'',
+		`Pay by card: ${payUrl}`,
+		'',
+		signOff,
+		'',
+		'The Finalize team',
+	].join('\n');
+
+	const html = htmlLayout([
+		`<h1 style="${STYLES.heading}">Payment due for ${escapeHtml(reference)}</h1>`,
+		`<p style="${STYLES.paragraph}">${escapeHtml(intro)}</p>`,
+		`<p style="${STYLES.paragraph}"><a href="${escapeHtml(payUrl)}" style="${STYLES.button}">Pay ${escapeHtml(amount)}</a></p>`,
+		`<p style="${STYLES.paragraph}">${escapeHtml(signOff)}</p>`,
+		'<p style="margin:0;">The Finalize team</p>',
+	]);
+
+	return { subject: `${milestone.label}: payment due for ${reference}`, html, text };
+}
+
+/**
+ * Sends the customer an invoice or receipt
+ *
+ * `url` is the signed link to the PDF.
+ */
+export function renderInvoiceEmail({ lead, invoice, url }) {
+	const { reference } = lead;
+	const amount = formatMoney(invoice.amount, invoice.currency);
+	const title = invoice.kind === 'invoice' ? `Invoice ${invoice.number}` : `Receipt ${invoice.number}`;
+	const intro =
+		invoice.kind === 'invoice'
+			? `Thanks for accepting our quote for ${lead.appUrl}. Here's your invoice for ${amount}, for your records.`
+			: `Thanks for your payment of ${amount} for ${lead.appUrl}. Here's your receipt.`;
+	const note = 'You can also download it from your client portal at any time.';
+	const signOff = `Reply to this email with any questions, and mention ${reference}.`;
+
+	const text = [
+		`${title} for ${reference}`,
+		'',
+		intro,
+		'',
+		`Download (PDF): ${url}`,
+		'',
+		note,
+		'',
+		signOff,
+		'',
+		'The Finalize team',
+	].join('\n');
+
+	const html = htmlLayout([
+		`<h1 style="${STYLES.heading}">${escapeHtml(title)} for ${escapeHtml(reference)}</h1>`,
+		`<p style="${STYLES.paragraph}">${escapeHtml(intro)}</p>`,
+		`<p style="${STYLES.paragraph}"><a href="${escapeHtml(url)}" style="${STYLES.button}">Download ${invoice.kind} (PDF)</a></p>`,
+		`<p style="${STYLES.note}">${escapeHtml(note)}</p>`,
+		`<p style="${STYLES.paragraph}">${escapeHtml(signOff)}</p>`,
+		'<p style="margin:0;">The Finalize team</p>',
+	]);
+
+	return { subject: `${title} for ${reference}`, html, text };
+}
@@ -0,0 +1,119 @@
+/**
+ * Typed HTTP errors
+ *
+ * Handlers throw these instead of building error responses by hand. The
+ * router's error handler turns them into consistent JSON bodies.
+ */
+
+/**
+ * Base class for errors that map to an HTTP status
+ */
+export class HttpError extends Error {
+	constructor(status, message, { code = 'error', details, headers } = {}) {
+		super(message);
+		this.name = 'HttpError';
+		this.status = status;
+		this.code = code;
+		this.details = details;
+		this.headers = headers;
+	}
+}
+
+export class BadRequestError extends HttpError {
+	constructor(message = 'Bad request', options = {}) {
+		super(400, message, { code: 'bad_request', ...options });
+		this.name = 'BadRequestError';
+	}
+}
+
+export class ValidationError extends HttpError {
+	constructor(errors, message = 'Validation failed') {
+		super(400, message, { code: 'validation_failed' });
+		this.name = 'ValidationError';
+		this.errors = errors;
+	}
+}
+
+export class UnauthorizedError extends HttpError {
+	constructor(message = 'Authentication required', options = {}) {
+		super(401, message, { code: 'unauthorized', headers: { 'WWW-Authenticate': 'Bearer' }, ...options });
+		this.name = 'UnauthorizedError';
+	}
+}
+
+export class ForbiddenError extends HttpError {
+	constructor(message = 'Forbidden', options = {}) {
+		super(403, message, { code: 'forbidden', ...options });
+		this.name = 'ForbiddenError';
+	}
+}
+
+export class NotFoundError extends HttpError {
+	constructor(message = 'Not found', options = {}) {
+		super(404, message, { code: 'not_found', ...options });
+		this.name = 'NotFoundError';
+	}
+}
+
+export class MethodNotAllowedError extends HttpError {
+	constructor(allowed) {
+		super(405, 'Method not allowed', {
+			code: 'method_not_allowed',
+			headers: { Allow: allowed.join(', ') },
+		});
+		this.name = 'MethodNotAllowedError';
+		this.allowed = allowed;
+	}
+}
+
+export class ConflictError extends HttpError {
+	constructor(message = 'Conflict', options = {}) {
+		super(409, message, { code: 'conflict', ...options });
+		this.name = 'ConflictError';
+	}
+}
+
+export class UnprocessableEntityError extends HttpError {
+	constructor(message = 'Unprocessable entity', options = {}) {
+		super(422, message, { code: 'unprocessable_entity', ...options });
+		this.name = 'UnprocessableEntityError';
+	}
+}
+
+export class BadGatewayError extends HttpError {
+	constructor(message = 'Bad gateway', options = {}) {
+		super(502, message, { code: 'bad_gateway', ...options });
+		this.name = 'BadGatewayError';
+	}
+}
+
+export class TooManyRequestsError extends HttpError {
+	constructor(retryAfter) {
+		const minutes = Math.max(1, Math.ceil(retryAfter / 60));
+		super(
+			429,
+			`You've sent several requests in a short time. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+			{ code: 'rate_limited', headers: { 'Retry-After': String(retryAfter) } }
+		);
+		this.name = 'TooManyRequestsError';
+		this.retryAfter = retryAfter;
+	}
+}
+
+export class BotCheckError extends HttpError {
+	constructor(reason) {
+		// The reason is recorded server-side; telling bots which check failed would help them
+		super(400, 'We could not verify this submission. Please reload the page and try again.', { code: 'bot_check_failed' });
+		this.name = 'BotCheckError';
+		this.reason = reason;
+	}
+}
+
+export class ConfigurationError extends HttpError {
+	constructor(message) {
+		// The detailed message is for the logs, clients only see a generic error
+		super(500, 'Server configuration error', { code: 'configuration_error' });
+		this.name = 'ConfigurationError';
+		this.reason = message;
+	}
+}
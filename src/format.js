@@ -0,0 +1,24 @@
+/**
+ * Formatting helpers shared by emails and chat notifications
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export function escapeHtml(value) {
+	return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Format a whole-dollar amount in the catalog currency
+ */
+export function formatMoney(amount, currency = 'USD') {
+	return new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: 0 }).format(amount);
+}
+
+/**
+ * Shorten free text to `max` characters, marking the cut with an ellipsis
+ */
+export function truncate(value, max) {
+	const text = String(value ?? '');
+	return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
@@ -0,0 +1,43 @@
+/**
+ * Request and response helpers shared by the API handlers
+ */
+
+import { BadRequestError } from './errors.js';
+
+/**
+ * Parse a request's JSON body, which must be an object
+ *
+ * Malformed JSON throws SyntaxError, which the router answers as invalid_json.
+ * Valid JSON that isn't an object (`null`, arrays, strings) is a 400 here, so
+ * handlers can read fields off the result without checking its type.
+ */
+export async function readJsonObject(request) {
+	const data = await request.json();
+	if (!data || typeof data !== 'object' || Array.isArray(data)) {
+		throw new BadRequestError('Expected a JSON object');
+	}
+	return data;
+}
+
+/**
+ * Build a JSON response
+ */
+export function json(data, { status = 200, headers = {} } = {}) {
+	return new Response(JSON.stringify(data), {
+		status,
+		headers: { ...headers, 'Content-Type': 'application/json' },
+	});
+}
+
+/**
+ * Copy a response with extra headers set
+ *
+ * Responses from fetch() have immutable headers, so they can't be set in place.
+ */
+export function withHeaders(response, headers) {
+	const copy = new Response(response.body, response);
+	for (const [name, value] of Object.entries(headers)) {
+		copy.headers.set(name, value);
+	}
+	return copy;
+}
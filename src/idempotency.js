@@ -0,0 +1,105 @@
+/**
+ * Idempotency keys
+ *
+ * Clients send an `Idempotency-Key` header per logical attempt. The first
+ * response for a key is stored in KV and replayed for repeats, so double
+ * clicks and network retries don't create duplicate leads.
+ *
+ * KV is eventually consistent across locations; repeats from the same client
+ * land on the same colo and see the stored entry, which is the case we guard.
+ */
+
+import { BadRequestError, ConflictError, UnprocessableEntityError } from './errors.js';
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+// KV's minimum expirationTtl; also bounds how long a crashed request blocks its key
+const IN_PROGRESS_TTL_SECONDS = 60;
+
+/**
+ * SHA-256 hex digest of a request body
+ */
+async function fingerprint(body) {
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(body));
+	return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Wrap a route handler so repeat requests with the same key replay the first response
+ *
+ * Requests without the header are handled normally.
+ */
+export function idempotent(handler, { scope }) {
+	return async context => {
+		const { request, env } = context;
+		const key = request.headers.get(IDEMPOTENCY_HEADER);
+
+		if (key === null) {
+			return handler(context);
+		}
+
+		if (!/^[\x21-\x7e]{1,255}$/.test(key)) {
+			throw new BadRequestError(`${IDEMPOTENCY_HEADER} must be 1-255 printable ASCII characters`, {
+				code: 'invalid_idempotency_key',
+			});
+		}
+
+		const storageKey = `${scope}:${key}`;
+		const hash = await fingerprint(await request.clone().text());
+		const stored = await env.IDEMPOTENCY_KV.get(storageKey, 'json');
+
+		if (stored) {
+			if (stored.fingerprint !== hash) {
+				throw new UnprocessableEntityError(`${IDEMPOTENCY_HEADER} was already used with a different request body`, {
+					code: 'idempotency_key_reused',
+				});
+			}
+
+			if (stored.state === 'in_progress') {
+				throw new ConflictError(`A request with this ${IDEMPOTENCY_HEADER} is still being processed`, {
+					code: 'idempotency_key_in_progress',
+				});
+			}
+
+			return new Response(stored.body, {
+				status: stored.status,
+				headers: { 'Content-Type': stored.contentType, 'Idempotent-Replayed': 'true' },
+			});
+		}
+
+		await env.IDEMPOTENCY_KV.put(storageKey, JSON.stringify({ state: 'in_progress', fingerprint: hash }), {
+			expirationTtl: IN_PROGRESS_TTL_SECONDS,
+		});
+
+		let response;
+		try {
+			response = await handler(context);
+		} catch (error) {
+			// Failed attempts may be retried with the same key
+			await env.IDEMPOTENCY_KV.delete(storageKey);
+			throw error;
+		}
+
+		// Only successful outcomes are pinned to the key
+		if (!response.ok) {
+			await env.IDEMPOTENCY_KV.delete(storageKey);
+			return response;
+		}
+
+		await env.IDEMPOTENCY_KV.put(
+			storageKey,
+			JSON.stringify({
+				state: 'completed',
+				fingerprint: hash,
+				status: response.status,
+				contentType: response.headers.get('Content-Type'),
+				body: await response.clone().text(),
+			}),
+			{ expirationTtl: Number(env.IDEMPOTENCY_TTL_SECONDS) || DEFAULT_TTL_SECONDS }
+		);
+
+		return response;
+	};
+}
@@ -1,320 +1,241 @@
 /**
  * Finalize - Cloudflare Worker Backend
  *
- * Handles estimate form submissions and integrates with Airtable
+ * Handles estimate form submissions, stores leads in D1, delivers them to the lead sinks,
+ * emits signed lifecycle webhooks, takes quote payments in milestones through Stripe, issues PDF invoices and receipts,
+ * and serves the client portal, quote review and admin dashboard APIs
  */
 
-import Airtable from 'airtable';
-
-// CORS headers for API responses
-const corsHeaders = {
-	'Access-Control-Allow-Origin': '*',
-	'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-	'Access-Control-Allow-Headers': 'Content-Type',
-};
-
-// Pricing configuration
-const PRICING = {
-	features: {
-		'Authentication': 100,
-		'Payments': 100,
-		'SaaS Subscriptions': 100,
-		'File Uploads': 100,
-		'Notifications': 100,
-	},
-	services: {
-		'Security Audit & Fixes': 150,
-		'UI/UX Review': 150,
-		'Deploy to Production': 100,
-	},
-	customRequestBase: 250,
-	featureDiscountThreshold: 3,
-	featureDiscountRate: 0.10,
-};
+import { requireAdmin } from './admin-auth.js';
+import { handleGetAdminDocument, handleGetAdminLead, handleGetLeadFilters, handleListLeads } from './admin-leads.js';
+import { handleListAuditLog } from './audit-log.js';
+import { claimChallenge, enforceBotDefense, handleGetChallenge, releaseChallenge } from './bot-defense.js';
+import { corsPolicy } from './cors.js';
+import { handleListDeadLetters, handleReplayDeadLetter } from './dead-letters.js';
+import { handleAddLeadNote, handleUploadLeadDocument } from './delivery.js';
+import { ConfigurationError, ValidationError } from './errors.js';
+import { json, readJsonObject } from './http.js';
+import { idempotent } from './idempotency.js';
+import { handleGetAdminInvoice, handleGetCustomerInvoice } from './invoices.js';
+import { handleExportLeads } from './lead-export.js';
+import { handleChangeLeadStatus, handleGetLeadStatus } from './lead-status.js';
+import { enqueueLeadSync, handleLeadSyncBatch } from './lead-sync.js';
+import { createLead, createSinkDeliveries } from './leads.js';
+import { handleRequestMilestonePayment, handleWaiveMilestone } from './milestones.js';
+import { notifyNewLead } from './notifiers/index.js';
+import { adminLeadUrl } from './notifiers/message.js';
+import { handleStripeWebhook } from './payments.js';
+import {
+	handleCreatePortalSession,
+	handleGetPortalDocument,
+	handleListPortalRequests,
+	handlePortalLogin,
+	handlePortalLogout,
+	requirePortalSession,
+} from './portal.js';
+import { CATALOG, buildQuote } from './pricing.js';
+import {
+	handleAcceptQuote,
+	handleCreateCheckout,
+	handleCreateQuote,
+	handleDeclineQuote,
+	handleDeleteQuote,
+	handleGetCustomerQuote,
+	handleIssueQuoteInvoices,
+	handleListQuotes,
+	handleSendQuote,
+	handleUpdateQuote,
+} from './quotes.js';
+import { enforceSubmissionLimits } from './rate-limiter.js';
+import { handleGetRequestStatus } from './request-status.js';
+import { API_PREFIX, Router } from './router.js';
+import { validateEstimateForm, validateSelections } from './validation.js';
+import {
+	emitEvent,
+	handleListWebhookDeliveries,
+	handleListWebhookEndpoints,
+	handleRedeliverWebhook,
+	handleWebhookBatch,
+	leadEventData,
+} from './webhooks.js';
 
 /**
- * Calculate total price and discount
+ * Handle estimate form submission
  */
-function calculatePricing(selectedFeatures, selectedServices, hasCustomRequest) {
-	let total = 0;
-	let discount = 0;
-	let featuresTotal = 0;
-
-	// Calculate features total
-	if (Array.isArray(selectedFeatures)) {
-		selectedFeatures.forEach(featureName => {
-			const price = PRICING.features[featureName];
-			if (price) {
-				featuresTotal += price;
-				total += price;
-			}
-		});
+async function handleSubmitRequest({ request, env, ctx, log }) {
+	// Parse request body
+	const data = await readJsonObject(request);
+
+	// Validate form data
+	const validation = validateEstimateForm(data);
+	if (!validation.isValid) {
+		throw new ValidationError(validation.errors);
 	}
 
-	// Apply discount if 3+ features
-	if (selectedFeatures && selectedFeatures.length >= PRICING.featureDiscountThreshold) {
-		discount = Math.round(featuresTotal * PRICING.featureDiscountRate);
-		total -= discount;
+	// The team notification links to the lead on SITE_URL; fail before anything is stored
+	if (!env.SITE_URL) {
+		throw new ConfigurationError('SITE_URL is not set');
 	}
 
-	// Calculate services total
-	if (Array.isArray(selectedServices)) {
-		selectedServices.forEach(serviceName => {
-			const price = PRICING.services[serviceName];
-			if (price) {
-				total += price;
-			}
-		});
-	}
+	// Reject bots before they count against anyone's rate limit
+	const challenge = await enforceBotDefense(request, env, data, log);
 
-	// Add custom request base price
-	if (hasCustomRequest) {
-		total += PRICING.customRequestBase;
-	}
+	// Throttle before anything is stored or sent downstream
+	await enforceSubmissionLimits(request, env, data.email);
 
-	return { total, discount };
-}
+	// Calculate pricing on the backend (never trust frontend calculations). The
+	// itemized estimate is stored with the lead, for emails that show it later
+	const estimate = buildQuote({
+		selectedFeatures: data.selectedFeatures,
+		selectedServices: data.selectedServices,
+		hasCustomRequest: data.hasCustomRequest,
+	});
+	const pricing = { total: estimate.total, discount: estimate.discountTotal, estimate };
 
-/**
- * Validate email format
- */
-function isValidEmail(email) {
-	const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-	return emailRegex.test(email);
-}
+	// Each challenge passes once. It's claimed only now, and given back if the
+	// lead can't be stored, so the client can retry a throttled or failed attempt
+	await claimChallenge(request, env, challenge, log);
 
-/**
- * Validate URL format
- */
-function isValidUrl(url) {
+	// The D1 write is what makes the lead durable; the lead sinks are fed from the queue
+	let lead;
 	try {
-		new URL(url);
-		return true;
-	} catch {
-		return false;
-	}
-}
-
-/**
- * Validate estimate form data
- */
-function validateEstimateForm(data) {
-	const errors = [];
-
-	// Required: App URL
-	if (!data.appUrl || typeof data.appUrl !== 'string' || !data.appUrl.trim()) {
-		errors.push('App URL is required');
-	} else if (!isValidUrl(data.appUrl)) {
-		errors.push('App URL must be a valid URL');
-	}
-
-	// Required: Email
-	if (!data.email || typeof data.email !== 'string' || !data.email.trim()) {
-		errors.push('Email is required');
-	} else if (!isValidEmail(data.email)) {
-		errors.push('Email must be a valid email address');
-	}
-
-	// At least one selection required
-	const hasFeatures = Array.isArray(data.selectedFeatures) && data.selectedFeatures.length > 0;
-	const hasServices = Array.isArray(data.selectedServices) && data.selectedServices.length > 0;
-	const hasCustom = data.hasCustomRequest === true;
-
-	if (!hasFeatures && !hasServices && !hasCustom) {
-		errors.push('At least one service must be selected');
+		lead = await createLead(env.DB, data, pricing);
+	} catch (error) {
+		await releaseChallenge(env, challenge).catch(releaseError => log.error('bot_check.release_failed', { error: releaseError }));
+		throw error;
 	}
+	log.info('lead.created', { leadId: lead.id, reference: lead.reference, total: pricing.total });
 
-	// Validate arrays
-	if (data.selectedFeatures && !Array.isArray(data.selectedFeatures)) {
-		errors.push('Selected features must be an array');
+	try {
+		const sinks = await enqueueLeadSync(env, lead.id, log);
+		await createSinkDeliveries(env.DB, lead.id, sinks);
+	} catch (error) {
+		// The lead is already stored, so this only delays the downstream copies
+		log.error('lead_sync.enqueue_failed', { leadId: lead.id, error });
 	}
 
-	if (data.selectedServices && !Array.isArray(data.selectedServices)) {
-		errors.push('Selected services must be an array');
+	try {
+		await emitEvent(env, 'lead.created', leadEventData(lead), log);
+	} catch (error) {
+		log.error('webhook.emit_failed', { leadId: lead.id, type: 'lead.created', error });
 	}
 
-	// Validate custom request text if custom request is selected
-	if (data.hasCustomRequest && (!data.customRequestText || !data.customRequestText.trim())) {
-		errors.push('Custom request description is required when custom request is selected');
-	}
+	// Tell the team without holding up the customer's response
+	ctx.waitUntil(notifyNewLead(env, lead, { adminUrl: adminLeadUrl(env, lead.id) }, log));
 
-	return {
-		isValid: errors.length === 0,
-		errors,
-	};
+	return json({
+		success: true,
+		message: 'Estimate request submitted successfully',
+		reference: lead.reference
+	});
 }
 
 /**
- * Handle estimate form submission
+ * Serve the pricing catalog
  */
-async function handleSubmitRequest(request, env) {
-	// Only allow POST requests
-	if (request.method !== 'POST') {
-		return new Response(
-			JSON.stringify({ success: false, error: 'Method not allowed' }),
-			{
-				status: 405,
-				headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-			}
-		);
-	}
-
-	try {
-		// Parse request body
-		const data = await request.json();
-
-		// Validate form data
-		const validation = validateEstimateForm(data);
-		if (!validation.isValid) {
-			return new Response(
-				JSON.stringify({
-					success: false,
-					error: 'Validation failed',
-					errors: validation.errors
-				}),
-				{
-					status: 400,
-					headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-				}
-			);
-		}
-
-		// Check for required environment variables
-		if (!env.AIRTABLE_API_KEY) {
-			console.error('AIRTABLE_API_KEY is not set');
-			return new Response(
-				JSON.stringify({
-					success: false,
-					error: 'Server configuration error'
-				}),
-				{
-					status: 500,
-					headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-				}
-			);
-		}
-
-		if (!env.AIRTABLE_BASE_ID) {
-			console.error('AIRTABLE_BASE_ID is not set');
-			return new Response(
-				JSON.stringify({
-					success: false,
-					error: 'Server configuration error'
-				}),
-				{
-					status: 500,
-					headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-				}
-			);
-		}
-
-		const tableName = env.AIRTABLE_TABLE_NAME || 'Estimate Requests';
-
-		// Initialize Airtable
-		const airtable = new Airtable({ apiKey: env.AIRTABLE_API_KEY });
-		const base = airtable.base(env.AIRTABLE_BASE_ID);
-
-		// Calculate pricing on the backend (never trust frontend calculations)
-		const { total, discount } = calculatePricing(
-			data.selectedFeatures,
-			data.selectedServices,
-			data.hasCustomRequest
-		);
-
-		// Prepare record for Airtable
-		const record = {
-			'App URL': data.appUrl,
-			'Email': data.email,
-			'Platform': data.platform || 'Not specified',
-			'Selected Features': data.selectedFeatures || null,
-			'Selected Services': data.selectedServices || null,
-			'Custom Request': !!data.hasCustomRequest || false,
-			'Custom Request Description': data.customRequestText || null,
-			'Notes': data.additionalContext || null,
-			'Estimated Price': total,
-			'Feature Discount': discount,
-			'Timestamp': data.timestamp || new Date().toISOString(),
-			'Status': 'New',
-		};
-
-		// Create record in Airtable
-		await base(tableName).create([{ fields: record }]);
-
-		// Return success response
-		return new Response(
-			JSON.stringify({
-				success: true,
-				message: 'Estimate request submitted successfully'
-			}),
-			{
-				status: 200,
-				headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-			}
-		);
-
-	} catch (error) {
-		console.error('Error processing estimate request:', error);
-
-		// Check if it's a JSON parse error
-		if (error instanceof SyntaxError) {
-			return new Response(
-				JSON.stringify({
-					success: false,
-					error: 'Invalid JSON in request body'
-				}),
-				{
-					status: 400,
-					headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-				}
-			);
-		}
+function handleGetPricing() {
+	return json(
+		{ success: true, catalog: CATALOG },
+		{ headers: { 'Cache-Control': 'public, max-age=300' } }
+	);
+}
 
-		// Check if it's an Airtable error
-		if (error.statusCode) {
-			return new Response(
-				JSON.stringify({
-					success: false,
-					error: 'Failed to save to database',
-					details: error.message
-				}),
-				{
-					status: 500,
-					headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-				}
-			);
-		}
+/**
+ * Price a (possibly incomplete) estimate form
+ *
+ * Takes the same payload as submit-request and returns the itemized quote
+ * the estimate page shows as its live summary.
+ */
+async function handleQuote({ request }) {
+	const data = await readJsonObject(request);
 
-		// Generic error response
-		return new Response(
-			JSON.stringify({
-				success: false,
-				error: 'Internal server error'
-			}),
-			{
-				status: 500,
-				headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-			}
-		);
+	const validation = validateSelections(data);
+	if (!validation.isValid) {
+		throw new ValidationError(validation.errors);
 	}
+
+	return json({
+		success: true,
+		quote: buildQuote({
+			selectedFeatures: data.selectedFeatures,
+			selectedServices: data.selectedServices,
+			hasCustomRequest: data.hasCustomRequest === true,
+		}),
+	});
 }
 
+// API routes, mounted under /api/v1 (unversioned /api/* paths resolve to v1).
+// Every route uses the CORS_ALLOWED_ORIGINS policy unless it registers its own.
+const router = new Router({ cors: corsPolicy() })
+	.route('/api/v1/challenge', { GET: handleGetChallenge })
+	.route('/api/v1/pricing', { GET: handleGetPricing })
+	.route('/api/v1/quote', { POST: handleQuote })
+	.route('/api/v1/submit-request', { POST: idempotent(handleSubmitRequest, { scope: 'submit-request' }) })
+	.route('/api/v1/requests/:ref', { GET: handleGetRequestStatus })
+	.route('/api/v1/quotes/:id', { GET: handleGetCustomerQuote })
+	.route('/api/v1/quotes/:id/accept', { POST: handleAcceptQuote })
+	.route('/api/v1/quotes/:id/decline', { POST: handleDeclineQuote })
+	.route('/api/v1/quotes/:id/checkout', { POST: handleCreateCheckout })
+	.route('/api/v1/invoices/:id', { GET: handleGetCustomerInvoice })
+	.route('/api/v1/webhooks/stripe', { POST: handleStripeWebhook })
+	.route('/api/v1/portal/login', { POST: handlePortalLogin })
+	.route('/api/v1/portal/session', { POST: handleCreatePortalSession })
+	.route('/api/v1/portal/logout', { POST: handlePortalLogout })
+	.route('/api/v1/portal/requests', { GET: requirePortalSession(handleListPortalRequests) })
+	.route('/api/v1/portal/documents/:id', { GET: requirePortalSession(handleGetPortalDocument) })
+	.route('/api/v1/admin/leads', { GET: requireAdmin(handleListLeads) })
+	.route('/api/v1/admin/leads/filters', { GET: requireAdmin(handleGetLeadFilters) })
+	.route('/api/v1/admin/leads/export', { GET: requireAdmin(handleExportLeads) })
+	.route('/api/v1/admin/leads/:id', { GET: requireAdmin(handleGetAdminLead) })
+	.route('/api/v1/admin/leads/:id/status', { GET: requireAdmin(handleGetLeadStatus), POST: requireAdmin(handleChangeLeadStatus) })
+	.route('/api/v1/admin/leads/:id/notes', { POST: requireAdmin(handleAddLeadNote) })
+	.route('/api/v1/admin/leads/:id/documents', { POST: requireAdmin(handleUploadLeadDocument) })
+	.route('/api/v1/admin/leads/:id/quotes', { GET: requireAdmin(handleListQuotes), POST: requireAdmin(handleCreateQuote) })
+	.route('/api/v1/admin/leads/:id/quotes/:version', { PUT: requireAdmin(handleUpdateQuote), DELETE: requireAdmin(handleDeleteQuote) })
+	.route('/api/v1/admin/leads/:id/quotes/:version/send', { POST: requireAdmin(handleSendQuote) })
+	.route('/api/v1/admin/leads/:id/quotes/:version/invoices', { POST: requireAdmin(handleIssueQuoteInvoices) })
+	.route('/api/v1/admin/leads/:id/milestones/:milestoneId/request', { POST: requireAdmin(handleRequestMilestonePayment) })
+	.route('/api/v1/admin/leads/:id/milestones/:milestoneId/waive', { POST: requireAdmin(handleWaiveMilestone) })
+	.route('/api/v1/admin/documents/:id', { GET: requireAdmin(handleGetAdminDocument) })
+	.route('/api/v1/admin/invoices/:id', { GET: requireAdmin(handleGetAdminInvoice) })
+	.route('/api/v1/admin/audit-log', { GET: requireAdmin(handleListAuditLog) })
+	.route('/api/v1/admin/dead-letters', { GET: requireAdmin(handleListDeadLetters) })
+	.route('/api/v1/admin/dead-letters/:id/replay', { POST: requireAdmin(handleReplayDeadLetter) })
+	.route('/api/v1/admin/webhooks/endpoints', { GET: requireAdmin(handleListWebhookEndpoints) })
+	.route('/api/v1/admin/webhooks/deliveries', { GET: requireAdmin(handleListWebhookDeliveries) })
+	.route('/api/v1/admin/webhooks/deliveries/:id/redeliver', { POST: requireAdmin(handleRedeliverWebhook) });
+
+export { RateLimiter } from './rate-limiter.js';
+
+// Queue consumers, keyed by queue name
+const queueHandlers = {
+	'finalize-lead-sync': handleLeadSyncBatch,
+	'finalize-webhooks': handleWebhookBatch,
+};
+
 export default {
 	async fetch(request, env, ctx) {
 		const url = new URL(request.url);
 
-		// Handle CORS preflight requests
-		if (request.method === 'OPTIONS') {
-			return new Response(null, {
-				status: 204,
-				headers: corsHeaders
-			});
+		// Handle API routes
+		if (url.pathname.startsWith(API_PREFIX)) {
+			return router.handle(request, env, ctx);
 		}
 
-		// Handle API routes
-		if (url.pathname === '/api/submit-request') {
-			return handleSubmitRequest(request, env);
+		// The admin dashboard routes client-side, so deep links get its shell.
+		// The shell holds no data; the admin API it calls does the auth checks.
+		if (url.pathname.startsWith('/admin/')) {
+			return env.ASSETS.fetch(new Request(new URL('/admin', url), request));
 		}
-		
+
 		return env.ASSETS.fetch(request);
 	},
+
+	async queue(batch, env, ctx) {
+		const handler = queueHandlers[batch.queue];
+		if (!handler) {
+			throw new Error(`No consumer for queue ${batch.queue}`);
+		}
+		return handler(batch, env, ctx);
+	},
 };
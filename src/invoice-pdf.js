@@ -0,0 +1,198 @@
+/**
+ * Invoice and receipt layout
+ *
+ * Renders an invoice or receipt (see invoices.js) to PDF from the details
+ * stored with it, so the same document always renders the same way. Amounts
+ * in the details are in cents.
+ */
+
+import { DUE_DESCRIPTIONS } from './payment-schedules.js';
+import { LETTER, createPdfDocument, wrapText } from './pdf.js';
+
+const MARGIN = 56;
+const RIGHT = LETTER.width - MARGIN;
+const LABEL_X = 330;
+const HOURS_X = 440;
+const DESCRIPTION_WIDTH = 360;
+const FOOTER_HEIGHT = 40;
+
+const MUTED = 0.4;
+
+const TITLES = { invoice: 'Invoice', receipt: 'Receipt' };
+
+function formatCents(cents, currency) {
+	return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(cents / 100);
+}
+
+function formatDate(iso) {
+	return new Intl.DateTimeFormat('en-US', { dateStyle: 'long', timeZone: 'UTC' }).format(new Date(iso));
+}
+
+/**
+ * Keeps track of the current page and position, starting a new page when
+ * there's no room left for the next block
+ */
+function createCursor(doc) {
+	const cursor = {
+		page: doc.addPage(),
+		y: LETTER.height - MARGIN,
+		ensure(height) {
+			if (cursor.y - height < MARGIN + FOOTER_HEIGHT) {
+				cursor.page = doc.addPage();
+				cursor.y = LETTER.height - MARGIN;
+			}
+		},
+	};
+	return cursor;
+}
+
+function drawHeader(cursor, invoice) {
+	const { details } = invoice;
+	const { page } = cursor;
+	const top = cursor.y;
+	page.text(MARGIN, top, details.seller.name, { size: 16, bold: true });
+	page.text(RIGHT, top, TITLES[invoice.kind].toUpperCase(), { size: 20, bold: true, align: 'right' });
+
+	const seller = [...details.seller.address, details.seller.email, details.seller.taxId && `Tax ID: ${details.seller.taxId}`];
+	let left = top - 22;
+	for (const line of seller.filter(Boolean)) {
+		page.text(MARGIN, left, line, { size: 9, gray: MUTED });
+		left -= 12;
+	}
+
+	const meta = [
+		[`${TITLES[invoice.kind]} number`, invoice.number],
+		['Date', formatDate(invoice.issuedAt)],
+		['Reference', details.reference],
+		details.quoteVersion && ['Quote', `Version ${details.quoteVersion}`],
+		details.invoiceNumber && ['Invoice', details.invoiceNumber],
+	];
+	let right = top - 22;
+	for (const [label, value] of meta.filter(Boolean)) {
+		page.text(HOURS_X - 60, right, label, { size: 9, gray: MUTED });
+		page.text(RIGHT, right, value, { size: 9, align: 'right' });
+		right -= 12;
+	}
+
+	cursor.y = Math.min(left, right) - 18;
+	page.text(MARGIN, cursor.y, invoice.kind === 'invoice' ? 'Bill to' : 'Received from', { size: 9, bold: true, gray: MUTED });
+	cursor.y -= 14;
+	for (const line of [details.buyer.name, details.buyer.email, details.buyer.appUrl].filter(Boolean)) {
+		page.text(MARGIN, cursor.y, line, { size: 10 });
+		cursor.y -= 13;
+	}
+	cursor.y -= 20;
+}
+
+function drawLines(cursor, details) {
+	const tableHeader = () => {
+		cursor.page.text(MARGIN, cursor.y, 'Description', { size: 9, bold: true });
+		cursor.page.text(HOURS_X, cursor.y, 'Hours', { size: 9, bold: true, align: 'right' });
+		cursor.page.text(RIGHT, cursor.y, 'Amount', { size: 9, bold: true, align: 'right' });
+		cursor.page.line(MARGIN, cursor.y - 6, RIGHT, cursor.y - 6);
+		cursor.y -= 22;
+	};
+
+	cursor.ensure(40);
+	tableHeader();
+	for (const line of details.lines) {
+		const description = wrapText(line.description, DESCRIPTION_WIDTH, { size: 10 });
+		const height = description.length * 13 + 5;
+		const page = cursor.page;
+		cursor.ensure(height);
+		if (cursor.page !== page) {
+			tableHeader();
+		}
+		cursor.page.text(HOURS_X, cursor.y, line.hours ? String(line.hours) : '', { size: 10, align: 'right' });
+		cursor.page.text(RIGHT, cursor.y, formatCents(line.amount, details.currency), { size: 10, align: 'right' });
+		for (const text of description) {
+			cursor.page.text(MARGIN, cursor.y, text, { size: 10 });
+			cursor.y -= 13;
+		}
+		cursor.y -= 5;
+	}
+	cursor.page.line(MARGIN, cursor.y + 8, RIGHT, cursor.y + 8);
+	cursor.y -= 8;
+}
+
+function drawTotals(cursor, invoice) {
+	const { details } = invoice;
+	const money = cents => formatCents(cents, details.currency);
+	const rows = [];
+	if (details.discount) {
+		rows.push(['Subtotal', money(details.subtotal)], ['Discount', `-${money(details.discount)}`]);
+	}
+	if (details.tax) {
+		const { name, rate, net, amount } = details.tax;
+		rows.push([`Net of ${name}`, money(net)], [`${name} at ${rate}%`, money(amount)]);
+	}
+
+	cursor.ensure((rows.length + 1) * 16);
+	for (const [label, value] of rows) {
+		cursor.page.text(LABEL_X, cursor.y, label, { size: 10 });
+		cursor.page.text(RIGHT, cursor.y, value, { size: 10, align: 'right' });
+		cursor.y -= 16;
+	}
+	cursor.page.text(LABEL_X, cursor.y, invoice.kind === 'invoice' ? 'Total' : 'Amount paid', { size: 11, bold: true });
+	cursor.page.text(RIGHT, cursor.y, money(details.total), { size: 11, bold: true, align: 'right' });
+	cursor.y -= 32;
+}
+
+// A titled list of label and value rows, e.g. the payment schedule
+function drawSection(cursor, title, rows) {
+	cursor.ensure(30 + rows.length * 15);
+	cursor.page.text(MARGIN, cursor.y, title, { size: 9, bold: true, gray: MUTED });
+	cursor.y -= 16;
+	for (const [label, value] of rows) {
+		cursor.page.text(MARGIN, cursor.y, label, { size: 10 });
+		cursor.page.text(RIGHT, cursor.y, value, { size: 10, align: 'right' });
+		cursor.y -= 15;
+	}
+	cursor.y -= 17;
+}
+
+function drawFooters(doc, details) {
+	const contact = [details.seller.name, details.seller.email].filter(Boolean).join(' · ');
+	for (const [index, page] of doc.pages.entries()) {
+		page.line(MARGIN, MARGIN + 14, RIGHT, MARGIN + 14, { gray: 0.8 });
+		page.text(MARGIN, MARGIN, contact, { size: 8, gray: MUTED });
+		page.text(RIGHT, MARGIN, `Page ${index + 1} of ${doc.pages.length}`, { size: 8, gray: MUTED, align: 'right' });
+	}
+}
+
+/**
+ * Render an invoice or receipt as PDF bytes
+ */
+export function renderInvoicePdf(invoice) {
+	const { details } = invoice;
+	const money = cents => formatCents(cents, details.currency);
+	const doc = createPdfDocument({ title: `${TITLES[invoice.kind]} ${invoice.number}`, createdAt: new Date(invoice.issuedAt) });
+	const cursor = createCursor(doc);
+
+	drawHeader(cursor, invoice);
+	drawLines(cursor, details);
+	drawTotals(cursor, invoice);
+
+	if (invoice.kind === 'invoice' && details.schedule.length > 0) {
+		const rows = details.schedule.map(milestone => [
+			`${milestone.label} (${milestone.percent}%), due ${DUE_DESCRIPTIONS[milestone.due]}`,
+			money(milestone.amount),
+		]);
+		drawSection(cursor, 'Payment schedule', rows);
+	}
+	if (invoice.kind === 'receipt') {
+		const rows = [
+			['Paid on', formatDate(details.paidAt)],
+			['Method', details.method],
+			details.paymentReference && ['Payment reference', details.paymentReference],
+			['Balance outstanding', money(details.balance)],
+		];
+		drawSection(cursor, 'Payment', rows.filter(Boolean));
+	}
+
+	cursor.ensure(20);
+	cursor.page.text(MARGIN, cursor.y, 'Thank you for your business.', { size: 10 });
+
+	drawFooters(doc, details);
+	return doc.toBytes();
+}
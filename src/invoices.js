@@ -0,0 +1,440 @@
+/**
+ * Invoices and receipts
+ *
+ * When a customer accepts a quote they're issued an invoice for it, and each
+ * payment they make gets a receipt. Invoices are numbered INV-<year>-0001 and
+ * receipts RCT-<year>-0001, each from its own counter, which goes up in the
+ * same batch as the insert (see counters.js) so every year's sequence has no
+ * gaps. The seller, buyer, lines, totals and tax a document shows are fixed
+ * when it's issued and kept with it; the PDF (see invoice-pdf.js) is stored
+ * in the DOCUMENTS bucket and rendered again from them if it goes missing.
+ *
+ * INVOICE_SELLER replaces DEFAULT_SELLER with a JSON object like
+ * { "name", "address": [lines], "email", "taxId" }. INVOICE_TAX, a JSON
+ * object like { "name": "VAT", "rate": 20 }, adds tax lines: quoted prices
+ * include it, so it's shown as the share of each total, never added on top.
+ * Without it documents carry no tax lines.
+ *
+ * Customers get each document by a signed link, in the email that sends it
+ * and in the portal; the admin dashboard has its own route.
+ */
+
+import { COUNTER_VALUE_SQL, incrementCounter } from './counters.js';
+import { sendEmail } from './email/index.js';
+import { renderInvoiceEmail } from './email/templates.js';
+import { ConfigurationError, NotFoundError, UnauthorizedError } from './errors.js';
+import { renderInvoicePdf } from './invoice-pdf.js';
+import { getLead } from './leads.js';
+import { createLogger } from './logger.js';
+import { isSettled, listQuoteMilestones } from './milestones.js';
+import { linkSigningSecret, signToken, verifyToken } from './signing.js';
+
+export const INVOICE_KINDS = ['invoice', 'receipt'];
+
+const NUMBER_PREFIXES = { invoice: 'INV', receipt: 'RCT' };
+
+export const DEFAULT_SELLER = { name: 'Finalize', address: [], email: 'hello@finalize.dev', taxId: null };
+
+const LINK_PURPOSE = 'invoice';
+
+// Links go into emails customers keep for their books; the portal always has fresh ones
+const TOKEN_TTL_SECONDS = 365 * 24 * 60 * 60;
+
+const MAX_DETAIL_LENGTH = 200;
+
+function toInvoice(row) {
+	if (!row) {
+		return null;
+	}
+
+	return {
+		id: row.id,
+		leadId: row.lead_id,
+		quoteId: row.quote_id,
+		paymentId: row.payment_id,
+		kind: row.kind,
+		number: row.number,
+		amount: row.amount,
+		currency: row.currency,
+		details: JSON.parse(row.details),
+		r2Key: row.r2_key,
+		size: row.size,
+		issuedAt: row.issued_at,
+	};
+}
+
+/**
+ * What the customer sees of an invoice or receipt with its signed link (see withInvoiceUrls)
+ */
+export function toCustomerInvoice({ id, kind, number, amount, currency, issuedAt, url }) {
+	return { id, kind, number, amount, currency, issuedAt, url };
+}
+
+/**
+ * What the admin dashboard sees of an invoice or receipt, with its download path
+ */
+export function toAdminInvoice({ details, r2Key, ...invoice }) {
+	return { ...invoice, url: `/api/v1/admin/invoices/${invoice.id}` };
+}
+
+function readJsonVar(env, name) {
+	try {
+		return JSON.parse(env[name]);
+	} catch {
+		throw new ConfigurationError(`${name} is not valid JSON`);
+	}
+}
+
+function isDetail(value) {
+	return typeof value === 'string' && value.trim().length > 0 && value.length <= MAX_DETAIL_LENGTH;
+}
+
+/**
+ * The seller shown on documents: INVOICE_SELLER, or the defaults
+ */
+export function sellerDetails(env) {
+	if (!env.INVOICE_SELLER) {
+		return DEFAULT_SELLER;
+	}
+
+	const { name, address = [], email = null, taxId = null } = readJsonVar(env, 'INVOICE_SELLER') ?? {};
+	if (!isDetail(name)) {
+		throw new ConfigurationError(`INVOICE_SELLER needs a name of up to ${MAX_DETAIL_LENGTH} characters`);
+	}
+	if (!Array.isArray(address) || !address.every(isDetail)) {
+		throw new ConfigurationError('INVOICE_SELLER address must be a list of lines');
+	}
+	if ((email !== null && !isDetail(email)) || (taxId !== null && !isDetail(taxId))) {
+		throw new ConfigurationError('INVOICE_SELLER email and taxId must be text');
+	}
+	return { name: name.trim(), address: address.map(line => line.trim()), email, taxId };
+}
+
+/**
+ * The tax included in prices, from INVOICE_TAX, or null when none applies
+ */
+export function taxSettings(env) {
+	if (!env.INVOICE_TAX) {
+		return null;
+	}
+
+	const { name, rate } = readJsonVar(env, 'INVOICE_TAX') ?? {};
+	if (!isDetail(name)) {
+		throw new ConfigurationError('INVOICE_TAX needs the name of the tax');
+	}
+	if (typeof rate !== 'number' || !(rate > 0 && rate <= 100)) {
+		throw new ConfigurationError('INVOICE_TAX rate must be a percentage above 0');
+	}
+	return { name: name.trim(), rate };
+}
+
+/**
+ * The tax line for a tax-inclusive total in cents: `{ name, rate, net, amount }`
+ */
+export function taxLine(total, tax) {
+	if (!tax) {
+		return null;
+	}
+	const amount = Math.round((total * tax.rate) / (100 + tax.rate));
+	return { name: tax.name, rate: tax.rate, net: total - amount, amount };
+}
+
+function cents(amount) {
+	return Math.round(amount * 100);
+}
+
+/**
+ * A lead's invoices and receipts, oldest first
+ */
+export async function listInvoices(db, leadId) {
+	const { results } = await db.prepare('SELECT * FROM invoices WHERE lead_id = ? ORDER BY issued_at, rowid').bind(leadId).all();
+	return results.map(toInvoice);
+}
+
+/**
+ * Invoices and receipts for several leads, keyed by lead id
+ */
+export async function listInvoicesForLeads(db, leadIds) {
+	const invoices = Object.fromEntries(leadIds.map(id => [id, []]));
+	if (leadIds.length === 0) {
+		return invoices;
+	}
+
+	const { results } = await db
+		.prepare(`SELECT * FROM invoices WHERE lead_id IN (${leadIds.map(() => '?').join(', ')}) ORDER BY issued_at, rowid`)
+		.bind(...leadIds)
+		.all();
+	for (const row of results) {
+		invoices[row.lead_id].push(toInvoice(row));
+	}
+	return invoices;
+}
+
+/**
+ * Fetch an invoice or receipt by id
+ */
+export async function getInvoice(db, id) {
+	const row = await db.prepare('SELECT * FROM invoices WHERE id = ?').bind(id).first();
+	return toInvoice(row);
+}
+
+async function findQuoteInvoice(db, quoteId) {
+	const row = await db.prepare("SELECT * FROM invoices WHERE quote_id = ? AND kind = 'invoice'").bind(quoteId).first();
+	return toInvoice(row);
+}
+
+async function findPaymentReceipt(db, paymentId) {
+	const row = await db.prepare("SELECT * FROM invoices WHERE payment_id = ? AND kind = 'receipt'").bind(paymentId).first();
+	return toInvoice(row);
+}
+
+/**
+ * Who the documents for a quote are made out to: the name the customer
+ * signed its acceptance with, their email and their app
+ */
+async function buyerDetails(db, lead, quoteId) {
+	const response = await db
+		.prepare("SELECT signature_name FROM quote_responses WHERE quote_id = ? AND decision = 'accepted'")
+		.bind(quoteId)
+		.first();
+	return { name: response?.signature_name ?? null, email: lead.email, appUrl: lead.appUrl };
+}
+
+/**
+ * Number and store a new document
+ *
+ * Returns null if the quote's invoice or the payment's receipt was issued by
+ * someone else first; the batch fails as a whole, so no number is used up.
+ */
+async function insertInvoice(env, { lead, quoteId, paymentId = null, kind, amount, currency, details }) {
+	const id = crypto.randomUUID();
+	const issuedAt = new Date().toISOString();
+	const year = issuedAt.slice(0, 4);
+	const counter = `${kind}-number:${year}`;
+
+	try {
+		const [, inserted] = await env.DB.batch([
+			incrementCounter(env.DB, counter),
+			env.DB.prepare(
+				`INSERT INTO invoices (id, lead_id, quote_id, payment_id, kind, number, amount, currency, details, r2_key, issued_at)
+				VALUES (?, ?, ?, ?, ?, printf('%s-%s-%04d', ?, ?, ${COUNTER_VALUE_SQL}), ?, ?, ?, ?, ?) RETURNING *`
+			).bind(
+				id,
+				lead.id,
+				quoteId,
+				paymentId,
+				kind,
+				NUMBER_PREFIXES[kind],
+				year,
+				counter,
+				amount,
+				currency,
+				JSON.stringify(details),
+				`leads/${lead.id}/invoices/${id}.pdf`,
+				issuedAt
+			),
+		]);
+		return toInvoice(inserted.results[0]);
+	} catch (error) {
+		if (/UNIQUE constraint failed: invoices\.(quote_id|payment_id)/.test(error.message)) {
+			return null;
+		}
+		throw error;
+	}
+}
+
+/**
+ * Render a document's PDF and store it in the DOCUMENTS bucket, returning the bytes
+ */
+async function storePdf(env, invoice) {
+	const pdf = renderInvoicePdf(invoice);
+	await env.DOCUMENTS.put(invoice.r2Key, pdf, { httpMetadata: { contentType: 'application/pdf' } });
+	await env.DB.prepare('UPDATE invoices SET size = ? WHERE id = ?').bind(pdf.byteLength, invoice.id).run();
+	return pdf;
+}
+
+/**
+ * Signed link to download an invoice or receipt
+ */
+export async function invoiceUrl(env, invoice) {
+	if (!env.SITE_URL) {
+		throw new ConfigurationError('SITE_URL is not set');
+	}
+	const exp = Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS;
+	const token = await signToken({ purpose: LINK_PURPOSE, invoice: invoice.id, exp }, linkSigningSecret(env));
+	const url = new URL(`/api/v1/invoices/${invoice.id}`, env.SITE_URL);
+	url.searchParams.set('token', token);
+	return url.href;
+}
+
+/**
+ * Add each document's signed link as `url`
+ */
+export function withInvoiceUrls(env, invoices) {
+	return Promise.all(invoices.map(async invoice => ({ ...invoice, url: await invoiceUrl(env, invoice) })));
+}
+
+/**
+ * Store a newly issued document's PDF and email the customer its link
+ *
+ * A failed email is logged; the document is still in the portal.
+ */
+async function deliverInvoice(env, lead, invoice, log) {
+	await storePdf(env, invoice);
+	log.info(`${invoice.kind}.issued`, { leadId: lead.id, invoiceId: invoice.id, number: invoice.number, amount: invoice.amount });
+
+	try {
+		const url = await invoiceUrl(env, invoice);
+		await sendEmail(env, { to: lead.email, ...renderInvoiceEmail({ lead, invoice, url }), idempotencyKey: `invoice-${invoice.id}` });
+	} catch (error) {
+		log.error('invoice.email_failed', { leadId: lead.id, invoiceId: invoice.id, error });
+	}
+	return invoice;
+}
+
+/**
+ * Issue the invoice for an accepted quote, once
+ *
+ * Lists the quote's lines and totals and the payment schedule it was
+ * accepted with. Returns the existing invoice if it already has one, and
+ * null for a quote with nothing to pay.
+ */
+export async function issueInvoice(env, lead, quote, log = createLogger()) {
+	const existing = await findQuoteInvoice(env.DB, quote.id);
+	if (existing || quote.total <= 0) {
+		return existing;
+	}
+
+	const [buyer, milestones] = await Promise.all([buyerDetails(env.DB, lead, quote.id), listQuoteMilestones(env.DB, quote.id)]);
+	const total = cents(quote.total);
+	const details = {
+		reference: lead.reference,
+		quoteVersion: quote.version,
+		seller: sellerDetails(env),
+		buyer,
+		currency: quote.currency,
+		lines: quote.lineItems.map(line => ({ description: line.description, hours: line.hours ?? null, amount: cents(line.price) })),
+		subtotal: cents(quote.subtotal),
+		discount: cents(quote.discount),
+		total,
+		tax: taxLine(total, taxSettings(env)),
+		schedule: milestones.map(({ label, percent, amount, due }) => ({ label, percent, amount: cents(amount), due })),
+	};
+
+	const invoice = await insertInvoice(env, {
+		lead,
+		quoteId: quote.id,
+		kind: 'invoice',
+		amount: quote.total,
+		currency: quote.currency,
+		details,
+	});
+	return invoice ? deliverInvoice(env, lead, invoice, log) : findQuoteInvoice(env.DB, quote.id);
+}
+
+/**
+ * Issue the receipt for a paid payment, once
+ *
+ * Names the quote's invoice if it has one, and what's still outstanding on
+ * the quote after this payment. Returns the existing receipt if there is one.
+ */
+export async function issueReceipt(env, payment, log = createLogger()) {
+	if (payment.status !== 'paid') {
+		return null;
+	}
+	const existing = await findPaymentReceipt(env.DB, payment.id);
+	if (existing) {
+		return existing;
+	}
+
+	const lead = await getLead(env.DB, payment.leadId);
+	const [buyer, invoice, milestones] = await Promise.all([
+		buyerDetails(env.DB, lead, payment.quoteId),
+		findQuoteInvoice(env.DB, payment.quoteId),
+		listQuoteMilestones(env.DB, payment.quoteId),
+	]);
+	const outstanding = milestones.filter(milestone => !isSettled(milestone)).reduce((sum, milestone) => sum + milestone.amount, 0);
+	const total = cents(payment.amount);
+	const details = {
+		reference: lead.reference,
+		invoiceNumber: invoice?.number ?? null,
+		seller: sellerDetails(env),
+		buyer,
+		currency: payment.currency,
+		lines: [{ description: payment.description, hours: null, amount: total }],
+		total,
+		tax: taxLine(total, taxSettings(env)),
+		paidAt: payment.paidAt,
+		method: 'Card via Stripe',
+		paymentReference: payment.paymentIntentId,
+		balance: cents(outstanding),
+	};
+
+	const receipt = await insertInvoice(env, {
+		lead,
+		quoteId: payment.quoteId,
+		paymentId: payment.id,
+		kind: 'receipt',
+		amount: payment.amount,
+		currency: payment.currency,
+		details,
+	});
+	return receipt ? deliverInvoice(env, lead, receipt, log) : findPaymentReceipt(env.DB, payment.id);
+}
+
+/**
+ * Issue whatever an accepted quote is missing: its invoice, then a receipt
+ * for each paid payment in the order they were paid
+ */
+export async function issueQuoteInvoices(env, lead, quote, payments, log = createLogger()) {
+	await issueInvoice(env, lead, quote, log);
+	const paid = payments.filter(payment => payment.status === 'paid').sort((a, b) => a.paidAt.localeCompare(b.paidAt));
+	for (const payment of paid) {
+		await issueReceipt(env, payment, log);
+	}
+	return (await listInvoices(env.DB, lead.id)).filter(invoice => invoice.quoteId === quote.id);
+}
+
+/**
+ * Respond with a document's PDF, rendering it again if the stored copy is missing
+ */
+export async function invoiceResponse(env, invoice) {
+	const object = await env.DOCUMENTS.get(invoice.r2Key);
+	const body = object ? object.body : await storePdf(env, invoice);
+	return new Response(body, {
+		headers: {
+			'Content-Type': 'application/pdf',
+			'Content-Disposition': `inline; filename="${invoice.number}.pdf"`,
+			'Cache-Control': 'private, no-store',
+		},
+	});
+}
+
+/**
+ * Handle GET /api/v1/invoices/:id
+ *
+ * Needs the `token` from the document's signed link.
+ */
+export async function handleGetCustomerInvoice({ env, url, params }) {
+	const token = url.searchParams.get('token');
+	const payload = token ? await verifyToken(token, linkSigningSecret(env)) : null;
+	const invoice = payload?.purpose === LINK_PURPOSE && payload.invoice === params.id ? await getInvoice(env.DB, params.id) : null;
+	if (!invoice) {
+		throw new NotFoundError('Invoice not found');
+	}
+	if (payload.exp < Date.now() / 1000) {
+		throw new UnauthorizedError('This link has expired. Sign in to your client portal to download it.', { code: 'invoice_link_expired' });
+	}
+	return invoiceResponse(env, invoice);
+}
+
+/**
+ * Handle GET /api/v1/admin/invoices/:id
+ */
+export async function handleGetAdminInvoice({ env, params }) {
+	const invoice = await getInvoice(env.DB, params.id);
+	if (!invoice) {
+		throw new NotFoundError('Invoice not found');
+	}
+	return invoiceResponse(env, invoice);
+}
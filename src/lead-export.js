@@ -0,0 +1,188 @@
+/**
+ * Lead export
+ *
+ * GET /api/v1/admin/leads/export streams leads as CSV or JSON Lines. Leads are
+ * read from D1 a page at a time as the client consumes the response, so an
+ * export of any size stays within the Worker's memory limit.
+ *
+ * CSV can't hold the selectedFeatures/selectedServices arrays directly, so
+ * `arrays` picks how they're flattened:
+ *
+ *   join     one column with the values separated by "; " (default)
+ *   columns  one 1/0 column per catalog item ("selectedFeatures: Payments"),
+ *            plus an "Other" column for values no longer in the catalog
+ *
+ * Exports contain customer PII, so each one is recorded in the admin audit log
+ * before any data is sent.
+ */
+
+import { listLeads, readLeadFilters } from './admin-leads.js';
+import { recordAuditEvent } from './audit-log.js';
+import { BadRequestError } from './errors.js';
+import { LEAD_FIELDS } from './leads.js';
+import { CATALOG, findCatalogItem } from './pricing.js';
+
+export const EXPORT_FORMATS = ['csv', 'jsonl'];
+export const ARRAY_MODES = ['join', 'columns'];
+
+// Leads read from D1 per chunk of output
+const EXPORT_PAGE_SIZE = 200;
+
+const JOIN_SEPARATOR = '; ';
+
+// Catalog collection each array field's values come from
+const ARRAY_FIELDS = {
+	selectedFeatures: CATALOG.features,
+	selectedServices: CATALOG.services,
+};
+
+const CONTENT_TYPES = {
+	csv: 'text/csv; charset=utf-8',
+	jsonl: 'application/x-ndjson; charset=utf-8',
+};
+
+/**
+ * Quote a CSV value when needed (RFC 4180)
+ *
+ * Text starting with a formula character is prefixed with an apostrophe so
+ * spreadsheets show customer-supplied text instead of evaluating it.
+ */
+export function csvValue(value) {
+	if (value === null || value === undefined) {
+		return '';
+	}
+	let text = String(value);
+	if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+		text = `'${text}`;
+	}
+	return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * CSV columns for the selected fields: `{ header, value(lead) }` each
+ */
+function csvColumns(fields, arrays) {
+	return fields.flatMap(field => {
+		if (!Object.hasOwn(ARRAY_FIELDS, field)) {
+			return [{ header: field, value: lead => lead[field] }];
+		}
+		if (arrays === 'join') {
+			return [{ header: field, value: lead => lead[field].join(JOIN_SEPARATOR) }];
+		}
+
+		const items = ARRAY_FIELDS[field];
+		const inCatalog = lead => new Set(lead[field].map(value => findCatalogItem(items, value)?.id));
+		return [
+			...items.map(item => ({ header: `${field}: ${item.name}`, value: lead => (inCatalog(lead).has(item.id) ? 1 : 0) })),
+			{
+				header: `${field}: Other`,
+				value: lead => lead[field].filter(value => !findCatalogItem(items, value)).join(JOIN_SEPARATOR),
+			},
+		];
+	});
+}
+
+/**
+ * Serializer for an export format: `{ header, rows(leads) }`
+ */
+export function exportFormatter(format, { fields = LEAD_FIELDS, arrays = 'join' } = {}) {
+	if (format === 'jsonl') {
+		return {
+			header: '',
+			rows: leads => leads.map(lead => `${JSON.stringify(Object.fromEntries(fields.map(field => [field, lead[field]])))}\n`).join(''),
+		};
+	}
+
+	const columns = csvColumns(fields, arrays);
+	const line = values => `${values.map(csvValue).join(',')}\r\n`;
+	return {
+		header: line(columns.map(column => column.header)),
+		rows: leads => leads.map(lead => line(columns.map(column => column.value(lead)))).join(''),
+	};
+}
+
+/**
+ * Stream every lead matching `filters`, one D1 page per chunk
+ */
+function exportStream(db, filters, formatter, log) {
+	const encoder = new TextEncoder();
+	let cursor = null;
+	let count = 0;
+
+	return new ReadableStream({
+		start(controller) {
+			if (formatter.header) {
+				controller.enqueue(encoder.encode(formatter.header));
+			}
+		},
+		async pull(controller) {
+			try {
+				const page = await listLeads(db, { ...filters, limit: EXPORT_PAGE_SIZE, cursor, withTotal: false });
+				if (page.leads.length > 0) {
+					controller.enqueue(encoder.encode(formatter.rows(page.leads)));
+					count += page.leads.length;
+				}
+				cursor = page.nextCursor;
+				if (!cursor) {
+					log.info('leads.export_completed', { count });
+					controller.close();
+				}
+			} catch (error) {
+				log.error('leads.export_failed', { count, error });
+				controller.error(error);
+			}
+		},
+	});
+}
+
+function readChoice(searchParams, name, allowed, fallback) {
+	const value = searchParams.get(name) || fallback;
+	if (!allowed.includes(value)) {
+		throw new BadRequestError(`${name} must be one of ${allowed.join(', ')}`);
+	}
+	return value;
+}
+
+function readFields(searchParams) {
+	const param = searchParams.get('columns');
+	if (!param) {
+		return LEAD_FIELDS;
+	}
+	const fields = [...new Set(param.split(',').map(field => field.trim()).filter(Boolean))];
+	const unknown = fields.filter(field => !LEAD_FIELDS.includes(field));
+	if (fields.length === 0 || unknown.length > 0) {
+		throw new BadRequestError(`columns must be a comma-separated list of ${LEAD_FIELDS.join(', ')}`);
+	}
+	return fields;
+}
+
+/**
+ * Handle GET /api/v1/admin/leads/export
+ *
+ * `format` (csv or jsonl), `columns` (comma-separated lead fields, default
+ * all), `arrays` (CSV only: join or columns) and the lead list filters
+ * (`status`, `from`, `to`, ...).
+ */
+export async function handleExportLeads({ env, url, admin, log }) {
+	const { searchParams } = url;
+	const format = readChoice(searchParams, 'format', EXPORT_FORMATS, 'csv');
+	const arrays = readChoice(searchParams, 'arrays', ARRAY_MODES, 'join');
+	const fields = readFields(searchParams);
+	const filters = readLeadFilters(searchParams);
+
+	await recordAuditEvent(env.DB, {
+		actor: admin.actor,
+		action: 'leads.export',
+		details: { format, columns: fields, ...(format === 'csv' ? { arrays } : {}), filters },
+		requestId: log.requestId,
+	});
+
+	const filename = `leads-${new Date().toISOString().slice(0, 10)}.${format}`;
+	return new Response(exportStream(env.DB, filters, exportFormatter(format, { fields, arrays }), log), {
+		headers: {
+			'Content-Type': CONTENT_TYPES[format],
+			'Content-Disposition': `attachment; filename="${filename}"`,
+			'Cache-Control': 'no-store',
+		},
+	});
+}
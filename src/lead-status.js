@@ -0,0 +1,228 @@
+/**
+ * Lead status lifecycle
+ *
+ *   New → Reviewing → Quoted → Accepted → In Progress → Delivered → Closed
+ *
+ * with Declined (the quote was turned down) and Cancelled (either side called
+ * it off) branches. TRANSITIONS lists the moves allowed from each status;
+ * changeLeadStatus enforces them, appends the change to lead_status_history
+ * and then runs the status hooks.
+ *
+ * A status hook is
+ *
+ *   {
+ *     name,
+ *     statuses,                  // optional: only run for changes into these
+ *     run(env, change, log)
+ *   }
+ *
+ * where `change` is `{ lead, from, to, actor, note, changedAt }`. Hooks run
+ * after the change is stored, so a failing hook is logged but doesn't undo it.
+ * Features that react to status changes add their hook to STATUS_HOOKS.
+ *
+ * Status guards have the same shape with `check(env, { lead, from, to })`
+ * instead of `run`. They run before the change is stored and refuse it by
+ * throwing (usually a ConflictError saying what's missing).
+ */
+
+import { BadRequestError, ConflictError, NotFoundError, ValidationError } from './errors.js';
+import { json, readJsonObject } from './http.js';
+import { getLead } from './leads.js';
+import { createLogger } from './logger.js';
+import { assertMilestonesSettled, markMilestonesDue } from './milestones.js';
+import { emitEvent, leadEventData } from './webhooks.js';
+
+export const TRANSITIONS = {
+	New: ['Reviewing', 'Cancelled'],
+	Reviewing: ['Quoted', 'Declined', 'Cancelled'],
+	// Back to Reviewing to revise the quote
+	Quoted: ['Accepted', 'Declined', 'Reviewing', 'Cancelled'],
+	Accepted: ['In Progress', 'Cancelled'],
+	'In Progress': ['Delivered', 'Cancelled'],
+	// Back to In Progress for fixes after delivery
+	Delivered: ['Closed', 'In Progress'],
+	Closed: [],
+	// Reopened when the customer wants a revised quote
+	Declined: ['Reviewing'],
+	Cancelled: [],
+};
+
+export const LEAD_STATUSES = Object.keys(TRANSITIONS);
+
+const MAX_NOTE_LENGTH = 1000;
+
+export const STATUS_HOOKS = [
+	{
+		name: 'webhook',
+		async run(env, { lead, from, to, actor, note, changedAt }, log) {
+			await emitEvent(env, 'lead.status_changed', leadEventData(lead, { previousStatus: from, status: to, actor, note, changedAt }), log);
+		},
+	},
+	{
+		name: 'payment-milestones',
+		statuses: ['In Progress'],
+		async run(env, { lead }, log) {
+			await markMilestonesDue(env, lead, 'start', log);
+		},
+	},
+];
+
+export const STATUS_GUARDS = [
+	{
+		// The final payment is collected (or waived) before the work is handed over
+		name: 'payment-milestones',
+		statuses: ['Delivered', 'Closed'],
+		async check(env, { lead, to }) {
+			await assertMilestonesSettled(env.DB, lead, to);
+		},
+	},
+];
+
+/**
+ * Statuses a lead can move to next
+ *
+ * Statuses outside the lifecycle (set before it existed) can't move anywhere.
+ */
+export function allowedTransitions(status) {
+	return Object.hasOwn(TRANSITIONS, status) ? TRANSITIONS[status] : [];
+}
+
+function toHistoryEntry(row) {
+	return {
+		id: row.id,
+		from: row.from_status,
+		to: row.to_status,
+		actor: row.actor,
+		note: row.note,
+		changedAt: row.created_at,
+	};
+}
+
+/**
+ * A lead's status changes, oldest first
+ */
+export async function listStatusHistory(db, leadId) {
+	const { results } = await db
+		.prepare('SELECT * FROM lead_status_history WHERE lead_id = ? ORDER BY created_at, rowid')
+		.bind(leadId)
+		.all();
+	return results.map(toHistoryEntry);
+}
+
+/**
+ * Run the hooks subscribed to a change, logging (not throwing) failures
+ */
+async function runStatusHooks(env, change, log) {
+	for (const hook of STATUS_HOOKS) {
+		if (hook.statuses && !hook.statuses.includes(change.to)) {
+			continue;
+		}
+		try {
+			await hook.run(env, change, log);
+		} catch (error) {
+			log.error('lead_status.hook_failed', { leadId: change.lead.id, hook: hook.name, to: change.to, error });
+		}
+	}
+}
+
+/**
+ * Move a lead to a new status
+ *
+ * Throws NotFoundError for unknown leads and ConflictError (with the allowed
+ * next statuses) when the lifecycle doesn't allow the move, or whatever a
+ * status guard throws. Returns the updated lead and the history entry.
+ */
+export async function changeLeadStatus(env, leadId, { to, actor, note = null }, log = createLogger()) {
+	if (!LEAD_STATUSES.includes(to)) {
+		throw new ValidationError([`status must be one of ${LEAD_STATUSES.join(', ')}`]);
+	}
+
+	const lead = await getLead(env.DB, leadId);
+	if (!lead) {
+		throw new NotFoundError('Lead not found');
+	}
+
+	const from = lead.status;
+	const allowed = allowedTransitions(from);
+	if (!allowed.includes(to)) {
+		throw new ConflictError(`A lead can't move from ${from} to ${to}`, {
+			code: 'invalid_status_transition',
+			details: { status: from, allowed },
+		});
+	}
+	for (const guard of STATUS_GUARDS) {
+		if (!guard.statuses || guard.statuses.includes(to)) {
+			await guard.check(env, { lead, from, to });
+		}
+	}
+
+	const entry = { id: crypto.randomUUID(), from, to, actor, note, changedAt: new Date().toISOString() };
+
+	// Both statements only apply if the status is still `from`, so concurrent
+	// changes can't skip a step or leave history without a matching status
+	const [, updated] = await env.DB.batch([
+		env.DB.prepare(
+			`INSERT INTO lead_status_history (id, lead_id, from_status, to_status, actor, note, created_at)
+			SELECT ?, ?, ?, ?, ?, ?, ? WHERE EXISTS (SELECT 1 FROM leads WHERE id = ? AND status = ?)`
+		).bind(entry.id, lead.id, from, to, actor, note, entry.changedAt, lead.id, from),
+		env.DB.prepare('UPDATE leads SET status = ? WHERE id = ? AND status = ?').bind(to, lead.id, from),
+	]);
+	if (updated.meta.changes === 0) {
+		throw new ConflictError('The lead changed status while this change was being saved. Reload it and try again.', {
+			code: 'status_conflict',
+		});
+	}
+
+	const changed = { ...lead, status: to };
+	log.info('lead.status_changed', { leadId: lead.id, from, to, actor });
+
+	await runStatusHooks(env, { lead: changed, from, to, actor, note, changedAt: entry.changedAt }, log);
+
+	return { lead: changed, change: entry };
+}
+
+/**
+ * Handle POST /api/v1/admin/leads/:id/status
+ *
+ * Takes `{ status, note }`; the change is recorded as made by the admin.
+ */
+export async function handleChangeLeadStatus({ request, env, params, admin, log }) {
+	const data = await readJsonObject(request);
+	if (typeof data.status !== 'string') {
+		throw new ValidationError([`status must be one of ${LEAD_STATUSES.join(', ')}`]);
+	}
+	if (data.note !== undefined && data.note !== null && (typeof data.note !== 'string' || data.note.length > MAX_NOTE_LENGTH)) {
+		throw new BadRequestError(`note must be a string of at most ${MAX_NOTE_LENGTH} characters`);
+	}
+
+	const { lead, change } = await changeLeadStatus(
+		env,
+		params.id,
+		{ to: data.status, actor: admin.actor, note: data.note?.trim() || null },
+		log
+	);
+
+	return json({
+		success: true,
+		lead: { id: lead.id, reference: lead.reference, status: lead.status },
+		change,
+		allowedTransitions: allowedTransitions(lead.status),
+	});
+}
+
+/**
+ * Handle GET /api/v1/admin/leads/:id/status
+ */
+export async function handleGetLeadStatus({ env, params }) {
+	const lead = await getLead(env.DB, params.id);
+	if (!lead) {
+		throw new NotFoundError('Lead not found');
+	}
+
+	return json({
+		success: true,
+		status: lead.status,
+		allowedTransitions: allowedTransitions(lead.status),
+		history: await listStatusHistory(env.DB, lead.id),
+	});
+}
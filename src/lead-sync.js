@@ -0,0 +1,116 @@
+/**
+ * Lead sync queue consumer
+ *
+ * Delivers stored leads to the lead sinks (see sinks/index.js), one queue
+ * message per lead and sink, and records the outcome on the lead.
+ *
+ * Transient failures (rate limits, 5xx, network errors) are retried through
+ * the queue with jittered exponential backoff. Permanent failures, and
+ * deliveries that run out of attempts, go to the dead-letter store for an
+ * admin to replay.
+ */
+
+import { recordDeadLetter, resolveDeadLetter } from './dead-letters.js';
+import { ConfigurationError } from './errors.js';
+import { getLead, getSinkDelivery, markSinkDelivered, markSinkFailed } from './leads.js';
+import { createLogger } from './logger.js';
+import { backoffDelay, isTransientDeliveryError } from './retry.js';
+import { configuredSinks, getSink } from './sinks/index.js';
+
+// Queue retry delay bounds, in seconds
+const RETRY_BASE_DELAY = 30;
+const RETRY_MAX_DELAY = 60 * 60;
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+
+/**
+ * Enqueue delivery of a new lead to every configured sink
+ *
+ * Returns the sink names. The request id travels with each message so the
+ * sync logs line up with the submission.
+ */
+export async function enqueueLeadSync(env, leadId, log) {
+	const sinks = configuredSinks(env, log);
+	await Promise.all(sinks.map(sink => env.LEAD_SYNC_QUEUE.send({ leadId, requestId: log.requestId, sink })));
+	return sinks;
+}
+
+/**
+ * Queue consumer for `{ leadId, requestId, sink, deadLetterId? }` messages
+ *
+ * `deadLetterId` is set when an admin replays a dead letter. Messages queued
+ * before sinks existed have no `sink` and go to Airtable.
+ */
+export async function handleLeadSyncBatch(batch, env) {
+	const maxAttempts = Number(env.LEAD_SYNC_MAX_ATTEMPTS) > 0 ? Number(env.LEAD_SYNC_MAX_ATTEMPTS) : DEFAULT_MAX_ATTEMPTS;
+
+	for (const message of batch.messages) {
+		const { deadLetterId, ...body } = message.body;
+		const { leadId, requestId, sink: sinkName = 'airtable' } = body;
+		const log = createLogger({ requestId, leadId, sink: sinkName, deadLetterId, queue: batch.queue, attempt: message.attempts });
+		let payload;
+		let latencyMs;
+
+		try {
+			const sink = getSink(sinkName);
+			if (!sink) {
+				throw new ConfigurationError(`Unknown lead sink ${sinkName}`);
+			}
+
+			const lead = await getLead(env.DB, leadId);
+			const delivery = lead && (await getSinkDelivery(env.DB, leadId, sinkName));
+
+			// Deleted, or already delivered by an earlier message
+			if (!lead || delivery?.status === 'delivered') {
+				if (deadLetterId) {
+					await resolveDeadLetter(env.DB, deadLetterId);
+				}
+				message.ack();
+				continue;
+			}
+
+			payload = await sink.prepare(env, lead, log);
+			const started = Date.now();
+			const externalIds = await sink.send(env, payload).finally(() => {
+				latencyMs = Date.now() - started;
+			});
+			await markSinkDelivered(env.DB, leadId, sinkName, externalIds);
+			if (deadLetterId) {
+				await resolveDeadLetter(env.DB, deadLetterId);
+			}
+
+			message.ack();
+			log.info('lead_sync', { outcome: 'delivered', latencyMs });
+		} catch (error) {
+			const reason = error.reason || error.message;
+			const transient = isTransientDeliveryError(error);
+
+			if (transient && message.attempts < maxAttempts) {
+				await markSinkFailed(env.DB, leadId, sinkName, reason).catch(() => {});
+				const delaySeconds = backoffDelay(message.attempts, { baseSeconds: RETRY_BASE_DELAY, maxSeconds: RETRY_MAX_DELAY });
+				log.warn('lead_sync', { outcome: 'retrying', latencyMs, delaySeconds, error });
+				message.retry({ delaySeconds });
+				continue;
+			}
+
+			try {
+				const id = await recordDeadLetter(env.DB, {
+					id: deadLetterId,
+					destination: sinkName,
+					leadId,
+					payload: { message: body, sent: payload },
+					error: reason,
+					errorStatus: typeof error.statusCode === 'number' ? error.statusCode : null,
+					attempts: message.attempts,
+				});
+				await markSinkFailed(env.DB, leadId, sinkName, reason, 'dead_lettered').catch(() => {});
+				log.error('lead_sync', { outcome: 'dead_lettered', deadLetterId: id, permanent: !transient, latencyMs, error });
+				message.ack();
+			} catch (deadLetterError) {
+				// Keep the message in the queue rather than lose it
+				log.error('lead_sync.dead_letter_failed', { error: deadLetterError });
+				message.retry({ delaySeconds: RETRY_MAX_DELAY });
+			}
+		}
+	}
+}
@@ -0,0 +1,241 @@
+/**
+ * D1 lead store
+ *
+ * Every submission is written here first. Downstream systems (the lead sinks)
+ * are fed from this table, so a third-party outage can't lose a lead. Each
+ * sink's delivery state is tracked per lead in `lead_sink_deliveries`.
+ */
+
+import { COUNTER_VALUE_SQL, incrementCounter } from './counters.js';
+
+// Fields of a lead object, as returned by toLead
+export const LEAD_FIELDS = [
+	'id',
+	'reference',
+	'appUrl',
+	'email',
+	'platform',
+	'selectedFeatures',
+	'selectedServices',
+	'hasCustomRequest',
+	'customRequestText',
+	'additionalContext',
+	'estimatedPrice',
+	'featureDiscount',
+	'status',
+	'submittedAt',
+	'createdAt',
+];
+
+/**
+ * Convert a `leads` row into a lead object
+ */
+export function toLead(row) {
+	if (!row) {
+		return null;
+	}
+
+	return {
+		id: row.id,
+		reference: row.reference,
+		appUrl: row.app_url,
+		email: row.email,
+		platform: row.platform,
+		selectedFeatures: JSON.parse(row.selected_features),
+		selectedServices: JSON.parse(row.selected_services),
+		hasCustomRequest: row.has_custom_request === 1,
+		customRequestText: row.custom_request_text,
+		additionalContext: row.additional_context,
+		estimatedPrice: row.estimated_price,
+		featureDiscount: row.feature_discount,
+		status: row.status,
+		submittedAt: row.submitted_at,
+		createdAt: row.created_at,
+		estimate: row.estimate ? JSON.parse(row.estimate) : null,
+	};
+}
+
+// Customer-facing reference: FIN-<year>-<number within the year, at least 4 digits>
+export const REFERENCE_PATTERN = /^FIN-\d{4}-\d{4,}$/;
+
+/**
+ * Store a validated submission with its server-computed pricing
+ *
+ * `estimate` is the itemized buildQuote result the total came from, kept so
+ * later emails show what the customer saw. The lead gets the next reference
+ * number for the current year, and its status history starts with the
+ * customer creating it as New.
+ */
+export async function createLead(db, data, { total, discount, estimate = null }) {
+	const now = new Date().toISOString();
+	const year = now.slice(0, 4);
+	const counter = `lead-reference:${year}`;
+	const lead = {
+		id: crypto.randomUUID(),
+		reference: null,
+		appUrl: data.appUrl,
+		email: data.email,
+		platform: data.platform || 'Not specified',
+		selectedFeatures: data.selectedFeatures || [],
+		selectedServices: data.selectedServices || [],
+		hasCustomRequest: !!data.hasCustomRequest,
+		customRequestText: data.customRequestText || null,
+		additionalContext: data.additionalContext || null,
+		estimatedPrice: total,
+		featureDiscount: discount,
+		status: 'New',
+		// Server time: dashboards, exports and the portal sort and filter on it
+		submittedAt: now,
+		createdAt: now,
+		estimate,
+	};
+
+	const [, inserted] = await db.batch([
+		incrementCounter(db, counter),
+		db
+			.prepare(
+				`INSERT INTO leads (
+					id, reference, app_url, email, platform, selected_features, selected_services,
+					has_custom_request, custom_request_text, additional_context,
+					estimated_price, feature_discount, status, submitted_at, created_at, estimate
+				) VALUES (?, printf('FIN-%s-%04d', ?, ${COUNTER_VALUE_SQL}), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+				RETURNING reference`
+			)
+			.bind(
+				lead.id,
+				year,
+				counter,
+				lead.appUrl,
+				lead.email,
+				lead.platform,
+				JSON.stringify(lead.selectedFeatures),
+				JSON.stringify(lead.selectedServices),
+				lead.hasCustomRequest ? 1 : 0,
+				lead.customRequestText,
+				lead.additionalContext,
+				lead.estimatedPrice,
+				lead.featureDiscount,
+				lead.status,
+				lead.submittedAt,
+				lead.createdAt,
+				estimate && JSON.stringify(estimate)
+			),
+		db
+			.prepare(
+				"INSERT INTO lead_status_history (id, lead_id, from_status, to_status, actor, created_at) VALUES (?, ?, NULL, ?, 'customer', ?)"
+			)
+			.bind(crypto.randomUUID(), lead.id, lead.status, lead.createdAt),
+	]);
+	lead.reference = inserted.results[0].reference;
+
+	return lead;
+}
+
+/**
+ * Fetch a lead by id
+ */
+export async function getLead(db, id) {
+	const row = await db.prepare('SELECT * FROM leads WHERE id = ?').bind(id).first();
+	return toLead(row);
+}
+
+/**
+ * Fetch a lead by its customer-facing reference
+ */
+export async function getLeadByReference(db, reference) {
+	const row = await db.prepare('SELECT * FROM leads WHERE reference = ?').bind(reference).first();
+	return toLead(row);
+}
+
+/**
+ * Every lead submitted with an email address (compared case-insensitively), newest first
+ */
+export async function listLeadsByEmail(db, email) {
+	const { results } = await db
+		.prepare('SELECT * FROM leads WHERE email = ? COLLATE NOCASE ORDER BY submitted_at DESC')
+		.bind(email.trim())
+		.all();
+	return results.map(toLead);
+}
+
+/**
+ * Convert a `lead_sink_deliveries` row into a delivery object
+ */
+function toSinkDelivery(row) {
+	if (!row) {
+		return null;
+	}
+
+	return {
+		sink: row.sink,
+		status: row.status,
+		externalIds: row.external_ids ? JSON.parse(row.external_ids) : null,
+		attempts: row.attempts,
+		lastError: row.last_error,
+		deliveredAt: row.delivered_at,
+		updatedAt: row.updated_at,
+	};
+}
+
+/**
+ * Start tracking delivery of a lead to each sink
+ */
+export async function createSinkDeliveries(db, leadId, sinks) {
+	if (sinks.length === 0) {
+		return;
+	}
+
+	const now = new Date().toISOString();
+	const statement = db.prepare("INSERT OR IGNORE INTO lead_sink_deliveries (lead_id, sink, status, updated_at) VALUES (?, ?, 'pending', ?)");
+	await db.batch(sinks.map(sink => statement.bind(leadId, sink, now)));
+}
+
+/**
+ * Delivery state of a lead for every sink it was sent to
+ */
+export async function getSinkDeliveries(db, leadId) {
+	const { results } = await db.prepare('SELECT * FROM lead_sink_deliveries WHERE lead_id = ? ORDER BY sink').bind(leadId).all();
+	return results.map(toSinkDelivery);
+}
+
+/**
+ * Delivery state of a lead for one sink
+ */
+export async function getSinkDelivery(db, leadId, sink) {
+	const row = await db.prepare('SELECT * FROM lead_sink_deliveries WHERE lead_id = ? AND sink = ?').bind(leadId, sink).first();
+	return toSinkDelivery(row);
+}
+
+/**
+ * Record a successful delivery with the ids the sink returned
+ */
+export async function markSinkDelivered(db, leadId, sink, externalIds) {
+	const now = new Date().toISOString();
+	await db
+		.prepare(
+			`INSERT INTO lead_sink_deliveries (lead_id, sink, status, external_ids, attempts, delivered_at, updated_at)
+			VALUES (?, ?, 'delivered', ?, 1, ?, ?)
+			ON CONFLICT (lead_id, sink) DO UPDATE SET
+				status = 'delivered', external_ids = excluded.external_ids, attempts = attempts + 1,
+				last_error = NULL, delivered_at = excluded.delivered_at, updated_at = excluded.updated_at`
+		)
+		.bind(leadId, sink, JSON.stringify(externalIds), now, now)
+		.run();
+}
+
+/**
+ * Record a failed delivery attempt
+ *
+ * `status` is 'failed' while retries remain and 'dead_lettered' after.
+ */
+export async function markSinkFailed(db, leadId, sink, message, status = 'failed') {
+	await db
+		.prepare(
+			`INSERT INTO lead_sink_deliveries (lead_id, sink, status, attempts, last_error, updated_at)
+			VALUES (?, ?, ?, 1, ?, ?)
+			ON CONFLICT (lead_id, sink) DO UPDATE SET
+				status = excluded.status, attempts = attempts + 1, last_error = excluded.last_error, updated_at = excluded.updated_at`
+		)
+		.bind(leadId, sink, status, message, new Date().toISOString())
+		.run();
+}
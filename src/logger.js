@@ -0,0 +1,105 @@
+/**
+ * Structured logging
+ *
+ * Every log line is a single JSON object so Workers Logs can filter on its
+ * fields. Request-scoped loggers carry a request id (the cf-ray header, or a
+ * generated id outside Cloudflare's edge) that is also returned to the client
+ * in the X-Request-Id header and in JSON error bodies, so support can find the
+ * log lines behind a customer's error message.
+ *
+ * Customer data is redacted before anything is written: free-text and contact
+ * fields are dropped by name, and emails and URLs are masked wherever they
+ * appear inside strings (including error messages).
+ */
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Fields whose values are never logged
+const REDACTED_FIELDS = new Set([
+	'email',
+	'appUrl',
+	'otherPlatform',
+	'additionalContext',
+	'customRequestText',
+	'customRequestDetails',
+]);
+
+const URL_PATTERN = /\b[a-z][a-z0-9+.-]*:\/\/[^\s"'<>]+/gi;
+const EMAIL_PATTERN = /[^\s@<>"'(),;:/]+@[^\s@<>"'(),;:/]+\.[a-z]{2,}\b/gi;
+
+/**
+ * Mask URLs and email addresses inside a string
+ */
+export function scrub(text) {
+	return text.replace(URL_PATTERN, '[url]').replace(EMAIL_PATTERN, '[email]');
+}
+
+function serializeError(error) {
+	const serialized = { name: error.name, message: error.message };
+	if (error.code) {
+		serialized.code = error.code;
+	}
+	if (error.reason) {
+		serialized.reason = error.reason;
+	}
+	if (error.stack) {
+		serialized.stack = error.stack;
+	}
+	return serialized;
+}
+
+/**
+ * Redact a value for logging
+ */
+export function redact(value, key) {
+	if (key !== undefined && REDACTED_FIELDS.has(key)) {
+		return value === undefined || value === null || value === '' ? value : '[redacted]';
+	}
+	if (typeof value === 'string') {
+		return scrub(value);
+	}
+	if (value instanceof Error) {
+		return redact(serializeError(value));
+	}
+	if (Array.isArray(value)) {
+		return value.map(item => redact(item));
+	}
+	if (value && typeof value === 'object') {
+		return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(item, name)]));
+	}
+	return value;
+}
+
+/**
+ * Request id for a request: Cloudflare's ray id when present
+ */
+export function requestIdFor(request) {
+	return request.headers.get('cf-ray') || crypto.randomUUID();
+}
+
+/**
+ * Create a logger whose lines all include `context`
+ *
+ * `log.info(event, fields)`, `log.warn(...)` and `log.error(...)` write one
+ * line each; `log.child(fields)` adds more context.
+ */
+export function createLogger(context = {}) {
+	function write(level, event, fields = {}) {
+		const line = JSON.stringify(redact({ level, event, time: new Date().toISOString(), ...context, ...fields }));
+		if (level === 'error') {
+			console.error(line);
+		} else if (level === 'warn') {
+			console.warn(line);
+		} else {
+			console.log(line);
+		}
+	}
+
+	return {
+		requestId: context.requestId,
+		child: fields => createLogger({ ...context, ...fields }),
+		info: (event, fields) => write('info', event, fields),
+		warn: (event, fields) => write('warn', event, fields),
+		error: (event, fields) => write('error', event, fields),
+	};
+}
@@ -0,0 +1,306 @@
+/**
+ * Payment milestones
+ *
+ * When a customer accepts a quote, the payment schedule it was sent with (see
+ * payment-schedules.js) becomes its milestones. Each has its own amount, due
+ * trigger and payment link, and moves from scheduled to due when its trigger
+ * fires: acceptance at once, start when the lead moves to In Progress, and
+ * delivery when an admin asks for the payment. The customer is emailed the
+ * link for each milestone as it falls due, and pays it by Stripe Checkout
+ * (payments.js marks it paid) unless an admin waives it. A lead can't move
+ * to Delivered or Closed while any milestone is outstanding.
+ */
+
+import { sendEmail } from './email/index.js';
+import { renderMilestoneDueEmail } from './email/templates.js';
+import { BadRequestError, ConflictError, NotFoundError } from './errors.js';
+import { json, readJsonObject } from './http.js';
+import { getLead } from './leads.js';
+import { createLogger } from './logger.js';
+import { milestonePaymentUrl } from './quote-links.js';
+
+export const MILESTONE_STATUSES = ['scheduled', 'due', 'paid', 'waived'];
+
+const MAX_WAIVE_REASON_LENGTH = 1000;
+
+function toMilestone(row) {
+	if (!row) {
+		return null;
+	}
+
+	return {
+		id: row.id,
+		leadId: row.lead_id,
+		quoteId: row.quote_id,
+		position: row.position,
+		label: row.label,
+		percent: row.percent,
+		amount: row.amount,
+		currency: row.currency,
+		due: row.due_trigger,
+		status: row.status,
+		dueAt: row.due_at,
+		paidAt: row.paid_at,
+		waivedBy: row.waived_by,
+		waivedReason: row.waived_reason,
+		waivedAt: row.waived_at,
+		createdAt: row.created_at,
+		updatedAt: row.updated_at,
+	};
+}
+
+/**
+ * Whether a milestone needs nothing more from the customer
+ */
+export function isSettled(milestone) {
+	return milestone.status === 'paid' || milestone.status === 'waived';
+}
+
+/**
+ * What the customer sees of a milestone
+ */
+export function toCustomerMilestone({ id, label, percent, amount, due, status, dueAt, paidAt }) {
+	return { id, label, percent, amount, due, status, dueAt, paidAt };
+}
+
+/**
+ * Add each outstanding milestone's payment link as `payUrl`
+ */
+export function withPaymentUrls(env, milestones) {
+	return Promise.all(
+		milestones.map(async milestone => ({
+			...milestone,
+			payUrl: isSettled(milestone) ? null : await milestonePaymentUrl(env, { id: milestone.quoteId }, milestone),
+		}))
+	);
+}
+
+/**
+ * A lead's milestones, in schedule order
+ */
+export async function listMilestones(db, leadId) {
+	const { results } = await db
+		.prepare('SELECT * FROM payment_milestones WHERE lead_id = ? ORDER BY created_at, position')
+		.bind(leadId)
+		.all();
+	return results.map(toMilestone);
+}
+
+/**
+ * The milestones of one quote, in schedule order
+ */
+export async function listQuoteMilestones(db, quoteId) {
+	const { results } = await db.prepare('SELECT * FROM payment_milestones WHERE quote_id = ? ORDER BY position').bind(quoteId).all();
+	return results.map(toMilestone);
+}
+
+/**
+ * Milestones for several leads, keyed by lead id
+ */
+export async function listMilestonesForLeads(db, leadIds) {
+	const milestones = Object.fromEntries(leadIds.map(id => [id, []]));
+	if (leadIds.length === 0) {
+		return milestones;
+	}
+
+	const { results } = await db
+		.prepare(
+			`SELECT * FROM payment_milestones WHERE lead_id IN (${leadIds.map(() => '?').join(', ')}) ORDER BY created_at, position`
+		)
+		.bind(...leadIds)
+		.all();
+	for (const row of results) {
+		milestones[row.lead_id].push(toMilestone(row));
+	}
+	return milestones;
+}
+
+/**
+ * Fetch a milestone by id
+ */
+export async function getMilestone(db, id) {
+	const row = await db.prepare('SELECT * FROM payment_milestones WHERE id = ?').bind(id).first();
+	return toMilestone(row);
+}
+
+/**
+ * Statements that create an accepted quote's milestones from `schedule`
+ *
+ * They only insert while the quote is still sent, so they belong in the batch
+ * that accepts it, ahead of the statement that changes its status.
+ * Milestones due on acceptance start out due.
+ */
+export function milestoneStatements(db, lead, quote, schedule, now) {
+	return schedule.milestones.map((milestone, index) => {
+		const due = milestone.due === 'acceptance';
+		return db
+			.prepare(
+				`INSERT INTO payment_milestones (
+					id, lead_id, quote_id, position, label, percent, amount, currency, due_trigger, status, due_at, created_at, updated_at
+				)
+				SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ? WHERE EXISTS (SELECT 1 FROM quotes WHERE id = ? AND status = 'sent')`
+			)
+			.bind(
+				crypto.randomUUID(),
+				lead.id,
+				quote.id,
+				index + 1,
+				milestone.label,
+				milestone.percent,
+				milestone.amount,
+				quote.currency,
+				milestone.due,
+				due ? 'due' : 'scheduled',
+				due ? now : null,
+				now,
+				now,
+				quote.id
+			);
+	});
+}
+
+/**
+ * Email the customer the payment link for a milestone
+ *
+ * Returns the link and whether the email went out; a failure is logged so
+ * the link can be passed on by hand.
+ */
+async function emailPaymentLink(env, lead, milestone, { reminder }, log) {
+	const payUrl = await milestonePaymentUrl(env, { id: milestone.quoteId }, milestone);
+	try {
+		await sendEmail(env, {
+			to: lead.email,
+			...renderMilestoneDueEmail({ lead, milestone, payUrl, reminder }),
+			idempotencyKey: reminder ? undefined : `milestone-due-${milestone.id}`,
+		});
+		return { payUrl, emailSent: true };
+	} catch (error) {
+		log.error('milestone.email_failed', { leadId: lead.id, milestoneId: milestone.id, error });
+		return { payUrl, emailSent: false };
+	}
+}
+
+/**
+ * Make a lead's scheduled milestones with `trigger` due and email their links
+ */
+export async function markMilestonesDue(env, lead, trigger, log = createLogger()) {
+	const now = new Date().toISOString();
+	const { results } = await env.DB.prepare(
+		`UPDATE payment_milestones SET status = 'due', due_at = ?, updated_at = ?
+		WHERE lead_id = ? AND due_trigger = ? AND status = 'scheduled' RETURNING *`
+	)
+		.bind(now, now, lead.id, trigger)
+		.all();
+
+	const milestones = results.map(toMilestone);
+	for (const milestone of milestones) {
+		log.info('milestone.due', { leadId: lead.id, milestoneId: milestone.id, amount: milestone.amount, trigger });
+		await emailPaymentLink(env, lead, milestone, { reminder: false }, log);
+	}
+	return milestones;
+}
+
+function settled(milestone) {
+	return new ConflictError(`${milestone.label} has already been ${milestone.status}.`, { code: 'milestone_settled' });
+}
+
+/**
+ * Ask the customer to pay a milestone now
+ *
+ * A scheduled milestone becomes due; one that's already due gets a reminder.
+ * Returns the milestone, its payment link and whether the email went out.
+ */
+export async function requestMilestonePayment(env, lead, milestone, log = createLogger()) {
+	if (isSettled(milestone)) {
+		throw settled(milestone);
+	}
+
+	let current = milestone;
+	let reminder = true;
+	if (milestone.status === 'scheduled') {
+		const now = new Date().toISOString();
+		const result = await env.DB.prepare(
+			"UPDATE payment_milestones SET status = 'due', due_at = ?, updated_at = ? WHERE id = ? AND status = 'scheduled'"
+		)
+			.bind(now, now, milestone.id)
+			.run();
+		reminder = result.meta.changes === 0;
+		current = await getMilestone(env.DB, milestone.id);
+		if (isSettled(current)) {
+			throw settled(current);
+		}
+		if (!reminder) {
+			log.info('milestone.due', { leadId: lead.id, milestoneId: milestone.id, amount: milestone.amount, trigger: 'request' });
+		}
+	}
+
+	return { milestone: current, ...(await emailPaymentLink(env, lead, current, { reminder }, log)) };
+}
+
+/**
+ * Waive an outstanding milestone, so the lead can be delivered without it
+ */
+export async function waiveMilestone(env, milestone, { actor, reason }, log = createLogger()) {
+	if (isSettled(milestone)) {
+		throw settled(milestone);
+	}
+
+	const now = new Date().toISOString();
+	const result = await env.DB.prepare(
+		`UPDATE payment_milestones SET status = 'waived', waived_by = ?, waived_reason = ?, waived_at = ?, updated_at = ?
+		WHERE id = ? AND status IN ('scheduled', 'due')`
+	)
+		.bind(actor, reason, now, now, milestone.id)
+		.run();
+	if (result.meta.changes === 0) {
+		throw settled(await getMilestone(env.DB, milestone.id));
+	}
+
+	log.info('milestone.waived', { leadId: milestone.leadId, milestoneId: milestone.id, amount: milestone.amount, actor });
+	return { ...milestone, status: 'waived', waivedBy: actor, waivedReason: reason, waivedAt: now, updatedAt: now };
+}
+
+/**
+ * Refuse a status change while any of the lead's milestones is outstanding
+ */
+export async function assertMilestonesSettled(db, lead, to) {
+	const outstanding = (await listMilestones(db, lead.id)).filter(milestone => !isSettled(milestone));
+	if (outstanding.length > 0) {
+		throw new ConflictError(`Collect or waive the outstanding payments before moving the lead to ${to}.`, {
+			code: 'payment_outstanding',
+			details: { milestones: outstanding.map(({ id, label, amount, status }) => ({ id, label, amount, status })) },
+		});
+	}
+}
+
+async function findLeadMilestone(env, params) {
+	const [lead, milestone] = await Promise.all([getLead(env.DB, params.id), getMilestone(env.DB, params.milestoneId)]);
+	if (!lead || !milestone || milestone.leadId !== lead.id) {
+		throw new NotFoundError('Milestone not found');
+	}
+	return { lead, milestone };
+}
+
+/**
+ * Handle POST /api/v1/admin/leads/:id/milestones/:milestoneId/request
+ */
+export async function handleRequestMilestonePayment({ env, params, log }) {
+	const { lead, milestone } = await findLeadMilestone(env, params);
+	return json({ success: true, ...(await requestMilestonePayment(env, lead, milestone, log)) });
+}
+
+/**
+ * Handle POST /api/v1/admin/leads/:id/milestones/:milestoneId/waive
+ *
+ * Takes `{ reason }`, which is required and kept with the milestone.
+ */
+export async function handleWaiveMilestone({ request, env, params, admin, log }) {
+	const { milestone } = await findLeadMilestone(env, params);
+	const data = await readJsonObject(request);
+	const reason = typeof data.reason === 'string' ? data.reason.trim() : '';
+	if (!reason || reason.length > MAX_WAIVE_REASON_LENGTH) {
+		throw new BadRequestError(`reason must be between 1 and ${MAX_WAIVE_REASON_LENGTH} characters`);
+	}
+
+	return json({ success: true, milestone: await waiveMilestone(env, milestone, { actor: admin.actor, reason }, log) });
+}
@@ -0,0 +1,47 @@
+/**
+ * Discord notifier
+ *
+ * Posts embeds to Discord channel webhooks. DISCORD_WEBHOOK_URL is a secret
+ * holding one or more webhook URLs, comma-separated.
+ */
+
+import { requestJson } from '../outbound.js';
+
+// Embed accent color (Finalize blue)
+const EMBED_COLOR = 0x2563eb;
+
+/**
+ * Render a notification as a webhook message with one embed
+ */
+export function formatDiscordMessage(notification) {
+	return {
+		embeds: [
+			{
+				title: notification.title,
+				url: notification.adminUrl,
+				color: EMBED_COLOR,
+				description: notification.customRequestText ? `**Custom request**\n${notification.customRequestText}` : undefined,
+				fields: notification.fields.map(field => ({ name: field.label, value: field.value, inline: field.label !== 'Features' })),
+				timestamp: notification.timestamp,
+			},
+		],
+		// Lead text is user input; never let it ping anyone
+		allowed_mentions: { parse: [] },
+	};
+}
+
+export const discordNotifier = {
+	name: 'discord',
+
+	targets(env) {
+		return String(env.DISCORD_WEBHOOK_URL || '')
+			.split(',')
+			.map(url => url.trim())
+			.filter(Boolean);
+	},
+
+	async send(env, url, notification) {
+		// The webhook URL is the credential, so keep it out of error messages
+		await requestJson(url, { body: formatDiscordMessage(notification), label: 'Discord webhook' });
+	},
+};
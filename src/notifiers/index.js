@@ -0,0 +1,87 @@
+/**
+ * Team notifications for new leads and quote responses
+ *
+ * A notifier posts to a chat service:
+ *
+ *   {
+ *     name,
+ *     targets(env) -> [target]                  // webhook URLs or chat ids; none means disabled
+ *     send(env, target, notification) -> void
+ *   }
+ *
+ * Notifications go out from ctx.waitUntil after the customer has their
+ * response, so failures can't reach the submitter. Transient failures are
+ * retried a few times in place with short backoff; anything else is logged
+ * and dropped, since the lead itself is safe in D1.
+ */
+
+import { createLogger } from '../logger.js';
+import { backoffDelay, isTransientDeliveryError } from '../retry.js';
+import { discordNotifier } from './discord.js';
+import { buildLeadNotification, buildQuoteResponseNotification } from './message.js';
+import { slackNotifier } from './slack.js';
+import { telegramNotifier } from './telegram.js';
+
+export const NOTIFIERS = [slackNotifier, discordNotifier, telegramNotifier];
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// Backoff bounds in seconds; waitUntil work has to finish within 30 seconds
+const RETRY_BASE_DELAY = 1;
+const RETRY_MAX_DELAY = 8;
+
+const sleep = seconds => new Promise(resolve => setTimeout(resolve, seconds * 1000));
+
+/**
+ * Send one notification to one target, retrying transient failures
+ */
+async function deliver(env, notifier, target, notification, maxAttempts, log) {
+	for (let attempt = 1; ; attempt++) {
+		try {
+			await notifier.send(env, target, notification);
+			log.info('lead_notify', { outcome: 'delivered', attempt });
+			return true;
+		} catch (error) {
+			if (!isTransientDeliveryError(error) || attempt >= maxAttempts) {
+				log.error('lead_notify', { outcome: 'failed', attempt, status: error.statusCode ?? null, error });
+				return false;
+			}
+
+			const delaySeconds = backoffDelay(attempt, { baseSeconds: RETRY_BASE_DELAY, maxSeconds: RETRY_MAX_DELAY });
+			log.warn('lead_notify', { outcome: 'retrying', attempt, delaySeconds, error });
+			await sleep(delaySeconds);
+		}
+	}
+}
+
+/**
+ * Post a notification to every configured chat target
+ *
+ * Never throws. Resolves with the number of targets that were notified.
+ */
+export async function notifyTeam(env, notification, log = createLogger()) {
+	const maxAttempts = Number(env.NOTIFY_MAX_ATTEMPTS) > 0 ? Number(env.NOTIFY_MAX_ATTEMPTS) : DEFAULT_MAX_ATTEMPTS;
+
+	const deliveries = NOTIFIERS.flatMap(notifier =>
+		notifier.targets(env).map((target, index) =>
+			deliver(env, notifier, target, notification, maxAttempts, log.child({ channel: notifier.name, target: index }))
+		)
+	);
+	const results = await Promise.all(deliveries);
+	return results.filter(Boolean).length;
+}
+
+/**
+ * Post a new lead to every configured chat target
+ */
+export function notifyNewLead(env, lead, { adminUrl }, log = createLogger()) {
+	return notifyTeam(env, buildLeadNotification(lead, adminUrl), log.child({ leadId: lead.id }));
+}
+
+/**
+ * Post a customer's acceptance or decline of a quote
+ */
+export function notifyQuoteResponse(env, lead, quote, response, { adminUrl }, log = createLogger()) {
+	const notification = buildQuoteResponseNotification(lead, quote, response, adminUrl);
+	return notifyTeam(env, notification, log.child({ leadId: lead.id, quoteId: quote.id }));
+}
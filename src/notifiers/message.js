@@ -0,0 +1,77 @@
+/**
+ * Chat-neutral team notifications
+ *
+ * Each notifier renders these in its own format. Contact details stay out of
+ * chat; the admin link is where the team goes for those.
+ */
+
+import { ConfigurationError } from '../errors.js';
+import { formatMoney, truncate } from '../format.js';
+import { CATALOG } from '../pricing.js';
+
+// Chat APIs cap lengths: Discord at 1024 per embed field and 6000 per embed,
+// Telegram at 4096 per message. With every field at its cap a notification
+// still fits all of them.
+const MAX_FIELD_LENGTH = 500;
+const MAX_TEXT_LENGTH = 1000;
+
+/**
+ * Build notification fields from `[label, value]` pairs, capping each value
+ *
+ * Most values are customer input of any length, and a chat API rejects the
+ * whole message when one field is too long.
+ */
+function toFields(pairs) {
+	return pairs.map(([label, value]) => ({ label, value: truncate(value, MAX_FIELD_LENGTH) }));
+}
+
+/**
+ * Link to a lead's admin view, on SITE_URL rather than the request's Host
+ */
+export function adminLeadUrl(env, leadId) {
+	if (!env.SITE_URL) {
+		throw new ConfigurationError('SITE_URL is not set');
+	}
+	return new URL(`/admin/leads/${leadId}`, env.SITE_URL).href;
+}
+
+/**
+ * Build the notification for a newly stored lead
+ */
+export function buildLeadNotification(lead, adminUrl) {
+	const discount = lead.featureDiscount > 0 ? ` (after ${formatMoney(lead.featureDiscount, CATALOG.currency)} discount)` : '';
+
+	return {
+		title: `New estimate request ${lead.reference}`,
+		fields: toFields([
+			['App', lead.appUrl],
+			['Platform', lead.platform],
+			['Features', lead.selectedFeatures.join(', ') || 'None'],
+			['Services', lead.selectedServices.join(', ') || 'None'],
+			['Estimated total', `${formatMoney(lead.estimatedPrice, CATALOG.currency)}${discount}`],
+		]),
+		customRequestText: lead.hasCustomRequest ? truncate(lead.customRequestText || 'No details given', MAX_TEXT_LENGTH) : null,
+		adminUrl,
+		// When the Worker received it
+		timestamp: lead.createdAt,
+	};
+}
+
+/**
+ * Build the notification for a customer accepting or declining a quote
+ */
+export function buildQuoteResponseNotification(lead, quote, response, adminUrl) {
+	const accepted = response.decision === 'accepted';
+
+	return {
+		title: `Quote ${accepted ? 'accepted' : 'declined'} for ${lead.reference}`,
+		fields: toFields([
+			['App', lead.appUrl],
+			['Quote', `Version ${quote.version}, ${formatMoney(quote.total, quote.currency)}`],
+			accepted ? ['Signed by', response.signatureName] : ['Reason', response.reason || 'No reason given'],
+		]),
+		customRequestText: null,
+		adminUrl,
+		timestamp: response.respondedAt,
+	};
+}
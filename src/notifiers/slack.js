@@ -0,0 +1,58 @@
+/**
+ * Slack notifier
+ *
+ * Posts Block Kit messages to Slack incoming webhooks. SLACK_WEBHOOK_URL is a
+ * secret holding one or more webhook URLs, comma-separated.
+ */
+
+import { requestJson } from '../outbound.js';
+
+/**
+ * Escape the characters Slack's mrkdwn treats as markup
+ *
+ * Lead fields are customer input; unescaped, `<!channel>` pings everyone and
+ * `<https://evil.example|Open>` renders as a disguised link.
+ */
+function escapeMrkdwn(value) {
+	return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Render a notification as a Block Kit message
+ */
+export function formatSlackMessage(notification) {
+	const blocks = [
+		{ type: 'header', text: { type: 'plain_text', text: notification.title } },
+		{
+			type: 'section',
+			fields: notification.fields.map(field => ({ type: 'mrkdwn', text: `*${field.label}*\n${escapeMrkdwn(field.value)}` })),
+		},
+	];
+	if (notification.customRequestText) {
+		const quoted = escapeMrkdwn(notification.customRequestText).replace(/\n/g, '\n>');
+		blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*Custom request*\n>${quoted}` } });
+	}
+	blocks.push({
+		type: 'actions',
+		elements: [{ type: 'button', text: { type: 'plain_text', text: 'Open in admin' }, url: notification.adminUrl, style: 'primary' }],
+	});
+
+	// `text` is the fallback for notifications and clients without blocks
+	return { text: `${notification.title}: ${escapeMrkdwn(notification.fields[0].value)}`, blocks };
+}
+
+export const slackNotifier = {
+	name: 'slack',
+
+	targets(env) {
+		return String(env.SLACK_WEBHOOK_URL || '')
+			.split(',')
+			.map(url => url.trim())
+			.filter(Boolean);
+	},
+
+	async send(env, url, notification) {
+		// The webhook URL is the credential, so keep it out of error messages
+		await requestJson(url, { body: formatSlackMessage(notification), label: 'Slack webhook' });
+	},
+};
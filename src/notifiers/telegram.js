@@ -0,0 +1,51 @@
+/**
+ * Telegram notifier
+ *
+ * Sends messages through the Telegram Bot API. Needs the TELEGRAM_BOT_TOKEN
+ * secret and TELEGRAM_CHAT_ID (one or more chat ids, comma-separated);
+ * TELEGRAM_API_BASE overrides the API host.
+ */
+
+import { escapeHtml } from '../format.js';
+import { requestJson } from '../outbound.js';
+
+const DEFAULT_API_BASE = 'https://api.telegram.org';
+
+/**
+ * Render a notification as sendMessage parameters (HTML parse mode)
+ */
+export function formatTelegramMessage(notification) {
+	const lines = [
+		`<b>${escapeHtml(notification.title)}</b>`,
+		'',
+		...notification.fields.map(field => `<b>${escapeHtml(field.label)}:</b> ${escapeHtml(field.value)}`),
+	];
+	if (notification.customRequestText) {
+		lines.push('', '<b>Custom request:</b>', `<blockquote>${escapeHtml(notification.customRequestText)}</blockquote>`);
+	}
+	lines.push('', `<a href="${escapeHtml(notification.adminUrl)}">Open in admin</a>`);
+
+	return { text: lines.join('\n'), parse_mode: 'HTML', link_preview_options: { is_disabled: true } };
+}
+
+export const telegramNotifier = {
+	name: 'telegram',
+
+	targets(env) {
+		if (!env.TELEGRAM_BOT_TOKEN) {
+			return [];
+		}
+		return String(env.TELEGRAM_CHAT_ID || '')
+			.split(',')
+			.map(id => id.trim())
+			.filter(Boolean);
+	},
+
+	async send(env, chatId, notification) {
+		// The bot token is part of the URL, so keep it out of error messages
+		await requestJson(`${env.TELEGRAM_API_BASE || DEFAULT_API_BASE}/bot${env.TELEGRAM_BOT_TOKEN}/sendMessage`, {
+			body: { chat_id: chatId, ...formatTelegramMessage(notification) },
+			label: 'Telegram sendMessage',
+		});
+	},
+};
@@ -0,0 +1,65 @@
+/**
+ * Outbound HTTP to third-party services
+ *
+ * Small fetch wrapper shared by the lead sinks and other integrations. Every
+ * base URL comes from the environment so local runs and tests can point at a
+ * stand-in server.
+ */
+
+/**
+ * A failed call to a third-party service
+ *
+ * `statusCode` is the HTTP status, or null when no response arrived.
+ */
+export class DeliveryError extends Error {
+	constructor(message, { statusCode = null, body } = {}) {
+		super(message);
+		this.name = 'DeliveryError';
+		this.statusCode = statusCode;
+		this.body = body;
+	}
+}
+
+/**
+ * Send a JSON request and return the parsed response body
+ *
+ * A string `body` is sent as-is, so callers can send exactly the bytes they
+ * signed, and URLSearchParams are sent form-encoded (for APIs like Stripe's).
+ * `label` names the call in error messages in place of the method and path,
+ * for URLs with credentials in them. Throws DeliveryError for network failures
+ * and non-2xx responses.
+ */
+export async function requestJson(url, { method = 'POST', headers = {}, body, label } = {}) {
+	const form = body instanceof URLSearchParams;
+	let response;
+	try {
+		response = await fetch(url, {
+			method,
+			headers: { ...headers, 'Content-Type': form ? 'application/x-www-form-urlencoded' : 'application/json', Accept: 'application/json' },
+			body: body === undefined || typeof body === 'string' || form ? body : JSON.stringify(body),
+		});
+	} catch (error) {
+		throw new DeliveryError(`Could not reach ${label || new URL(url).host}: ${error.message}`);
+	}
+
+	const text = await response.text();
+	let parsed = null;
+	try {
+		parsed = text ? JSON.parse(text) : null;
+	} catch {
+		// Not JSON; keep the text for the error message
+		parsed = text;
+	}
+
+	if (!response.ok) {
+		const detail =
+			parsed?.message || parsed?.error?.message || parsed?.description || (typeof parsed === 'string' ? parsed.slice(0, 200) : '');
+		const call = label || `${method} ${new URL(url).pathname}`;
+		throw new DeliveryError(`${call} failed with ${response.status}${detail ? `: ${detail}` : ''}`, {
+			statusCode: response.status,
+			body: parsed,
+		});
+	}
+
+	return parsed;
+}
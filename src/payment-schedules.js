@@ -0,0 +1,148 @@
+/**
+ * Payment schedules
+ *
+ * A quote is paid in one or more milestones, each a share of its total that
+ * falls due on a trigger:
+ *
+ *   acceptance   when the customer accepts the quote
+ *   start        when work starts (the lead moves to In Progress)
+ *   delivery     when the team asks for it, before delivering
+ *
+ * The schedule comes from the first rule whose conditions all match the
+ * quote; a quote no rule matches is paid in full on acceptance. The
+ * PAYMENT_SCHEDULES var replaces DEFAULT_SCHEDULE_RULES with a JSON array of
+ * rules like:
+ *
+ *   {
+ *     "name": "Large custom requests",
+ *     "customRequest": true,        // optional: only quotes with custom work
+ *     "totalOver": 500,             // optional: only quotes over this total
+ *     "milestones": [
+ *       { "label": "Deposit", "percent": 50, "due": "acceptance" },
+ *       { "label": "Balance", "percent": 50, "due": "delivery" }
+ *     ]
+ *   }
+ *
+ * Percentages are whole numbers adding up to 100. Amounts are rounded down to
+ * whole units and the last milestone takes the remainder.
+ */
+
+import { ConfigurationError } from './errors.js';
+import { CATALOG } from './pricing.js';
+
+export const DUE_TRIGGERS = ['acceptance', 'start', 'delivery'];
+
+// How each trigger reads after a milestone, e.g. "Deposit, due on acceptance"
+export const DUE_DESCRIPTIONS = { acceptance: 'on acceptance', start: 'when work starts', delivery: 'on delivery' };
+
+const MAX_LABEL_LENGTH = 60;
+
+export const DEFAULT_SCHEDULE_RULES = [
+	{
+		name: 'Custom requests over $500',
+		customRequest: true,
+		totalOver: 500,
+		milestones: [
+			{ label: 'Deposit', percent: 50, due: 'acceptance' },
+			{ label: 'Balance on delivery', percent: 50, due: 'delivery' },
+		],
+	},
+];
+
+const FULL_PAYMENT = { name: 'Payment in full', milestones: [{ label: 'Payment in full', percent: 100, due: 'acceptance' }] };
+
+/**
+ * Check a list of schedule rules, throwing ConfigurationError for the first problem
+ */
+export function parseScheduleRules(rules, source = 'payment schedules') {
+	if (!Array.isArray(rules)) {
+		throw new ConfigurationError(`${source} must be a JSON array of rules`);
+	}
+
+	return rules.map((rule, index) => {
+		const label = typeof rule?.name === 'string' && rule.name ? rule.name : `#${index}`;
+		if (typeof rule?.name !== 'string' || !rule.name.trim()) {
+			throw new ConfigurationError(`${source} rule ${label} needs a name`);
+		}
+		if (rule.customRequest !== undefined && typeof rule.customRequest !== 'boolean') {
+			throw new ConfigurationError(`${source} rule ${label}: customRequest must be true or false`);
+		}
+		if (rule.totalOver !== undefined && (!Number.isInteger(rule.totalOver) || rule.totalOver < 0)) {
+			throw new ConfigurationError(`${source} rule ${label}: totalOver must be a whole amount`);
+		}
+		if (!Array.isArray(rule.milestones) || rule.milestones.length === 0) {
+			throw new ConfigurationError(`${source} rule ${label} needs at least one milestone`);
+		}
+
+		const milestones = rule.milestones.map(({ label: name, percent, due } = {}) => {
+			if (typeof name !== 'string' || !name.trim() || name.length > MAX_LABEL_LENGTH) {
+				throw new ConfigurationError(`${source} rule ${label}: milestone labels must be 1 to ${MAX_LABEL_LENGTH} characters`);
+			}
+			if (!Number.isInteger(percent) || percent < 1 || percent > 100) {
+				throw new ConfigurationError(`${source} rule ${label}: milestone ${name} needs a whole percent from 1 to 100`);
+			}
+			if (!DUE_TRIGGERS.includes(due)) {
+				throw new ConfigurationError(`${source} rule ${label}: milestone ${name} must be due on ${DUE_TRIGGERS.join(', ')}`);
+			}
+			return { label: name.trim(), percent, due };
+		});
+		if (milestones.reduce((sum, milestone) => sum + milestone.percent, 0) !== 100) {
+			throw new ConfigurationError(`${source} rule ${label}: milestone percentages must add up to 100`);
+		}
+
+		return { name: rule.name.trim(), customRequest: rule.customRequest, totalOver: rule.totalOver, milestones };
+	});
+}
+
+/**
+ * The schedule rules in effect: PAYMENT_SCHEDULES, or the defaults
+ */
+export function scheduleRules(env) {
+	if (!env.PAYMENT_SCHEDULES) {
+		return DEFAULT_SCHEDULE_RULES;
+	}
+
+	let config;
+	try {
+		config = JSON.parse(env.PAYMENT_SCHEDULES);
+	} catch {
+		throw new ConfigurationError('PAYMENT_SCHEDULES is not valid JSON');
+	}
+	return parseScheduleRules(config, 'PAYMENT_SCHEDULES');
+}
+
+/**
+ * Whether a quote includes work outside the catalog: the custom request line
+ * or lines the team added
+ */
+function hasCustomWork(quote) {
+	return quote.lineItems.some(item => item.catalogId === null || item.catalogId === CATALOG.customRequest.id);
+}
+
+function matches(rule, quote) {
+	if (rule.customRequest !== undefined && rule.customRequest !== hasCustomWork(quote)) {
+		return false;
+	}
+	return rule.totalOver === undefined || quote.total > rule.totalOver;
+}
+
+/**
+ * Split a quote's total into milestones by the first matching rule
+ *
+ * Returns `{ rule, milestones: [{ label, percent, amount, due }] }`. Quotes
+ * with nothing to pay get no milestones.
+ */
+export function planPaymentSchedule(quote, rules = DEFAULT_SCHEDULE_RULES) {
+	const rule = rules.find(candidate => matches(candidate, quote)) ?? FULL_PAYMENT;
+	if (quote.total <= 0) {
+		return { rule: rule.name, milestones: [] };
+	}
+
+	let remaining = quote.total;
+	const milestones = rule.milestones.map(({ label, percent, due }, index) => {
+		const amount = index === rule.milestones.length - 1 ? remaining : Math.floor((quote.total * percent) / 100);
+		remaining -= amount;
+		return { label, percent, amount, due };
+	});
+	return { rule: rule.name, milestones: milestones.filter(milestone => milestone.amount > 0) };
+}
@@ -0,0 +1,395 @@
+/**
+ * Payments for accepted quotes
+ *
+ * Once a customer has accepted a quote, its page offers to pay each payment
+ * milestone (see milestones.js) by Stripe Checkout as it falls due. The
+ * session is built from the stored milestone and quote, never from anything
+ * the browser sends, and recorded as a pending payment. A milestone for the
+ * whole quote is itemized with its line items and discount; a share of it is
+ * a single line. Stripe then reports the outcome to /api/v1/webhooks/stripe:
+ * each signed event is applied once, keyed by its event id, and marks the
+ * payment paid, expired or failed, and a paid payment's milestone paid. A
+ * payment for a lead that's still Quoted moves it to Accepted, and every paid
+ * payment gets a receipt (see invoices.js).
+ */
+
+import { BadGatewayError, BadRequestError, ConfigurationError, ConflictError, NotFoundError } from './errors.js';
+import { json } from './http.js';
+import { issueReceipt } from './invoices.js';
+import { changeLeadStatus } from './lead-status.js';
+import { getLead } from './leads.js';
+import { createLogger } from './logger.js';
+import { isSettled, listQuoteMilestones } from './milestones.js';
+import { DeliveryError } from './outbound.js';
+import { createCheckoutSession, createCoupon, verifyStripeSignature } from './stripe.js';
+
+export const PAYMENT_STATUSES = ['pending', 'paid', 'expired', 'failed'];
+
+// A pending session is offered again rather than opening another, unless it's about to expire
+const SESSION_REUSE_MARGIN_MS = 10 * 60 * 1000;
+
+// Stripe caps product names
+const MAX_PRODUCT_NAME_LENGTH = 250;
+
+// The payment status each Checkout Session event moves to. Completed sessions
+// paid by a delayed method (bank debits) stay pending until the async event.
+const SESSION_EVENTS = {
+	'checkout.session.completed': session => (['paid', 'no_payment_required'].includes(session.payment_status) ? 'paid' : null),
+	'checkout.session.async_payment_succeeded': () => 'paid',
+	'checkout.session.async_payment_failed': () => 'failed',
+	'checkout.session.expired': () => 'expired',
+};
+
+function toPayment(row) {
+	if (!row) {
+		return null;
+	}
+
+	return {
+		id: row.id,
+		leadId: row.lead_id,
+		quoteId: row.quote_id,
+		milestoneId: row.milestone_id,
+		description: row.description,
+		amount: row.amount,
+		currency: row.currency,
+		status: row.status,
+		checkoutSessionId: row.checkout_session_id,
+		checkoutUrl: row.checkout_url,
+		paymentIntentId: row.payment_intent_id,
+		expiresAt: row.expires_at,
+		paidAt: row.paid_at,
+		createdAt: row.created_at,
+		updatedAt: row.updated_at,
+	};
+}
+
+/**
+ * A lead's payments, newest first
+ */
+export async function listPayments(db, leadId) {
+	const { results } = await db.prepare('SELECT * FROM payments WHERE lead_id = ? ORDER BY created_at DESC, rowid DESC').bind(leadId).all();
+	return results.map(toPayment);
+}
+
+/**
+ * The payments for one quote, newest first
+ */
+export async function listQuotePayments(db, quoteId) {
+	const { results } = await db
+		.prepare('SELECT * FROM payments WHERE quote_id = ? ORDER BY created_at DESC, rowid DESC')
+		.bind(quoteId)
+		.all();
+	return results.map(toPayment);
+}
+
+/**
+ * How much of a quote has been paid, from its milestones and payments
+ *
+ * `status` is paid once every milestone is paid or waived, pending while a
+ * checkout is open for one that's due, unpaid while one is due and scheduled
+ * when the rest only falls due later. `amountDue` is what's due now and
+ * `amountScheduled` what falls due later.
+ */
+export function paymentSummary(milestones, payments) {
+	const sum = list => list.reduce((total, item) => total + item.amount, 0);
+	const due = milestones.filter(milestone => milestone.status === 'due');
+	const outstanding = milestones.filter(milestone => !isSettled(milestone));
+	const paid = payments.filter(payment => payment.status === 'paid');
+
+	let status = 'scheduled';
+	if (outstanding.length === 0) {
+		status = 'paid';
+	} else if (payments.some(payment => payment.status === 'pending' && due.some(milestone => milestone.id === payment.milestoneId))) {
+		status = 'pending';
+	} else if (due.length > 0) {
+		status = 'unpaid';
+	}
+	return {
+		status,
+		amountPaid: sum(paid),
+		amountDue: sum(due),
+		amountScheduled: sum(outstanding) - sum(due),
+		paidAt: status === 'paid' ? (paid[0]?.paidAt ?? null) : null,
+	};
+}
+
+function minorUnits(amount) {
+	return amount * 100;
+}
+
+/**
+ * Stripe line items for a milestone, in its currency's minor units
+ *
+ * A milestone for the whole quote lists the quote's lines, leaving out free
+ * ones (Checkout only takes positive prices); a share of it is one line.
+ */
+function checkoutLineItems(lead, quote, milestone) {
+	const currency = quote.currency.toLowerCase();
+	const line = (name, amount) => ({
+		quantity: 1,
+		price_data: { currency, unit_amount: minorUnits(amount), product_data: { name: name.slice(0, MAX_PRODUCT_NAME_LENGTH) } },
+	});
+	if (milestone.amount !== quote.total) {
+		return [line(`${milestone.label} (${milestone.percent}%) of ${lead.reference}`, milestone.amount)];
+	}
+	return quote.lineItems.filter(item => item.price > 0).map(item => line(item.description, item.price));
+}
+
+/**
+ * The milestone a checkout is for: `milestoneId`, or the first one due
+ *
+ * Throws ConflictError when it's settled or not due yet.
+ */
+function checkoutMilestone(milestones, milestoneId) {
+	const milestone = milestoneId
+		? milestones.find(candidate => candidate.id === milestoneId)
+		: (milestones.find(candidate => candidate.status === 'due') ?? milestones.find(candidate => !isSettled(candidate)));
+	if (milestoneId && !milestone) {
+		throw new NotFoundError('Payment not found');
+	}
+	if (!milestone || isSettled(milestone)) {
+		const message = milestoneId ? 'This payment has already been settled. Thank you!' : 'This quote has already been paid. Thank you!';
+		throw new ConflictError(message, { code: 'already_paid' });
+	}
+	if (milestone.status !== 'due') {
+		throw new ConflictError("This payment isn't due yet. We'll email you a link when it is.", { code: 'payment_not_due' });
+	}
+	return milestone;
+}
+
+/**
+ * Open (or reuse) a Stripe Checkout Session for a milestone of an accepted quote
+ *
+ * `milestoneId` picks the milestone (the first one due when null);
+ * `successUrl` and `cancelUrl` are where Stripe sends the customer back to.
+ * Returns the pending payment, whose `checkoutUrl` is the page to send them to.
+ */
+export async function startCheckout(env, lead, quote, { successUrl, cancelUrl, milestoneId = null }, log = createLogger()) {
+	if (quote.status !== 'accepted') {
+		throw new ConflictError('Please accept the quote before paying.', { code: 'quote_not_accepted' });
+	}
+
+	const [milestones, payments] = await Promise.all([listQuoteMilestones(env.DB, quote.id), listQuotePayments(env.DB, quote.id)]);
+	const milestone = checkoutMilestone(milestones, milestoneId);
+
+	const reusable = payments.find(
+		payment =>
+			payment.milestoneId === milestone.id &&
+			payment.status === 'pending' &&
+			Date.parse(payment.expiresAt) - Date.now() > SESSION_REUSE_MARGIN_MS
+	);
+	if (reusable) {
+		return reusable;
+	}
+
+	const id = crypto.randomUUID();
+	const whole = milestone.amount === quote.total;
+	const description = whole
+		? `${lead.reference} quote version ${quote.version}`
+		: `${lead.reference} quote version ${quote.version}: ${milestone.label}`;
+	const metadata = { payment_id: id, lead_id: lead.id, quote_id: quote.id, milestone_id: milestone.id, reference: lead.reference };
+
+	let session;
+	try {
+		const coupon =
+			whole && quote.discount > 0
+				? await createCoupon(
+						env,
+						{ amountOff: minorUnits(quote.discount), currency: quote.currency.toLowerCase(), name: 'Quote discount' },
+						{ idempotencyKey: `coupon-${id}` }
+					)
+				: null;
+		session = await createCheckoutSession(
+			env,
+			{
+				mode: 'payment',
+				line_items: checkoutLineItems(lead, quote, milestone),
+				discounts: coupon ? [{ coupon: coupon.id }] : undefined,
+				customer_email: lead.email,
+				client_reference_id: lead.id,
+				metadata,
+				payment_intent_data: { description, metadata },
+				success_url: successUrl,
+				cancel_url: cancelUrl,
+			},
+			{ idempotencyKey: `checkout-${id}` }
+		);
+	} catch (error) {
+		if (!(error instanceof DeliveryError)) {
+			throw error;
+		}
+		log.error('payment.checkout_failed', {
+			leadId: lead.id,
+			quoteId: quote.id,
+			milestoneId: milestone.id,
+			status: error.statusCode,
+			error,
+		});
+		throw new BadGatewayError("We couldn't start the payment. Please try again in a moment.", { code: 'payment_provider_error' });
+	}
+
+	const now = new Date().toISOString();
+	const row = {
+		id,
+		lead_id: lead.id,
+		quote_id: quote.id,
+		milestone_id: milestone.id,
+		description,
+		amount: milestone.amount,
+		currency: quote.currency,
+		status: 'pending',
+		checkout_session_id: session.id,
+		checkout_url: session.url,
+		expires_at: session.expires_at ? new Date(session.expires_at * 1000).toISOString() : null,
+		created_at: now,
+		updated_at: now,
+	};
+	const columns = Object.keys(row);
+	await env.DB.prepare(`INSERT INTO payments (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+		.bind(...Object.values(row))
+		.run();
+	log.info('payment.checkout_started', {
+		leadId: lead.id,
+		quoteId: quote.id,
+		milestoneId: milestone.id,
+		paymentId: id,
+		amount: milestone.amount,
+	});
+
+	return toPayment(row);
+}
+
+/**
+ * Apply a verified Stripe event
+ *
+ * The event id is stored in the same batch as the payment update (and, once
+ * paid, its milestone's), so a redelivered event is recognized and skipped,
+ * and a failed one can be retried by Stripe. Returns `{ duplicate }`,
+ * `{ ignored }` or `{ payment }`.
+ */
+export async function applyStripeEvent(env, event, log = createLogger()) {
+	const session = event.data?.object;
+	const toStatus = SESSION_EVENTS[event.type]?.(session) ?? null;
+	const payment = toStatus
+		? toPayment(await env.DB.prepare('SELECT * FROM payments WHERE checkout_session_id = ?').bind(session.id).first())
+		: null;
+
+	const now = new Date().toISOString();
+	const statements = [
+		env.DB.prepare('INSERT INTO stripe_events (id, type, payment_id, received_at) VALUES (?, ?, ?, ?)').bind(
+			event.id,
+			event.type,
+			payment?.id ?? null,
+			now
+		),
+	];
+	if (payment) {
+		// A paid payment stays paid whatever arrives after it
+		statements.push(
+			env.DB.prepare(
+				`UPDATE payments SET status = ?, payment_intent_id = COALESCE(?, payment_intent_id), paid_at = ?, updated_at = ?
+				WHERE id = ? AND status <> 'paid'`
+			).bind(toStatus, session.payment_intent ?? null, toStatus === 'paid' ? now : null, now, payment.id)
+		);
+		if (toStatus === 'paid' && payment.milestoneId) {
+			statements.push(
+				env.DB.prepare(
+					"UPDATE payment_milestones SET status = 'paid', paid_at = ?, updated_at = ? WHERE id = ? AND status IN ('scheduled', 'due')"
+				).bind(now, now, payment.milestoneId)
+			);
+		}
+	}
+
+	let results;
+	try {
+		results = await env.DB.batch(statements);
+	} catch (error) {
+		if (/UNIQUE constraint failed: stripe_events/.test(error.message)) {
+			log.info('stripe.event_duplicate', { eventId: event.id, type: event.type });
+			return { duplicate: true };
+		}
+		throw error;
+	}
+
+	if (!payment || results[1].meta.changes === 0) {
+		log.info('stripe.event_ignored', { eventId: event.id, type: event.type });
+		return { ignored: true };
+	}
+
+	const updated = {
+		...payment,
+		status: toStatus,
+		paymentIntentId: session.payment_intent ?? payment.paymentIntentId,
+		updatedAt: now,
+		paidAt: toStatus === 'paid' ? now : payment.paidAt,
+	};
+	log.info(`payment.${toStatus}`, { leadId: payment.leadId, paymentId: payment.id, amount: payment.amount, eventId: event.id });
+
+	if (toStatus === 'paid') {
+		await acceptPaidLead(env, payment, log);
+	}
+	return { payment: updated };
+}
+
+/**
+ * Move a lead that's still Quoted to Accepted once it has paid
+ */
+async function acceptPaidLead(env, payment, log) {
+	try {
+		const lead = await getLead(env.DB, payment.leadId);
+		if (lead.status === 'Quoted') {
+			const note = `Paid ${payment.description} by Stripe Checkout`;
+			await changeLeadStatus(env, lead.id, { to: 'Accepted', actor: 'stripe', note }, log);
+		}
+	} catch (error) {
+		log.error('payment.status_change_failed', { leadId: payment.leadId, paymentId: payment.id, error });
+	}
+}
+
+/**
+ * Handle POST /api/v1/webhooks/stripe
+ *
+ * Stripe retries anything but a 2xx, so events we don't act on still get one.
+ * A payment that's now paid gets its receipt once the response has gone.
+ */
+export async function handleStripeWebhook({ request, env, ctx, log }) {
+	const body = await request.text();
+	if (!(await verifyStripeSignature(env, request.headers.get('Stripe-Signature'), body))) {
+		throw new BadRequestError('Invalid Stripe signature', { code: 'invalid_signature' });
+	}
+
+	let event;
+	try {
+		event = JSON.parse(body);
+	} catch {
+		throw new BadRequestError('Expected a JSON event');
+	}
+	if (typeof event?.id !== 'string' || typeof event.type !== 'string') {
+		throw new BadRequestError('Expected a JSON event');
+	}
+
+	const result = await applyStripeEvent(env, event, log);
+	if (result.payment?.status === 'paid') {
+		const failed = error => log.error('receipt.issue_failed', { leadId: result.payment.leadId, paymentId: result.payment.id, error });
+		ctx.waitUntil(issueReceipt(env, result.payment, log).catch(failed));
+	}
+	return json({ received: true, ...(result.payment ? { paymentId: result.payment.id, status: result.payment.status } : result) });
+}
+
+/**
+ * Where Stripe sends the customer back to: the quote page they paid from
+ */
+export function checkoutReturnUrls(env, quote, token) {
+	if (!env.SITE_URL) {
+		throw new ConfigurationError('SITE_URL is not set');
+	}
+	const url = outcome => {
+		const page = new URL('/quote', env.SITE_URL);
+		page.searchParams.set('id', quote.id);
+		page.searchParams.set('token', token);
+		page.searchParams.set('payment', outcome);
+		return page.href;
+	};
+	return { successUrl: url('success'), cancelUrl: url('cancelled') };
+}
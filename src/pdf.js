@@ -0,0 +1,198 @@
+/**
+ * Minimal PDF writer
+ *
+ * Enough of PDF 1.4 for generated business documents: pages of text in the
+ * standard Helvetica and Helvetica-Bold fonts, and ruled lines. It's plain
+ * JavaScript with no dependencies, so it runs the same in workerd and in
+ * tests. The standard fonts need no embedding; text is encoded as
+ * WinAnsiEncoding (Latin-1 plus typographic punctuation), and characters
+ * outside it print as "?". Content streams are left uncompressed.
+ *
+ * Coordinates are in points from the bottom-left corner of the page.
+ */
+
+export const LETTER = { width: 612, height: 792 };
+
+// Advance widths in 1/1000 em for characters 32 to 126, from the Adobe font metrics
+const WIDTHS = {
+	regular: [
+		278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+		556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+		667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556,
+		556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+	],
+	bold: [
+		278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+		556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+		667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611,
+		611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+	],
+};
+
+// Close enough for the accented letters and symbols outside ASCII
+const DEFAULT_WIDTH = 556;
+
+// WinAnsiEncoding bytes for the characters it adds to Latin-1
+const WIN_ANSI = {
+	'€': 0x80,
+	'…': 0x85,
+	'‘': 0x91,
+	'’': 0x92,
+	'“': 0x93,
+	'”': 0x94,
+	'•': 0x95,
+	'–': 0x96,
+	'—': 0x97,
+	'™': 0x99,
+};
+
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+/**
+ * Encode text as WinAnsiEncoding byte values
+ */
+function encode(text) {
+	return Array.from(String(text ?? '').replace(/\s/g, ' '), char => {
+		const code = char.codePointAt(0);
+		if ((code >= 32 && code <= 126) || (code >= 0xa0 && code <= 0xff)) {
+			return code;
+		}
+		return WIN_ANSI[char] ?? 0x3f;
+	});
+}
+
+/**
+ * Width of `text` in points
+ */
+export function textWidth(text, { size, bold = false }) {
+	const widths = WIDTHS[bold ? 'bold' : 'regular'];
+	const units = encode(text).reduce((sum, byte) => sum + (byte <= 126 ? widths[byte - 32] : DEFAULT_WIDTH), 0);
+	return (units * size) / 1000;
+}
+
+/**
+ * Break `text` into lines no wider than `width` points, at spaces where it can
+ */
+export function wrapText(text, width, font) {
+	const lines = [];
+	let line = '';
+	for (const word of String(text ?? '').split(/\s+/).filter(Boolean)) {
+		const candidate = line ? `${line} ${word}` : word;
+		if (textWidth(candidate, font) <= width) {
+			line = candidate;
+			continue;
+		}
+		if (line) {
+			lines.push(line);
+		}
+		// A word too long for a line of its own is split wherever it runs out
+		line = word;
+		while (textWidth(line, font) > width && line.length > 1) {
+			let end = line.length - 1;
+			while (end > 1 && textWidth(line.slice(0, end), font) > width) {
+				end--;
+			}
+			lines.push(line.slice(0, end));
+			line = line.slice(end);
+		}
+	}
+	if (line || lines.length === 0) {
+		lines.push(line);
+	}
+	return lines;
+}
+
+/**
+ * A PDF string literal, with non-ASCII bytes as octal escapes so the file stays ASCII
+ */
+function pdfString(text) {
+	const body = encode(text)
+		.map(byte => {
+			if (byte === 0x28 || byte === 0x29 || byte === 0x5c) {
+				return `\\${String.fromCharCode(byte)}`;
+			}
+			return byte <= 126 ? String.fromCharCode(byte) : `\\${byte.toString(8).padStart(3, '0')}`;
+		})
+		.join('');
+	return `(${body})`;
+}
+
+function number(value) {
+	return Number(value.toFixed(2)).toString();
+}
+
+function pdfDate(date) {
+	return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
+
+function createPage() {
+	const operations = [];
+	return {
+		operations,
+
+		/**
+		 * Draw `value` with its baseline at `y`; `align` 'right' ends it at `x`
+		 */
+		text(x, y, value, { size = 10, bold = false, gray = 0, align = 'left' } = {}) {
+			const font = FONTS[bold ? 'bold' : 'regular'];
+			const left = align === 'right' ? x - textWidth(value, { size, bold }) : x;
+			operations.push(`BT /${font} ${number(size)} Tf ${number(gray)} g ${number(left)} ${number(y)} Td ${pdfString(value)} Tj ET`);
+		},
+
+		line(x1, y1, x2, y2, { width = 0.5, gray = 0 } = {}) {
+			operations.push(`${number(width)} w ${number(gray)} G ${number(x1)} ${number(y1)} m ${number(x2)} ${number(y2)} l S`);
+		},
+	};
+}
+
+/**
+ * Start a document of `LETTER` pages
+ *
+ * Add pages with `addPage()` and draw on them, then call `toBytes()` for the
+ * file. `title` and `createdAt` go in the document information, so the same
+ * content and date always give the same bytes.
+ */
+export function createPdfDocument({ title = '', createdAt = new Date() } = {}) {
+	const pages = [];
+	return {
+		pages,
+
+		addPage() {
+			const page = createPage();
+			pages.push(page);
+			return page;
+		},
+
+		toBytes() {
+			// Objects 1 to 5 are fixed; each page adds itself and its content stream
+			const objects = [
+				`<< /Type /Catalog /Pages 2 0 R >>`,
+				`<< /Type /Pages /Kids [${pages.map((_, index) => `${6 + index * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+				'<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+				'<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+				`<< /Title ${pdfString(title)} /Producer (Finalize) /CreationDate (${pdfDate(createdAt)}) >>`,
+			];
+			for (const [index, page] of pages.entries()) {
+				const content = page.operations.join('\n');
+				objects.push(
+					`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${LETTER.width} ${LETTER.height}] ` +
+						`/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${7 + index * 2} 0 R >>`,
+					`<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+				);
+			}
+
+			// Everything is ASCII, so string lengths are byte offsets
+			let file = '%PDF-1.4\n';
+			const offsets = objects.map((object, index) => {
+				const offset = file.length;
+				file += `${index + 1} 0 obj\n${object}\nendobj\n`;
+				return offset;
+			});
+			const xref = file.length;
+			file += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+			file += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+			file += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+			return new TextEncoder().encode(file);
+		},
+	};
+}
@@ -0,0 +1,239 @@
+/**
+ * Client portal
+ *
+ * Customers sign in without a password: they enter their email, and if any
+ * requests were submitted with it they get a one-time sign-in link (the
+ * response is the same either way, so the form doesn't reveal who is a
+ * customer). The /portal page exchanges the link's token for a session, an
+ * HttpOnly cookie holding a signed token with the email, and then lists every
+ * request made with that email along with its notes, documents, payment
+ * milestones (with a link to pay each one that's outstanding) and invoices
+ * and receipts.
+ *
+ * Exchanging the token is a POST from the page rather than a GET of the
+ * emailed link, so mail scanners that follow links don't use it up.
+ */
+
+import { documentResponse, getDocument, listDocumentsForLeads, listNotesForLeads } from './delivery.js';
+import { sendEmail } from './email/index.js';
+import { renderPortalLoginEmail } from './email/templates.js';
+import { ConfigurationError, NotFoundError, UnauthorizedError, ValidationError } from './errors.js';
+import { json, readJsonObject } from './http.js';
+import { listInvoicesForLeads, toCustomerInvoice, withInvoiceUrls } from './invoices.js';
+import { getLead, listLeadsByEmail } from './leads.js';
+import { listMilestonesForLeads, toCustomerMilestone, withPaymentUrls } from './milestones.js';
+import { enforcePortalLoginLimits } from './rate-limiter.js';
+import { toRequestStatus } from './request-status.js';
+import { linkSigningSecret, signToken, verifyToken } from './signing.js';
+import { isValidEmail } from './validation.js';
+
+const LOGIN_PURPOSE = 'portal-login';
+const SESSION_PURPOSE = 'portal-session';
+
+const LOGIN_TTL_SECONDS = 15 * 60;
+const SESSION_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+export const SESSION_COOKIE = 'finalize_portal';
+
+/**
+ * Set-Cookie value for the session; the portal API is the only reader
+ */
+function sessionCookie(value, maxAge) {
+	return `${SESSION_COOKIE}=${value}; Path=/api/; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=Lax`;
+}
+
+function readCookie(request, name) {
+	for (const part of (request.headers.get('Cookie') || '').split(';')) {
+		const [key, ...value] = part.trim().split('=');
+		if (key === name) {
+			return value.join('=');
+		}
+	}
+	return null;
+}
+
+/**
+ * The signed-in customer's session, or null
+ */
+export async function getPortalSession(request, env) {
+	const token = readCookie(request, SESSION_COOKIE);
+	if (!token) {
+		return null;
+	}
+
+	const payload = await verifyToken(token, linkSigningSecret(env));
+	if (payload?.purpose !== SESSION_PURPOSE || !(payload.exp > Date.now() / 1000)) {
+		return null;
+	}
+	return { email: payload.email, expiresAt: new Date(payload.exp * 1000).toISOString() };
+}
+
+/**
+ * Wrap a route handler so it only runs for signed-in customers
+ *
+ * The handler's context gets the session as `session`.
+ */
+export function requirePortalSession(handler) {
+	return async context => {
+		const session = await getPortalSession(context.request, context.env);
+		if (!session) {
+			throw new UnauthorizedError('Sign in to see your requests', { code: 'portal_session_required' });
+		}
+		return handler({ ...context, session });
+	};
+}
+
+/**
+ * Handle POST /api/v1/portal/login
+ *
+ * Takes `{ email }` and emails a sign-in link if there are requests for it.
+ */
+export async function handlePortalLogin({ request, env, ctx, log }) {
+	const data = await readJsonObject(request);
+	const email = typeof data.email === 'string' ? data.email.trim() : '';
+	if (!isValidEmail(email)) {
+		throw new ValidationError(['Email must be a valid email address']);
+	}
+
+	// From SITE_URL, not the request: its Host header is the client's to choose.
+	// Checked before the lookup so a missing setting fails the same for every email.
+	if (!env.SITE_URL) {
+		throw new ConfigurationError('SITE_URL is not set');
+	}
+	const loginUrl = new URL('/portal', env.SITE_URL);
+
+	await enforcePortalLoginLimits(request, env, email);
+
+	const leads = await listLeadsByEmail(env.DB, email);
+	if (leads.length > 0) {
+		const now = Math.floor(Date.now() / 1000);
+		const id = crypto.randomUUID();
+		const expiresAt = now + LOGIN_TTL_SECONDS;
+		await env.DB.batch([
+			env.DB.prepare('DELETE FROM portal_login_tokens WHERE expires_at < ?').bind(new Date(now * 1000).toISOString()),
+			env.DB.prepare('INSERT INTO portal_login_tokens (id, email, created_at, expires_at) VALUES (?, ?, ?, ?)').bind(
+				id,
+				email,
+				new Date(now * 1000).toISOString(),
+				new Date(expiresAt * 1000).toISOString()
+			),
+		]);
+
+		const token = await signToken({ purpose: LOGIN_PURPOSE, id, exp: expiresAt }, linkSigningSecret(env));
+		loginUrl.searchParams.set('token', token);
+
+		// Sent after responding, so matched and unmatched emails take about as long
+		ctx.waitUntil(
+			sendEmail(env, { to: email, ...renderPortalLoginEmail({ loginUrl: loginUrl.href, expiresInMinutes: LOGIN_TTL_SECONDS / 60 }) }).catch(
+				error => log.error('portal.login_email_failed', { error })
+			)
+		);
+	}
+
+	log.info('portal.login_requested', { matched: leads.length > 0 });
+
+	return json({ success: true, message: "If we have requests for that email, we've sent it a sign-in link." });
+}
+
+/**
+ * Handle POST /api/v1/portal/session
+ *
+ * Takes `{ token }` from a sign-in link and sets the session cookie. Each
+ * link works once.
+ */
+export async function handleCreatePortalSession({ request, env, log }) {
+	const data = await readJsonObject(request);
+	const payload = await verifyToken(data.token, linkSigningSecret(env));
+
+	const row =
+		payload?.purpose === LOGIN_PURPOSE
+			? await env.DB.prepare(
+					'UPDATE portal_login_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL AND expires_at > ? RETURNING email'
+				)
+					.bind(new Date().toISOString(), payload.id, new Date().toISOString())
+					.first()
+			: null;
+	if (!row) {
+		throw new UnauthorizedError('This sign-in link has expired or was already used. Request a new one below.', {
+			code: 'portal_link_invalid',
+		});
+	}
+
+	const exp = Math.floor(Date.now() / 1000) + SESSION_TTL_SECONDS;
+	const session = await signToken({ purpose: SESSION_PURPOSE, email: row.email, exp }, linkSigningSecret(env));
+
+	log.info('portal.signed_in', { loginId: payload.id });
+
+	return json(
+		{ success: true, email: row.email, expiresAt: new Date(exp * 1000).toISOString() },
+		{ headers: { 'Set-Cookie': sessionCookie(session, SESSION_TTL_SECONDS), 'Cache-Control': 'no-store' } }
+	);
+}
+
+/**
+ * Handle POST /api/v1/portal/logout
+ */
+export function handlePortalLogout() {
+	return json({ success: true }, { headers: { 'Set-Cookie': sessionCookie('', 0) } });
+}
+
+function toPortalDocument(document) {
+	return {
+		id: document.id,
+		filename: document.filename,
+		contentType: document.contentType,
+		size: document.size,
+		createdAt: document.createdAt,
+		url: `/api/v1/portal/documents/${document.id}`,
+	};
+}
+
+/**
+ * Handle GET /api/v1/portal/requests
+ *
+ * Every request made with the session's email, newest first.
+ */
+export async function handleListPortalRequests({ env, session }) {
+	const leads = await listLeadsByEmail(env.DB, session.email);
+	const ids = leads.map(lead => lead.id);
+	const [notes, documents, milestones, invoices] = await Promise.all([
+		listNotesForLeads(env.DB, ids),
+		listDocumentsForLeads(env.DB, ids),
+		listMilestonesForLeads(env.DB, ids),
+		listInvoicesForLeads(env.DB, ids),
+	]);
+	const [payments, downloads] = await Promise.all([
+		Promise.all(leads.map(lead => withPaymentUrls(env, milestones[lead.id]))),
+		Promise.all(leads.map(lead => withInvoiceUrls(env, invoices[lead.id]))),
+	]);
+
+	return json(
+		{
+			success: true,
+			email: session.email,
+			requests: leads.map((lead, index) => ({
+				...toRequestStatus(lead),
+				notes: notes[lead.id].map(({ body, createdAt }) => ({ body, createdAt })),
+				documents: documents[lead.id].map(toPortalDocument),
+				milestones: payments[index].map(milestone => ({ ...toCustomerMilestone(milestone), payUrl: milestone.payUrl })),
+				invoices: downloads[index].map(toCustomerInvoice),
+			})),
+		},
+		{ headers: { 'Cache-Control': 'no-store' } }
+	);
+}
+
+/**
+ * Handle GET /api/v1/portal/documents/:id
+ */
+export async function handleGetPortalDocument({ env, params, session }) {
+	const document = await getDocument(env.DB, params.id);
+	const lead = document && (await getLead(env.DB, document.leadId));
+
+	// Someone else's document looks the same as a missing one
+	if (!lead || lead.email.trim().toLowerCase() !== session.email.trim().toLowerCase()) {
+		throw new NotFoundError('Document not found');
+	}
+
+	return documentResponse(env, document);
+}
@@ -0,0 +1,229 @@
+/**
+ * Pricing catalog
+ *
+ * Single source of truth for everything we sell. The estimate page renders its
+ * cards from GET /api/pricing and calculatePricing charges from the same data,
+ * so what the customer sees and what we store can't drift apart.
+ */
+
+export const CATALOG = {
+	currency: 'USD',
+	features: [
+		{
+			id: 'authentication',
+			name: 'Authentication',
+			subtitle: 'OAuth, email/password, magic links',
+			icon: 'ph:shield-check-duotone',
+			iconColor: 'text-info',
+			category: 'feature',
+			section: 'features',
+			price: 100,
+		},
+		{
+			id: 'payments',
+			name: 'Payments',
+			subtitle: 'Stripe, one-time or subscriptions',
+			icon: 'ph:credit-card-duotone',
+			iconColor: 'text-success',
+			category: 'feature',
+			section: 'features',
+			price: 100,
+		},
+		{
+			id: 'saas',
+			name: 'SaaS Subscriptions',
+			subtitle: 'Billing, plan management, webhooks',
+			icon: 'ph:arrows-clockwise-duotone',
+			iconColor: 'text-primary',
+			category: 'feature',
+			section: 'features',
+			price: 100,
+		},
+		{
+			id: 'uploads',
+			name: 'File Uploads',
+			subtitle: 'Images, PDFs, cloud storage',
+			icon: 'ph:upload-duotone',
+			iconColor: 'text-warning',
+			category: 'feature',
+			section: 'features',
+			price: 100,
+		},
+		{
+			id: 'notifications',
+			name: 'Notifications',
+			subtitle: 'Email, push, in-app alerts',
+			icon: 'ph:bell-duotone',
+			iconColor: 'text-info',
+			category: 'feature',
+			section: 'features',
+			price: 100,
+		},
+	],
+	services: [
+		{
+			id: 'security',
+			name: 'Security Audit & Fixes',
+			subtitle: 'SQL injection, XSS, exposed keys',
+			icon: 'ph:shield-check-duotone',
+			iconColor: 'text-danger',
+			category: 'security',
+			section: 'security',
+			price: 150,
+		},
+		{
+			id: 'uiux',
+			name: 'UI/UX Review',
+			subtitle: 'Accessibility, mobile-responsive, polish',
+			icon: 'ph:sparkle-duotone',
+			iconColor: 'text-warning',
+			category: 'uiux',
+			section: 'security',
+			price: 150,
+		},
+		{
+			id: 'deployment',
+			name: 'Deploy to Production',
+			subtitle: 'Hetzner, Vercel, Digital Ocean, or your choice',
+			icon: 'ph:rocket-launch-duotone',
+			iconColor: 'text-success',
+			category: 'deployment',
+			section: 'deployment',
+			price: 100,
+		},
+	],
+	customRequest: {
+		id: 'custom-request',
+		name: 'Custom Request',
+		subtitle: 'Need something specific? Tell us what you need',
+		icon: 'ph:lightning-duotone',
+		iconColor: 'text-primary',
+		category: 'custom-request',
+		basePrice: 250,
+	},
+	platforms: [
+		{ id: 'lovable', name: 'Lovable' },
+		{ id: 'cursor', name: 'Cursor' },
+		{ id: 'claude', name: 'Claude Code' },
+		{ id: 'bolt', name: 'Bolt.new' },
+		{ id: 'replit', name: 'Replit' },
+		{ id: 'windsurf', name: 'Windsurf' },
+		{ id: 'other', name: 'Other' },
+	],
+	discounts: [
+		{
+			id: 'feature-bundle',
+			label: '10% discount applied for 3+ features!',
+			appliesTo: 'features',
+			minItems: 3,
+			rate: 0.1,
+		},
+	],
+};
+
+/**
+ * Look up a catalog item by id or display name
+ *
+ * Submissions carry display names (that's what ends up in Airtable), but ids
+ * are accepted too.
+ */
+export function findCatalogItem(items, value) {
+	return items.find(item => item.id === value || item.name === value) || null;
+}
+
+/**
+ * Price a list of selected names against one catalog collection
+ *
+ * Unknown, duplicate and non-string values are skipped and reported so the
+ * caller can tell the customer what wasn't priced.
+ */
+function priceSelections(values, items, type, ignored) {
+	const lineItems = [];
+
+	if (!Array.isArray(values)) {
+		return lineItems;
+	}
+
+	values.forEach(value => {
+		if (typeof value !== 'string') {
+			ignored.push({ type, value, reason: 'invalid_value' });
+			return;
+		}
+
+		const item = findCatalogItem(items, value);
+		if (!item) {
+			ignored.push({ type, value, reason: 'unknown_item' });
+			return;
+		}
+
+		if (lineItems.some(line => line.id === item.id)) {
+			ignored.push({ type, value, reason: 'duplicate' });
+			return;
+		}
+
+		lineItems.push({
+			id: item.id,
+			name: item.name,
+			type,
+			category: item.category,
+			unitPrice: item.price,
+			quantity: 1,
+			amount: item.price,
+		});
+	});
+
+	return lineItems;
+}
+
+/**
+ * Build an itemized quote for a set of selections
+ *
+ * This is the authoritative price: the estimate page renders it as the live
+ * summary and submissions store its totals.
+ */
+export function buildQuote({ selectedFeatures, selectedServices, hasCustomRequest } = {}) {
+	const ignored = [];
+	const features = priceSelections(selectedFeatures, CATALOG.features, 'feature', ignored);
+	const services = priceSelections(selectedServices, CATALOG.services, 'service', ignored);
+	const lineItems = [...features, ...services];
+
+	// Discount lines, each with the rule that triggered it
+	const featuresTotal = features.reduce((sum, line) => sum + line.amount, 0);
+	const discounts = CATALOG.discounts
+		.filter(rule => rule.appliesTo === 'features' && features.length >= rule.minItems)
+		.map(rule => ({
+			id: rule.id,
+			label: rule.label,
+			rule: { appliesTo: rule.appliesTo, minItems: rule.minItems, rate: rule.rate },
+			base: featuresTotal,
+			amount: Math.round(featuresTotal * rule.rate),
+		}));
+
+	// Custom requests are priced from a base and finalized after review
+	const customRequest = hasCustomRequest
+		? { id: CATALOG.customRequest.id, name: CATALOG.customRequest.name, basePrice: CATALOG.customRequest.basePrice }
+		: null;
+
+	const subtotal = lineItems.reduce((sum, line) => sum + line.amount, 0) + (customRequest ? customRequest.basePrice : 0);
+	const discountTotal = discounts.reduce((sum, line) => sum + line.amount, 0);
+
+	return {
+		currency: CATALOG.currency,
+		lineItems,
+		discounts,
+		customRequest,
+		subtotal,
+		discountTotal,
+		total: subtotal - discountTotal,
+		isFinal: !customRequest,
+		ignored,
+	};
+}
+
+/**
+ * Calculate total price and discount
+ */
+export function calculatePricing(selectedFeatures, selectedServices, hasCustomRequest) {
+	const quote = buildQuote({ selectedFeatures, selectedServices, hasCustomRequest });
+	return { total: quote.total, discount: quote.discountTotal };
+}
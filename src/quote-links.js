@@ -0,0 +1,81 @@
+/**
+ * Signed links to a customer's quote page
+ *
+ * The review link opens the quote; the accept and decline links open it with
+ * the matching form and have their own token purposes, so a review link can't
+ * answer a quote. Payment links are review links that point the page at one
+ * payment milestone.
+ */
+
+import { ConfigurationError, UnauthorizedError } from './errors.js';
+import { linkSigningSecret, signToken, verifyToken } from './signing.js';
+
+export const REVIEW_PURPOSE = 'quote';
+
+export const RESPONSE_PURPOSES = { accept: 'quote-accept', decline: 'quote-decline' };
+
+// Review links outlive the quote itself, so an expired quote still opens (as expired)
+const TOKEN_TTL_SECONDS = 365 * 24 * 60 * 60;
+
+async function quotePageUrl(env, quote, { purpose, exp, params = {} }) {
+	if (!env.SITE_URL) {
+		throw new ConfigurationError('SITE_URL is not set');
+	}
+	const token = await signToken({ purpose, quote: quote.id, exp }, linkSigningSecret(env));
+	const url = new URL('/quote', env.SITE_URL);
+	url.searchParams.set('id', quote.id);
+	for (const [name, value] of Object.entries(params)) {
+		url.searchParams.set(name, value);
+	}
+	url.searchParams.set('token', token);
+	return url.href;
+}
+
+/**
+ * Signed link to the customer's review page for a sent quote
+ */
+export function quoteReviewUrl(env, quote) {
+	return quotePageUrl(env, quote, { purpose: REVIEW_PURPOSE, exp: Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS });
+}
+
+/**
+ * Signed link to accept (`action` 'accept') or decline ('decline') a quote
+ *
+ * The link opens the review page with the matching form, and stops working
+ * at the end of the quote's expiry date.
+ */
+export function quoteResponseUrl(env, quote, action) {
+	const exp = Date.parse(`${quote.expiresOn}T00:00:00Z`) / 1000 + 24 * 60 * 60;
+	return quotePageUrl(env, quote, { purpose: RESPONSE_PURPOSES[action], exp, params: { action } });
+}
+
+/**
+ * Signed link to pay one milestone of an accepted quote
+ */
+export function milestonePaymentUrl(env, quote, milestone) {
+	return quotePageUrl(env, quote, {
+		purpose: REVIEW_PURPOSE,
+		exp: Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS,
+		params: { milestone: milestone.id },
+	});
+}
+
+/**
+ * Verify a quote link token
+ *
+ * `purposes` lists the kinds of link accepted. Returns true for a valid token,
+ * false for one that doesn't match the quote, and throws UnauthorizedError for
+ * an expired one.
+ */
+export async function verifyQuoteToken(env, token, quoteId, purposes = [REVIEW_PURPOSE]) {
+	const payload = token ? await verifyToken(token, linkSigningSecret(env)) : null;
+	if (!purposes.includes(payload?.purpose) || payload.quote !== quoteId) {
+		return false;
+	}
+	if (payload.exp < Date.now() / 1000) {
+		throw new UnauthorizedError('This quote link has expired. Reply to our email and we will send a new one.', {
+			code: 'quote_link_expired',
+		});
+	}
+	return true;
+}
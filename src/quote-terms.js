@@ -0,0 +1,28 @@
+/**
+ * Terms a customer agrees to when accepting a quote
+ *
+ * Versions are never edited once published: a quote pins the version that was
+ * current when it was sent, and the acceptance stores the text it was shown.
+ * To change the terms, add a new version and point CURRENT_TERMS_VERSION at it.
+ */
+
+export const QUOTE_TERMS = {
+	'2026-10-01': [
+		'1. Scope. We will deliver the line items listed in this quote for the app named in it. Work outside those items is quoted separately.',
+		'2. Price. The quoted total is fixed for the listed scope. Hours shown are our estimate and do not change the price.',
+		'3. Payment. Payment is due as invoiced. We start work once the first payment has cleared.',
+		'4. Access. You will give us the access to your app, code and services the work needs, and keep a backup of anything we change.',
+		'5. Delivery. We will tell you when each item is delivered. Report problems within 14 days and we will fix them at no charge.',
+		'6. Cancellation. Either side may cancel in writing. You pay for the work delivered up to that point.',
+		'7. Liability. Our liability is limited to the amount you have paid under this quote.',
+	].join('\n\n'),
+};
+
+export const CURRENT_TERMS_VERSION = '2026-10-01';
+
+/**
+ * The text of a terms version, or null for unknown versions
+ */
+export function termsText(version) {
+	return Object.hasOwn(QUOTE_TERMS, version) ? QUOTE_TERMS[version] : null;
+}
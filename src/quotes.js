@@ -0,0 +1,812 @@
+/**
+ * Versioned quotes
+ *
+ * The estimate form only prices catalog items; custom requests are quoted by
+ * the team. An admin starts a draft (seeded from the last version, or from the
+ * lead's estimate), adjusts catalog items, adds custom line items with hours
+ * and prices, sets an expiry date and sends it. Sending freezes the version,
+ * supersedes the one sent before, moves the lead to Quoted and emails the
+ * customer a signed link to review it. Earlier versions are kept for
+ * reference; editing a sent quote means starting a new version.
+ *
+ * The email also carries signed accept and decline links, which stop working
+ * when the quote expires. Accepting records the customer's typed name against
+ * the terms pinned when the quote was sent; declining takes an optional reason.
+ * Either answer is final for that version, moves the lead to Accepted or
+ * Declined and tells the team. Accepted quotes are paid in the milestones of
+ * their payment schedule (see milestones.js) through payments.js, and get
+ * an invoice (see invoices.js).
+ */
+
+import { sendEmail } from './email/index.js';
+import { renderQuoteEmail } from './email/templates.js';
+import { BadRequestError, ConflictError, NotFoundError, ValidationError } from './errors.js';
+import { json, readJsonObject } from './http.js';
+import { issueInvoice, issueQuoteInvoices, toAdminInvoice } from './invoices.js';
+import { allowedTransitions, changeLeadStatus } from './lead-status.js';
+import { getLead } from './leads.js';
+import { listQuoteMilestones, milestoneStatements, toCustomerMilestone } from './milestones.js';
+import { notifyQuoteResponse } from './notifiers/index.js';
+import { adminLeadUrl } from './notifiers/message.js';
+import { planPaymentSchedule, scheduleRules } from './payment-schedules.js';
+import { checkoutReturnUrls, listQuotePayments, paymentSummary, startCheckout } from './payments.js';
+import { CATALOG, buildQuote } from './pricing.js';
+import { RESPONSE_PURPOSES, REVIEW_PURPOSE, quoteResponseUrl, quoteReviewUrl, verifyQuoteToken } from './quote-links.js';
+import { CURRENT_TERMS_VERSION, termsText } from './quote-terms.js';
+import { hexEncode } from './signing.js';
+import { emitEvent, leadEventData } from './webhooks.js';
+
+export const QUOTE_STATUSES = ['draft', 'sent', 'superseded', 'accepted', 'declined'];
+
+const MAX_SIGNATURE_NAME_LENGTH = 200;
+const MAX_REASON_LENGTH = 1000;
+const MAX_USER_AGENT_LENGTH = 500;
+
+// Default expiry for a new quote
+const VALIDITY_DAYS = 30;
+
+const MAX_LINE_ITEMS = 50;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_PRICE = 1_000_000;
+const MAX_HOURS = 10_000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const CATALOG_IDS = new Set([...CATALOG.features, ...CATALOG.services, CATALOG.customRequest].map(item => item.id));
+
+function toQuote(row) {
+	if (!row) {
+		return null;
+	}
+
+	return {
+		id: row.id,
+		leadId: row.lead_id,
+		version: row.version,
+		status: row.status,
+		currency: row.currency,
+		lineItems: JSON.parse(row.line_items),
+		subtotal: row.subtotal,
+		discount: row.discount,
+		total: row.total,
+		message: row.message,
+		expiresOn: row.expires_on,
+		createdBy: row.created_by,
+		createdAt: row.created_at,
+		updatedAt: row.updated_at,
+		sentBy: row.sent_by,
+		sentAt: row.sent_at,
+		termsVersion: row.terms_version,
+		paymentSchedule: row.payment_schedule ? JSON.parse(row.payment_schedule) : null,
+	};
+}
+
+function toQuoteResponse(row) {
+	if (!row) {
+		return null;
+	}
+
+	return {
+		id: row.id,
+		quoteId: row.quote_id,
+		decision: row.decision,
+		signatureName: row.signature_name,
+		termsVersion: row.terms_version,
+		termsSha256: row.terms_sha256,
+		reason: row.reason,
+		ip: row.ip,
+		userAgent: row.user_agent,
+		respondedAt: row.created_at,
+	};
+}
+
+function today() {
+	return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a quote's expiry date (inclusive, UTC) has passed
+ */
+export function isQuoteExpired(quote, now = new Date()) {
+	return quote.expiresOn < now.toISOString().slice(0, 10);
+}
+
+/**
+ * Editable quote fields seeded from the lead's estimate
+ */
+function estimateDraft(lead) {
+	const estimate = buildQuote({
+		selectedFeatures: lead.selectedFeatures,
+		selectedServices: lead.selectedServices,
+		hasCustomRequest: lead.hasCustomRequest,
+	});
+	const expires = new Date();
+	expires.setUTCDate(expires.getUTCDate() + VALIDITY_DAYS);
+
+	return {
+		lineItems: [
+			...estimate.lineItems.map(line => ({ catalogId: line.id, description: line.name, hours: null, price: line.amount })),
+			...(estimate.customRequest
+				? [
+						{
+							catalogId: estimate.customRequest.id,
+							description: lead.customRequestText?.trim().slice(0, MAX_DESCRIPTION_LENGTH) || estimate.customRequest.name,
+							hours: null,
+							price: estimate.customRequest.basePrice,
+						},
+					]
+				: []),
+		],
+		discount: estimate.discountTotal,
+		message: null,
+		expiresOn: expires.toISOString().slice(0, 10),
+	};
+}
+
+/**
+ * Validate the editable fields of a quote
+ *
+ * Throws ValidationError listing every problem; returns the cleaned fields
+ * with their totals.
+ */
+export function validateQuoteInput(data) {
+	const errors = [];
+	const lineItems = [];
+
+	if (!Array.isArray(data.lineItems) || data.lineItems.length === 0 || data.lineItems.length > MAX_LINE_ITEMS) {
+		errors.push(`lineItems must be a list of 1 to ${MAX_LINE_ITEMS} items`);
+	} else {
+		data.lineItems.forEach((item, index) => {
+			const label = `Line item ${index + 1}`;
+			const description = typeof item?.description === 'string' ? item.description.trim() : '';
+			const catalogId = item?.catalogId ?? null;
+			const hours = item?.hours ?? null;
+
+			if (!description || description.length > MAX_DESCRIPTION_LENGTH) {
+				errors.push(`${label} needs a description of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+			}
+			if (!Number.isInteger(item?.price) || item.price < 0 || item.price > MAX_PRICE) {
+				errors.push(`${label} price must be a whole amount between 0 and ${MAX_PRICE}`);
+			}
+			if (hours !== null && (typeof hours !== 'number' || !Number.isFinite(hours) || hours < 0 || hours > MAX_HOURS)) {
+				errors.push(`${label} hours must be a number between 0 and ${MAX_HOURS}`);
+			}
+			if (catalogId !== null && !CATALOG_IDS.has(catalogId)) {
+				errors.push(`${label} refers to an unknown catalog item`);
+			}
+			lineItems.push({ catalogId, description, hours, price: item?.price });
+		});
+	}
+
+	const subtotal = lineItems.reduce((sum, item) => sum + (Number.isInteger(item.price) ? item.price : 0), 0);
+	const discount = data.discount ?? 0;
+	if (!Number.isInteger(discount) || discount < 0 || discount > subtotal) {
+		errors.push('discount must be a whole amount no larger than the subtotal');
+	}
+
+	if (typeof data.expiresOn !== 'string' || !DATE_PATTERN.test(data.expiresOn) || Number.isNaN(Date.parse(data.expiresOn))) {
+		errors.push('expiresOn must be a date like 2026-03-31');
+	}
+
+	const message = data.message ?? null;
+	if (message !== null && (typeof message !== 'string' || message.length > MAX_MESSAGE_LENGTH)) {
+		errors.push(`message must be a string of at most ${MAX_MESSAGE_LENGTH} characters`);
+	}
+
+	if (errors.length > 0) {
+		throw new ValidationError(errors);
+	}
+
+	return { lineItems, subtotal, discount, total: subtotal - discount, message: message?.trim() || null, expiresOn: data.expiresOn };
+}
+
+/**
+ * A lead's quotes, newest version first, each with the customer's response
+ * (or null)
+ */
+export async function listQuotes(db, leadId) {
+	const [quotes, responses] = await db.batch([
+		db.prepare('SELECT * FROM quotes WHERE lead_id = ? ORDER BY version DESC').bind(leadId),
+		db.prepare('SELECT * FROM quote_responses WHERE lead_id = ?').bind(leadId),
+	]);
+	const byQuote = new Map(responses.results.map(row => [row.quote_id, toQuoteResponse(row)]));
+	return quotes.results.map(row => ({ ...toQuote(row), response: byQuote.get(row.id) ?? null }));
+}
+
+/**
+ * The customer's response to a quote, or null
+ */
+export async function getQuoteResponse(db, quoteId) {
+	const row = await db.prepare('SELECT * FROM quote_responses WHERE quote_id = ?').bind(quoteId).first();
+	return toQuoteResponse(row);
+}
+
+/**
+ * One version of a lead's quote
+ */
+export async function getQuote(db, leadId, version) {
+	const row = await db.prepare('SELECT * FROM quotes WHERE lead_id = ? AND version = ?').bind(leadId, version).first();
+	return toQuote(row);
+}
+
+/**
+ * Fetch a quote by id
+ */
+export async function getQuoteById(db, id) {
+	const row = await db.prepare('SELECT * FROM quotes WHERE id = ?').bind(id).first();
+	return toQuote(row);
+}
+
+function draftExists(draft) {
+	return new ConflictError(`Version ${draft.version} is still a draft. Edit or discard it first.`, {
+		code: 'quote_draft_exists',
+		details: { version: draft.version },
+	});
+}
+
+/**
+ * Start a new draft version
+ *
+ * Fields missing from `input` are taken from the latest version or, for a
+ * lead's first quote, from its estimate.
+ */
+export async function createQuoteDraft(db, lead, input, actor) {
+	const [latest] = await listQuotes(db, lead.id);
+	if (latest?.status === 'draft') {
+		throw draftExists(latest);
+	}
+
+	const base = latest
+		? { lineItems: latest.lineItems, discount: latest.discount, message: latest.message, expiresOn: latest.expiresOn }
+		: estimateDraft(lead);
+	const fields = validateQuoteInput({ ...base, ...input });
+	const now = new Date().toISOString();
+	const id = crypto.randomUUID();
+
+	try {
+		await db
+			.prepare(
+				`INSERT INTO quotes (
+					id, lead_id, version, status, currency, line_items, subtotal, discount, total, message, expires_on,
+					created_by, created_at, updated_at
+				)
+				SELECT ?, ?, COALESCE(MAX(version), 0) + 1, 'draft', ?, ?, ?, ?, ?, ?, ?, ?, ?, ? FROM quotes WHERE lead_id = ?`
+			)
+			.bind(
+				id,
+				lead.id,
+				CATALOG.currency,
+				JSON.stringify(fields.lineItems),
+				fields.subtotal,
+				fields.discount,
+				fields.total,
+				fields.message,
+				fields.expiresOn,
+				actor,
+				now,
+				now,
+				lead.id
+			)
+			.run();
+	} catch (error) {
+		// Another admin started a draft at the same moment
+		if (/UNIQUE constraint failed/.test(error.message)) {
+			const [draft] = await listQuotes(db, lead.id);
+			throw draftExists(draft);
+		}
+		throw error;
+	}
+
+	return getQuoteById(db, id);
+}
+
+function notDraft(quote) {
+	return new ConflictError(`Version ${quote.version} has already been sent. Start a new version to change it.`, {
+		code: 'quote_not_draft',
+	});
+}
+
+/**
+ * Update a draft's fields (merged over its current ones)
+ */
+export async function updateQuoteDraft(db, quote, input) {
+	if (quote.status !== 'draft') {
+		throw notDraft(quote);
+	}
+
+	const fields = validateQuoteInput({ ...quote, ...input });
+	const result = await db
+		.prepare(
+			`UPDATE quotes SET line_items = ?, subtotal = ?, discount = ?, total = ?, message = ?, expires_on = ?, updated_at = ?
+			WHERE id = ? AND status = 'draft'`
+		)
+		.bind(
+			JSON.stringify(fields.lineItems),
+			fields.subtotal,
+			fields.discount,
+			fields.total,
+			fields.message,
+			fields.expiresOn,
+			new Date().toISOString(),
+			quote.id
+		)
+		.run();
+	if (result.meta.changes === 0) {
+		throw notDraft(quote);
+	}
+
+	return getQuoteById(db, quote.id);
+}
+
+/**
+ * Send a draft: freeze it, supersede the previous version, move the lead to
+ * Quoted and email the customer
+ *
+ * The email is sent last; if it fails the quote still counts as sent and the
+ * result says so, with the review link to pass on by hand.
+ */
+export async function sendQuote(env, lead, quote, actor, log) {
+	if (quote.status !== 'draft') {
+		throw notDraft(quote);
+	}
+	if (quote.expiresOn < today()) {
+		throw new ValidationError(['expiresOn has passed; set a later expiry date before sending']);
+	}
+	const allowed = allowedTransitions(lead.status);
+	if (lead.status !== 'Quoted' && !allowed.includes('Quoted')) {
+		throw new ConflictError(`A quote can't be sent while the lead is ${lead.status}`, {
+			code: 'invalid_status_transition',
+			details: { status: lead.status, allowed },
+		});
+	}
+
+	const sentAt = new Date().toISOString();
+	const paymentSchedule = planPaymentSchedule(quote, scheduleRules(env));
+	const [sent] = await env.DB.batch([
+		env.DB.prepare(
+			`UPDATE quotes SET status = 'sent', sent_by = ?, sent_at = ?, terms_version = ?, payment_schedule = ?, updated_at = ?
+			WHERE id = ? AND status = 'draft'`
+		).bind(actor, sentAt, CURRENT_TERMS_VERSION, JSON.stringify(paymentSchedule), sentAt, quote.id),
+		env.DB.prepare("UPDATE quotes SET status = 'superseded', updated_at = ? WHERE lead_id = ? AND status = 'sent' AND version < ?").bind(
+			sentAt,
+			lead.id,
+			quote.version
+		),
+	]);
+	if (sent.meta.changes === 0) {
+		throw notDraft(quote);
+	}
+	log.info('quote.sent', { leadId: lead.id, quoteId: quote.id, version: quote.version, total: quote.total, actor });
+
+	let status = lead.status;
+	if (status !== 'Quoted') {
+		const changed = await changeLeadStatus(env, lead.id, { to: 'Quoted', actor, note: `Quote version ${quote.version} sent` }, log);
+		status = changed.lead.status;
+	}
+
+	const sentQuote = {
+		...quote,
+		status: 'sent',
+		sentBy: actor,
+		sentAt,
+		termsVersion: CURRENT_TERMS_VERSION,
+		paymentSchedule,
+		updatedAt: sentAt,
+	};
+	const reviewUrl = await quoteReviewUrl(env, sentQuote);
+	const acceptUrl = await quoteResponseUrl(env, sentQuote, 'accept');
+	const declineUrl = await quoteResponseUrl(env, sentQuote, 'decline');
+	let emailSent = true;
+	try {
+		await sendEmail(env, {
+			to: lead.email,
+			...renderQuoteEmail({ lead, quote: sentQuote, reviewUrl, acceptUrl, declineUrl }),
+			idempotencyKey: `quote-${quote.id}`,
+		});
+	} catch (error) {
+		emailSent = false;
+		log.error('quote.email_failed', { leadId: lead.id, quoteId: quote.id, error });
+	}
+
+	return { quote: sentQuote, leadStatus: status, reviewUrl, emailSent };
+}
+
+async function sha256Hex(text) {
+	return hexEncode(new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))));
+}
+
+/**
+ * Check that a quote can still be answered, throwing ConflictError if not
+ */
+function assertOpen(lead, quote, decision) {
+	if (quote.status === 'superseded') {
+		throw new ConflictError("We've sent you a newer version of this quote. Please use the links in that email.", {
+			code: 'quote_superseded',
+		});
+	}
+	if (quote.status !== 'sent') {
+		throw new ConflictError(`You already ${quote.status} this quote.`, { code: 'quote_already_answered' });
+	}
+	if (isQuoteExpired(quote)) {
+		throw new ConflictError("This quote has expired. Reply to our email and we'll send you an updated one.", { code: 'quote_expired' });
+	}
+	const to = decision === 'accepted' ? 'Accepted' : 'Declined';
+	if (!allowedTransitions(lead.status).includes(to)) {
+		throw new ConflictError("This quote is no longer open. Reply to our email and we'll help.", { code: 'quote_closed' });
+	}
+}
+
+/**
+ * Record the customer's answer to a sent quote and move the lead on
+ *
+ * `answer` is `{ signatureName, reason, ip, userAgent }`; acceptances pin the
+ * quote's terms text and its hash, and create its payment milestones from the
+ * schedule it was sent with (quotes sent before schedules existed use today's
+ * rules). The answer is stored first, so a failing status change or webhook
+ * is logged rather than losing it. Returns the answered quote, the response
+ * and the lead's status.
+ */
+export async function respondToQuote(env, lead, quote, decision, answer, log) {
+	assertOpen(lead, quote, decision);
+
+	const terms = decision === 'accepted' ? termsText(quote.termsVersion) : null;
+	const row = {
+		id: crypto.randomUUID(),
+		quote_id: quote.id,
+		lead_id: lead.id,
+		decision,
+		signature_name: answer.signatureName ?? null,
+		terms_version: terms ? quote.termsVersion : null,
+		terms_text: terms,
+		terms_sha256: terms ? await sha256Hex(terms) : null,
+		reason: answer.reason ?? null,
+		ip: answer.ip ?? null,
+		user_agent: answer.userAgent?.slice(0, MAX_USER_AGENT_LENGTH) ?? null,
+		created_at: new Date().toISOString(),
+	};
+
+	const schedule = decision === 'accepted' ? (quote.paymentSchedule ?? planPaymentSchedule(quote, scheduleRules(env))) : null;
+
+	// Every statement only applies while the quote is still open, so a double
+	// submit can't record two answers (or two sets of milestones)
+	const columns = Object.keys(row);
+	const results = await env.DB.batch([
+		env.DB.prepare(
+			`INSERT INTO quote_responses (${columns.join(', ')})
+			SELECT ${columns.map(() => '?').join(', ')} WHERE EXISTS (SELECT 1 FROM quotes WHERE id = ? AND status = 'sent')`
+		).bind(...Object.values(row), quote.id),
+		...(schedule ? milestoneStatements(env.DB, lead, quote, schedule, row.created_at) : []),
+		env.DB.prepare("UPDATE quotes SET status = ?, updated_at = ? WHERE id = ? AND status = 'sent'").bind(
+			decision,
+			row.created_at,
+			quote.id
+		),
+	]);
+	if (results.at(-1).meta.changes === 0) {
+		assertOpen(lead, await getQuoteById(env.DB, quote.id), decision);
+	}
+
+	const response = toQuoteResponse(row);
+	const answeredQuote = { ...quote, status: decision, updatedAt: row.created_at };
+	log.info(`quote.${decision}`, { leadId: lead.id, quoteId: quote.id, version: quote.version });
+
+	let leadStatus = lead.status;
+	try {
+		const to = decision === 'accepted' ? 'Accepted' : 'Declined';
+		const note =
+			decision === 'accepted'
+				? `Quote version ${quote.version} accepted by ${response.signatureName}`
+				: `Quote version ${quote.version} declined`;
+		const changed = await changeLeadStatus(env, lead.id, { to, actor: 'customer', note }, log);
+		leadStatus = changed.lead.status;
+	} catch (error) {
+		log.error('quote.status_change_failed', { leadId: lead.id, quoteId: quote.id, error });
+	}
+
+	if (decision === 'accepted') {
+		try {
+			const { ip, userAgent, ...acceptance } = response;
+			await emitEvent(env, 'quote.accepted', leadEventData({ ...lead, status: leadStatus }, { quote: answeredQuote, acceptance }), log);
+		} catch (error) {
+			log.error('webhook.emit_failed', { leadId: lead.id, type: 'quote.accepted', error });
+		}
+	}
+
+	return { quote: answeredQuote, response, leadStatus };
+}
+
+/**
+ * What the customer sees of a quote
+ */
+export function toCustomerQuote(quote) {
+	return {
+		id: quote.id,
+		version: quote.version,
+		status: quote.status,
+		currency: quote.currency,
+		lineItems: quote.lineItems.map(({ description, hours, price }) => ({ description, hours, price })),
+		subtotal: quote.subtotal,
+		discount: quote.discount,
+		total: quote.total,
+		message: quote.message,
+		expiresOn: quote.expiresOn,
+		expired: isQuoteExpired(quote),
+		sentAt: quote.sentAt,
+		paymentSchedule: quote.paymentSchedule?.milestones ?? null,
+	};
+}
+
+async function findLead(env, params) {
+	const lead = await getLead(env.DB, params.id);
+	if (!lead) {
+		throw new NotFoundError('Lead not found');
+	}
+	return lead;
+}
+
+async function findQuote(env, lead, params) {
+	const version = Number(params.version);
+	const quote = Number.isInteger(version) ? await getQuote(env.DB, lead.id, version) : null;
+	if (!quote) {
+		throw new NotFoundError('Quote not found');
+	}
+	return quote;
+}
+
+async function readQuoteInput(request) {
+	const data = await readJsonObject(request);
+	const input = {};
+	for (const field of ['lineItems', 'discount', 'message', 'expiresOn']) {
+		if (data[field] !== undefined) {
+			input[field] = data[field];
+		}
+	}
+	return input;
+}
+
+/**
+ * Handle GET /api/v1/admin/leads/:id/quotes
+ */
+export async function handleListQuotes({ env, params }) {
+	const lead = await findLead(env, params);
+	return json({ success: true, quotes: await listQuotes(env.DB, lead.id) });
+}
+
+/**
+ * Handle POST /api/v1/admin/leads/:id/quotes
+ *
+ * Takes any of `{ lineItems, discount, message, expiresOn }`; the rest come
+ * from the previous version or the estimate.
+ */
+export async function handleCreateQuote({ request, env, params, admin, log }) {
+	const lead = await findLead(env, params);
+	const quote = await createQuoteDraft(env.DB, lead, await readQuoteInput(request), admin.actor);
+	log.info('quote.draft_created', { leadId: lead.id, quoteId: quote.id, version: quote.version });
+	return json({ success: true, quote }, { status: 201 });
+}
+
+/**
+ * Handle PUT /api/v1/admin/leads/:id/quotes/:version
+ */
+export async function handleUpdateQuote({ request, env, params }) {
+	const lead = await findLead(env, params);
+	const quote = await findQuote(env, lead, params);
+	return json({ success: true, quote: await updateQuoteDraft(env.DB, quote, await readQuoteInput(request)) });
+}
+
+/**
+ * Handle DELETE /api/v1/admin/leads/:id/quotes/:version
+ *
+ * Only drafts can be discarded; sent versions are kept for reference.
+ */
+export async function handleDeleteQuote({ env, params }) {
+	const lead = await findLead(env, params);
+	const quote = await findQuote(env, lead, params);
+	const result = await env.DB.prepare("DELETE FROM quotes WHERE id = ? AND status = 'draft'").bind(quote.id).run();
+	if (result.meta.changes === 0) {
+		throw notDraft(quote);
+	}
+	return json({ success: true });
+}
+
+/**
+ * Handle POST /api/v1/admin/leads/:id/quotes/:version/send
+ */
+export async function handleSendQuote({ env, params, admin, log }) {
+	const lead = await findLead(env, params);
+	const quote = await findQuote(env, lead, params);
+	const result = await sendQuote(env, lead, quote, admin.actor, log);
+	return json({ success: true, ...result });
+}
+
+/**
+ * Handle POST /api/v1/admin/leads/:id/quotes/:version/invoices
+ *
+ * Issues whatever an accepted quote is missing, its invoice and receipts for
+ * its paid payments (say if the email or storage failed when it was
+ * accepted), and returns them all.
+ */
+export async function handleIssueQuoteInvoices({ env, params, log }) {
+	const lead = await findLead(env, params);
+	const quote = await findQuote(env, lead, params);
+	if (quote.status !== 'accepted') {
+		throw new ConflictError(`Version ${quote.version} hasn't been accepted.`, { code: 'quote_not_accepted' });
+	}
+
+	const invoices = await issueQuoteInvoices(env, lead, quote, await listQuotePayments(env.DB, quote.id), log);
+	return json({ success: true, invoices: invoices.map(toAdminInvoice) });
+}
+
+/**
+ * Find the sent quote a customer link points at
+ *
+ * Drafts and tokens that don't match the quote or `purposes` get the same 404.
+ */
+async function findCustomerQuote(env, id, token, purposes) {
+	const valid = await verifyQuoteToken(env, token, id, purposes);
+	const quote = valid ? await getQuoteById(env.DB, id) : null;
+	if (!quote || quote.status === 'draft') {
+		throw new NotFoundError('Quote not found');
+	}
+	return quote;
+}
+
+/**
+ * What the customer sees of an accepted quote's payments: the summary and
+ * each milestone
+ *
+ * `online` says whether they can pay by card here.
+ */
+async function customerPayment(env, quote) {
+	if (quote.status !== 'accepted') {
+		return null;
+	}
+	const [milestones, payments] = await Promise.all([listQuoteMilestones(env.DB, quote.id), listQuotePayments(env.DB, quote.id)]);
+	const summary = paymentSummary(milestones, payments);
+	return {
+		...summary,
+		online: Boolean(env.STRIPE_SECRET_KEY) && summary.amountDue > 0,
+		milestones: milestones.map(toCustomerMilestone),
+	};
+}
+
+/**
+ * Handle GET /api/v1/quotes/:id
+ *
+ * The customer's review page; needs the `token` from any of the emailed links.
+ * Includes the pinned terms and, once answered, the customer's response and
+ * what's been paid.
+ */
+export async function handleGetCustomerQuote({ env, url, params }) {
+	const purposes = [REVIEW_PURPOSE, ...Object.values(RESPONSE_PURPOSES)];
+	const quote = await findCustomerQuote(env, params.id, url.searchParams.get('token'), purposes);
+	const [lead, response, payment] = await Promise.all([
+		getLead(env.DB, quote.leadId),
+		getQuoteResponse(env.DB, quote.id),
+		customerPayment(env, quote),
+	]);
+
+	return json(
+		{
+			success: true,
+			reference: lead.reference,
+			appUrl: lead.appUrl,
+			quote: toCustomerQuote(quote),
+			terms: quote.termsVersion ? { version: quote.termsVersion, text: termsText(quote.termsVersion) } : null,
+			response: response && { decision: response.decision, signatureName: response.signatureName, respondedAt: response.respondedAt },
+			payment,
+		},
+		{ headers: { 'Cache-Control': 'no-store' } }
+	);
+}
+
+/**
+ * Answer a quote from a customer link and tell the team
+ */
+async function answerQuote({ request, env, ctx, log }, quote, decision, answer) {
+	const lead = await getLead(env.DB, quote.leadId);
+	// Built before the answer is stored, so a missing SITE_URL fails without recording it
+	const adminUrl = adminLeadUrl(env, lead.id);
+
+	const result = await respondToQuote(
+		env,
+		lead,
+		quote,
+		decision,
+		{ ...answer, ip: request.headers.get('CF-Connecting-IP'), userAgent: request.headers.get('User-Agent') },
+		log
+	);
+
+	ctx.waitUntil(notifyQuoteResponse(env, lead, result.quote, result.response, { adminUrl }, log));
+	if (decision === 'accepted') {
+		const failed = error => log.error('invoice.issue_failed', { leadId: lead.id, quoteId: quote.id, error });
+		ctx.waitUntil(issueInvoice(env, lead, result.quote, log).catch(failed));
+	}
+
+	return json(
+		{
+			success: true,
+			quote: toCustomerQuote(result.quote),
+			response: { decision, signatureName: result.response.signatureName, respondedAt: result.response.respondedAt },
+		},
+		{ headers: { 'Cache-Control': 'no-store' } }
+	);
+}
+
+/**
+ * Handle POST /api/v1/quotes/:id/accept
+ *
+ * Takes `{ token, name, agree, termsVersion }`: the token from the accept
+ * link, the customer's typed full name, and confirmation that they agree to
+ * the terms version shown.
+ */
+export async function handleAcceptQuote(context) {
+	const data = await readJsonObject(context.request);
+	const name = typeof data.name === 'string' ? data.name.trim() : '';
+
+	const errors = [];
+	if (name.length < 2 || name.length > MAX_SIGNATURE_NAME_LENGTH) {
+		errors.push('Please type your full name to sign');
+	}
+	if (data.agree !== true) {
+		errors.push('Please confirm you agree to the terms');
+	}
+	if (typeof data.termsVersion !== 'string') {
+		errors.push('termsVersion is required');
+	}
+	if (errors.length > 0) {
+		throw new ValidationError(errors);
+	}
+
+	const quote = await findCustomerQuote(context.env, context.params.id, data.token, [RESPONSE_PURPOSES.accept]);
+	if (quote.termsVersion !== data.termsVersion) {
+		throw new ConflictError('The terms for this quote have changed. Please reload the page and review them again.', {
+			code: 'terms_changed',
+		});
+	}
+
+	return answerQuote(context, quote, 'accepted', { signatureName: name });
+}
+
+/**
+ * Handle POST /api/v1/quotes/:id/decline
+ *
+ * Takes `{ token, reason }`; the reason is optional.
+ */
+export async function handleDeclineQuote(context) {
+	const data = await readJsonObject(context.request);
+	const reason = data.reason ?? null;
+	if (reason !== null && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+		throw new ValidationError([`reason must be at most ${MAX_REASON_LENGTH} characters`]);
+	}
+
+	const quote = await findCustomerQuote(context.env, context.params.id, data.token, [RESPONSE_PURPOSES.decline]);
+	return answerQuote(context, quote, 'declined', { reason: reason?.trim() || null });
+}
+
+/**
+ * Handle POST /api/v1/quotes/:id/checkout
+ *
+ * Takes `{ token, milestoneId }`: the token from the customer's review, accept
+ * or payment link, and optionally the milestone to pay (the first one due
+ * otherwise). Returns the Stripe Checkout page to send them to. Stripe sends
+ * them back to the quote page with the same token.
+ */
+export async function handleCreateCheckout({ request, env, params, log }) {
+	const data = await readJsonObject(request);
+	if (data.milestoneId !== undefined && typeof data.milestoneId !== 'string') {
+		throw new BadRequestError('milestoneId must be a string');
+	}
+	const quote = await findCustomerQuote(env, params.id, data.token, [REVIEW_PURPOSE, RESPONSE_PURPOSES.accept]);
+	const lead = await getLead(env.DB, quote.leadId);
+
+	const payment = await startCheckout(
+		env,
+		lead,
+		quote,
+		{ ...checkoutReturnUrls(env, quote, data.token), milestoneId: data.milestoneId ?? null },
+		log
+	);
+	return json({ success: true, checkoutUrl: payment.checkoutUrl, amount: payment.amount }, { headers: { 'Cache-Control': 'no-store' } });
+}
@@ -0,0 +1,133 @@
+/**
+ * Rate limiting for lead submission, request status lookups and portal sign-in
+ *
+ * Each limited key (a client IP or a normalized email) gets its own
+ * RateLimiter Durable Object holding a sliding-window log of hit timestamps.
+ * Limits come from wrangler.jsonc vars so they can differ per environment.
+ */
+
+import { DurableObject } from 'cloudflare:workers';
+import { TooManyRequestsError } from './errors.js';
+
+export class RateLimiter extends DurableObject {
+	/**
+	 * Count a hit against the window, unless the limit is already reached
+	 *
+	 * Returns `{ allowed, remaining, retryAfter }`, with `retryAfter` in seconds.
+	 */
+	async hit(limit, windowSeconds) {
+		const now = Date.now();
+		const windowMs = windowSeconds * 1000;
+		const hits = ((await this.ctx.storage.get('hits')) || []).filter(time => time > now - windowMs);
+
+		if (hits.length >= limit) {
+			await this.ctx.storage.put('hits', hits);
+			return { allowed: false, remaining: 0, retryAfter: Math.ceil((hits[0] + windowMs - now) / 1000) };
+		}
+
+		hits.push(now);
+		await this.ctx.storage.put('hits', hits);
+
+		// Every hit has left the window by then, so the object can be emptied
+		await this.ctx.storage.setAlarm(now + windowMs);
+
+		return { allowed: true, remaining: limit - hits.length, retryAfter: 0 };
+	}
+
+	async alarm() {
+		await this.ctx.storage.deleteAll();
+	}
+}
+
+/**
+ * Normalize an email so trivial variations share a limit
+ *
+ * Lowercases and drops "+tag" suffixes from the local part.
+ */
+export function normalizeEmail(email) {
+	const [local, domain] = email.trim().toLowerCase().split('@');
+	return `${local.split('+')[0]}@${domain}`;
+}
+
+/**
+ * Read a limit pair from env vars; a missing or non-positive max disables it
+ */
+function readLimit(env, prefix) {
+	const max = Number(env[`${prefix}_MAX`]);
+	const windowSeconds = Number(env[`${prefix}_WINDOW_SECONDS`]);
+
+	if (!(max > 0) || !(windowSeconds > 0)) {
+		return null;
+	}
+	return { max, windowSeconds };
+}
+
+/**
+ * Apply the per-IP and per-email submission limits
+ *
+ * Throws TooManyRequestsError when either is exceeded.
+ */
+export async function enforceSubmissionLimits(request, env, email) {
+	const checks = [];
+	const ip = request.headers.get('CF-Connecting-IP');
+	const ipLimit = readLimit(env, 'RATE_LIMIT_IP');
+	const emailLimit = readLimit(env, 'RATE_LIMIT_EMAIL');
+
+	// No client IP outside Cloudflare's edge (e.g. local dev)
+	if (ip && ipLimit) {
+		checks.push({ key: `ip:${ip}`, ...ipLimit });
+	}
+
+	if (emailLimit) {
+		checks.push({ key: `email:${normalizeEmail(email)}`, ...emailLimit });
+	}
+
+	for (const check of checks) {
+		await hitLimit(env, check);
+	}
+}
+
+/**
+ * Apply the per-IP limit on status lookups by reference and email
+ *
+ * Keeps anyone from walking the (sequential) references guessing emails.
+ */
+export async function enforceLookupLimits(request, env) {
+	const ip = request.headers.get('CF-Connecting-IP');
+	const limit = readLimit(env, 'RATE_LIMIT_LOOKUP');
+
+	if (ip && limit) {
+		await hitLimit(env, { key: `lookup-ip:${ip}`, ...limit });
+	}
+}
+
+/**
+ * Apply the per-IP and per-email limits on portal sign-in links
+ *
+ * Each request can send an email, so this keeps the form from being used to
+ * flood someone's inbox.
+ */
+export async function enforcePortalLoginLimits(request, env, email) {
+	const ip = request.headers.get('CF-Connecting-IP');
+	const ipLimit = readLimit(env, 'RATE_LIMIT_PORTAL_IP');
+	const emailLimit = readLimit(env, 'RATE_LIMIT_PORTAL_EMAIL');
+
+	if (ip && ipLimit) {
+		await hitLimit(env, { key: `portal-ip:${ip}`, ...ipLimit });
+	}
+	if (emailLimit) {
+		await hitLimit(env, { key: `portal-email:${normalizeEmail(email)}`, ...emailLimit });
+	}
+}
+
+/**
+ * Count a hit against a key's limit, throwing TooManyRequestsError once it's exceeded
+ */
+async function hitLimit(env, { key, max, windowSeconds }) {
+	const limiter = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(key));
+	const result = await limiter.hit(max, windowSeconds);
+
+	if (!result.allowed) {
+		throw new TooManyRequestsError(result.retryAfter);
+	}
+}
@@ -0,0 +1,99 @@
+/**
+ * Customer request status lookups
+ *
+ * Customers look up a request by its reference (FIN-2026-0142) plus either
+ * the email they submitted with, or the signed token from the status link in
+ * their confirmation email. Unknown references and wrong emails get the same
+ * 404, so the endpoint doesn't reveal which references exist.
+ */
+
+import { BadRequestError, NotFoundError, UnauthorizedError } from './errors.js';
+import { json } from './http.js';
+import { REFERENCE_PATTERN, getLeadByReference } from './leads.js';
+import { buildQuote } from './pricing.js';
+import { enforceLookupLimits } from './rate-limiter.js';
+import { linkSigningSecret, signToken, verifyToken } from './signing.js';
+
+const TOKEN_PURPOSE = 'request-status';
+
+// Status links are emailed once, so they stay valid for a year
+const TOKEN_TTL_SECONDS = 365 * 24 * 60 * 60;
+
+/**
+ * Link to the /status page that opens a request without asking for the email
+ */
+export async function statusUrl(env, baseUrl, lead) {
+	const token = await signToken(
+		{ purpose: TOKEN_PURPOSE, ref: lead.reference, exp: Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS },
+		linkSigningSecret(env)
+	);
+	const url = new URL('/status', baseUrl);
+	url.searchParams.set('ref', lead.reference);
+	url.searchParams.set('token', token);
+	return url.href;
+}
+
+/**
+ * What the customer sees about their request
+ */
+export function toRequestStatus(lead) {
+	return {
+		reference: lead.reference,
+		status: lead.status,
+		submittedAt: lead.submittedAt,
+		appUrl: lead.appUrl,
+		platform: lead.platform,
+		selectedFeatures: lead.selectedFeatures,
+		selectedServices: lead.selectedServices,
+		hasCustomRequest: lead.hasCustomRequest,
+		customRequestText: lead.customRequestText,
+		estimatedPrice: lead.estimatedPrice,
+		featureDiscount: lead.featureDiscount,
+		quote: buildQuote({
+			selectedFeatures: lead.selectedFeatures,
+			selectedServices: lead.selectedServices,
+			hasCustomRequest: lead.hasCustomRequest,
+		}),
+	};
+}
+
+/**
+ * Handle GET /api/v1/requests/:ref
+ *
+ * Takes `?email=` or `?token=` (the token may also come as a bearer token).
+ */
+export async function handleGetRequestStatus({ request, env, url, params }) {
+	const reference = params.ref.toUpperCase();
+	const bearer = /^Bearer\s+(.+)$/i.exec(request.headers.get('Authorization') || '');
+	const token = url.searchParams.get('token') || bearer?.[1].trim();
+	const email = url.searchParams.get('email');
+
+	if (!token && !email) {
+		throw new BadRequestError('Provide the email address you submitted with, or the link from your confirmation email');
+	}
+
+	let lead = null;
+	if (token) {
+		const payload = await verifyToken(token, linkSigningSecret(env));
+		if (payload?.purpose === TOKEN_PURPOSE && payload.ref === reference) {
+			if (payload.exp < Date.now() / 1000) {
+				throw new UnauthorizedError('This status link has expired. Look up your request with your email instead.', {
+					code: 'status_link_expired',
+				});
+			}
+			lead = await getLeadByReference(env.DB, reference);
+		}
+	} else {
+		await enforceLookupLimits(request, env);
+		if (REFERENCE_PATTERN.test(reference)) {
+			const found = await getLeadByReference(env.DB, reference);
+			lead = found && found.email.trim().toLowerCase() === email.trim().toLowerCase() ? found : null;
+		}
+	}
+
+	if (!lead) {
+		throw new NotFoundError('No request matches that reference and email');
+	}
+
+	return json({ success: true, request: toRequestStatus(lead) }, { headers: { 'Cache-Control': 'no-store' } });
+}
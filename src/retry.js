@@ -0,0 +1,40 @@
+/**
+ * Retry helpers for calls to third-party services
+ */
+
+import { ConfigurationError } from './errors.js';
+
+/**
+ * Whether an HTTP status is worth retrying: rate limits and server errors
+ */
+export function isTransientStatus(status) {
+	return status === 429 || status >= 500;
+}
+
+/**
+ * Exponential backoff with jitter, in seconds
+ *
+ * The delay doubles per attempt up to `maxSeconds`; a random half of it is
+ * added so a batch of failures doesn't retry in lockstep.
+ */
+export function backoffDelay(attempt, { baseSeconds, maxSeconds }) {
+	const ceiling = Math.min(baseSeconds * 2 ** (attempt - 1), maxSeconds);
+	return Math.ceil(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Whether a failed delivery to a third-party service is worth retrying
+ *
+ * Rate limits, server errors and network failures (no status) are. Other
+ * client errors (unknown fields, bad credentials) and missing configuration
+ * won't fix themselves.
+ */
+export function isTransientDeliveryError(error) {
+	if (error instanceof ConfigurationError) {
+		return false;
+	}
+	if (typeof error.statusCode === 'number') {
+		return isTransientStatus(error.statusCode);
+	}
+	return true;
+}
@@ -0,0 +1,222 @@
+/**
+ * Minimal API router
+ *
+ * Routes are registered with a path pattern and a table of method handlers:
+ *
+ *   router.route('/api/v1/things/:id', { GET: getThing, DELETE: deleteThing });
+ *
+ * Handlers receive a single context object `{ request, env, ctx, url, params, log }`
+ * and either return a Response or throw an HttpError. `log` is a request-scoped
+ * logger (see logger.js); every request gets one access log line.
+ *
+ * CORS is applied per route: the router's default policy, or one passed as
+ * `router.route(path, methods, { cors })`. Writes from origins outside the
+ * policy are refused before the handler runs.
+ */
+
+import { applyCors, enforceOrigin, isPreflight, preflight } from './cors.js';
+import { BadRequestError, HttpError, MethodNotAllowedError, NotFoundError } from './errors.js';
+import { json, withHeaders } from './http.js';
+import { REQUEST_ID_HEADER, createLogger, requestIdFor } from './logger.js';
+
+export const API_PREFIX = '/api/';
+export const CURRENT_API_VERSION = 'v1';
+
+/**
+ * Map unversioned API paths onto the current version
+ *
+ * `/api/submit-request` predates versioning and is still what deployed pages
+ * call, so it resolves to `/api/v1/submit-request`.
+ */
+export function resolveApiPath(pathname) {
+	if (!pathname.startsWith(API_PREFIX) || /^\/api\/v\d+(\/|$)/.test(pathname)) {
+		return pathname;
+	}
+	return `${API_PREFIX}${CURRENT_API_VERSION}/${pathname.slice(API_PREFIX.length)}`;
+}
+
+/**
+ * Compile a path like `/api/v1/leads/:id` into a matcher
+ */
+function compilePath(path) {
+	const keys = [];
+	const source = path
+		.split('/')
+		.map(segment => {
+			if (segment.startsWith(':')) {
+				keys.push(segment.slice(1));
+				return '([^/]+)';
+			}
+			return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		})
+		.join('/');
+
+	return { regex: new RegExp(`^${source}/?$`), keys };
+}
+
+/**
+ * Decode a path param, rejecting malformed percent-encoding
+ */
+function decodeParam(value) {
+	try {
+		return decodeURIComponent(value);
+	} catch {
+		throw new BadRequestError('Malformed URL path', { code: 'malformed_path' });
+	}
+}
+
+/**
+ * Methods a route answers, including the implicit HEAD and OPTIONS
+ */
+function allowedMethods(methods) {
+	const allowed = Object.keys(methods);
+	if (methods.GET && !methods.HEAD) {
+		allowed.push('HEAD');
+	}
+	allowed.push('OPTIONS');
+	return allowed;
+}
+
+/**
+ * Turn any thrown value into a JSON error response
+ *
+ * Error bodies carry the logger's request id so a customer's error message
+ * can be matched to the log lines for it.
+ */
+export function handleError(error, log = createLogger()) {
+	const withRequestId = body => (log.requestId ? { ...body, requestId: log.requestId } : body);
+
+	if (error instanceof HttpError) {
+		if (error.status >= 500) {
+			log.error('request.error', { error });
+		}
+
+		const body = { success: false, error: error.message, code: error.code };
+		if (error.errors) {
+			body.errors = error.errors;
+		}
+		if (error.details) {
+			body.details = error.details;
+		}
+		return json(withRequestId(body), { status: error.status, headers: error.headers });
+	}
+
+	// Malformed JSON from request.json()
+	if (error instanceof SyntaxError) {
+		return json(withRequestId({ success: false, error: 'Invalid JSON in request body', code: 'invalid_json' }), { status: 400 });
+	}
+
+	log.error('request.unhandled_error', { error });
+
+	return json(withRequestId({ success: false, error: 'Internal server error', code: 'internal_error' }), { status: 500 });
+}
+
+/**
+ * Summarize a status for the access log
+ */
+function outcomeOf(status) {
+	if (status >= 500) {
+		return 'server_error';
+	}
+	return status >= 400 ? 'client_error' : 'success';
+}
+
+export class Router {
+	constructor({ cors } = {}) {
+		this.routes = [];
+		this.cors = cors;
+	}
+
+	/**
+	 * Register a path with its method table
+	 */
+	route(path, methods, { cors = this.cors } = {}) {
+		this.routes.push({ path, methods, cors, ...compilePath(path) });
+		return this;
+	}
+
+	/**
+	 * Find the route for a pathname and extract its params
+	 *
+	 * Throws BadRequestError for a param that isn't valid percent-encoding.
+	 */
+	match(pathname) {
+		for (const route of this.routes) {
+			const result = route.regex.exec(pathname);
+			if (result) {
+				const params = {};
+				route.keys.forEach((key, index) => {
+					params[key] = decodeParam(result[index + 1]);
+				});
+				return { route, params };
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Dispatch a request, converting thrown errors into JSON responses
+	 */
+	async handle(request, env, ctx) {
+		const started = Date.now();
+		const url = new URL(request.url);
+		const log = createLogger({ requestId: requestIdFor(request) });
+
+		// The route is found inside the try so a malformed path still gets a JSON error
+		let match = null;
+		let cors = this.cors;
+		let response;
+		let errorCode;
+		try {
+			match = this.match(resolveApiPath(url.pathname));
+			cors = match ? match.route.cors : this.cors;
+			response = await this.dispatch(request, env, ctx, url, match, cors, log);
+		} catch (error) {
+			errorCode = error.code || (error instanceof SyntaxError ? 'invalid_json' : 'internal_error');
+			response = handleError(error, log);
+		}
+
+		response = withHeaders(response, { [REQUEST_ID_HEADER]: log.requestId });
+
+		log.info('request', {
+			method: request.method,
+			route: match ? match.route.path : null,
+			path: url.pathname,
+			status: response.status,
+			outcome: outcomeOf(response.status),
+			code: errorCode,
+			durationMs: Date.now() - started,
+		});
+
+		return cors ? applyCors(cors, request, env, response) : response;
+	}
+
+	/**
+	 * Run the matched handler; OPTIONS and CORS preflight are answered here
+	 */
+	async dispatch(request, env, ctx, url, match, cors, log) {
+		if (!match) {
+			throw new NotFoundError(`No API route for ${request.method} ${url.pathname}`);
+		}
+
+		const { route, params } = match;
+		const allowed = allowedMethods(route.methods);
+
+		if (request.method === 'OPTIONS') {
+			if (cors && isPreflight(request)) {
+				return preflight(cors, request, env, allowed);
+			}
+			return new Response(null, { status: 204, headers: { Allow: allowed.join(', ') } });
+		}
+
+		const handler = route.methods[request.method] || (request.method === 'HEAD' ? route.methods.GET : null);
+		if (!handler) {
+			throw new MethodNotAllowedError(allowed);
+		}
+		if (cors) {
+			enforceOrigin(cors, request, env);
+		}
+
+		return handler({ request, env, ctx, url, params, log });
+	}
+}
@@ -0,0 +1,129 @@
+/**
+ * HMAC signing helpers
+ *
+ * Tokens are `<base64url(JSON payload)>.<base64url(HMAC-SHA256)>`, signed with
+ * a secret from the environment. Verification is constant-time via
+ * crypto.subtle.verify.
+ *
+ * Outbound webhooks (and inbound ones that use the same scheme) sign the raw
+ * body instead, in a `t=<timestamp>,v1=<hex HMAC>` header.
+ */
+
+import { ConfigurationError } from './errors.js';
+
+const encoder = new TextEncoder();
+
+export function base64UrlEncode(bytes) {
+	let binary = '';
+	for (const byte of bytes) {
+		binary += String.fromCharCode(byte);
+	}
+	return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function base64UrlDecode(value) {
+	const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+	return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+function importKey(secret) {
+	return crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
+
+/**
+ * Raw HMAC-SHA256 of a message
+ */
+export async function hmac(secret, message) {
+	const key = await importKey(secret);
+	return new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(message)));
+}
+
+/**
+ * Secret for links and sessions handed to customers (status links, portal sign-in)
+ *
+ * Their tokens carry a `purpose` so one kind can't stand in for another.
+ */
+export function linkSigningSecret(env) {
+	if (!env.LINK_SIGNING_SECRET) {
+		throw new ConfigurationError('LINK_SIGNING_SECRET is not set');
+	}
+	return env.LINK_SIGNING_SECRET;
+}
+
+/**
+ * Sign a JSON payload into a token
+ */
+export async function signToken(payload, secret) {
+	const body = base64UrlEncode(encoder.encode(JSON.stringify(payload)));
+	const signature = base64UrlEncode(await hmac(secret, body));
+	return `${body}.${signature}`;
+}
+
+/**
+ * Verify a token and return its payload, or null if it was tampered with
+ */
+export async function verifyToken(token, secret) {
+	if (typeof token !== 'string') {
+		return null;
+	}
+
+	const [body, signature, ...rest] = token.split('.');
+	if (!body || !signature || rest.length > 0) {
+		return null;
+	}
+
+	try {
+		const key = await importKey(secret);
+		const valid = await crypto.subtle.verify('HMAC', key, base64UrlDecode(signature), encoder.encode(body));
+		return valid ? JSON.parse(new TextDecoder().decode(base64UrlDecode(body))) : null;
+	} catch {
+		// Malformed base64 or JSON
+		return null;
+	}
+}
+
+export function hexEncode(bytes) {
+	return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Signature header for a timestamped request body: `t=<unix seconds>,v1=<hex HMAC>`
+ *
+ * The HMAC covers `<t>.<body>`, so a captured request can't be replayed with
+ * a fresh timestamp.
+ */
+export async function signatureHeader(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+	return `t=${timestamp},v1=${hexEncode(await hmac(secret, `${timestamp}.${body}`))}`;
+}
+
+/**
+ * Check a `t=…,v1=…` signature header against a body
+ *
+ * Any of several v1 signatures may match (senders list one per secret while
+ * rotating). Returns false for stale timestamps, more than `toleranceSeconds`
+ * away from now.
+ */
+export async function verifySignatureHeader(header, body, secret, { toleranceSeconds = 300, now = Date.now() } = {}) {
+	if (typeof header !== 'string') {
+		return false;
+	}
+
+	const parts = header.split(',').map(part => part.trim().split('='));
+	const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+	const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+	if (!Number.isInteger(timestamp) || signatures.length === 0 || Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+		return false;
+	}
+
+	const key = await importKey(secret);
+	for (const signature of signatures) {
+		if (!/^[0-9a-f]{64}$/i.test(signature)) {
+			continue;
+		}
+		const bytes = Uint8Array.from(signature.match(/../g), pair => parseInt(pair, 16));
+		if (await crypto.subtle.verify('HMAC', key, bytes, encoder.encode(`${timestamp}.${body}`))) {
+			return true;
+		}
+	}
+	return false;
+}
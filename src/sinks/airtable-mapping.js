@@ -0,0 +1,166 @@
+/**
+ * Airtable field mapping
+ *
+ * Maps lead fields (see LEAD_FIELDS) to Airtable columns. The defaults match
+ * the original base. The AIRTABLE_FIELD_MAPPING var, then the
+ * `airtable-field-mapping` key in CONFIG_KV (editable without a deploy),
+ * override them per lead field:
+ *
+ *   {
+ *     "appUrl": "Website",
+ *     "selectedFeatures": { "column": "Features", "transform": "join", "separator": "; " },
+ *     "submittedAt": { "column": "Submitted", "transform": "date" },
+ *     "additionalContext": null
+ *   }
+ *
+ * A string renames the column, an object adds a transform, and null omits the
+ * field. Transforms: `join` (array to text, `separator` defaults to ", "),
+ * `date` (YYYY-MM-DD) and `datetime` (ISO 8601).
+ */
+
+import { ConfigurationError } from '../errors.js';
+import { LEAD_FIELDS } from '../leads.js';
+
+export const FIELD_MAPPING_KV_KEY = 'airtable-field-mapping';
+
+const TRANSFORMS = {
+	join: (value, { separator = ', ' }) => (Array.isArray(value) ? value.join(separator) : value),
+	date: value => toDate(value)?.toISOString().slice(0, 10) ?? null,
+	datetime: value => toDate(value)?.toISOString() ?? null,
+};
+
+function toDate(value) {
+	if (value === null || value === undefined || value === '') {
+		return null;
+	}
+	const date = new Date(value);
+	return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Normalize one mapping entry into `{ column, transform, separator }`, or null to omit
+ */
+function normalizeEntry(field, entry, source) {
+	if (entry === null || entry === false) {
+		return null;
+	}
+	if (typeof entry === 'string' && entry.trim() !== '') {
+		return { column: entry };
+	}
+	if (entry && typeof entry === 'object' && typeof entry.column === 'string' && entry.column.trim() !== '') {
+		if (entry.transform !== undefined && !Object.hasOwn(TRANSFORMS, entry.transform)) {
+			throw new ConfigurationError(`${source}: unknown transform "${entry.transform}" for ${field}`);
+		}
+		if (entry.separator !== undefined && typeof entry.separator !== 'string') {
+			throw new ConfigurationError(`${source}: separator for ${field} must be a string`);
+		}
+		return { column: entry.column, transform: entry.transform, separator: entry.separator };
+	}
+	throw new ConfigurationError(`${source}: mapping for ${field} must be a column name, an object with a column, or null`);
+}
+
+/**
+ * Parse a mapping config object
+ *
+ * Returns the normalized entries and the keys that aren't lead fields (which
+ * are ignored). Throws ConfigurationError for malformed entries.
+ */
+export function parseFieldMapping(config, source = 'field mapping') {
+	if (!config || typeof config !== 'object' || Array.isArray(config)) {
+		throw new ConfigurationError(`${source} must be a JSON object`);
+	}
+
+	const mapping = {};
+	const unknownFields = [];
+	for (const [field, entry] of Object.entries(config)) {
+		if (!LEAD_FIELDS.includes(field)) {
+			unknownFields.push(field);
+			continue;
+		}
+		mapping[field] = normalizeEntry(field, entry, source);
+	}
+	return { mapping, unknownFields };
+}
+
+export const DEFAULT_FIELD_MAPPING = parseFieldMapping({
+	appUrl: 'App URL',
+	email: 'Email',
+	platform: 'Platform',
+	selectedFeatures: 'Selected Features',
+	selectedServices: 'Selected Services',
+	hasCustomRequest: 'Custom Request',
+	customRequestText: 'Custom Request Description',
+	additionalContext: 'Notes',
+	estimatedPrice: 'Estimated Price',
+	featureDiscount: 'Feature Discount',
+	submittedAt: 'Timestamp',
+	status: 'Status',
+}).mapping;
+
+/**
+ * Parse a JSON mapping source, or return null when it's not set
+ */
+function parseSource(raw, source) {
+	if (!raw) {
+		return null;
+	}
+	try {
+		return parseFieldMapping(typeof raw === 'string' ? JSON.parse(raw) : raw, source);
+	} catch (error) {
+		if (error instanceof SyntaxError) {
+			throw new ConfigurationError(`${source} is not valid JSON`);
+		}
+		throw error;
+	}
+}
+
+// Last resolved mapping, so each isolate checks a given config once
+let cached = null;
+
+/**
+ * Resolve the mapping from the defaults, the env var and KV
+ *
+ * Mapping keys that aren't lead fields are reported through `log` the first
+ * time an isolate sees a config.
+ */
+export async function loadFieldMapping(env, log) {
+	const kvRaw = env.CONFIG_KV ? await env.CONFIG_KV.get(FIELD_MAPPING_KV_KEY) : null;
+	const envRaw = env.AIRTABLE_FIELD_MAPPING;
+	const key = JSON.stringify([envRaw ?? null, kvRaw]);
+	if (cached?.key === key) {
+		return cached.mapping;
+	}
+
+	const mapping = { ...DEFAULT_FIELD_MAPPING };
+	for (const [raw, source] of [
+		[envRaw, 'AIRTABLE_FIELD_MAPPING'],
+		[kvRaw, `CONFIG_KV ${FIELD_MAPPING_KV_KEY}`],
+	]) {
+		const parsed = parseSource(raw, source);
+		if (!parsed) {
+			continue;
+		}
+		if (parsed.unknownFields.length > 0) {
+			log?.warn('airtable.mapping_unknown_fields', { source, fields: parsed.unknownFields, knownFields: LEAD_FIELDS });
+		}
+		Object.assign(mapping, parsed.mapping);
+	}
+
+	cached = { key, mapping };
+	return mapping;
+}
+
+/**
+ * Build the Airtable fields for a lead
+ */
+export function buildAirtableRecord(lead, mapping = DEFAULT_FIELD_MAPPING) {
+	const fields = {};
+	for (const [field, entry] of Object.entries(mapping)) {
+		if (!entry) {
+			continue;
+		}
+		const value = lead[field];
+		fields[entry.column] = entry.transform ? TRANSFORMS[entry.transform](value, entry) : value;
+	}
+	return fields;
+}
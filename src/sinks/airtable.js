@@ -0,0 +1,50 @@
+/**
+ * Airtable lead sink
+ *
+ * Creates one record per lead in AIRTABLE_TABLE_NAME, with columns from the
+ * field mapping (see airtable-mapping.js). AIRTABLE_ENDPOINT_URL points the
+ * SDK at a stand-in server for local runs and tests.
+ */
+
+import Airtable from 'airtable';
+import { ConfigurationError } from '../errors.js';
+import { buildAirtableRecord, loadFieldMapping } from './airtable-mapping.js';
+
+/**
+ * Create an Airtable record from mapped fields and return its record id
+ */
+export async function createAirtableRecord(env, fields) {
+	// Check for required environment variables
+	if (!env.AIRTABLE_API_KEY) {
+		throw new ConfigurationError('AIRTABLE_API_KEY is not set');
+	}
+
+	if (!env.AIRTABLE_BASE_ID) {
+		throw new ConfigurationError('AIRTABLE_BASE_ID is not set');
+	}
+
+	const tableName = env.AIRTABLE_TABLE_NAME || 'Estimate Requests';
+
+	// 429s are retried through the queue rather than by the SDK sleeping in the consumer
+	const airtable = new Airtable({
+		apiKey: env.AIRTABLE_API_KEY,
+		noRetryIfRateLimited: true,
+		...(env.AIRTABLE_ENDPOINT_URL ? { endpointUrl: env.AIRTABLE_ENDPOINT_URL } : {}),
+	});
+	const base = airtable.base(env.AIRTABLE_BASE_ID);
+
+	const [record] = await base(tableName).create([{ fields }]);
+	return record.id;
+}
+
+export const airtableSink = {
+	name: 'airtable',
+
+	async prepare(env, lead, log) {
+		return buildAirtableRecord(lead, await loadFieldMapping(env, log));
+	},
+
+	async send(env, fields) {
+		return { recordId: await createAirtableRecord(env, fields) };
+	},
+};
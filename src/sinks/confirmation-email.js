@@ -0,0 +1,47 @@
+/**
+ * Confirmation email lead sink
+ *
+ * Emails the customer a copy of their request: the itemized selections,
+ * discounts, total, reference number and a signed link to the /status page
+ * (see email/templates.js). Going through the lead sync queue gives it the
+ * same retries and dead-lettering as the other sinks; the provider's
+ * idempotency key keeps retries from sending it twice where the provider
+ * supports one.
+ */
+
+import { sendEmail } from '../email/index.js';
+import { renderConfirmationEmail } from '../email/templates.js';
+import { ConfigurationError } from '../errors.js';
+import { buildQuote } from '../pricing.js';
+import { statusUrl } from '../request-status.js';
+
+export const confirmationEmailSink = {
+	name: 'confirmation-email',
+
+	async prepare(env, lead) {
+		if (!env.SITE_URL) {
+			throw new ConfigurationError('SITE_URL is not set');
+		}
+
+		// The estimate stored at submit, so a catalog change before a retry can't
+		// change what the email shows; older leads without one are repriced
+		const quote =
+			lead.estimate ??
+			buildQuote({
+				selectedFeatures: lead.selectedFeatures,
+				selectedServices: lead.selectedServices,
+				hasCustomRequest: lead.hasCustomRequest,
+			});
+
+		return {
+			to: lead.email,
+			idempotencyKey: `confirmation-email/${lead.id}`,
+			...renderConfirmationEmail({ lead, quote, statusUrl: await statusUrl(env, env.SITE_URL, lead) }),
+		};
+	},
+
+	async send(env, message) {
+		const { provider, id } = await sendEmail(env, message);
+		return { provider, messageId: id };
+	},
+};
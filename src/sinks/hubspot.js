@@ -0,0 +1,86 @@
+/**
+ * HubSpot-compatible CRM lead sink
+ *
+ * Upserts a contact keyed by email, then creates a deal for the estimate
+ * associated with it, using the CRM v3 objects API. HUBSPOT_API_BASE points
+ * it at another HubSpot-compatible API or a local stand-in.
+ */
+
+import { ConfigurationError } from '../errors.js';
+import { requestJson } from '../outbound.js';
+
+const DEFAULT_API_BASE = 'https://api.hubapi.com';
+
+// HubSpot-defined association type for deal -> contact
+const DEAL_TO_CONTACT_ASSOCIATION = 3;
+
+function describeLead(lead) {
+	const lines = [
+		`Platform: ${lead.platform}`,
+		`Features: ${lead.selectedFeatures.join(', ') || 'None'}`,
+		`Services: ${lead.selectedServices.join(', ') || 'None'}`,
+	];
+	if (lead.hasCustomRequest) {
+		lines.push(`Custom request: ${lead.customRequestText || 'Yes'}`);
+	}
+	if (lead.additionalContext) {
+		lines.push(`Notes: ${lead.additionalContext}`);
+	}
+	return lines.join('\n');
+}
+
+function hostOf(url) {
+	try {
+		return new URL(url).host;
+	} catch {
+		return url;
+	}
+}
+
+export const hubspotSink = {
+	name: 'hubspot',
+
+	async prepare(env, lead) {
+		return {
+			contact: { email: lead.email, website: lead.appUrl },
+			deal: {
+				dealname: `Estimate request: ${hostOf(lead.appUrl)}`,
+				amount: String(lead.estimatedPrice),
+				pipeline: env.HUBSPOT_PIPELINE || 'default',
+				dealstage: env.HUBSPOT_DEAL_STAGE || 'appointmentscheduled',
+				description: describeLead(lead),
+			},
+		};
+	},
+
+	async send(env, { contact, deal }) {
+		if (!env.HUBSPOT_ACCESS_TOKEN) {
+			throw new ConfigurationError('HUBSPOT_ACCESS_TOKEN is not set');
+		}
+
+		const base = (env.HUBSPOT_API_BASE || DEFAULT_API_BASE).replace(/\/+$/, '');
+		const headers = { Authorization: `Bearer ${env.HUBSPOT_ACCESS_TOKEN}` };
+
+		// Upserting by email keeps repeat customers as one contact
+		const contacts = await requestJson(`${base}/crm/v3/objects/contacts/batch/upsert`, {
+			headers,
+			body: { inputs: [{ idProperty: 'email', id: contact.email, properties: contact }] },
+		});
+		const contactId = contacts.results[0].id;
+
+		const created = await requestJson(`${base}/crm/v3/objects/deals`, {
+			headers,
+			body: {
+				properties: deal,
+				associations: [
+					{
+						to: { id: contactId },
+						types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: DEAL_TO_CONTACT_ASSOCIATION }],
+					},
+				],
+			},
+		});
+
+		return { contactId, dealId: created.id };
+	},
+};
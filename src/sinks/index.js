@@ -0,0 +1,47 @@
+/**
+ * Lead sinks
+ *
+ * A sink is a downstream system that receives a copy of every lead:
+ *
+ *   {
+ *     name,
+ *     prepare(env, lead, log) -> payload   // what will be sent, kept on dead letters
+ *     send(env, payload) -> externalIds     // ids the sink assigned, stored on the lead
+ *   }
+ *
+ * LEAD_SINKS lists the enabled sinks, comma-separated (default: airtable).
+ * Each enabled sink gets its own queue message, so one failing sink never
+ * holds up or repeats deliveries to the others.
+ */
+
+import { airtableSink } from './airtable.js';
+import { confirmationEmailSink } from './confirmation-email.js';
+import { hubspotSink } from './hubspot.js';
+import { webhookSink } from './webhook.js';
+
+export const SINKS = Object.fromEntries([airtableSink, hubspotSink, webhookSink, confirmationEmailSink].map(sink => [sink.name, sink]));
+
+const DEFAULT_SINKS = ['airtable'];
+
+/**
+ * Look up a sink by name
+ */
+export function getSink(name) {
+	return Object.hasOwn(SINKS, name) ? SINKS[name] : null;
+}
+
+/**
+ * Names of the sinks enabled by LEAD_SINKS, skipping (and reporting) unknown ones
+ */
+export function configuredSinks(env, log) {
+	if (env.LEAD_SINKS === undefined) {
+		return DEFAULT_SINKS;
+	}
+
+	const names = [...new Set(String(env.LEAD_SINKS).split(',').map(name => name.trim()).filter(Boolean))];
+	const unknown = names.filter(name => !getSink(name));
+	if (unknown.length > 0) {
+		log?.error('lead_sync.unknown_sinks', { sinks: unknown, knownSinks: Object.keys(SINKS) });
+	}
+	return names.filter(name => getSink(name));
+}
@@ -0,0 +1,33 @@
+/**
+ * Generic JSON webhook lead sink
+ *
+ * POSTs `{ event: 'lead.created', lead }` to LEAD_WEBHOOK_URL, for
+ * spreadsheets and automation tools. LEAD_WEBHOOK_TOKEN, if set, is sent as a
+ * bearer token. The lead id doubles as an Idempotency-Key so receivers can
+ * drop retried deliveries.
+ */
+
+import { ConfigurationError } from '../errors.js';
+import { requestJson } from '../outbound.js';
+
+export const webhookSink = {
+	name: 'webhook',
+
+	async prepare(env, lead) {
+		return { event: 'lead.created', lead };
+	},
+
+	async send(env, payload) {
+		if (!env.LEAD_WEBHOOK_URL) {
+			throw new ConfigurationError('LEAD_WEBHOOK_URL is not set');
+		}
+
+		const headers = { 'Idempotency-Key': payload.lead.id };
+		if (env.LEAD_WEBHOOK_TOKEN) {
+			headers.Authorization = `Bearer ${env.LEAD_WEBHOOK_TOKEN}`;
+		}
+
+		await requestJson(env.LEAD_WEBHOOK_URL, { headers, body: payload });
+		return {};
+	},
+};
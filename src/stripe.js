@@ -0,0 +1,81 @@
+/**
+ * Stripe API client
+ *
+ * Just the calls the Worker needs, over fetch. Requests are form-encoded with
+ * Stripe's bracket notation for nested fields. STRIPE_API_BASE points it at a
+ * local stand-in, so checkout runs offline in dev and tests. Needs the
+ * STRIPE_SECRET_KEY secret; webhooks are checked with STRIPE_WEBHOOK_SECRET.
+ */
+
+import { ConfigurationError } from './errors.js';
+import { requestJson } from './outbound.js';
+import { verifySignatureHeader } from './signing.js';
+
+const DEFAULT_API_BASE = 'https://api.stripe.com';
+
+/**
+ * Flatten nested params into Stripe's form encoding:
+ * `{ line_items: [{ quantity: 1 }] }` becomes `line_items[0][quantity]=1`
+ */
+export function encodeForm(params, form = new URLSearchParams(), prefix = '') {
+	for (const [key, value] of Object.entries(params)) {
+		const name = prefix ? `${prefix}[${key}]` : key;
+		if (value === undefined || value === null) {
+			continue;
+		}
+		if (typeof value === 'object') {
+			encodeForm(value, form, name);
+		} else {
+			form.append(name, String(value));
+		}
+	}
+	return form;
+}
+
+/**
+ * POST to a Stripe API path and return the parsed object
+ *
+ * `idempotencyKey` makes retries of the same call return the first result
+ * instead of creating a duplicate.
+ */
+async function stripeRequest(env, path, params, { idempotencyKey } = {}) {
+	if (!env.STRIPE_SECRET_KEY) {
+		throw new ConfigurationError('STRIPE_SECRET_KEY is not set');
+	}
+
+	const base = (env.STRIPE_API_BASE || DEFAULT_API_BASE).replace(/\/+$/, '');
+	return requestJson(`${base}${path}`, {
+		headers: {
+			Authorization: `Bearer ${env.STRIPE_SECRET_KEY}`,
+			...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}),
+		},
+		body: encodeForm(params),
+	});
+}
+
+/**
+ * Create a one-time coupon for a fixed amount off, in the currency's minor units
+ */
+export function createCoupon(env, { amountOff, currency, name }, options) {
+	return stripeRequest(env, '/v1/coupons', { amount_off: amountOff, currency, duration: 'once', max_redemptions: 1, name }, options);
+}
+
+/**
+ * Create a Checkout Session (see Stripe's API reference for the params)
+ */
+export function createCheckoutSession(env, params, options) {
+	return stripeRequest(env, '/v1/checkout/sessions', params, options);
+}
+
+/**
+ * Check a webhook's Stripe-Signature header against its raw body
+ *
+ * Stripe signs `<t>.<body>` the same way our own webhooks do, so this shares
+ * their verification (and its five-minute replay window).
+ */
+export function verifyStripeSignature(env, header, body) {
+	if (!env.STRIPE_WEBHOOK_SECRET) {
+		throw new ConfigurationError('STRIPE_WEBHOOK_SECRET is not set');
+	}
+	return verifySignatureHeader(header, body, env.STRIPE_WEBHOOK_SECRET);
+}
@@ -0,0 +1,113 @@
+/**
+ * Request payload validation
+ */
+
+// Free-text limits; the custom request matches the estimate form's maxlength
+const MAX_PLATFORM_LENGTH = 100;
+const MAX_CUSTOM_REQUEST_LENGTH = 500;
+const MAX_ADDITIONAL_CONTEXT_LENGTH = 2000;
+
+/**
+ * Validate email format
+ */
+export function isValidEmail(email) {
+	const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+	return emailRegex.test(email);
+}
+
+/**
+ * Validate URL format
+ */
+export function isValidUrl(url) {
+	try {
+		new URL(url);
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Check an optional free-text field, adding any problem to `errors`
+ */
+function checkOptionalText(errors, value, label, maxLength) {
+	if (value === undefined || value === null) {
+		return;
+	}
+	if (typeof value !== 'string') {
+		errors.push(`${label} must be text`);
+	} else if (value.length > maxLength) {
+		errors.push(`${label} must be at most ${maxLength} characters`);
+	}
+}
+
+/**
+ * Validate the shape of the selection fields
+ *
+ * Shared by the quote endpoint, which prices partial forms and so doesn't
+ * require contact details or a non-empty selection.
+ */
+export function validateSelections(data) {
+	const errors = [];
+
+	if (data.selectedFeatures && !Array.isArray(data.selectedFeatures)) {
+		errors.push('Selected features must be an array');
+	}
+
+	if (data.selectedServices && !Array.isArray(data.selectedServices)) {
+		errors.push('Selected services must be an array');
+	}
+
+	return {
+		isValid: errors.length === 0,
+		errors,
+	};
+}
+
+/**
+ * Validate estimate form data
+ */
+export function validateEstimateForm(data) {
+	const errors = [];
+
+	// Required: App URL
+	if (!data.appUrl || typeof data.appUrl !== 'string' || !data.appUrl.trim()) {
+		errors.push('App URL is required');
+	} else if (!isValidUrl(data.appUrl)) {
+		errors.push('App URL must be a valid URL');
+	}
+
+	// Required: Email
+	if (!data.email || typeof data.email !== 'string' || !data.email.trim()) {
+		errors.push('Email is required');
+	} else if (!isValidEmail(data.email)) {
+		errors.push('Email must be a valid email address');
+	}
+
+	// At least one selection required
+	const hasFeatures = Array.isArray(data.selectedFeatures) && data.selectedFeatures.length > 0;
+	const hasServices = Array.isArray(data.selectedServices) && data.selectedServices.length > 0;
+	const hasCustom = data.hasCustomRequest === true;
+
+	if (!hasFeatures && !hasServices && !hasCustom) {
+		errors.push('At least one service must be selected');
+	}
+
+	// Validate arrays
+	errors.push(...validateSelections(data).errors);
+
+	// Validate custom request text if custom request is selected
+	if (data.hasCustomRequest && (typeof data.customRequestText !== 'string' || !data.customRequestText.trim())) {
+		errors.push('Custom request description is required when custom request is selected');
+	} else {
+		checkOptionalText(errors, data.customRequestText, 'Custom request description', MAX_CUSTOM_REQUEST_LENGTH);
+	}
+
+	checkOptionalText(errors, data.platform, 'Platform', MAX_PLATFORM_LENGTH);
+	checkOptionalText(errors, data.additionalContext, 'Additional context', MAX_ADDITIONAL_CONTEXT_LENGTH);
+
+	return {
+		isValid: errors.length === 0,
+		errors,
+	};
+}
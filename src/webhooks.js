@@ -0,0 +1,385 @@
+/**
+ * Outbound lifecycle webhooks
+ *
+ * Internal tools subscribe to lead events instead of polling the lead sinks.
+ * EVENT_WEBHOOKS (a secret) is a JSON array of endpoints:
+ *
+ *   [{ "id": "ops", "url": "https://ops.example.com/hooks", "secret": "…", "events": ["lead.created"] }]
+ *
+ * `events` is optional and defaults to every event type. Each event is stored
+ * once per subscribed endpoint in `webhook_deliveries` (the delivery log) and
+ * sent from the webhook queue, retrying transient failures with backoff.
+ *
+ * Requests are POSTs of the JSON event `{ id, type, createdAt, data }` with:
+ *
+ *   Finalize-Event: lead.created
+ *   Finalize-Delivery: <delivery id>
+ *   Finalize-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ *
+ * Receivers should check the signature with the endpoint's secret, reject
+ * timestamps more than five minutes old, and drop repeated event ids (a
+ * redelivery re-sends the same event with a fresh signature).
+ */
+
+import { BadRequestError, ConfigurationError, ConflictError, NotFoundError } from './errors.js';
+import { json } from './http.js';
+import { createLogger } from './logger.js';
+import { requestJson } from './outbound.js';
+import { buildQuote } from './pricing.js';
+import { backoffDelay, isTransientDeliveryError } from './retry.js';
+import { signatureHeader } from './signing.js';
+
+export const EVENT_TYPES = ['lead.created', 'lead.status_changed', 'quote.accepted'];
+
+export const WEBHOOK_DELIVERY_STATUSES = ['pending', 'delivered', 'retrying', 'failed'];
+
+// Queue retry delay bounds, in seconds
+const RETRY_BASE_DELAY = 30;
+const RETRY_MAX_DELAY = 60 * 60;
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+
+function isHttpUrl(value) {
+	try {
+		return ['http:', 'https:'].includes(new URL(value).protocol);
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Parse the endpoints configured in EVENT_WEBHOOKS
+ *
+ * Throws ConfigurationError for malformed configuration rather than silently
+ * dropping an endpoint.
+ */
+export function webhookEndpoints(env) {
+	if (!env.EVENT_WEBHOOKS) {
+		return [];
+	}
+
+	let config;
+	try {
+		config = JSON.parse(env.EVENT_WEBHOOKS);
+	} catch {
+		throw new ConfigurationError('EVENT_WEBHOOKS is not valid JSON');
+	}
+	if (!Array.isArray(config)) {
+		throw new ConfigurationError('EVENT_WEBHOOKS must be a JSON array');
+	}
+
+	const seen = new Set();
+	return config.map(({ id, url, secret, events = EVENT_TYPES } = {}, index) => {
+		const label = typeof id === 'string' && id ? id : `#${index}`;
+		if (typeof id !== 'string' || !/^[a-z0-9_-]+$/i.test(id)) {
+			throw new ConfigurationError(`EVENT_WEBHOOKS endpoint ${label} needs an id of letters, digits, - or _`);
+		}
+		if (seen.has(id)) {
+			throw new ConfigurationError(`EVENT_WEBHOOKS endpoint ${id} is listed twice`);
+		}
+		seen.add(id);
+		if (!isHttpUrl(url)) {
+			throw new ConfigurationError(`EVENT_WEBHOOKS endpoint ${id} needs an http(s) url`);
+		}
+		if (typeof secret !== 'string' || !secret) {
+			throw new ConfigurationError(`EVENT_WEBHOOKS endpoint ${id} needs a secret`);
+		}
+		if (!Array.isArray(events) || events.some(event => !EVENT_TYPES.includes(event))) {
+			throw new ConfigurationError(`EVENT_WEBHOOKS endpoint ${id} has events outside ${EVENT_TYPES.join(', ')}`);
+		}
+		return { id, url, secret, events };
+	});
+}
+
+/**
+ * Event data for a lead: the stored lead and its server-computed pricing
+ */
+export function leadEventData(lead, extra = {}) {
+	return {
+		lead,
+		pricing: buildQuote({
+			selectedFeatures: lead.selectedFeatures,
+			selectedServices: lead.selectedServices,
+			hasCustomRequest: lead.hasCustomRequest,
+		}),
+		...extra,
+	};
+}
+
+/**
+ * Record an event for every subscribed endpoint and queue its deliveries
+ *
+ * Returns the delivery ids (none when nothing subscribes to the event). If
+ * queueing fails, the unqueued deliveries are marked failed and the error is
+ * rethrown.
+ */
+export async function emitEvent(env, type, data, log = createLogger()) {
+	if (!EVENT_TYPES.includes(type)) {
+		throw new Error(`Unknown event type ${type}`);
+	}
+
+	const endpoints = webhookEndpoints(env).filter(endpoint => endpoint.events.includes(type));
+	if (endpoints.length === 0) {
+		return [];
+	}
+
+	const now = new Date().toISOString();
+	const event = { id: `evt_${crypto.randomUUID()}`, type, createdAt: now, data };
+	const payload = JSON.stringify(event);
+	const deliveries = endpoints.map(endpoint => ({ id: crypto.randomUUID(), endpointId: endpoint.id }));
+
+	const statement = env.DB.prepare(
+		`INSERT INTO webhook_deliveries (
+			id, event_id, event_type, endpoint_id, lead_id, payload, status, created_at, updated_at
+		) VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?)`
+	);
+	const leadId = data.lead?.id ?? null;
+	await env.DB.batch(deliveries.map(({ id, endpointId }) => statement.bind(id, event.id, type, endpointId, leadId, payload, now, now)));
+	const sends = await Promise.allSettled(
+		deliveries.map(({ id }) => env.WEBHOOK_QUEUE.send({ deliveryId: id, requestId: log.requestId }))
+	);
+
+	// Unqueued deliveries would sit as pending forever; failed ones can be redelivered
+	const unsent = deliveries.filter((_, index) => sends[index].status === 'rejected');
+	if (unsent.length > 0) {
+		const { reason: error } = sends.find(({ status }) => status === 'rejected');
+		const failed = env.DB.prepare("UPDATE webhook_deliveries SET status = 'failed', last_error = ?, updated_at = ? WHERE id = ?");
+		await env.DB.batch(unsent.map(({ id }) => failed.bind(`Could not queue delivery: ${error.message}`, now, id)));
+		throw error;
+	}
+
+	log.info('webhook.event_emitted', { eventId: event.id, type, endpoints: endpoints.map(endpoint => endpoint.id) });
+	return deliveries.map(({ id }) => id);
+}
+
+/**
+ * Convert a `webhook_deliveries` row into a delivery object
+ */
+function toWebhookDelivery(row) {
+	if (!row) {
+		return null;
+	}
+
+	return {
+		id: row.id,
+		eventId: row.event_id,
+		eventType: row.event_type,
+		endpointId: row.endpoint_id,
+		leadId: row.lead_id,
+		payload: JSON.parse(row.payload),
+		status: row.status,
+		attempts: row.attempts,
+		responseStatus: row.response_status,
+		lastError: row.last_error,
+		redeliveryCount: row.redelivery_count,
+		deliveredAt: row.delivered_at,
+		createdAt: row.created_at,
+		updatedAt: row.updated_at,
+	};
+}
+
+/**
+ * Fetch a webhook delivery by id
+ */
+export async function getWebhookDelivery(db, id) {
+	const row = await db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').bind(id).first();
+	return toWebhookDelivery(row);
+}
+
+/**
+ * List webhook deliveries, newest first
+ */
+export async function listWebhookDeliveries(db, { endpointId, status, eventType, leadId, limit = DEFAULT_LIST_LIMIT } = {}) {
+	const filters = [
+		['endpoint_id', endpointId],
+		['status', status],
+		['event_type', eventType],
+		['lead_id', leadId],
+	].filter(([, value]) => value);
+	const where = filters.length > 0 ? `WHERE ${filters.map(([column]) => `${column} = ?`).join(' AND ')}` : '';
+
+	const { results } = await db
+		.prepare(`SELECT * FROM webhook_deliveries ${where} ORDER BY created_at DESC LIMIT ?`)
+		.bind(...filters.map(([, value]) => value), limit)
+		.all();
+	return results.map(toWebhookDelivery);
+}
+
+/**
+ * Record the outcome of a delivery attempt
+ */
+async function recordAttempt(db, id, { status, responseStatus = null, error = null }) {
+	const now = new Date().toISOString();
+	await db
+		.prepare(
+			`UPDATE webhook_deliveries
+			SET status = ?, attempts = attempts + 1, response_status = ?, last_error = ?,
+				delivered_at = CASE WHEN ? = 'delivered' THEN ? ELSE delivered_at END, updated_at = ?
+			WHERE id = ?`
+		)
+		.bind(status, responseStatus, error, status, now, now, id)
+		.run();
+}
+
+/**
+ * POST a delivery's event to its endpoint, signed with the endpoint's secret
+ */
+async function sendDelivery(endpoint, delivery) {
+	const body = JSON.stringify(delivery.payload);
+	await requestJson(endpoint.url, {
+		headers: {
+			'Finalize-Event': delivery.eventType,
+			'Finalize-Delivery': delivery.id,
+			'Finalize-Signature': await signatureHeader(endpoint.secret, body),
+		},
+		body,
+	});
+}
+
+/**
+ * Queue consumer for `{ deliveryId, requestId }` messages
+ */
+export async function handleWebhookBatch(batch, env) {
+	const maxAttempts = Number(env.WEBHOOK_MAX_ATTEMPTS) > 0 ? Number(env.WEBHOOK_MAX_ATTEMPTS) : DEFAULT_MAX_ATTEMPTS;
+
+	for (const message of batch.messages) {
+		const { deliveryId, requestId } = message.body;
+		let log = createLogger({ requestId, deliveryId, queue: batch.queue, attempt: message.attempts });
+		let latencyMs;
+
+		try {
+			const delivery = await getWebhookDelivery(env.DB, deliveryId);
+
+			// Deleted, or already delivered by an earlier message
+			if (!delivery || delivery.status === 'delivered') {
+				message.ack();
+				continue;
+			}
+			log = log.child({ eventId: delivery.eventId, eventType: delivery.eventType, endpointId: delivery.endpointId });
+
+			const endpoint = webhookEndpoints(env).find(({ id }) => id === delivery.endpointId);
+			if (!endpoint) {
+				throw new ConfigurationError(`Webhook endpoint ${delivery.endpointId} is no longer configured`);
+			}
+
+			const started = Date.now();
+			await sendDelivery(endpoint, delivery).finally(() => {
+				latencyMs = Date.now() - started;
+			});
+			await recordAttempt(env.DB, deliveryId, { status: 'delivered' });
+
+			message.ack();
+			log.info('webhook_delivery', { outcome: 'delivered', latencyMs });
+		} catch (error) {
+			const transient = isTransientDeliveryError(error);
+			const retrying = transient && message.attempts < maxAttempts;
+			const attempt = {
+				status: retrying ? 'retrying' : 'failed',
+				responseStatus: typeof error.statusCode === 'number' ? error.statusCode : null,
+				error: error.reason || error.message,
+			};
+
+			try {
+				await recordAttempt(env.DB, deliveryId, attempt);
+			} catch (recordError) {
+				// Keep the message in the queue rather than lose the delivery
+				log.error('webhook_delivery.record_failed', { error: recordError });
+				message.retry({ delaySeconds: RETRY_MAX_DELAY });
+				continue;
+			}
+
+			if (retrying) {
+				const delaySeconds = backoffDelay(message.attempts, { baseSeconds: RETRY_BASE_DELAY, maxSeconds: RETRY_MAX_DELAY });
+				log.warn('webhook_delivery', { outcome: 'retrying', latencyMs, delaySeconds, error });
+				message.retry({ delaySeconds });
+			} else {
+				log.error('webhook_delivery', { outcome: 'failed', permanent: !transient, latencyMs, error });
+				message.ack();
+			}
+		}
+	}
+}
+
+/**
+ * Handle GET /api/v1/admin/webhooks/endpoints
+ *
+ * Lists the configured endpoints without their secrets.
+ */
+export function handleListWebhookEndpoints({ env }) {
+	return json({ success: true, endpoints: webhookEndpoints(env).map(({ id, url, events }) => ({ id, url, events })) });
+}
+
+/**
+ * Handle GET /api/v1/admin/webhooks/deliveries
+ *
+ * Optional `endpoint`, `status`, `event`, `leadId` and `limit` query parameters.
+ */
+export async function handleListWebhookDeliveries({ env, url }) {
+	const { searchParams } = url;
+
+	const status = searchParams.get('status');
+	if (status && !WEBHOOK_DELIVERY_STATUSES.includes(status)) {
+		throw new BadRequestError(`status must be one of ${WEBHOOK_DELIVERY_STATUSES.join(', ')}`);
+	}
+
+	const eventType = searchParams.get('event');
+	if (eventType && !EVENT_TYPES.includes(eventType)) {
+		throw new BadRequestError(`event must be one of ${EVENT_TYPES.join(', ')}`);
+	}
+
+	const limitParam = searchParams.get('limit');
+	const limit = limitParam === null ? DEFAULT_LIST_LIMIT : Number(limitParam);
+	if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+		throw new BadRequestError(`limit must be between 1 and ${MAX_LIST_LIMIT}`);
+	}
+
+	const deliveries = await listWebhookDeliveries(env.DB, {
+		endpointId: searchParams.get('endpoint'),
+		status,
+		eventType,
+		leadId: searchParams.get('leadId'),
+		limit,
+	});
+	return json({ success: true, deliveries });
+}
+
+/**
+ * Handle POST /api/v1/admin/webhooks/deliveries/:id/redeliver
+ *
+ * Queues the same event again, delivered or not; it's signed afresh when sent.
+ */
+export async function handleRedeliverWebhook({ env, params, log }) {
+	const delivery = await getWebhookDelivery(env.DB, params.id);
+	if (!delivery) {
+		throw new NotFoundError('Webhook delivery not found');
+	}
+	if (delivery.status === 'pending' || delivery.status === 'retrying') {
+		throw new ConflictError('Webhook delivery is already queued', { code: 'webhook_delivery_queued' });
+	}
+
+	// Reset the status first, or the consumer would skip a delivered event
+	const now = new Date().toISOString();
+	await env.DB.prepare(
+		"UPDATE webhook_deliveries SET status = 'pending', redelivery_count = redelivery_count + 1, updated_at = ? WHERE id = ?"
+	)
+		.bind(now, delivery.id)
+		.run();
+	try {
+		await env.WEBHOOK_QUEUE.send({ deliveryId: delivery.id, requestId: log.requestId });
+	} catch (error) {
+		await env.DB.prepare('UPDATE webhook_deliveries SET status = ?, redelivery_count = ?, updated_at = ? WHERE id = ?')
+			.bind(delivery.status, delivery.redeliveryCount, delivery.updatedAt, delivery.id)
+			.run();
+		throw error;
+	}
+
+	log.info('webhook.redelivered', { deliveryId: delivery.id, eventId: delivery.eventId, endpointId: delivery.endpointId });
+
+	return json({
+		success: true,
+		delivery: { ...delivery, status: 'pending', redeliveryCount: delivery.redeliveryCount + 1, updatedAt: now },
+	});
+}
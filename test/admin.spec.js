@@ -0,0 +1,222 @@
+import { env, createExecutionContext, fetchMock } from 'cloudflare:test';
+import { beforeAll, describe, it, expect } from 'vitest';
+import worker from '../src';
+import { ACCESS_JWT_HEADER } from '../src/admin-auth.js';
+import { searchQuery } from '../src/admin-leads.js';
+import { createLead } from '../src/leads.js';
+import { base64UrlEncode } from '../src/signing.js';
+
+const ADMIN_HEADERS = { Authorization: 'Bearer test-admin-token' };
+
+const ACCESS_ISSUER = 'https://finalize-test.cloudflareaccess.com';
+const ACCESS_AUD = 'test-access-aud';
+const accessEnv = { ...env, ACCESS_TEAM_DOMAIN: 'finalize-test.cloudflareaccess.com', ACCESS_AUD };
+
+const encoder = new TextEncoder();
+
+let signingKey;
+
+beforeAll(async () => {
+	const { publicKey, privateKey } = await crypto.subtle.generateKey(
+		{ name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+		true,
+		['sign', 'verify']
+	);
+	signingKey = privateKey;
+	const jwk = { ...(await crypto.subtle.exportKey('jwk', publicKey)), kid: 'test-key', alg: 'RS256' };
+
+	// Signing keys are cached across requests, so the certs endpoint may be hit once or not at all
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+	fetchMock.get(ACCESS_ISSUER).intercept({ path: '/cdn-cgi/access/certs', method: 'GET' }).reply(200, { keys: [jwk] }).persist();
+});
+
+async function accessJwt(claims = {}, key = signingKey) {
+	const now = Math.floor(Date.now() / 1000);
+	const encode = value => base64UrlEncode(encoder.encode(JSON.stringify(value)));
+	const unsigned = `${encode({ alg: 'RS256', kid: 'test-key', typ: 'JWT' })}.${encode({
+		iss: ACCESS_ISSUER,
+		aud: [ACCESS_AUD],
+		email: 'ops@finalize.dev',
+		sub: 'user-1',
+		iat: now,
+		exp: now + 600,
+		...claims,
+	})}`;
+	const signature = await crypto.subtle.sign('RSASSA-PKCS1-v1_5', key, encoder.encode(unsigned));
+	return `${unsigned}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
+
+function adminFetch(path, { headers = ADMIN_HEADERS, testEnv = env, ...init } = {}) {
+	return worker.fetch(new Request(`http://example.com${path}`, { headers, ...init }), testEnv, createExecutionContext());
+}
+
+async function seedLeads() {
+	const android = await createLead(
+		env.DB,
+		{ appUrl: 'https://petpals.example.com', email: 'founder@petpals.io', platform: 'Android', selectedFeatures: ['Authentication'] },
+		{ total: 150, discount: 0 }
+	);
+	const ios = await createLead(
+		env.DB,
+		{
+			appUrl: 'https://ledger.example.com',
+			email: 'cto@ledger.dev',
+			platform: 'iOS',
+			selectedFeatures: ['Payments', 'Authentication'],
+			hasCustomRequest: true,
+			customRequestText: 'Migrate our Firebase backend to Supabase',
+		},
+		{ total: 450, discount: 0 }
+	);
+	const web = await createLead(
+		env.DB,
+		{ appUrl: 'https://shop.example.com', email: 'owner@shop.example.com', platform: 'Web', selectedServices: ['Deployment'] },
+		{ total: 200, discount: 0 }
+	);
+
+	// Spread the submissions over a few days
+	const dates = [
+		[android, '2026-03-01T10:00:00.000Z'],
+		[ios, '2026-03-05T10:00:00.000Z'],
+		[web, '2026-03-09T10:00:00.000Z'],
+	];
+	await env.DB.batch(dates.map(([lead, date]) => env.DB.prepare('UPDATE leads SET submitted_at = ? WHERE id = ?').bind(date, lead.id)));
+	await env.DB.prepare("UPDATE leads SET status = 'Reviewing' WHERE id = ?").bind(ios.id).run();
+
+	return { android, ios, web };
+}
+
+async function listReferences(query) {
+	const response = await adminFetch(`/api/v1/admin/leads${query}`);
+	expect(response.status).toBe(200);
+	return (await response.json()).leads.map(lead => lead.reference);
+}
+
+describe('admin authentication', () => {
+	it('accepts a valid Cloudflare Access JWT and attributes changes to its user', async () => {
+		const lead = await createLead(env.DB, { appUrl: 'https://a.example.com', email: 'a@example.com' }, { total: 100, discount: 0 });
+
+		const response = await adminFetch(`/api/v1/admin/leads/${lead.id}/status`, {
+			method: 'POST',
+			headers: { [ACCESS_JWT_HEADER]: await accessJwt(), 'Content-Type': 'application/json' },
+			body: JSON.stringify({ status: 'Reviewing' }),
+			testEnv: accessEnv,
+		});
+
+		expect(response.status).toBe(200);
+		expect((await response.json()).change.actor).toBe('ops@finalize.dev');
+	});
+
+	it('rejects Access JWTs for another audience, expired or signed with another key', async () => {
+		const { privateKey: otherKey } = await crypto.subtle.generateKey(
+			{ name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+			true,
+			['sign', 'verify']
+		);
+		const tokens = [
+			await accessJwt({ aud: ['another-app'] }),
+			await accessJwt({ exp: Math.floor(Date.now() / 1000) - 3600 }),
+			await accessJwt({ iss: 'https://evil.cloudflareaccess.com' }),
+			await accessJwt({}, otherKey),
+			'not-a-jwt',
+		];
+
+		for (const token of tokens) {
+			const response = await adminFetch('/api/v1/admin/leads', { headers: { [ACCESS_JWT_HEADER]: token }, testEnv: accessEnv });
+			expect(response.status).toBe(401);
+		}
+	});
+
+	it('keeps the shared-secret fallback and refuses requests with neither', async () => {
+		expect((await adminFetch('/api/v1/admin/leads', { testEnv: accessEnv })).status).toBe(200);
+		expect((await adminFetch('/api/v1/admin/leads', { headers: {}, testEnv: accessEnv })).status).toBe(401);
+
+		const unconfigured = await adminFetch('/api/v1/admin/leads', { testEnv: { ...env, ADMIN_API_TOKEN: undefined } });
+		expect(unconfigured.status).toBe(500);
+	});
+});
+
+describe('GET /api/v1/admin/leads', () => {
+	it('lists leads newest first and filters by status, platform, feature and date', async () => {
+		const { android, ios, web } = await seedLeads();
+
+		expect(await listReferences('')).toEqual([web.reference, ios.reference, android.reference]);
+		expect(await listReferences('?status=Reviewing')).toEqual([ios.reference]);
+		expect(await listReferences('?platform=Android')).toEqual([android.reference]);
+		expect(await listReferences('?feature=Authentication')).toEqual([ios.reference, android.reference]);
+		expect(await listReferences('?from=2026-03-05&to=2026-03-09')).toEqual([web.reference, ios.reference]);
+		expect(await listReferences('?to=2026-03-04')).toEqual([android.reference]);
+	});
+
+	it('searches app URLs, emails and custom request text', async () => {
+		const { android, ios, web } = await seedLeads();
+
+		expect(await listReferences('?q=petpals')).toEqual([android.reference]);
+		expect(await listReferences('?q=shop.example')).toEqual([web.reference]);
+		expect(await listReferences('?q=firebase%20supa')).toEqual([ios.reference]);
+		expect(await listReferences('?q=firebase&platform=Web')).toEqual([]);
+		expect(searchQuery('"quoted" OR -x')).toBe('"quoted"* "OR"* "x"*');
+	});
+
+	it('pages through results with a cursor', async () => {
+		const { android, ios, web } = await seedLeads();
+
+		const first = await (await adminFetch('/api/v1/admin/leads?limit=2')).json();
+		expect(first.total).toBe(3);
+		expect(first.leads.map(lead => lead.reference)).toEqual([web.reference, ios.reference]);
+
+		const second = await (await adminFetch(`/api/v1/admin/leads?limit=2&cursor=${first.nextCursor}`)).json();
+		expect(second.leads.map(lead => lead.reference)).toEqual([android.reference]);
+		expect(second.nextCursor).toBeNull();
+	});
+
+	it('rejects invalid filters', async () => {
+		for (const query of ['?status=Paid', '?from=March', '?limit=500', '?cursor=nope']) {
+			expect((await adminFetch(`/api/v1/admin/leads${query}`)).status).toBe(400);
+		}
+	});
+
+	it('serves the filter options', async () => {
+		await seedLeads();
+
+		const body = await (await adminFetch('/api/v1/admin/leads/filters')).json();
+
+		expect(body.platforms).toEqual(['Android', 'Web', 'iOS']);
+		expect(body.statuses).toContain('Reviewing');
+		expect(body.features).toContain('Authentication');
+	});
+});
+
+describe('GET /api/v1/admin/leads/:id', () => {
+	it('returns the full lead with its price breakdown and issues', async () => {
+		const lead = await createLead(
+			env.DB,
+			{ appUrl: 'myapp', email: 'a@example.com', platform: 'Web', selectedFeatures: ['Authentication', 'Teleport'] },
+			{ total: 999, discount: 0 }
+		);
+
+		const response = await adminFetch(`/api/v1/admin/leads/${lead.id}`);
+		const body = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(body.lead).toMatchObject({ id: lead.id, email: 'a@example.com', selectedFeatures: ['Authentication', 'Teleport'] });
+		expect(body.quote.lineItems.map(line => line.name)).toEqual(['Authentication']);
+		expect(body.allowedTransitions).toEqual(['Reviewing', 'Cancelled']);
+		expect(body.statusHistory).toMatchObject([{ from: null, to: 'New' }]);
+		expect(body.issues.map(issue => issue.type)).toEqual(['validation', 'selection', 'pricing']);
+	});
+
+	it('returns 404 for unknown leads', async () => {
+		expect((await adminFetch('/api/v1/admin/leads/missing')).status).toBe(404);
+	});
+});
+
+describe('dashboard', () => {
+	it('serves the dashboard shell for deep links', async () => {
+		const response = await worker.fetch(new Request('http://example.com/admin/leads/some-id'), env, createExecutionContext());
+
+		expect(response.status).toBe(200);
+		expect(await response.text()).toContain('/assets/js/admin.js');
+	});
+});
@@ -0,0 +1,107 @@
+import { env, createExecutionContext, createMessageBatch, fetchMock } from 'cloudflare:test';
+import { afterEach, beforeAll, describe, it, expect, vi } from 'vitest';
+import worker from '../src';
+import { FIELD_MAPPING_KV_KEY, buildAirtableRecord, loadFieldMapping, parseFieldMapping } from '../src/sinks/airtable-mapping.js';
+import { ConfigurationError } from '../src/errors.js';
+import { createLead } from '../src/leads.js';
+
+const lead = {
+	id: 'lead-1',
+	appUrl: 'https://myapp.example.com',
+	email: 'founder@example.com',
+	platform: 'Lovable',
+	selectedFeatures: ['Authentication', 'Payments'],
+	selectedServices: [],
+	hasCustomRequest: false,
+	customRequestText: null,
+	additionalContext: 'Launching next week',
+	estimatedPrice: 200,
+	featureDiscount: 0,
+	status: 'New',
+	submittedAt: '2026-03-04T15:16:17.000Z',
+};
+
+beforeAll(() => {
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+afterEach(() => {
+	fetchMock.assertNoPendingInterceptors();
+});
+
+describe('buildAirtableRecord', () => {
+	it('uses the original column names by default', () => {
+		expect(buildAirtableRecord(lead)).toMatchObject({
+			'App URL': lead.appUrl,
+			'Selected Features': ['Authentication', 'Payments'],
+			'Estimated Price': 200,
+			'Timestamp': lead.submittedAt,
+			'Status': 'New',
+		});
+	});
+
+	it('renames, transforms and omits fields', async () => {
+		const mapping = await loadFieldMapping({
+			AIRTABLE_FIELD_MAPPING: JSON.stringify({
+				appUrl: 'Website',
+				selectedFeatures: { column: 'Features', transform: 'join', separator: '; ' },
+				submittedAt: { column: 'Submitted', transform: 'date' },
+				additionalContext: null,
+			}),
+		});
+		const fields = buildAirtableRecord(lead, mapping);
+
+		expect(fields).toMatchObject({ Website: lead.appUrl, Features: 'Authentication; Payments', Submitted: '2026-03-04' });
+		expect(fields).not.toHaveProperty('App URL');
+		expect(fields).not.toHaveProperty('Notes');
+	});
+});
+
+describe('loading the mapping', () => {
+	it('reports keys that are not lead fields', async () => {
+		const log = { warn: vi.fn() };
+		await loadFieldMapping({ AIRTABLE_FIELD_MAPPING: JSON.stringify({ appUrl: 'Website', appURL: 'Website', budget: 'Budget' }) }, log);
+
+		expect(log.warn).toHaveBeenCalledWith(
+			'airtable.mapping_unknown_fields',
+			expect.objectContaining({ source: 'AIRTABLE_FIELD_MAPPING', fields: ['appURL', 'budget'] })
+		);
+	});
+
+	it('rejects malformed mappings', async () => {
+		expect(() => parseFieldMapping({ appUrl: { column: 'Website', transform: 'uppercase' } })).toThrow(ConfigurationError);
+		expect(() => parseFieldMapping({ appUrl: 42 })).toThrow(ConfigurationError);
+		await expect(loadFieldMapping({ AIRTABLE_FIELD_MAPPING: '{not json' })).rejects.toMatchObject({
+			reason: 'AIRTABLE_FIELD_MAPPING is not valid JSON',
+		});
+	});
+
+	it('lets KV override the env var', async () => {
+		await env.CONFIG_KV.put(FIELD_MAPPING_KV_KEY, JSON.stringify({ appUrl: 'Site (KV)' }));
+		const mapping = await loadFieldMapping({ ...env, AIRTABLE_FIELD_MAPPING: JSON.stringify({ appUrl: 'Site', email: 'Contact' }) });
+
+		expect(buildAirtableRecord(lead, mapping)).toMatchObject({ 'Site (KV)': lead.appUrl, Contact: lead.email });
+	});
+});
+
+describe('lead sync with a custom mapping', () => {
+	it('sends the mapped columns to Airtable', async () => {
+		const stored = await createLead(env.DB, lead, { total: 200, discount: 0 });
+		let fields;
+		fetchMock
+			.get('https://api.airtable.com')
+			.intercept({ path: '/v0/appTest/Leads/', method: 'POST' })
+			.reply(200, ({ body }) => {
+				fields = JSON.parse(body).records[0].fields;
+				return { records: [{ id: 'recMapped', fields }] };
+			});
+
+		const testEnv = { ...env, AIRTABLE_FIELD_MAPPING: JSON.stringify({ appUrl: 'Website', status: null }) };
+		const batch = createMessageBatch('finalize-lead-sync', [{ id: 'msg', timestamp: new Date(), attempts: 1, body: { leadId: stored.id } }]);
+		await worker.queue(batch, testEnv, createExecutionContext());
+
+		expect(fields).toMatchObject({ Website: lead.appUrl, Email: lead.email });
+		expect(fields).not.toHaveProperty('Status');
+	});
+});
@@ -0,0 +1,116 @@
+import { env, createExecutionContext, SELF } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src';
+import { solveBotCheck } from './helpers.js';
+import { isValidSolution } from '../src/bot-defense.js';
+
+const submission = {
+	appUrl: 'https://myapp.example.com',
+	email: 'founder@example.com',
+	selectedFeatures: ['Payments'],
+};
+
+function submit(body, testEnv = {}) {
+	const request = new Request('http://example.com/api/submit-request', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': '203.0.113.9', 'User-Agent': 'test-bot' },
+		body: JSON.stringify(body),
+	});
+	return worker.fetch(request, { ...env, LEAD_SYNC_QUEUE: { send: async () => {} }, ...testEnv }, createExecutionContext());
+}
+
+async function rejections() {
+	const { results } = await env.DB.prepare('SELECT reason, ip, user_agent FROM bot_rejections').all();
+	return results;
+}
+
+describe('GET /api/challenge', () => {
+	it('issues an uncached signed challenge', async () => {
+		const response = await SELF.fetch('http://example.com/api/challenge');
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Cache-Control')).toBe('no-store');
+
+		const { challenge } = await response.json();
+		expect(challenge).toMatchObject({ difficulty: 4, minSubmitSeconds: 0 });
+		expect(challenge.token).toMatch(/^[\w-]+\.[\w-]+$/);
+		expect(challenge.expiresAt - challenge.issuedAt).toBe(7200 * 1000);
+	});
+});
+
+describe('bot checks on /api/submit-request', () => {
+	it('accepts a solved challenge', async () => {
+		const response = await submit({ ...submission, website: '', botCheck: await solveBotCheck() });
+		expect(response.status).toBe(200);
+		expect(await rejections()).toEqual([]);
+	});
+
+	it('rejects a filled honeypot and records the reason', async () => {
+		const response = await submit({ ...submission, website: 'http://spam.example', botCheck: await solveBotCheck() });
+
+		expect(response.status).toBe(400);
+		expect(await response.json()).toMatchObject({ code: 'bot_check_failed' });
+		expect(await rejections()).toEqual([{ reason: 'honeypot_filled', ip: '203.0.113.9', user_agent: 'test-bot' }]);
+
+		const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM leads').first();
+		expect(count).toBe(0);
+	});
+
+	it('rejects a missing challenge', async () => {
+		expect((await submit(submission)).status).toBe(400);
+		expect(await rejections()).toMatchObject([{ reason: 'challenge_missing' }]);
+	});
+
+	it('rejects a tampered challenge', async () => {
+		const { token, solution } = await solveBotCheck();
+		const [body, signature] = token.split('.');
+		const forged = `${body}.${signature.slice(0, -2)}AA`;
+
+		expect((await submit({ ...submission, botCheck: { token: forged, solution } })).status).toBe(400);
+		expect(await rejections()).toMatchObject([{ reason: 'challenge_invalid' }]);
+	});
+
+	it('rejects submissions faster than the minimum fill time', async () => {
+		const botCheck = await solveBotCheck();
+
+		expect((await submit({ ...submission, botCheck }, { BOT_MIN_SUBMIT_SECONDS: '60' })).status).toBe(400);
+		expect(await rejections()).toMatchObject([{ reason: 'submitted_too_fast' }]);
+	});
+
+	it('rejects an invalid proof of work', async () => {
+		const { token } = await solveBotCheck();
+		let solution = 0;
+		while (await isValidSolution(token, String(solution), 4)) {
+			solution++;
+		}
+
+		expect((await submit({ ...submission, botCheck: { token, solution: String(solution) } })).status).toBe(400);
+		expect(await rejections()).toMatchObject([{ reason: 'proof_of_work_invalid' }]);
+	});
+
+	it('accepts each challenge once', async () => {
+		const botCheck = await solveBotCheck();
+
+		expect((await submit({ ...submission, botCheck })).status).toBe(200);
+		const reused = await submit({ ...submission, email: 'other@example.com', botCheck });
+
+		expect(reused.status).toBe(400);
+		expect(await reused.json()).toMatchObject({ code: 'bot_check_failed' });
+		expect(await rejections()).toMatchObject([{ reason: 'challenge_reused' }]);
+	});
+
+	it('does not use up a challenge on a rejected submission', async () => {
+		const botCheck = await solveBotCheck();
+
+		expect((await submit({ ...submission, website: 'http://spam.example', botCheck })).status).toBe(400);
+		expect((await submit({ ...submission, botCheck })).status).toBe(200);
+	});
+
+	it('lets a rate-limited submission be retried with the same challenge', async () => {
+		await submit({ ...submission, botCheck: await solveBotCheck() }, { RATE_LIMIT_EMAIL_MAX: '1' });
+		const botCheck = await solveBotCheck();
+
+		expect((await submit({ ...submission, botCheck }, { RATE_LIMIT_EMAIL_MAX: '1' })).status).toBe(429);
+		expect((await submit({ ...submission, botCheck }, { RATE_LIMIT_EMAIL_MAX: '5' })).status).toBe(200);
+		expect(await rejections()).toEqual([]);
+	});
+});
@@ -0,0 +1,107 @@
+import { SELF } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { corsPolicy, originMatches, parseOriginList } from '../src/cors.js';
+import { json } from '../src/http.js';
+import { Router } from '../src/router.js';
+
+function preflight(url, origin) {
+	return SELF.fetch(url, {
+		method: 'OPTIONS',
+		headers: { Origin: origin, 'Access-Control-Request-Method': 'POST', 'Access-Control-Request-Headers': 'content-type' },
+	});
+}
+
+describe('origin patterns', () => {
+	it('parses comma-separated lists', () => {
+		expect(parseOriginList(' https://a.example/, ,https://b.example ')).toEqual(['https://a.example', 'https://b.example']);
+		expect(parseOriginList(undefined)).toEqual([]);
+	});
+
+	it('matches exact origins', () => {
+		expect(originMatches('https://finalize.dev', 'https://finalize.dev')).toBe(true);
+		expect(originMatches('http://finalize.dev', 'https://finalize.dev')).toBe(false);
+		expect(originMatches('https://finalize.dev:8443', 'https://finalize.dev')).toBe(false);
+	});
+
+	it('matches wildcard subdomains but not the apex or lookalikes', () => {
+		expect(originMatches('https://app.finalize.dev', 'https://*.finalize.dev')).toBe(true);
+		expect(originMatches('https://a.b.finalize.dev', 'https://*.finalize.dev')).toBe(true);
+		expect(originMatches('https://finalize.dev', 'https://*.finalize.dev')).toBe(false);
+		expect(originMatches('https://evilfinalize.dev', 'https://*.finalize.dev')).toBe(false);
+		expect(originMatches('https://x.finalize.dev.evil.com', 'https://*.finalize.dev')).toBe(false);
+		expect(originMatches('http://app.finalize.dev', 'https://*.finalize.dev')).toBe(false);
+	});
+});
+
+describe('API CORS', () => {
+	it('answers preflight from allowed origins with the origin echoed', async () => {
+		const response = await preflight('http://example.com/api/submit-request', 'https://app.finalize.dev');
+
+		expect(response.status).toBe(204);
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBe('https://app.finalize.dev');
+		expect(response.headers.get('Access-Control-Allow-Methods')).toBe('POST, OPTIONS');
+		expect(response.headers.get('Access-Control-Allow-Headers')).toBe('Content-Type, Idempotency-Key');
+		expect(response.headers.get('Vary')).toBe('Origin');
+	});
+
+	it('rejects preflight from other origins', async () => {
+		const response = await preflight('http://example.com/api/submit-request', 'https://evil.example');
+
+		expect(response.status).toBe(403);
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBeNull();
+		expect(await response.json()).toMatchObject({ code: 'origin_not_allowed' });
+	});
+
+	it('always allows the Worker’s own origin', async () => {
+		const response = await preflight('http://example.com/api/quote', 'http://example.com');
+		expect(response.status).toBe(204);
+	});
+
+	it('echoes allowed origins on responses and omits the header for others', async () => {
+		const allowed = await SELF.fetch('http://example.com/api/pricing', { headers: { Origin: 'https://finalize.dev' } });
+		expect(allowed.headers.get('Access-Control-Allow-Origin')).toBe('https://finalize.dev');
+		expect(allowed.headers.get('Access-Control-Expose-Headers')).toContain('Retry-After');
+		expect(allowed.headers.get('Vary')).toBe('Origin');
+
+		const other = await SELF.fetch('http://example.com/api/pricing', { headers: { Origin: 'https://evil.example' } });
+		expect(other.status).toBe(200);
+		expect(other.headers.get('Access-Control-Allow-Origin')).toBeNull();
+		expect(other.headers.get('Vary')).toBe('Origin');
+	});
+
+	it('lets routes register their own policy', async () => {
+		const partners = corsPolicy({ origins: ['https://partner.example'] });
+		const router = new Router({ cors: corsPolicy() })
+			.route('/api/v1/public', { GET: () => json({ ok: true }) }, { cors: partners })
+			.route('/api/v1/private', { GET: () => json({ ok: true }) });
+		const env = { CORS_ALLOWED_ORIGINS: 'https://finalize.dev' };
+		const request = path => new Request(`http://example.com${path}`, { headers: { Origin: 'https://partner.example' } });
+
+		const open = await router.handle(request('/api/v1/public'), env, {});
+		expect(open.headers.get('Access-Control-Allow-Origin')).toBe('https://partner.example');
+
+		const closed = await router.handle(request('/api/v1/private'), env, {});
+		expect(closed.headers.get('Access-Control-Allow-Origin')).toBeNull();
+	});
+
+	it('refuses writes from other origins before the handler runs', async () => {
+		const post = origin =>
+			SELF.fetch('http://example.com/api/submit-request', {
+				method: 'POST',
+				headers: { 'Content-Type': 'text/plain', ...(origin && { Origin: origin }) },
+				body: '{}',
+			});
+
+		const other = await post('https://evil.example');
+		expect(other.status).toBe(403);
+		expect(other.headers.get('Access-Control-Allow-Origin')).toBeNull();
+		expect(await other.json()).toMatchObject({ code: 'origin_not_allowed' });
+
+		// Allowed origins and clients that send no Origin reach the handler
+		for (const origin of ['https://app.finalize.dev', undefined]) {
+			const response = await post(origin);
+			expect(response.status).not.toBe(403);
+			await response.body?.cancel();
+		}
+	});
+});
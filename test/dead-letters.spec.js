@@ -0,0 +1,175 @@
+import { env, createExecutionContext, createMessageBatch, fetchMock, getQueueResult } from 'cloudflare:test';
+import { afterEach, beforeAll, describe, it, expect } from 'vitest';
+import worker from '../src';
+import { getDeadLetter, listDeadLetters, recordDeadLetter } from '../src/dead-letters.js';
+import { ConfigurationError } from '../src/errors.js';
+import { createLead, getSinkDelivery } from '../src/leads.js';
+import { backoffDelay, isTransientDeliveryError } from '../src/retry.js';
+
+const submission = {
+	appUrl: 'https://myapp.example.com',
+	email: 'founder@example.com',
+	selectedFeatures: ['Payments'],
+};
+
+const ADMIN_HEADERS = { Authorization: 'Bearer test-admin-token' };
+
+beforeAll(() => {
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+afterEach(() => {
+	fetchMock.assertNoPendingInterceptors();
+});
+
+function mockAirtable(status, body) {
+	fetchMock.get('https://api.airtable.com').intercept({ path: '/v0/appTest/Leads/', method: 'POST' }).reply(status, body);
+}
+
+async function sync(body, attempts = 1) {
+	const batch = createMessageBatch('finalize-lead-sync', [{ id: 'msg', timestamp: new Date(), attempts, body }]);
+	const ctx = createExecutionContext();
+	await worker.queue(batch, env, ctx);
+	return getQueueResult(batch, ctx);
+}
+
+function admin(path, { method = 'GET', headers = ADMIN_HEADERS, testEnv = env } = {}) {
+	return worker.fetch(new Request(`http://example.com${path}`, { method, headers }), testEnv, createExecutionContext());
+}
+
+describe('retry policy', () => {
+	it('backs off exponentially with jitter, capped', () => {
+		for (let i = 0; i < 20; i++) {
+			expect(backoffDelay(1, { baseSeconds: 30, maxSeconds: 3600 })).toBeGreaterThanOrEqual(15);
+			expect(backoffDelay(1, { baseSeconds: 30, maxSeconds: 3600 })).toBeLessThanOrEqual(30);
+			expect(backoffDelay(4, { baseSeconds: 30, maxSeconds: 3600 })).toBeGreaterThanOrEqual(120);
+			expect(backoffDelay(20, { baseSeconds: 30, maxSeconds: 3600 })).toBeLessThanOrEqual(3600);
+		}
+	});
+
+	it('retries rate limits, server and network errors only', () => {
+		expect(isTransientDeliveryError({ statusCode: 429 })).toBe(true);
+		expect(isTransientDeliveryError({ statusCode: 502 })).toBe(true);
+		expect(isTransientDeliveryError({ error: 'CONNECTION_ERROR', statusCode: null })).toBe(true);
+		expect(isTransientDeliveryError({ error: 'UNKNOWN_FIELD_NAME', statusCode: 422 })).toBe(false);
+		expect(isTransientDeliveryError({ error: 'NOT_FOUND', statusCode: 404 })).toBe(false);
+		expect(isTransientDeliveryError(new ConfigurationError('AIRTABLE_API_KEY is not set'))).toBe(false);
+	});
+});
+
+describe('dead-lettering Airtable syncs', () => {
+	it('dead-letters permanent failures with the payload and error', async () => {
+		const lead = await createLead(env.DB, submission, { total: 100, discount: 0 });
+		mockAirtable(422, { error: { type: 'UNKNOWN_FIELD_NAME', message: 'Unknown field name: "App URL"' } });
+
+		const result = await sync({ leadId: lead.id, requestId: 'ray-1' });
+		expect(result.explicitAcks).toEqual(['msg']);
+		expect(result.retryMessages).toEqual([]);
+
+		const [deadLetter] = await listDeadLetters(env.DB);
+		expect(deadLetter).toMatchObject({
+			destination: 'airtable',
+			leadId: lead.id,
+			error: 'Unknown field name: "App URL"',
+			errorStatus: 422,
+			attempts: 1,
+			status: 'pending',
+			payload: { message: { leadId: lead.id, requestId: 'ray-1' }, sent: { 'App URL': submission.appUrl } },
+		});
+	});
+
+	it('dead-letters transient failures once attempts run out', async () => {
+		const lead = await createLead(env.DB, submission, { total: 100, discount: 0 });
+		mockAirtable(429, {});
+
+		const result = await sync({ leadId: lead.id }, 8);
+		expect(result.explicitAcks).toEqual(['msg']);
+		expect(await listDeadLetters(env.DB)).toMatchObject([{ errorStatus: 429, attempts: 8 }]);
+	});
+
+	it('resolves a replayed dead letter when the sync succeeds', async () => {
+		const lead = await createLead(env.DB, submission, { total: 100, discount: 0 });
+		const id = await recordDeadLetter(env.DB, {
+			destination: 'airtable',
+			leadId: lead.id,
+			payload: { message: { leadId: lead.id } },
+			error: 'Unknown field name',
+			attempts: 1,
+		});
+		mockAirtable(200, { records: [{ id: 'recReplayed', fields: {} }] });
+
+		await sync({ leadId: lead.id, deadLetterId: id });
+
+		expect(await getDeadLetter(env.DB, id)).toMatchObject({ status: 'resolved' });
+		expect(await getSinkDelivery(env.DB, lead.id, 'airtable')).toMatchObject({ status: 'delivered', externalIds: { recordId: 'recReplayed' } });
+	});
+
+	it('updates the same dead letter when a replay fails again', async () => {
+		const lead = await createLead(env.DB, submission, { total: 100, discount: 0 });
+		const id = await recordDeadLetter(env.DB, {
+			destination: 'airtable',
+			leadId: lead.id,
+			payload: { message: { leadId: lead.id } },
+			error: 'Unknown field name',
+			attempts: 1,
+		});
+		mockAirtable(404, { error: { type: 'TABLE_NOT_FOUND', message: 'Could not find table Leads' } });
+
+		await sync({ leadId: lead.id, deadLetterId: id });
+
+		expect(await listDeadLetters(env.DB)).toMatchObject([{ id, status: 'pending', error: 'Could not find table Leads' }]);
+	});
+});
+
+describe('admin dead-letter endpoints', () => {
+	it('requires the admin token', async () => {
+		const missing = await admin('/api/v1/admin/dead-letters', { headers: {} });
+		expect(missing.status).toBe(401);
+		expect(missing.headers.get('WWW-Authenticate')).toBe('Bearer');
+
+		const wrong = await admin('/api/v1/admin/dead-letters', { headers: { Authorization: 'Bearer nope' } });
+		expect(wrong.status).toBe(401);
+	});
+
+	it('lists dead letters filtered by status', async () => {
+		await recordDeadLetter(env.DB, { destination: 'airtable', leadId: 'lead-1', payload: { message: {} }, error: 'boom', attempts: 1 });
+
+		const response = await admin('/api/v1/admin/dead-letters?status=pending');
+		expect(response.status).toBe(200);
+		expect((await response.json()).deadLetters).toMatchObject([{ leadId: 'lead-1', error: 'boom' }]);
+
+		const resolved = await admin('/api/v1/admin/dead-letters?status=resolved');
+		expect((await resolved.json()).deadLetters).toEqual([]);
+
+		expect((await admin('/api/v1/admin/dead-letters?status=bogus')).status).toBe(400);
+	});
+
+	it('replays a dead letter onto its queue', async () => {
+		const sent = [];
+		const testEnv = { ...env, LEAD_SYNC_QUEUE: { send: async body => sent.push(body) } };
+		const id = await recordDeadLetter(env.DB, {
+			destination: 'airtable',
+			leadId: 'lead-2',
+			payload: { message: { leadId: 'lead-2', requestId: 'ray-2' } },
+			error: 'boom',
+			attempts: 1,
+		});
+
+		const response = await admin(`/api/v1/admin/dead-letters/${id}/replay`, { method: 'POST', testEnv });
+		expect(response.status).toBe(200);
+		expect(await response.json()).toMatchObject({ deadLetter: { id, status: 'replayed', replayCount: 1 } });
+		expect(sent).toEqual([{ leadId: 'lead-2', requestId: 'ray-2', deadLetterId: id }]);
+	});
+
+	it('refuses to replay unknown or resolved dead letters', async () => {
+		expect((await admin('/api/v1/admin/dead-letters/nope/replay', { method: 'POST' })).status).toBe(404);
+
+		const id = await recordDeadLetter(env.DB, { destination: 'airtable', payload: { message: {} }, error: 'boom', attempts: 1 });
+		await env.DB.prepare("UPDATE dead_letters SET status = 'resolved' WHERE id = ?").bind(id).run();
+
+		const response = await admin(`/api/v1/admin/dead-letters/${id}/replay`, { method: 'POST' });
+		expect(response.status).toBe(409);
+		expect(await response.json()).toMatchObject({ code: 'dead_letter_resolved' });
+	});
+});
@@ -0,0 +1,193 @@
+import { env, createExecutionContext, createMessageBatch, fetchMock, getQueueResult } from 'cloudflare:test';
+import { afterEach, beforeAll, beforeEach, describe, it, expect } from 'vitest';
+import worker from '../src';
+import { capturedEmails, clearCapturedEmails } from '../src/email/capture.js';
+import { sendEmail } from '../src/email/index.js';
+import { renderConfirmationEmail } from '../src/email/templates.js';
+import { listDeadLetters } from '../src/dead-letters.js';
+import { createLead, getLead, getSinkDelivery } from '../src/leads.js';
+import { buildQuote } from '../src/pricing.js';
+import { solveBotCheck } from './helpers.js';
+
+const submission = {
+	appUrl: 'https://myapp.example.com',
+	email: 'founder@example.com',
+	platform: 'Lovable',
+	selectedFeatures: ['Authentication', 'Payments', 'File Uploads'],
+	selectedServices: ['Deploy to Production'],
+	hasCustomRequest: true,
+	customRequestText: 'Migrate <Supabase> to D1',
+};
+
+const message = { to: 'founder@example.com', subject: 'Hello', html: '<p>Hi</p>', text: 'Hi', idempotencyKey: 'key-1' };
+
+beforeAll(() => {
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+beforeEach(() => {
+	clearCapturedEmails();
+});
+
+afterEach(() => {
+	fetchMock.assertNoPendingInterceptors();
+});
+
+async function sync(leadId, testEnv = env) {
+	const batch = createMessageBatch('finalize-lead-sync', [{ id: 'msg', timestamp: new Date(), attempts: 1, body: { leadId, sink: 'confirmation-email' } }]);
+	const ctx = createExecutionContext();
+	await worker.queue(batch, testEnv, ctx);
+	return getQueueResult(batch, ctx);
+}
+
+describe('confirmation template', () => {
+	const lead = { ...submission, reference: 'FIN-2026-0042' };
+	const quote = buildQuote(submission);
+	const email = renderConfirmationEmail({ lead, quote, statusUrl: 'https://finalize.dev/status?ref=FIN-2026-0042&token=abc' });
+
+	it('itemizes the selections, discount and total in plain text', () => {
+		expect(email.subject).toBe('We received your estimate request (FIN-2026-0042)');
+		expect(email.text).toContain('Reference: FIN-2026-0042');
+		expect(email.text).toContain('  - Authentication: $100');
+		expect(email.text).toContain('  - Deploy to Production: $100');
+		expect(email.text).toContain('Custom Request\n  - From $250\n  "Migrate <Supabase> to D1"');
+		expect(email.text).toContain('10% discount applied for 3+ features! -$30');
+		expect(email.text).toContain(`Estimated total: $${quote.total}`);
+		expect(email.text).toContain('Custom requests start at $250');
+		expect(email.text).toContain('https://finalize.dev/status?ref=FIN-2026-0042&token=abc');
+	});
+
+	it('renders the same content as escaped HTML', () => {
+		expect(email.html).toContain('<strong>FIN-2026-0042</strong>');
+		expect(email.html).toContain('href="https://finalize.dev/status?ref=FIN-2026-0042&amp;token=abc"');
+		expect(email.html).toContain('&ldquo;Migrate &lt;Supabase&gt; to D1&rdquo;');
+		expect(email.html).toContain('-$30');
+		expect(email.html).toContain(`<strong>$${quote.total}</strong>`);
+		expect(email.html).not.toContain('<Supabase>');
+	});
+
+	it('leaves out the custom-request note when there is none', () => {
+		const { text } = renderConfirmationEmail({
+			lead: { ...lead, hasCustomRequest: false },
+			quote: buildQuote({ ...submission, hasCustomRequest: false }),
+			statusUrl: 'https://finalize.dev/status',
+		});
+		expect(text).not.toContain('Custom request');
+	});
+});
+
+describe('confirmation email sink', () => {
+	it('shows the estimate stored at submit, even after the catalog changes', async () => {
+		// As priced when the customer submitted, before Authentication went up to $150
+		const estimate = buildQuote(submission);
+		estimate.lineItems[0] = { ...estimate.lineItems[0], amount: 150 };
+		estimate.subtotal += 50;
+		estimate.total += 50;
+		const lead = await createLead(env.DB, submission, { total: estimate.total, discount: estimate.discountTotal, estimate });
+
+		await sync(lead.id);
+
+		const [email] = capturedEmails();
+		expect(email.text).toContain('  - Authentication: $150');
+		expect(email.text).toContain(`Estimated total: $${lead.estimatedPrice}`);
+	});
+
+	it('totals the email to the price stored on the lead', async () => {
+		const request = new Request('http://example.com/api/submit-request', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ ...submission, botCheck: await solveBotCheck() }),
+		});
+		const sent = [];
+		const testEnv = { ...env, LEAD_SYNC_QUEUE: { send: async body => sent.push(body) } };
+		const response = await worker.fetch(request, testEnv, createExecutionContext());
+		expect(response.status).toBe(200);
+
+		const { leadId } = sent.find(message => message.sink === 'confirmation-email');
+		await sync(leadId);
+
+		const lead = await getLead(env.DB, leadId);
+		expect(lead.estimate.total).toBe(lead.estimatedPrice);
+		expect(capturedEmails()[0].text).toContain(`Estimated total: $${lead.estimatedPrice}`);
+	});
+
+	it('emails the customer through the configured provider', async () => {
+		const lead = await createLead(env.DB, submission, { total: 620, discount: 30 });
+
+		const result = await sync(lead.id);
+
+		expect(result.explicitAcks).toEqual(['msg']);
+		expect(capturedEmails()).toEqual([
+			expect.objectContaining({
+				to: 'founder@example.com',
+				from: 'Finalize <hello@finalize.dev>',
+				replyTo: 'hello@finalize.dev',
+				subject: `We received your estimate request (${lead.reference})`,
+				idempotencyKey: `confirmation-email/${lead.id}`,
+			}),
+		]);
+		expect(await getSinkDelivery(env.DB, lead.id, 'confirmation-email')).toMatchObject({
+			status: 'delivered',
+			externalIds: { provider: 'capture', messageId: expect.stringMatching(/^captured-/) },
+		});
+	});
+
+	it('dead-letters when no provider is configured', async () => {
+		const lead = await createLead(env.DB, submission, { total: 620, discount: 30 });
+
+		await sync(lead.id, { ...env, EMAIL_PROVIDER: undefined });
+
+		expect(capturedEmails()).toEqual([]);
+		expect(await listDeadLetters(env.DB)).toMatchObject([{ destination: 'confirmation-email', error: 'EMAIL_PROVIDER is not set' }]);
+	});
+});
+
+describe('email providers', () => {
+	it('sends through a Resend-compatible API', async () => {
+		let received;
+		fetchMock
+			.get('http://mail.test')
+			.intercept({ path: '/emails', method: 'POST' })
+			.reply(200, ({ body, headers }) => {
+				received = { body: JSON.parse(body), headers };
+				return { id: 're_123' };
+			});
+
+		const testEnv = { ...env, EMAIL_PROVIDER: 'resend', RESEND_API_KEY: 're_key', RESEND_API_BASE: 'http://mail.test' };
+		expect(await sendEmail(testEnv, message)).toEqual({ provider: 'resend', id: 're_123' });
+		expect(received.headers.authorization).toBe('Bearer re_key');
+		expect(received.headers['idempotency-key']).toBe('key-1');
+		expect(received.body).toEqual({
+			from: 'Finalize <hello@finalize.dev>',
+			to: ['founder@example.com'],
+			reply_to: 'hello@finalize.dev',
+			subject: 'Hello',
+			html: '<p>Hi</p>',
+			text: 'Hi',
+		});
+	});
+
+	it('sends through the MailChannels API', async () => {
+		let received;
+		fetchMock
+			.get('http://mail.test')
+			.intercept({ path: '/tx/v1/send', method: 'POST' })
+			.reply(202, ({ body, headers }) => {
+				received = { body: JSON.parse(body), headers };
+				return '';
+			});
+
+		const testEnv = { ...env, EMAIL_PROVIDER: 'mailchannels', MAILCHANNELS_API_KEY: 'mc_key', MAILCHANNELS_API_BASE: 'http://mail.test' };
+		expect(await sendEmail(testEnv, message)).toEqual({ provider: 'mailchannels', id: null });
+		expect(received.headers['x-api-key']).toBe('mc_key');
+		expect(received.body).toMatchObject({
+			personalizations: [{ to: [{ email: 'founder@example.com' }] }],
+			from: { name: 'Finalize', email: 'hello@finalize.dev' },
+			content: [
+				{ type: 'text/plain', value: 'Hi' },
+				{ type: 'text/html', value: '<p>Hi</p>' },
+			],
+		});
+	});
+});
@@ -0,0 +1,15 @@
+import { env } from 'cloudflare:test';
+import { isValidSolution, issueChallenge } from '../src/bot-defense.js';
+
+/**
+ * Issue and solve a bot defense challenge, like the estimate page's Web Worker does
+ */
+export async function solveBotCheck(testEnv = env) {
+	const challenge = await issueChallenge(testEnv);
+
+	for (let counter = 0; ; counter++) {
+		if (await isValidSolution(challenge.token, String(counter), challenge.difficulty)) {
+			return { token: challenge.token, solution: String(counter) };
+		}
+	}
+}
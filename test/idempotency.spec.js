@@ -0,0 +1,85 @@
+import { env, createExecutionContext } from 'cloudflare:test';
+import { beforeAll, describe, it, expect } from 'vitest';
+import worker from '../src';
+import { solveBotCheck } from './helpers.js';
+
+const submission = {
+	appUrl: 'https://myapp.example.com',
+	email: 'founder@example.com',
+	selectedFeatures: ['Payments'],
+	timestamp: '2026-01-01T00:00:00.000Z',
+};
+
+beforeAll(async () => {
+	submission.botCheck = await solveBotCheck();
+});
+
+const testEnv = { ...env, LEAD_SYNC_QUEUE: { send: async () => {} } };
+
+function submit(body, key) {
+	const headers = { 'Content-Type': 'application/json' };
+	if (key !== undefined) {
+		headers['Idempotency-Key'] = key;
+	}
+	const request = new Request('http://example.com/api/submit-request', { method: 'POST', headers, body: JSON.stringify(body) });
+	return worker.fetch(request, testEnv, createExecutionContext());
+}
+
+async function countLeads() {
+	const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM leads').first();
+	return count;
+}
+
+describe('Idempotency-Key on /api/submit-request', () => {
+	it('replays the first response for a repeated key', async () => {
+		const first = await submit(submission, 'attempt-1');
+		const second = await submit(submission, 'attempt-1');
+
+		expect(first.status).toBe(200);
+		expect(second.status).toBe(200);
+		expect(second.headers.get('Idempotent-Replayed')).toBe('true');
+		expect(await second.json()).toEqual(await first.json());
+		expect(await countLeads()).toBe(1);
+	});
+
+	it('rejects a reused key with a different body', async () => {
+		await submit(submission, 'attempt-2');
+		const response = await submit({ ...submission, selectedFeatures: ['Authentication'] }, 'attempt-2');
+
+		expect(response.status).toBe(422);
+		expect(await response.json()).toMatchObject({ code: 'idempotency_key_reused' });
+		expect(await countLeads()).toBe(1);
+	});
+
+	it('does not pin failed requests to the key', async () => {
+		const invalid = await submit({ ...submission, email: 'nope' }, 'attempt-3');
+		expect(invalid.status).toBe(400);
+
+		const retry = await submit({ ...submission, email: 'nope' }, 'attempt-3');
+		expect(retry.status).toBe(400);
+		expect(retry.headers.get('Idempotent-Replayed')).toBeNull();
+	});
+
+	it('reports a key that is still being processed', async () => {
+		const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(submission)));
+		const fingerprint = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+		await env.IDEMPOTENCY_KV.put('submit-request:attempt-4', JSON.stringify({ state: 'in_progress', fingerprint }));
+
+		const response = await submit(submission, 'attempt-4');
+		expect(response.status).toBe(409);
+		expect(await response.json()).toMatchObject({ code: 'idempotency_key_in_progress' });
+		expect(await countLeads()).toBe(0);
+	});
+
+	it('handles requests without a key normally', async () => {
+		await submit({ ...submission, botCheck: await solveBotCheck() });
+		await submit({ ...submission, botCheck: await solveBotCheck() });
+		expect(await countLeads()).toBe(2);
+	});
+
+	it('rejects malformed keys', async () => {
+		const response = await submit(submission, 'has spaces');
+		expect(response.status).toBe(400);
+		expect(await response.json()).toMatchObject({ code: 'invalid_idempotency_key' });
+	});
+});
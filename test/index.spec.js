@@ -2,40 +2,108 @@ import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloud
 import { describe, it, expect } from 'vitest';
 import worker from '../src';
 
-describe('Hello World user worker', () => {
-	describe('request for /message', () => {
-		it('/ responds with "Hello, World!" (unit style)', async () => {
-			const request = new Request('http://example.com/message');
+describe('Finalize worker', () => {
+	describe('API routing', () => {
+		it('returns a JSON 404 for unknown API paths (unit style)', async () => {
+			const request = new Request('http://example.com/api/v1/does-not-exist');
 			// Create an empty context to pass to `worker.fetch()`.
 			const ctx = createExecutionContext();
 			const response = await worker.fetch(request, env, ctx);
 			// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
 			await waitOnExecutionContext(ctx);
-			expect(await response.text()).toMatchInlineSnapshot(`"Hello, World!"`);
+			expect(response.status).toBe(404);
+			expect(response.headers.get('Content-Type')).toBe('application/json');
+			expect(await response.json()).toMatchObject({ success: false, code: 'not_found' });
 		});
 
-		it('responds with "Hello, World!" (integration style)', async () => {
-			const request = new Request('http://example.com/message');
-			const response = await SELF.fetch(request);
-			expect(await response.text()).toMatchInlineSnapshot(`"Hello, World!"`);
+		it('returns a 405 with an Allow header for unsupported methods (integration style)', async () => {
+			const response = await SELF.fetch('http://example.com/api/v1/submit-request');
+			expect(response.status).toBe(405);
+			expect(response.headers.get('Allow')).toBe('POST, OPTIONS');
+			expect(await response.json()).toMatchObject({ success: false, code: 'method_not_allowed' });
+		});
+
+		it('answers OPTIONS for known routes', async () => {
+			const response = await SELF.fetch('http://example.com/api/v1/submit-request', { method: 'OPTIONS' });
+			expect(response.status).toBe(204);
+			expect(response.headers.get('Allow')).toBe('POST, OPTIONS');
+		});
+
+		it('resolves unversioned paths to v1', async () => {
+			const response = await SELF.fetch('http://example.com/api/submit-request');
+			expect(response.status).toBe(405);
 		});
 	});
 
-	describe('request for /random', () => {
-		it('/ responds with a random UUID (unit style)', async () => {
-			const request = new Request('http://example.com/random');
-			// Create an empty context to pass to `worker.fetch()`.
-			const ctx = createExecutionContext();
-			const response = await worker.fetch(request, env, ctx);
-			// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
-			await waitOnExecutionContext(ctx);
-			expect(await response.text()).toMatch(/[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}/);
+	describe('POST /api/v1/submit-request', () => {
+		it('rejects malformed JSON', async () => {
+			const response = await SELF.fetch('http://example.com/api/v1/submit-request', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: '{not json',
+			});
+			expect(response.status).toBe(400);
+			expect(await response.json()).toMatchObject({ code: 'invalid_json' });
+		});
+
+		it('rejects JSON bodies that are not objects', async () => {
+			for (const path of ['/api/v1/submit-request', '/api/v1/quote', '/api/v1/portal/login', '/api/v1/portal/session']) {
+				const response = await SELF.fetch(`http://example.com${path}`, {
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
+					body: 'null',
+				});
+				expect(response.status).toBe(400);
+				expect(await response.json()).toMatchObject({ error: 'Expected a JSON object', code: 'bad_request' });
+			}
+		});
+
+		it('returns validation errors', async () => {
+			const response = await SELF.fetch('http://example.com/api/v1/submit-request', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ appUrl: 'not a url', email: 'nope' }),
+			});
+			expect(response.status).toBe(400);
+			const body = await response.json();
+			expect(body.code).toBe('validation_failed');
+			expect(body.errors).toEqual([
+				'App URL must be a valid URL',
+				'Email must be a valid email address',
+				'At least one service must be selected',
+			]);
+		});
+		it('rejects free-text fields that are not short strings', async () => {
+			const valid = { appUrl: 'https://myapp.example.com', email: 'founder@example.com', selectedFeatures: ['Payments'] };
+			const cases = [
+				[{ platform: { name: 'Lovable' } }, 'Platform must be text'],
+				[{ additionalContext: ['a', 'b'] }, 'Additional context must be text'],
+				[{ additionalContext: 'x'.repeat(2001) }, 'Additional context must be at most 2000 characters'],
+				[{ customRequestText: 42 }, 'Custom request description must be text'],
+				[
+					{ hasCustomRequest: true, customRequestText: { text: 'Migrate' } },
+					'Custom request description is required when custom request is selected',
+				],
+				[{ hasCustomRequest: true, customRequestText: 'x'.repeat(501) }, 'Custom request description must be at most 500 characters'],
+			];
+
+			for (const [fields, message] of cases) {
+				const response = await SELF.fetch('http://example.com/api/v1/submit-request', {
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify({ ...valid, ...fields }),
+				});
+				expect(response.status).toBe(400);
+				expect(await response.json()).toMatchObject({ code: 'validation_failed', errors: [message] });
+			}
 		});
+	});
 
-		it('responds with a random UUID (integration style)', async () => {
-			const request = new Request('http://example.com/random');
-			const response = await SELF.fetch(request);
-			expect(await response.text()).toMatch(/[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}/);
+	describe('static assets', () => {
+		it('serves non-API paths from the assets binding', async () => {
+			const response = await SELF.fetch('http://example.com/estimate.html');
+			expect(response.status).toBe(200);
+			expect(await response.text()).toContain('estimateForm');
 		});
 	});
 });
@@ -0,0 +1,316 @@
+import { env, createExecutionContext, fetchMock, waitOnExecutionContext } from 'cloudflare:test';
+import { afterEach, beforeAll, beforeEach, describe, it, expect } from 'vitest';
+import worker from '../src';
+import { getCounter } from '../src/counters.js';
+import { capturedEmails, clearCapturedEmails } from '../src/email/capture.js';
+import { ConfigurationError } from '../src/errors.js';
+import { issueInvoice, listInvoices, sellerDetails, taxLine, taxSettings } from '../src/invoices.js';
+import { changeLeadStatus } from '../src/lead-status.js';
+import { createLead } from '../src/leads.js';
+import { createLogger } from '../src/logger.js';
+import { listMilestones } from '../src/milestones.js';
+import { createPdfDocument, textWidth, wrapText } from '../src/pdf.js';
+import { quoteResponseUrl, quoteReviewUrl } from '../src/quote-links.js';
+import { createQuoteDraft, respondToQuote, sendQuote } from '../src/quotes.js';
+import { signToken, signatureHeader } from '../src/signing.js';
+
+const STRIPE = 'http://stripe.test';
+
+const stripeEnv = {
+	...env,
+	STRIPE_SECRET_KEY: 'sk_test_123',
+	STRIPE_WEBHOOK_SECRET: 'whsec_test',
+	STRIPE_API_BASE: STRIPE,
+};
+
+const ADMIN_HEADERS = { Authorization: 'Bearer test-admin-token' };
+
+const submission = {
+	appUrl: 'https://myapp.example.com',
+	email: 'founder@example.com',
+	platform: 'Web',
+	selectedFeatures: [],
+	hasCustomRequest: true,
+	customRequestText: 'Sync orders with our ERP',
+};
+
+const customWork = [
+	{ catalogId: null, description: 'ERP order sync (orders, refunds and stock levels)', hours: 24, price: 800 },
+	{ catalogId: null, description: 'Handover call', hours: 1, price: 100 },
+];
+
+const year = new Date().getUTCFullYear();
+
+beforeAll(() => {
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+beforeEach(() => {
+	clearCapturedEmails();
+});
+
+afterEach(() => {
+	fetchMock.assertNoPendingInterceptors();
+});
+
+async function call(path, { method = 'GET', headers = {}, body, testEnv = stripeEnv } = {}) {
+	const init = { method, headers, body: body === undefined ? undefined : JSON.stringify(body) };
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(new Request(`https://finalize.dev${path}`, init), testEnv, ctx);
+	await waitOnExecutionContext(ctx);
+	return response;
+}
+
+// A custom request whose quote has been sent, ready to answer
+async function sentQuote(testEnv = stripeEnv) {
+	const lead = await createLead(env.DB, submission, { total: 250, discount: 0 });
+	await changeLeadStatus(testEnv, lead.id, { to: 'Reviewing', actor: 'ops@finalize.dev' });
+	const draft = await createQuoteDraft(env.DB, lead, { lineItems: customWork, discount: 100 }, 'ops@finalize.dev');
+	const { quote } = await sendQuote(testEnv, { ...lead, status: 'Reviewing' }, draft, 'ops@finalize.dev', createLogger());
+	return { lead, quote };
+}
+
+// Accept from the customer's link, as the quote page does
+async function acceptFromLink(testEnv = stripeEnv) {
+	const { lead, quote } = await sentQuote(testEnv);
+	const token = new URL(await quoteResponseUrl(env, quote, 'accept')).searchParams.get('token');
+	const response = await call(`/api/v1/quotes/${quote.id}/accept`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: { token, name: 'Ada Lovelace', agree: true, termsVersion: quote.termsVersion },
+		testEnv,
+	});
+	expect(response.status).toBe(200);
+	return { lead, quote: { ...quote, status: 'accepted' } };
+}
+
+async function payMilestone(quote, milestoneId, sessionId, testEnv = stripeEnv) {
+	const token = new URL(await quoteReviewUrl(env, quote)).searchParams.get('token');
+	fetchMock
+		.get(STRIPE)
+		.intercept({ path: '/v1/checkout/sessions', method: 'POST' })
+		.reply(200, () => ({ id: sessionId, url: `https://checkout.stripe.test/c/${sessionId}` }));
+	await call(`/api/v1/quotes/${quote.id}/checkout`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: { token, milestoneId },
+		testEnv,
+	});
+
+	const event = JSON.stringify({
+		id: `evt_${sessionId}`,
+		type: 'checkout.session.completed',
+		data: { object: { object: 'checkout.session', id: sessionId, payment_status: 'paid', payment_intent: `pi_${sessionId}` } },
+	});
+	await call('/api/v1/webhooks/stripe', {
+		method: 'POST',
+		headers: { 'Stripe-Signature': await signatureHeader(stripeEnv.STRIPE_WEBHOOK_SECRET, event) },
+		body: JSON.parse(event),
+		testEnv,
+	});
+}
+
+function pdfText(bytes) {
+	return new TextDecoder().decode(bytes);
+}
+
+describe('PDF writer', () => {
+	it('writes a well-formed file with a correct cross-reference table', () => {
+		const doc = createPdfDocument({ title: 'Test (1)', createdAt: new Date('2026-03-04T05:06:07Z') });
+		doc.addPage().text(72, 720, 'Café (net) \\ 10 €', { size: 12, bold: true });
+		doc.addPage().line(72, 700, 540, 700);
+		const file = pdfText(doc.toBytes());
+
+		expect(file.startsWith('%PDF-1.4\n')).toBe(true);
+		expect(file.trimEnd().endsWith('%%EOF')).toBe(true);
+		expect(file).toContain('/Count 2');
+		expect(file).toContain('/CreationDate (D:20260304050607Z)');
+		expect(file).toContain('(Caf\\351 \\(net\\) \\\\ 10 \\200) Tj');
+		expect(/^[\x00-\x7f]*$/.test(file)).toBe(true);
+
+		const startxref = Number(/startxref\n(\d+)/.exec(file)[1]);
+		expect(file.slice(startxref, startxref + 4)).toBe('xref');
+		const offsets = [...file.slice(startxref).matchAll(/^(\d{10}) 00000 n $/gm)].map(match => Number(match[1]));
+		expect(offsets).toHaveLength(9);
+		offsets.forEach((offset, index) => expect(file.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true));
+	});
+
+	it('measures and wraps text in the standard fonts', () => {
+		expect(textWidth('Hello', { size: 10 })).toBeCloseTo(22.78);
+		expect(textWidth('Hello', { size: 10, bold: true })).toBeCloseTo(24.45);
+
+		const lines = wrapText('Sync orders, refunds and stock levels with the ERP every night', 120, { size: 10 });
+		expect(lines.length).toBeGreaterThan(1);
+		expect(lines.join(' ')).toBe('Sync orders, refunds and stock levels with the ERP every night');
+		lines.forEach(line => expect(textWidth(line, { size: 10 })).toBeLessThanOrEqual(120));
+		expect(wrapText('x'.repeat(100), 50, { size: 10 }).every(line => textWidth(line, { size: 10 }) <= 50)).toBe(true);
+	});
+});
+
+describe('invoice settings', () => {
+	it('reads the seller and tax from config', () => {
+		expect(sellerDetails({}).name).toBe('Finalize');
+		const seller = { name: 'Finalize Ltd', address: ['1 Main St', 'Springfield'], email: 'billing@finalize.dev', taxId: 'GB123' };
+		expect(sellerDetails({ INVOICE_SELLER: JSON.stringify(seller) })).toEqual(seller);
+		expect(() => sellerDetails({ INVOICE_SELLER: '{"address": []}' })).toThrow(ConfigurationError);
+
+		expect(taxSettings({})).toBeNull();
+		expect(taxSettings({ INVOICE_TAX: '{"name": "VAT", "rate": 20}' })).toEqual({ name: 'VAT', rate: 20 });
+		expect(() => taxSettings({ INVOICE_TAX: '{"name": "VAT", "rate": 0}' })).toThrow(ConfigurationError);
+		expect(() => taxSettings({ INVOICE_TAX: 'VAT' })).toThrow(ConfigurationError);
+
+		// Prices include the tax
+		expect(taxLine(80000, { name: 'VAT', rate: 20 })).toEqual({ name: 'VAT', rate: 20, net: 66667, amount: 13333 });
+	});
+});
+
+describe('invoices', () => {
+	it('issues a numbered invoice when a quote is accepted and emails its link', async () => {
+		const { lead } = await acceptFromLink();
+
+		const [invoice] = await listInvoices(env.DB, lead.id);
+		expect(invoice).toMatchObject({ kind: 'invoice', number: `INV-${year}-0001`, amount: 800, currency: 'USD', paymentId: null });
+		expect(invoice.details).toMatchObject({
+			reference: lead.reference,
+			buyer: { name: 'Ada Lovelace', email: 'founder@example.com', appUrl: 'https://myapp.example.com' },
+			subtotal: 90000,
+			discount: 10000,
+			total: 80000,
+			tax: null,
+			schedule: [
+				{ label: 'Deposit', percent: 50, amount: 40000, due: 'acceptance' },
+				{ label: 'Balance on delivery', percent: 50, amount: 40000, due: 'delivery' },
+			],
+		});
+
+		const stored = await env.DOCUMENTS.get(invoice.r2Key);
+		expect(stored.httpMetadata.contentType).toBe('application/pdf');
+		const file = await stored.text();
+		expect(invoice.size).toBe(file.length);
+		for (const text of [`(INV-${year}-0001)`, '(Bill to)', '(Ada Lovelace)', '(Handover call)', '(-$100.00)', '(Total)', '($800.00)']) {
+			expect(file).toContain(text);
+		}
+		expect(file).toContain('(Deposit \\(50%\\), due on acceptance)');
+		expect(file).not.toContain('VAT');
+
+		const email = capturedEmails().find(sent => sent.subject === `Invoice INV-${year}-0001 for ${lead.reference}`);
+		expect(email.to).toBe('founder@example.com');
+		const url = new URL(/Download \(PDF\): (\S+)/.exec(email.text)[1]);
+		expect(url.pathname).toBe(`/api/v1/invoices/${invoice.id}`);
+
+		const download = await call(`${url.pathname}${url.search}`);
+		expect(download.status).toBe(200);
+		expect(download.headers.get('Content-Type')).toBe('application/pdf');
+		expect(download.headers.get('Content-Disposition')).toBe(`inline; filename="INV-${year}-0001.pdf"`);
+		expect(await download.text()).toBe(file);
+
+		expect((await call(`/api/v1/invoices/${invoice.id}?token=nope`)).status).toBe(404);
+		const other = await signToken({ purpose: 'invoice', invoice: 'someone-else', exp: 4102444800 }, env.LINK_SIGNING_SECRET);
+		expect((await call(`/api/v1/invoices/${invoice.id}?token=${other}`)).status).toBe(404);
+		const expired = await signToken({ purpose: 'invoice', invoice: invoice.id, exp: 1 }, env.LINK_SIGNING_SECRET);
+		expect(await (await call(`/api/v1/invoices/${invoice.id}?token=${expired}`)).json()).toMatchObject({ code: 'invoice_link_expired' });
+	});
+
+	it('numbers invoices without gaps and issues each quote one', async () => {
+		const log = createLogger();
+		const first = await sentQuote();
+		const second = await sentQuote();
+		for (const { lead, quote } of [first, second]) {
+			await respondToQuote(stripeEnv, { ...lead, status: 'Quoted' }, quote, 'accepted', { signatureName: 'Ada' }, log);
+		}
+
+		const accepted = { ...first.quote, status: 'accepted' };
+		const issue = () => issueInvoice(env, first.lead, accepted, log);
+		const [invoice, again] = await Promise.all([issue(), issue()]);
+		expect(again.id).toBe(invoice.id);
+		const next = await issueInvoice(env, second.lead, { ...second.quote, status: 'accepted' }, log);
+
+		expect([invoice.number, next.number]).toEqual([`INV-${year}-0001`, `INV-${year}-0002`]);
+		expect(await getCounter(env.DB, `invoice-number:${year}`)).toBe(2);
+		expect(capturedEmails().filter(email => email.subject.startsWith('Invoice '))).toHaveLength(2);
+	});
+
+	it('issues a receipt for each payment, with tax lines when tax applies', async () => {
+		const testEnv = {
+			...stripeEnv,
+			INVOICE_TAX: JSON.stringify({ name: 'VAT', rate: 20 }),
+			INVOICE_SELLER: JSON.stringify({ name: 'Finalize Ltd', address: ['1 Main St'], email: 'billing@finalize.dev', taxId: 'GB123' }),
+		};
+		const { lead, quote } = await acceptFromLink(testEnv);
+		const [deposit] = await listMilestones(env.DB, lead.id);
+		clearCapturedEmails();
+		await payMilestone(quote, deposit.id, 'cs_deposit', testEnv);
+
+		const [invoice, receipt] = await listInvoices(env.DB, lead.id);
+		expect(invoice.details.tax).toEqual({ name: 'VAT', rate: 20, net: 66667, amount: 13333 });
+		expect(receipt).toMatchObject({ kind: 'receipt', number: `RCT-${year}-0001`, amount: 400, quoteId: quote.id });
+		expect(receipt.details).toMatchObject({
+			invoiceNumber: invoice.number,
+			seller: { name: 'Finalize Ltd', taxId: 'GB123' },
+			lines: [{ description: `${lead.reference} quote version 1: Deposit`, amount: 40000 }],
+			total: 40000,
+			tax: { name: 'VAT', rate: 20, net: 33333, amount: 6667 },
+			paymentReference: 'pi_cs_deposit',
+			balance: 40000,
+		});
+
+		const file = await (await env.DOCUMENTS.get(receipt.r2Key)).text();
+		const texts = [
+			'(RECEIPT)',
+			'(Received from)',
+			'(Tax ID: GB123)',
+			'(VAT at 20%)',
+			'($66.67)',
+			'(pi_cs_deposit)',
+			'(Balance outstanding)',
+		];
+		for (const text of texts) {
+			expect(file).toContain(text);
+		}
+		expect(capturedEmails().map(email => email.subject)).toContain(`Receipt RCT-${year}-0001 for ${lead.reference}`);
+	});
+
+	it('lists documents in the portal and admin, and issues missing ones on request', async () => {
+		const log = createLogger();
+		const { lead, quote } = await sentQuote();
+		await respondToQuote(stripeEnv, { ...lead, status: 'Quoted' }, quote, 'accepted', { signatureName: 'Ada' }, log);
+		expect(await listInvoices(env.DB, lead.id)).toEqual([]);
+
+		const issuePath = `/api/v1/admin/leads/${lead.id}/quotes/${quote.version}/invoices`;
+		const issued = await (await call(issuePath, { method: 'POST', headers: ADMIN_HEADERS })).json();
+		expect(issued.invoices).toMatchObject([{ kind: 'invoice', number: `INV-${year}-0001` }]);
+		expect(issued.invoices[0].r2Key).toBeUndefined();
+		const again = await (await call(issuePath, { method: 'POST', headers: ADMIN_HEADERS })).json();
+		expect(again.invoices.map(invoice => invoice.id)).toEqual([issued.invoices[0].id]);
+
+		const session = await signToken(
+			{ purpose: 'portal-session', email: 'founder@example.com', exp: Math.floor(Date.now() / 1000) + 3600 },
+			env.LINK_SIGNING_SECRET
+		);
+		const portal = await (await call('/api/v1/portal/requests', { headers: { Cookie: `finalize_portal=${session}` } })).json();
+		const [document] = portal.requests[0].invoices;
+		expect(document).toMatchObject({ kind: 'invoice', number: `INV-${year}-0001`, amount: 800 });
+		expect(document.details).toBeUndefined();
+		expect(document.url).toContain(`https://finalize.dev/api/v1/invoices/${document.id}?token=`);
+
+		const admin = await (await call(`/api/v1/admin/leads/${lead.id}`, { headers: ADMIN_HEADERS })).json();
+		expect(admin.invoices).toMatchObject([{ number: `INV-${year}-0001`, url: `/api/v1/admin/invoices/${document.id}` }]);
+
+		// A lost PDF is rendered again from the stored details
+		const [invoice] = await listInvoices(env.DB, lead.id);
+		const original = await (await env.DOCUMENTS.get(invoice.r2Key)).text();
+		await env.DOCUMENTS.delete(invoice.r2Key);
+		const download = await call(admin.invoices[0].url, { headers: ADMIN_HEADERS });
+		expect(await download.text()).toBe(original);
+		expect(await env.DOCUMENTS.head(invoice.r2Key)).not.toBeNull();
+		expect((await call(admin.invoices[0].url)).status).toBe(401);
+
+		const draft = await createQuoteDraft(env.DB, lead, {}, 'ops@finalize.dev');
+		const notAccepted = await call(`/api/v1/admin/leads/${lead.id}/quotes/${draft.version}/invoices`, {
+			method: 'POST',
+			headers: ADMIN_HEADERS,
+		});
+		expect(notAccepted.status).toBe(409);
+	});
+});
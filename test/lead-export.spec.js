@@ -0,0 +1,136 @@
+import { env, createExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src';
+import { listAuditLog } from '../src/audit-log.js';
+import { csvValue } from '../src/lead-export.js';
+import { LEAD_FIELDS, createLead } from '../src/leads.js';
+
+const ADMIN_HEADERS = { Authorization: 'Bearer test-admin-token' };
+
+function exportLeads(query, headers = ADMIN_HEADERS) {
+	const request = new Request(`http://example.com/api/v1/admin/leads/export${query}`, { headers });
+	return worker.fetch(request, env, createExecutionContext());
+}
+
+async function seedLeads() {
+	const payments = await createLead(
+		env.DB,
+		{
+			appUrl: 'https://ledger.example.com',
+			email: 'cto@ledger.dev',
+			platform: 'iOS',
+			selectedFeatures: ['Payments', 'Authentication', 'Teleport'],
+			hasCustomRequest: true,
+			customRequestText: '=HYPERLINK("https://evil.example.com", "Click")\nand "more", please',
+		},
+		{ total: 450, discount: 0 }
+	);
+	const web = await createLead(
+		env.DB,
+		{ appUrl: 'https://shop.example.com', email: 'owner@shop.example.com', platform: 'Web', selectedServices: ['Deployment'] },
+		{ total: 200, discount: 0 }
+	);
+	await env.DB.batch([
+		env.DB.prepare("UPDATE leads SET submitted_at = '2026-03-01T10:00:00.000Z', status = 'Reviewing' WHERE id = ?").bind(payments.id),
+		env.DB.prepare("UPDATE leads SET submitted_at = '2026-03-09T10:00:00.000Z' WHERE id = ?").bind(web.id),
+	]);
+	return { payments, web };
+}
+
+describe('csvValue', () => {
+	it('quotes separators and neutralizes formulas', () => {
+		expect(csvValue('plain')).toBe('plain');
+		expect(csvValue('a, "b"')).toBe('"a, ""b"""');
+		expect(csvValue('line\nbreak')).toBe('"line\nbreak"');
+		expect(csvValue('=SUM(A1:A9)')).toBe("'=SUM(A1:A9)");
+		expect(csvValue(-100)).toBe('-100');
+		expect(csvValue(null)).toBe('');
+	});
+});
+
+describe('GET /api/v1/admin/leads/export', () => {
+	it('streams CSV with joined arrays and records the export', async () => {
+		const { payments, web } = await seedLeads();
+
+		const response = await exportLeads('');
+		// The custom request's line break is a bare \n inside quotes, rows end with \r\n
+		const [header, ...rows] = (await response.text()).trimEnd().split('\r\n');
+
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Content-Type')).toBe('text/csv; charset=utf-8');
+		expect(response.headers.get('Content-Disposition')).toMatch(/^attachment; filename="leads-\d{4}-\d{2}-\d{2}\.csv"$/);
+		expect(response.headers.get('Cache-Control')).toBe('no-store');
+		expect(header).toBe(LEAD_FIELDS.join(','));
+		expect(rows).toHaveLength(2);
+		expect(rows[0].startsWith(`${web.id},${web.reference},`)).toBe(true);
+		expect(rows[1].startsWith(`${payments.id},${payments.reference},`)).toBe(true);
+		expect(rows[1]).toContain(',Payments; Authentication; Teleport,');
+		expect(rows[1]).toContain(`,"'=HYPERLINK(""https://evil.example.com"", ""Click"")\nand ""more"", please",`);
+
+		expect(await listAuditLog(env.DB)).toMatchObject([
+			{ actor: 'admin-token', action: 'leads.export', details: { format: 'csv', arrays: 'join', columns: LEAD_FIELDS, filters: {} } },
+		]);
+	});
+
+	it('can give each catalog item its own column', async () => {
+		await seedLeads();
+
+		const response = await exportLeads('?columns=reference,selectedFeatures&arrays=columns&status=Reviewing');
+		const [header, row] = (await response.text()).trimEnd().split('\r\n');
+
+		const columns = header.split(',');
+		expect(columns[0]).toBe('reference');
+		expect(columns).toContain('selectedFeatures: Payments');
+		expect(columns.at(-1)).toBe('selectedFeatures: Other');
+
+		const values = Object.fromEntries(columns.map((column, index) => [column, row.split(',')[index]]));
+		expect(values).toMatchObject({
+			'selectedFeatures: Payments': '1',
+			'selectedFeatures: Authentication': '1',
+			'selectedFeatures: SaaS Subscriptions': '0',
+			'selectedFeatures: Other': 'Teleport',
+		});
+	});
+
+	it('streams JSON Lines with the selected columns and date range', async () => {
+		const { web } = await seedLeads();
+
+		const response = await exportLeads('?format=jsonl&columns=reference,email,selectedServices&from=2026-03-05');
+		const lines = (await response.text()).trimEnd().split('\n').map(line => JSON.parse(line));
+
+		expect(response.headers.get('Content-Type')).toBe('application/x-ndjson; charset=utf-8');
+		expect(lines).toEqual([{ reference: web.reference, email: 'owner@shop.example.com', selectedServices: ['Deployment'] }]);
+	});
+
+	it('pages through every matching lead', async () => {
+		for (let index = 0; index < 205; index++) {
+			await createLead(env.DB, { appUrl: `https://app${index}.example.com`, email: `user${index}@example.com` }, { total: 0, discount: 0 });
+		}
+
+		const response = await exportLeads('?format=jsonl&columns=email');
+		const emails = (await response.text()).trimEnd().split('\n').map(line => JSON.parse(line).email);
+
+		expect(new Set(emails).size).toBe(205);
+	});
+
+	it('rejects invalid options without recording an export', async () => {
+		for (const query of ['?format=xlsx', '?arrays=nested', '?columns=email,password', '?status=Paid']) {
+			expect((await exportLeads(query)).status).toBe(400);
+		}
+		expect((await exportLeads('', {})).status).toBe(401);
+		expect(await listAuditLog(env.DB)).toEqual([]);
+	});
+});
+
+describe('audit log', () => {
+	it('lists entries for admins and stays append-only', async () => {
+		await exportLeads('?format=jsonl');
+
+		const request = new Request('http://example.com/api/v1/admin/audit-log?action=leads.export', { headers: ADMIN_HEADERS });
+		const body = await (await worker.fetch(request, env, createExecutionContext())).json();
+
+		expect(body.entries).toMatchObject([{ action: 'leads.export', details: { format: 'jsonl' } }]);
+		await expect(env.DB.prepare("UPDATE admin_audit_log SET actor = 'someone-else'").run()).rejects.toThrow(/append-only/);
+		await expect(env.DB.prepare('DELETE FROM admin_audit_log').run()).rejects.toThrow(/append-only/);
+	});
+});
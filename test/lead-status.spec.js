@@ -0,0 +1,151 @@
+import { env, createExecutionContext } from 'cloudflare:test';
+import { afterEach, describe, it, expect, vi } from 'vitest';
+import worker from '../src';
+import { LEAD_STATUSES, TRANSITIONS, changeLeadStatus, listStatusHistory } from '../src/lead-status.js';
+import { createLead } from '../src/leads.js';
+import { listWebhookDeliveries } from '../src/webhooks.js';
+
+const submission = {
+	appUrl: 'https://myapp.example.com',
+	email: 'founder@example.com',
+	selectedFeatures: ['Authentication'],
+};
+
+const ADMIN_HEADERS = { Authorization: 'Bearer test-admin-token', 'Content-Type': 'application/json' };
+
+const WEBHOOK_QUEUE = { send: async () => {} };
+
+afterEach(() => {
+	vi.restoreAllMocks();
+});
+
+function changeStatus(leadId, body, testEnv = env) {
+	const request = new Request(`http://example.com/api/v1/admin/leads/${leadId}/status`, {
+		method: 'POST',
+		headers: ADMIN_HEADERS,
+		body: JSON.stringify(body),
+	});
+	return worker.fetch(request, testEnv, createExecutionContext());
+}
+
+describe('lifecycle', () => {
+	it('only lists known statuses as transition targets', () => {
+		for (const targets of Object.values(TRANSITIONS)) {
+			expect(LEAD_STATUSES).toEqual(expect.arrayContaining(targets));
+		}
+	});
+
+	it('walks a lead from New to Closed and records each step', async () => {
+		const lead = await createLead(env.DB, submission, { total: 100, discount: 0 });
+
+		for (const to of ['Reviewing', 'Quoted', 'Accepted', 'In Progress', 'Delivered', 'Closed']) {
+			await changeLeadStatus(env, lead.id, { to, actor: 'ops@finalize.dev' });
+		}
+
+		const history = await listStatusHistory(env.DB, lead.id);
+		expect(history.map(({ from, to }) => [from, to])).toEqual([
+			[null, 'New'],
+			['New', 'Reviewing'],
+			['Reviewing', 'Quoted'],
+			['Quoted', 'Accepted'],
+			['Accepted', 'In Progress'],
+			['In Progress', 'Delivered'],
+			['Delivered', 'Closed'],
+		]);
+		expect(history[0].actor).toBe('customer');
+		expect(history[1].actor).toBe('ops@finalize.dev');
+	});
+
+	it('keeps the history append-only', async () => {
+		const lead = await createLead(env.DB, submission, { total: 100, discount: 0 });
+
+		await expect(env.DB.prepare("UPDATE lead_status_history SET to_status = 'Closed'").run()).rejects.toThrow(/append-only/);
+		await expect(env.DB.prepare('DELETE FROM lead_status_history WHERE lead_id = ?').bind(lead.id).run()).rejects.toThrow(/append-only/);
+	});
+});
+
+describe('POST /api/v1/admin/leads/:id/status', () => {
+	it('changes the status and reports the next allowed ones', async () => {
+		const lead = await createLead(env.DB, submission, { total: 100, discount: 0 });
+
+		const response = await changeStatus(lead.id, { status: 'Reviewing', note: ' Looking at the repo ' });
+
+		expect(response.status).toBe(200);
+		expect(await response.json()).toMatchObject({
+			lead: { id: lead.id, reference: lead.reference, status: 'Reviewing' },
+			change: { from: 'New', to: 'Reviewing', actor: 'admin-token', note: 'Looking at the repo' },
+			allowedTransitions: ['Quoted', 'Declined', 'Cancelled'],
+		});
+	});
+
+	it('rejects transitions the lifecycle does not allow with 409', async () => {
+		const lead = await createLead(env.DB, submission, { total: 100, discount: 0 });
+
+		const response = await changeStatus(lead.id, { status: 'Delivered' });
+
+		expect(response.status).toBe(409);
+		expect(await response.json()).toMatchObject({
+			code: 'invalid_status_transition',
+			error: "A lead can't move from New to Delivered",
+			details: { status: 'New', allowed: ['Reviewing', 'Cancelled'] },
+		});
+		expect(await listStatusHistory(env.DB, lead.id)).toHaveLength(1);
+	});
+
+	it('rejects unknown statuses, unknown leads and missing credentials', async () => {
+		const lead = await createLead(env.DB, submission, { total: 100, discount: 0 });
+
+		expect((await changeStatus(lead.id, { status: 'Paid' })).status).toBe(400);
+		expect((await changeStatus('missing', { status: 'Reviewing' })).status).toBe(404);
+
+		const anonymous = new Request(`http://example.com/api/v1/admin/leads/${lead.id}/status`, {
+			method: 'POST',
+			body: JSON.stringify({ status: 'Reviewing' }),
+		});
+		expect((await worker.fetch(anonymous, env, createExecutionContext())).status).toBe(401);
+	});
+
+	it('returns the history with GET', async () => {
+		const lead = await createLead(env.DB, submission, { total: 100, discount: 0 });
+		await changeStatus(lead.id, { status: 'Cancelled' });
+
+		const request = new Request(`http://example.com/api/v1/admin/leads/${lead.id}/status`, { headers: ADMIN_HEADERS });
+		const body = await (await worker.fetch(request, env, createExecutionContext())).json();
+
+		expect(body).toMatchObject({ status: 'Cancelled', allowedTransitions: [] });
+		expect(body.history.map(entry => entry.to)).toEqual(['New', 'Cancelled']);
+	});
+});
+
+describe('status hooks', () => {
+	it('emits lead.status_changed webhooks', async () => {
+		const lead = await createLead(env.DB, submission, { total: 100, discount: 0 });
+		const testEnv = {
+			...env,
+			EVENT_WEBHOOKS: JSON.stringify([{ id: 'ops', url: 'https://ops.example.com/hooks', secret: 's', events: ['lead.status_changed'] }]),
+			WEBHOOK_QUEUE,
+		};
+
+		await changeStatus(lead.id, { status: 'Reviewing' }, testEnv);
+
+		const [delivery] = await listWebhookDeliveries(env.DB, { leadId: lead.id });
+		expect(delivery).toMatchObject({ eventType: 'lead.status_changed', endpointId: 'ops' });
+		expect(delivery.payload.data).toMatchObject({
+			lead: { id: lead.id, status: 'Reviewing' },
+			previousStatus: 'New',
+			status: 'Reviewing',
+			actor: 'admin-token',
+		});
+	});
+
+	it('keeps the change when a hook fails', async () => {
+		const lead = await createLead(env.DB, submission, { total: 100, discount: 0 });
+		const lines = [];
+		vi.spyOn(console, 'error').mockImplementation(line => lines.push(JSON.parse(line)));
+
+		const response = await changeStatus(lead.id, { status: 'Reviewing' }, { ...env, EVENT_WEBHOOKS: 'not json' });
+
+		expect(response.status).toBe(200);
+		expect(lines).toMatchObject([{ event: 'lead_status.hook_failed', hook: 'webhook', to: 'Reviewing' }]);
+	});
+});
@@ -0,0 +1,150 @@
+import { env, createExecutionContext, createMessageBatch, fetchMock, getQueueResult, waitOnExecutionContext } from 'cloudflare:test';
+import { afterEach, beforeAll, describe, it, expect } from 'vitest';
+import worker from '../src';
+import { solveBotCheck } from './helpers.js';
+import { createLead, getLead, getSinkDeliveries, getSinkDelivery, markSinkDelivered } from '../src/leads.js';
+
+const submission = {
+	appUrl: 'https://myapp.example.com',
+	email: 'founder@example.com',
+	platform: 'Lovable',
+	selectedFeatures: ['Authentication', 'Payments', 'File Uploads'],
+	selectedServices: ['Security Audit & Fixes'],
+	hasCustomRequest: false,
+	additionalContext: 'Launching next week',
+};
+
+beforeAll(async () => {
+	submission.botCheck = await solveBotCheck();
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+afterEach(() => {
+	fetchMock.assertNoPendingInterceptors();
+});
+
+describe('POST /api/submit-request', () => {
+	it('stores the lead in D1 and enqueues delivery to each sink', async () => {
+		const sent = [];
+		const testEnv = { ...env, LEAD_SYNC_QUEUE: { send: async body => sent.push(body) } };
+		const request = new Request('http://example.com/api/submit-request', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify(submission),
+		});
+
+		const ctx = createExecutionContext();
+		const response = await worker.fetch(request, testEnv, ctx);
+		await waitOnExecutionContext(ctx);
+
+		expect(response.status).toBe(200);
+		expect(sent.map(message => message.sink)).toEqual(['airtable', 'confirmation-email']);
+
+		const lead = await getLead(env.DB, sent[0].leadId);
+		expect(lead).toMatchObject({
+			email: 'founder@example.com',
+			selectedFeatures: submission.selectedFeatures,
+			estimatedPrice: 420,
+			featureDiscount: 30,
+			status: 'New',
+		});
+		expect(await getSinkDeliveries(env.DB, lead.id)).toEqual([
+			expect.objectContaining({ sink: 'airtable', status: 'pending', attempts: 0 }),
+			expect.objectContaining({ sink: 'confirmation-email', status: 'pending', attempts: 0 }),
+		]);
+	});
+
+	it('still succeeds when the queue is unavailable', async () => {
+		const testEnv = {
+			...env,
+			LEAD_SYNC_QUEUE: {
+				send: async () => {
+					throw new Error('Queue unavailable');
+				},
+			},
+		};
+		const request = new Request('http://example.com/api/submit-request', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify(submission),
+		});
+
+		const response = await worker.fetch(request, testEnv, createExecutionContext());
+		expect(response.status).toBe(200);
+
+		const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM leads').first();
+		expect(count).toBe(1);
+	});
+});
+
+describe('createLead', () => {
+	it('timestamps leads with the server clock, not the client', async () => {
+		const before = new Date().toISOString();
+		const lead = await createLead(env.DB, { ...submission, timestamp: '2099-01-01T00:00:00.000Z' }, { total: 420, discount: 30 });
+
+		expect(lead.submittedAt).toBe(lead.createdAt);
+		expect(lead.submittedAt >= before).toBe(true);
+		expect((await getLead(env.DB, lead.id)).submittedAt).toBe(lead.createdAt);
+	});
+});
+
+describe('lead sync queue consumer', () => {
+	it('creates the Airtable record and stores its id on the lead', async () => {
+		const lead = await createLead(env.DB, submission, { total: 420, discount: 30 });
+		let fields;
+		fetchMock
+			.get('https://api.airtable.com')
+			.intercept({ path: '/v0/appTest/Leads/', method: 'POST' })
+			.reply(200, ({ body }) => {
+				fields = JSON.parse(body).records[0].fields;
+				return { records: [{ id: 'recLead1', fields }] };
+			});
+
+		const batch = createMessageBatch('finalize-lead-sync', [{ id: 'msg-1', timestamp: new Date(), attempts: 1, body: { leadId: lead.id, sink: 'airtable' } }]);
+		const ctx = createExecutionContext();
+		await worker.queue(batch, env, ctx);
+		const result = await getQueueResult(batch, ctx);
+
+		expect(result.explicitAcks).toEqual(['msg-1']);
+		expect(fields).toMatchObject({ 'App URL': submission.appUrl, 'Estimated Price': 420, 'Status': 'New' });
+		expect(await getSinkDelivery(env.DB, lead.id, 'airtable')).toMatchObject({
+			status: 'delivered',
+			externalIds: { recordId: 'recLead1' },
+			attempts: 1,
+		});
+	});
+
+	it('retries the message and records the error when Airtable is unavailable', async () => {
+		const lead = await createLead(env.DB, submission, { total: 420, discount: 30 });
+		fetchMock
+			.get('https://api.airtable.com')
+			.intercept({ path: '/v0/appTest/Leads/', method: 'POST' })
+			.reply(503, { error: 'SERVICE_UNAVAILABLE' });
+
+		const batch = createMessageBatch('finalize-lead-sync', [{ id: 'msg-2', timestamp: new Date(), attempts: 2, body: { leadId: lead.id, sink: 'airtable' } }]);
+		const ctx = createExecutionContext();
+		await worker.queue(batch, env, ctx);
+		const result = await getQueueResult(batch, ctx);
+
+		expect(result.retryMessages).toEqual([expect.objectContaining({ msgId: 'msg-2' })]);
+		expect(await getSinkDelivery(env.DB, lead.id, 'airtable')).toMatchObject({
+			status: 'failed',
+			externalIds: null,
+			attempts: 1,
+			lastError: 'The service is temporarily unavailable. Please retry shortly.',
+		});
+	});
+
+	it('acks leads that were already synced without calling Airtable', async () => {
+		const lead = await createLead(env.DB, submission, { total: 420, discount: 30 });
+		await markSinkDelivered(env.DB, lead.id, 'airtable', { recordId: 'recDone' });
+
+		const batch = createMessageBatch('finalize-lead-sync', [{ id: 'msg-3', timestamp: new Date(), attempts: 3, body: { leadId: lead.id, sink: 'airtable' } }]);
+		const ctx = createExecutionContext();
+		await worker.queue(batch, env, ctx);
+		const result = await getQueueResult(batch, ctx);
+
+		expect(result.explicitAcks).toEqual(['msg-3']);
+	});
+});
@@ -0,0 +1,146 @@
+import { env, createExecutionContext, createMessageBatch, fetchMock } from 'cloudflare:test';
+import { afterEach, beforeAll, describe, it, expect, vi } from 'vitest';
+import worker from '../src';
+import { createLead } from '../src/leads.js';
+import { redact, scrub } from '../src/logger.js';
+import { solveBotCheck } from './helpers.js';
+
+/**
+ * Capture the JSON lines written to a console method while `run` executes
+ */
+async function captureLines(method, run) {
+	const spy = vi.spyOn(console, method).mockImplementation(() => {});
+	try {
+		await run();
+		return spy.mock.calls.map(([line]) => JSON.parse(line));
+	} finally {
+		spy.mockRestore();
+	}
+}
+
+beforeAll(() => {
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+afterEach(() => {
+	fetchMock.assertNoPendingInterceptors();
+});
+
+describe('redaction', () => {
+	it('masks emails and URLs inside strings', () => {
+		expect(scrub('Could not reach https://api.example.com/v0?key=1 for founder+x@example.co.uk')).toBe(
+			'Could not reach [url] for [email]'
+		);
+	});
+
+	it('drops contact and free-text fields by name', () => {
+		expect(
+			redact({
+				leadId: 'lead-1',
+				email: 'founder@example.com',
+				appUrl: 'myapp.example.com',
+				additionalContext: 'Call me on 555-0100',
+				nested: { customRequestText: 'Secret plans', note: 'see admin@example.com' },
+			})
+		).toEqual({
+			leadId: 'lead-1',
+			email: '[redacted]',
+			appUrl: '[redacted]',
+			additionalContext: '[redacted]',
+			nested: { customRequestText: '[redacted]', note: 'see [email]' },
+		});
+	});
+
+	it('serializes errors with their messages scrubbed', () => {
+		const error = new TypeError('Bad value founder@example.com');
+		expect(redact({ error })).toMatchObject({ error: { name: 'TypeError', message: 'Bad value [email]' } });
+	});
+});
+
+describe('request logging', () => {
+	it('uses cf-ray as the request id in the header, error body and access log', async () => {
+		let response;
+		const lines = await captureLines('log', async () => {
+			const request = new Request('http://example.com/api/v1/does-not-exist', { headers: { 'cf-ray': '8f1a2b3c4d5e6f70-SJC' } });
+			response = await worker.fetch(request, env, createExecutionContext());
+		});
+
+		expect(response.headers.get('X-Request-Id')).toBe('8f1a2b3c4d5e6f70-SJC');
+		expect(await response.json()).toMatchObject({ code: 'not_found', requestId: '8f1a2b3c4d5e6f70-SJC' });
+		expect(lines).toEqual([
+			expect.objectContaining({
+				level: 'info',
+				event: 'request',
+				requestId: '8f1a2b3c4d5e6f70-SJC',
+				method: 'GET',
+				route: null,
+				status: 404,
+				outcome: 'client_error',
+				code: 'not_found',
+				durationMs: expect.any(Number),
+			}),
+		]);
+	});
+
+	it('generates a request id outside the edge', async () => {
+		const response = await worker.fetch(new Request('http://example.com/api/pricing'), env, createExecutionContext());
+		expect(response.headers.get('X-Request-Id')).toMatch(/^[0-9a-f-]{36}$/);
+	});
+
+	it('logs submissions without customer data', async () => {
+		const sent = [];
+		const testEnv = { ...env, LEAD_SYNC_QUEUE: { send: async body => sent.push(body) } };
+		const body = {
+			appUrl: 'https://myapp.example.com',
+			email: 'founder@example.com',
+			selectedFeatures: ['Payments'],
+			additionalContext: 'Launching next week',
+			botCheck: await solveBotCheck(),
+		};
+
+		const lines = await captureLines('log', async () => {
+			const request = new Request('http://example.com/api/submit-request', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json', 'cf-ray': 'ray-submit' },
+				body: JSON.stringify(body),
+			});
+			await worker.fetch(request, testEnv, createExecutionContext());
+		});
+
+		const output = JSON.stringify(lines);
+		expect(output).not.toContain('founder@example.com');
+		expect(output).not.toContain('myapp.example.com');
+		expect(output).not.toContain('Launching next week');
+		expect(lines.map(line => line.event)).toEqual(['lead.created', 'request']);
+		expect(lines[1]).toMatchObject({ route: '/api/v1/submit-request', status: 200, outcome: 'success' });
+		expect(sent).toEqual([
+			{ leadId: lines[0].leadId, requestId: 'ray-submit', sink: 'airtable' },
+			{ leadId: lines[0].leadId, requestId: 'ray-submit', sink: 'confirmation-email' },
+		]);
+	});
+
+	it('logs sink latency with the originating request id', async () => {
+		const lead = await createLead(env.DB, { appUrl: 'https://myapp.example.com', email: 'founder@example.com' }, { total: 100, discount: 0 });
+		fetchMock
+			.get('https://api.airtable.com')
+			.intercept({ path: '/v0/appTest/Leads/', method: 'POST' })
+			.reply(200, { records: [{ id: 'recLog', fields: {} }] });
+
+		const batch = createMessageBatch('finalize-lead-sync', [
+			{ id: 'msg-log', timestamp: new Date(), attempts: 1, body: { leadId: lead.id, requestId: 'ray-submit', sink: 'airtable' } },
+		]);
+		const lines = await captureLines('log', () => worker.queue(batch, env, createExecutionContext()));
+
+		expect(lines).toEqual([
+			expect.objectContaining({
+				event: 'lead_sync',
+				outcome: 'delivered',
+				sink: 'airtable',
+				requestId: 'ray-submit',
+				leadId: lead.id,
+				latencyMs: expect.any(Number),
+			}),
+		]);
+	});
+});
@@ -0,0 +1,248 @@
+import { env, createExecutionContext, fetchMock, waitOnExecutionContext } from 'cloudflare:test';
+import { afterEach, beforeAll, beforeEach, describe, it, expect } from 'vitest';
+import worker from '../src';
+import { capturedEmails, clearCapturedEmails } from '../src/email/capture.js';
+import { ConfigurationError } from '../src/errors.js';
+import { changeLeadStatus } from '../src/lead-status.js';
+import { createLead, getLead } from '../src/leads.js';
+import { createLogger } from '../src/logger.js';
+import { listMilestones } from '../src/milestones.js';
+import { planPaymentSchedule, scheduleRules } from '../src/payment-schedules.js';
+import { quoteReviewUrl } from '../src/quote-links.js';
+import { createQuoteDraft, respondToQuote, sendQuote } from '../src/quotes.js';
+import { signToken, signatureHeader } from '../src/signing.js';
+
+const STRIPE = 'http://stripe.test';
+
+const stripeEnv = {
+	...env,
+	STRIPE_SECRET_KEY: 'sk_test_123',
+	STRIPE_WEBHOOK_SECRET: 'whsec_test',
+	STRIPE_API_BASE: STRIPE,
+};
+
+const ADMIN_HEADERS = { Authorization: 'Bearer test-admin-token', 'Content-Type': 'application/json' };
+
+const submission = {
+	appUrl: 'https://myapp.example.com',
+	email: 'founder@example.com',
+	platform: 'Web',
+	selectedFeatures: [],
+	hasCustomRequest: true,
+	customRequestText: 'Sync orders with our ERP',
+};
+
+const customWork = [{ catalogId: null, description: 'ERP order sync', hours: 24, price: 800 }];
+
+beforeAll(() => {
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+beforeEach(() => {
+	clearCapturedEmails();
+});
+
+afterEach(() => {
+	fetchMock.assertNoPendingInterceptors();
+});
+
+// A custom request whose quote for `lineItems` has been sent and accepted
+async function acceptedQuote({ lineItems = customWork, testEnv = stripeEnv } = {}) {
+	const log = createLogger();
+	const lead = await createLead(env.DB, submission, { total: 250, discount: 0 });
+	await changeLeadStatus(testEnv, lead.id, { to: 'Reviewing', actor: 'ops@finalize.dev' });
+	const draft = await createQuoteDraft(env.DB, lead, { lineItems, discount: 0 }, 'ops@finalize.dev');
+	const sent = await sendQuote(testEnv, { ...lead, status: 'Reviewing' }, draft, 'ops@finalize.dev', log);
+	const { quote } = await respondToQuote(testEnv, { ...lead, status: 'Quoted' }, sent.quote, 'accepted', { signatureName: 'Ada' }, log);
+	const token = new URL(await quoteReviewUrl(env, quote)).searchParams.get('token');
+	return { lead, quote, token, sentEmail: capturedEmails().at(-1) };
+}
+
+async function call(path, { method = 'GET', headers = {}, body, testEnv = stripeEnv } = {}) {
+	const init = { method, headers, body: body === undefined ? undefined : JSON.stringify(body) };
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(new Request(`https://finalize.dev${path}`, init), testEnv, ctx);
+	await waitOnExecutionContext(ctx);
+	return response;
+}
+
+function setStatus(lead, status) {
+	return call(`/api/v1/admin/leads/${lead.id}/status`, { method: 'POST', headers: ADMIN_HEADERS, body: { status } });
+}
+
+async function payMilestone(quote, token, milestoneId, sessionId) {
+	fetchMock
+		.get(STRIPE)
+		.intercept({ path: '/v1/checkout/sessions', method: 'POST' })
+		.reply(200, () => ({ id: sessionId, url: `https://checkout.stripe.test/c/${sessionId}` }));
+	const checkout = await call(`/api/v1/quotes/${quote.id}/checkout`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: { token, milestoneId },
+	});
+
+	const event = JSON.stringify({
+		id: `evt_${sessionId}`,
+		type: 'checkout.session.completed',
+		data: { object: { object: 'checkout.session', id: sessionId, payment_status: 'paid' } },
+	});
+	await call('/api/v1/webhooks/stripe', {
+		method: 'POST',
+		headers: { 'Stripe-Signature': await signatureHeader(stripeEnv.STRIPE_WEBHOOK_SECRET, event) },
+		body: JSON.parse(event),
+	});
+	return checkout;
+}
+
+describe('payment schedules', () => {
+	it('splits large custom requests into a deposit and a balance', () => {
+		const custom = planPaymentSchedule({ total: 801, lineItems: customWork });
+		expect(custom).toEqual({
+			rule: 'Custom requests over $500',
+			milestones: [
+				{ label: 'Deposit', percent: 50, amount: 400, due: 'acceptance' },
+				{ label: 'Balance on delivery', percent: 50, amount: 401, due: 'delivery' },
+			],
+		});
+
+		const catalog = planPaymentSchedule({ total: 900, lineItems: [{ catalogId: 'authentication', price: 900 }] });
+		expect(catalog.milestones).toEqual([{ label: 'Payment in full', percent: 100, amount: 900, due: 'acceptance' }]);
+		expect(planPaymentSchedule({ total: 0, lineItems: customWork }).milestones).toEqual([]);
+	});
+
+	it('reads rules from PAYMENT_SCHEDULES and rejects bad ones', () => {
+		const milestones = [
+			{ label: 'Start', percent: 34, due: 'start' },
+			{ label: 'End', percent: 66, due: 'delivery' },
+		];
+		expect(scheduleRules({ PAYMENT_SCHEDULES: JSON.stringify([{ name: 'Split', milestones }]) })).toEqual([
+			{ name: 'Split', milestones },
+		]);
+
+		const uneven = [{ name: 'Uneven', milestones: [{ label: 'Half', percent: 50, due: 'acceptance' }] }];
+		expect(() => scheduleRules({ PAYMENT_SCHEDULES: JSON.stringify(uneven) })).toThrow(ConfigurationError);
+		expect(() => scheduleRules({ PAYMENT_SCHEDULES: '{' })).toThrow(ConfigurationError);
+	});
+});
+
+describe('payment milestones', () => {
+	it('pins the schedule when the quote is sent and creates milestones on acceptance', async () => {
+		const { lead, quote, token, sentEmail } = await acceptedQuote();
+
+		expect(sentEmail.text).toContain('Deposit (50%), due on acceptance: $400');
+		expect(sentEmail.text).toContain('Balance on delivery (50%), due on delivery: $400');
+		expect(await listMilestones(env.DB, lead.id)).toMatchObject([
+			{ label: 'Deposit', amount: 400, due: 'acceptance', status: 'due', dueAt: expect.any(String) },
+			{ label: 'Balance on delivery', amount: 400, due: 'delivery', status: 'scheduled', dueAt: null },
+		]);
+
+		const customer = await (await call(`/api/v1/quotes/${quote.id}?token=${token}`)).json();
+		expect(customer.quote.paymentSchedule).toHaveLength(2);
+		expect(customer.payment).toMatchObject({ status: 'unpaid', amountDue: 400, amountScheduled: 400, online: true });
+		expect(customer.payment.milestones.map(milestone => milestone.status)).toEqual(['due', 'scheduled']);
+	});
+
+	it('takes each milestone as its own payment, once it is due', async () => {
+		const { lead, quote, token } = await acceptedQuote();
+		const [deposit, balance] = await listMilestones(env.DB, lead.id);
+
+		const early = await call(`/api/v1/quotes/${quote.id}/checkout`, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: { token, milestoneId: balance.id },
+		});
+		expect(early.status).toBe(409);
+		expect((await early.json()).code).toBe('payment_not_due');
+
+		const checkout = await payMilestone(quote, token, deposit.id, 'cs_deposit');
+		expect(await checkout.json()).toMatchObject({ checkoutUrl: 'https://checkout.stripe.test/c/cs_deposit', amount: 400 });
+		expect((await listMilestones(env.DB, lead.id)).map(milestone => milestone.status)).toEqual(['paid', 'scheduled']);
+
+		const customer = await (await call(`/api/v1/quotes/${quote.id}?token=${token}`)).json();
+		expect(customer.payment).toMatchObject({ status: 'scheduled', amountPaid: 400, amountDue: 0, amountScheduled: 400 });
+	});
+
+	it('keeps the lead from being delivered until the balance is paid or waived', async () => {
+		const { lead, quote, token } = await acceptedQuote();
+		const [deposit, balance] = await listMilestones(env.DB, lead.id);
+		await payMilestone(quote, token, deposit.id, 'cs_deposit_2');
+		expect((await setStatus(lead, 'In Progress')).status).toBe(200);
+
+		const blocked = await setStatus(lead, 'Delivered');
+		expect(blocked.status).toBe(409);
+		expect(await blocked.json()).toMatchObject({
+			code: 'payment_outstanding',
+			details: { milestones: [{ id: balance.id, label: 'Balance on delivery', amount: 400, status: 'scheduled' }] },
+		});
+		expect((await getLead(env.DB, lead.id)).status).toBe('In Progress');
+
+		clearCapturedEmails();
+		const requested = await call(`/api/v1/admin/leads/${lead.id}/milestones/${balance.id}/request`, {
+			method: 'POST',
+			headers: ADMIN_HEADERS,
+		});
+		const { milestone, payUrl, emailSent } = await requested.json();
+		expect(milestone).toMatchObject({ status: 'due' });
+		expect(emailSent).toBe(true);
+		expect(new URL(payUrl).searchParams.get('milestone')).toBe(balance.id);
+		const [email] = capturedEmails();
+		expect(email).toMatchObject({ to: 'founder@example.com', subject: `Balance on delivery: payment due for ${lead.reference}` });
+		expect(email.text).toContain(payUrl);
+
+		const waivePath = `/api/v1/admin/leads/${lead.id}/milestones/${balance.id}/waive`;
+		const waive = body => call(waivePath, { method: 'POST', headers: ADMIN_HEADERS, body });
+		expect((await waive({})).status).toBe(400);
+		const waived = await waive({ reason: 'Paid by bank transfer' });
+		expect((await waived.json()).milestone).toMatchObject({
+			status: 'waived',
+			waivedBy: 'admin-token',
+			waivedReason: 'Paid by bank transfer',
+		});
+
+		expect((await setStatus(lead, 'Delivered')).status).toBe(200);
+		expect((await setStatus(lead, 'Closed')).status).toBe(200);
+	});
+
+	it('makes milestones due when work starts', async () => {
+		const rules = [
+			{
+				name: 'Start and finish',
+				milestones: [
+					{ label: 'Kickoff', percent: 40, due: 'start' },
+					{ label: 'Handover', percent: 60, due: 'delivery' },
+				],
+			},
+		];
+		const testEnv = { ...stripeEnv, PAYMENT_SCHEDULES: JSON.stringify(rules) };
+		const { lead } = await acceptedQuote({ testEnv });
+		expect((await listMilestones(env.DB, lead.id)).map(milestone => milestone.status)).toEqual(['scheduled', 'scheduled']);
+
+		clearCapturedEmails();
+		await changeLeadStatus(testEnv, lead.id, { to: 'In Progress', actor: 'ops@finalize.dev' });
+
+		expect(await listMilestones(env.DB, lead.id)).toMatchObject([
+			{ label: 'Kickoff', amount: 320, status: 'due' },
+			{ label: 'Handover', amount: 480, status: 'scheduled' },
+		]);
+		expect(capturedEmails().map(email => email.subject)).toEqual([`Kickoff: payment due for ${lead.reference}`]);
+	});
+
+	it('shows milestones and their payment links in the portal and admin', async () => {
+		const { lead } = await acceptedQuote();
+		const session = await signToken(
+			{ purpose: 'portal-session', email: 'founder@example.com', exp: Math.floor(Date.now() / 1000) + 3600 },
+			env.LINK_SIGNING_SECRET
+		);
+
+		const portal = await (await call('/api/v1/portal/requests', { headers: { Cookie: `finalize_portal=${session}` } })).json();
+		const [deposit, balance] = portal.requests[0].milestones;
+		expect(deposit).toMatchObject({ label: 'Deposit', amount: 400, due: 'acceptance', status: 'due' });
+		expect(new URL(deposit.payUrl).searchParams.get('milestone')).toBe(deposit.id);
+		expect(balance.payUrl).toContain('https://finalize.dev/quote?');
+
+		const admin = await (await call(`/api/v1/admin/leads/${lead.id}`, { headers: ADMIN_HEADERS })).json();
+		expect(admin.milestones.map(milestone => milestone.label)).toEqual(['Deposit', 'Balance on delivery']);
+		expect(admin.milestones[0].payUrl).toEqual(expect.stringContaining(`milestone=${deposit.id}`));
+	});
+});
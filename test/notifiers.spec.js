@@ -0,0 +1,197 @@
+import { env, createExecutionContext, fetchMock, waitOnExecutionContext } from 'cloudflare:test';
+import { afterEach, beforeAll, describe, it, expect, vi } from 'vitest';
+import worker from '../src';
+import { notifyNewLead } from '../src/notifiers/index.js';
+import { buildLeadNotification } from '../src/notifiers/message.js';
+import { formatDiscordMessage } from '../src/notifiers/discord.js';
+import { formatSlackMessage } from '../src/notifiers/slack.js';
+import { formatTelegramMessage } from '../src/notifiers/telegram.js';
+import { solveBotCheck } from './helpers.js';
+
+const lead = {
+	id: 'lead-1',
+	reference: 'FIN-2026-0007',
+	appUrl: 'https://myapp.example.com',
+	email: 'founder@example.com',
+	platform: 'Bolt.new',
+	selectedFeatures: ['Authentication', 'Payments', 'File Uploads'],
+	selectedServices: [],
+	hasCustomRequest: true,
+	customRequestText: 'Move <auth> to Clerk',
+	estimatedPrice: 520,
+	featureDiscount: 30,
+	submittedAt: '2026-03-04T15:16:17.000Z',
+	createdAt: '2026-03-04T15:16:19.000Z',
+};
+
+const ADMIN_URL = 'https://finalize.dev/admin/leads/lead-1';
+
+const notifyEnv = {
+	SLACK_WEBHOOK_URL: 'http://slack.test/services/T000/B000/secret',
+	DISCORD_WEBHOOK_URL: 'http://discord.test/api/webhooks/1/secret',
+	TELEGRAM_BOT_TOKEN: '123:secret',
+	TELEGRAM_CHAT_ID: '-100200',
+	TELEGRAM_API_BASE: 'http://telegram.test',
+};
+
+/**
+ * Silence and collect the logger's JSON lines
+ */
+function captureLogs() {
+	const lines = [];
+	for (const method of ['log', 'warn', 'error']) {
+		vi.spyOn(console, method).mockImplementation(line => lines.push(JSON.parse(line)));
+	}
+	return lines;
+}
+
+beforeAll(() => {
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+afterEach(() => {
+	vi.restoreAllMocks();
+	fetchMock.assertNoPendingInterceptors();
+});
+
+describe('message formats', () => {
+	const notification = buildLeadNotification(lead, ADMIN_URL);
+
+	it('summarizes the lead without contact details', () => {
+		expect(notification.fields).toEqual([
+			{ label: 'App', value: lead.appUrl },
+			{ label: 'Platform', value: 'Bolt.new' },
+			{ label: 'Features', value: 'Authentication, Payments, File Uploads' },
+			{ label: 'Services', value: 'None' },
+			{ label: 'Estimated total', value: '$520 (after $30 discount)' },
+		]);
+		expect(JSON.stringify(notification)).not.toContain(lead.email);
+	});
+
+	it('renders Slack blocks with an admin button', () => {
+		const { text, blocks } = formatSlackMessage(notification);
+		expect(text).toBe('New estimate request FIN-2026-0007: https://myapp.example.com');
+		expect(blocks[1].fields[4].text).toBe('*Estimated total*\n$520 (after $30 discount)');
+		expect(blocks[2].text.text).toBe('*Custom request*\n>Move &lt;auth&gt; to Clerk');
+		expect(blocks[3].elements[0]).toMatchObject({ type: 'button', url: ADMIN_URL });
+	});
+
+	it('escapes Slack markup in customer values', () => {
+		const hostile = { ...lead, appUrl: '<https://evil.example|myapp.example.com>', platform: '<!channel> & co' };
+		const { text, blocks } = formatSlackMessage(buildLeadNotification(hostile, ADMIN_URL));
+
+		expect(text).toBe('New estimate request FIN-2026-0007: &lt;https://evil.example|myapp.example.com&gt;');
+		expect(blocks[1].fields[0].text).toBe('*App*\n&lt;https://evil.example|myapp.example.com&gt;');
+		expect(blocks[1].fields[1].text).toBe('*Platform*\n&lt;!channel&gt; &amp; co');
+	});
+
+	it('renders a Discord embed linking to the admin view', () => {
+		const [embed] = formatDiscordMessage(notification).embeds;
+		expect(embed).toMatchObject({ title: 'New estimate request FIN-2026-0007', url: ADMIN_URL, timestamp: lead.createdAt });
+		expect(embed.description).toContain('Move <auth> to Clerk');
+		expect(formatDiscordMessage(notification).allowed_mentions).toEqual({ parse: [] });
+	});
+
+	it('keeps oversized customer input within every chat API limit', () => {
+		const oversized = {
+			...lead,
+			appUrl: `https://myapp.example.com/${'a'.repeat(3000)}`,
+			platform: 'p'.repeat(3000),
+			selectedFeatures: Array.from({ length: 200 }, (_, index) => `Feature ${index}`),
+			customRequestText: 'c'.repeat(3000),
+			additionalContext: 'x'.repeat(5000),
+		};
+		const long = buildLeadNotification(oversized, ADMIN_URL);
+		expect(JSON.stringify(long)).not.toContain('x'.repeat(100));
+
+		const [embed] = formatDiscordMessage(long).embeds;
+		for (const field of embed.fields) {
+			expect(field.value.length).toBeLessThanOrEqual(1024);
+		}
+		const fieldsLength = embed.fields.reduce((sum, field) => sum + field.name.length + field.value.length, 0);
+		expect(embed.title.length + embed.description.length + fieldsLength).toBeLessThanOrEqual(6000);
+
+		for (const field of formatSlackMessage(long).blocks[1].fields) {
+			expect(field.text.length).toBeLessThanOrEqual(2000);
+		}
+
+		// Telegram counts the text after its HTML is parsed
+		const telegramText = formatTelegramMessage(long).text.replace(/<[^>]+>/g, '');
+		expect(telegramText.length).toBeLessThanOrEqual(4096);
+	});
+
+	it('renders escaped Telegram HTML', () => {
+		const { text, parse_mode } = formatTelegramMessage(notification);
+		expect(parse_mode).toBe('HTML');
+		expect(text).toContain('<b>Platform:</b> Bolt.new');
+		expect(text).toContain('<blockquote>Move &lt;auth&gt; to Clerk</blockquote>');
+		expect(text).toContain(`<a href="${ADMIN_URL}">Open in admin</a>`);
+	});
+});
+
+describe('notifyNewLead', () => {
+	it('posts to every configured channel', async () => {
+		const received = {};
+		const record = name => ({ body }) => {
+			received[name] = JSON.parse(body);
+			return { ok: true };
+		};
+		fetchMock.get('http://slack.test').intercept({ path: '/services/T000/B000/secret', method: 'POST' }).reply(200, record('slack'));
+		fetchMock.get('http://discord.test').intercept({ path: '/api/webhooks/1/secret', method: 'POST' }).reply(200, record('discord'));
+		fetchMock.get('http://telegram.test').intercept({ path: '/bot123:secret/sendMessage', method: 'POST' }).reply(200, record('telegram'));
+		captureLogs();
+
+		expect(await notifyNewLead(notifyEnv, lead, { adminUrl: ADMIN_URL })).toBe(3);
+		expect(Object.keys(received).sort()).toEqual(['discord', 'slack', 'telegram']);
+		expect(received.telegram).toMatchObject({ chat_id: '-100200', parse_mode: 'HTML' });
+	});
+
+	it('retries transient failures and logs permanent ones without the secret URL', async () => {
+		const slack = fetchMock.get('http://slack.test');
+		slack.intercept({ path: '/services/T000/B000/secret', method: 'POST' }).reply(503, 'Service Unavailable');
+		slack.intercept({ path: '/services/T000/B000/secret', method: 'POST' }).reply(200, 'ok');
+		fetchMock.get('http://discord.test').intercept({ path: '/api/webhooks/1/secret', method: 'POST' }).reply(404, { message: 'Unknown Webhook' });
+		const lines = captureLogs();
+
+		const notified = await notifyNewLead({ ...notifyEnv, TELEGRAM_BOT_TOKEN: undefined }, lead, { adminUrl: ADMIN_URL });
+
+		expect(notified).toBe(1);
+		expect(lines.map(({ channel, outcome }) => ({ channel, outcome }))).toEqual(
+			expect.arrayContaining([
+				{ channel: 'slack', outcome: 'retrying' },
+				{ channel: 'slack', outcome: 'delivered' },
+				{ channel: 'discord', outcome: 'failed' },
+			])
+		);
+		expect(lines.find(line => line.channel === 'discord').error.message).toBe('Discord webhook failed with 404: Unknown Webhook');
+		expect(JSON.stringify(lines)).not.toContain('secret');
+	});
+
+	it('runs after the submit response without delaying it', async () => {
+		let slackBody;
+		fetchMock
+			.get('http://slack.test')
+			.intercept({ path: '/services/T000/B000/secret', method: 'POST' })
+			.reply(200, ({ body }) => {
+				slackBody = JSON.parse(body);
+				return 'ok';
+			});
+		captureLogs();
+
+		// The admin link comes from SITE_URL, not the host the request was sent to
+		const request = new Request('https://evil.example/api/submit-request', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ appUrl: lead.appUrl, email: lead.email, selectedFeatures: ['Payments'], botCheck: await solveBotCheck() }),
+		});
+		const testEnv = { ...env, SLACK_WEBHOOK_URL: notifyEnv.SLACK_WEBHOOK_URL, LEAD_SYNC_QUEUE: { send: async () => {} } };
+		const ctx = createExecutionContext();
+		const response = await worker.fetch(request, testEnv, ctx);
+		expect(response.status).toBe(200);
+
+		await waitOnExecutionContext(ctx);
+		const { id } = await env.DB.prepare('SELECT id FROM leads').first();
+		expect(slackBody.blocks.at(-1).elements[0].url).toBe(`https://finalize.dev/admin/leads/${id}`);
+	});
+});
@@ -0,0 +1,218 @@
+import { env, createExecutionContext, fetchMock } from 'cloudflare:test';
+import { afterEach, beforeAll, describe, it, expect, vi } from 'vitest';
+import worker from '../src';
+import { changeLeadStatus, listStatusHistory } from '../src/lead-status.js';
+import { createLead, getLead } from '../src/leads.js';
+import { createLogger } from '../src/logger.js';
+import { listPayments } from '../src/payments.js';
+import { quoteReviewUrl } from '../src/quote-links.js';
+import { createQuoteDraft, respondToQuote, sendQuote } from '../src/quotes.js';
+import { signatureHeader } from '../src/signing.js';
+
+const STRIPE = 'http://stripe.test';
+
+const stripeEnv = {
+	...env,
+	STRIPE_SECRET_KEY: 'sk_test_123',
+	STRIPE_WEBHOOK_SECRET: 'whsec_test',
+	STRIPE_API_BASE: STRIPE,
+};
+
+const submission = {
+	appUrl: 'https://myapp.example.com',
+	email: 'founder@example.com',
+	platform: 'Web',
+	selectedFeatures: ['Authentication', 'Payments'],
+};
+
+beforeAll(() => {
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+afterEach(() => {
+	vi.restoreAllMocks();
+	fetchMock.assertNoPendingInterceptors();
+});
+
+// A lead with its quote sent and, unless `accept` is false, accepted.
+// Returns the customer's review link token.
+async function quotedLead({ discount = 0, accept = true } = {}) {
+	const log = createLogger();
+	const lead = await createLead(env.DB, submission, { total: 200, discount: 0 });
+	await changeLeadStatus(env, lead.id, { to: 'Reviewing', actor: 'ops@finalize.dev' });
+	const draft = await createQuoteDraft(env.DB, lead, { discount }, 'ops@finalize.dev');
+	let { quote } = await sendQuote(env, { ...lead, status: 'Reviewing' }, draft, 'ops@finalize.dev', log);
+	if (accept) {
+		({ quote } = await respondToQuote(env, { ...lead, status: 'Quoted' }, quote, 'accepted', { signatureName: 'Ada Lovelace' }, log));
+	}
+	const token = new URL(await quoteReviewUrl(env, quote)).searchParams.get('token');
+	return { lead, quote, token };
+}
+
+function checkout(quote, token, testEnv = stripeEnv) {
+	const request = new Request(`http://example.com/api/v1/quotes/${quote.id}/checkout`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify({ token }),
+	});
+	return worker.fetch(request, testEnv, createExecutionContext());
+}
+
+function interceptSession(sessionId, onRequest = () => {}) {
+	fetchMock
+		.get(STRIPE)
+		.intercept({ path: '/v1/checkout/sessions', method: 'POST' })
+		.reply(200, request => {
+			onRequest(request);
+			return { id: sessionId, url: `https://checkout.stripe.test/c/${sessionId}`, expires_at: Math.floor(Date.now() / 1000) + 86400 };
+		});
+}
+
+async function stripeWebhook(event, { secret = stripeEnv.STRIPE_WEBHOOK_SECRET } = {}) {
+	const body = JSON.stringify(event);
+	const request = new Request('http://example.com/api/v1/webhooks/stripe', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json', 'Stripe-Signature': await signatureHeader(secret, body) },
+		body,
+	});
+	return worker.fetch(request, stripeEnv, createExecutionContext());
+}
+
+function sessionEvent(id, type, session) {
+	return { id, type, data: { object: { object: 'checkout.session', payment_intent: 'pi_test_1', ...session } } };
+}
+
+describe('POST /api/v1/quotes/:id/checkout', () => {
+	it('opens a Checkout Session from the stored quote, and reuses it', async () => {
+		const { lead, quote, token } = await quotedLead({ discount: 50 });
+		let coupon;
+		let session;
+		fetchMock
+			.get(STRIPE)
+			.intercept({ path: '/v1/coupons', method: 'POST' })
+			.reply(200, ({ body }) => {
+				coupon = new URLSearchParams(body);
+				return { id: 'coupon_1' };
+			});
+		interceptSession('cs_test_1', request => {
+			session = { headers: request.headers, form: new URLSearchParams(request.body) };
+		});
+
+		const response = await checkout(quote, token);
+
+		expect(response.status).toBe(200);
+		expect(await response.json()).toEqual({ success: true, checkoutUrl: 'https://checkout.stripe.test/c/cs_test_1', amount: 150 });
+		expect(Object.fromEntries(coupon)).toMatchObject({ amount_off: '5000', currency: 'usd', duration: 'once', max_redemptions: '1' });
+		expect(session.headers).toMatchObject({ authorization: 'Bearer sk_test_123', 'content-type': 'application/x-www-form-urlencoded' });
+		expect(session.headers['idempotency-key']).toMatch(/^checkout-/);
+		expect(Object.fromEntries(session.form)).toMatchObject({
+			mode: 'payment',
+			'line_items[0][quantity]': '1',
+			'line_items[0][price_data][currency]': 'usd',
+			'line_items[0][price_data][unit_amount]': '10000',
+			'line_items[0][price_data][product_data][name]': 'Authentication',
+			'line_items[1][price_data][product_data][name]': 'Payments',
+			'discounts[0][coupon]': 'coupon_1',
+			customer_email: 'founder@example.com',
+			client_reference_id: lead.id,
+			'metadata[quote_id]': quote.id,
+		});
+		const success = new URL(session.form.get('success_url'));
+		expect(success.origin + success.pathname).toBe('https://finalize.dev/quote');
+		expect(Object.fromEntries(success.searchParams)).toEqual({ id: quote.id, token, payment: 'success' });
+
+		// No second session while the first is open
+		expect((await (await checkout(quote, token)).json()).checkoutUrl).toBe('https://checkout.stripe.test/c/cs_test_1');
+		expect(await listPayments(env.DB, lead.id)).toMatchObject([{ status: 'pending', amount: 150, checkoutSessionId: 'cs_test_1' }]);
+	});
+
+	it('only takes payment for accepted quotes, from their own link', async () => {
+		const { quote, token } = await quotedLead({ accept: false });
+		const unaccepted = await checkout(quote, token);
+		expect(unaccepted.status).toBe(409);
+		expect((await unaccepted.json()).code).toBe('quote_not_accepted');
+
+		const other = await quotedLead();
+		expect((await checkout(other.quote, token)).status).toBe(404);
+	});
+
+	it('reports Stripe failures without recording a payment', async () => {
+		const { lead, quote, token } = await quotedLead();
+		fetchMock
+			.get(STRIPE)
+			.intercept({ path: '/v1/checkout/sessions', method: 'POST' })
+			.reply(400, { error: { message: 'Invalid currency' } });
+		vi.spyOn(console, 'error').mockImplementation(() => {});
+
+		const response = await checkout(quote, token);
+
+		expect(response.status).toBe(502);
+		expect((await response.json()).code).toBe('payment_provider_error');
+		expect(await listPayments(env.DB, lead.id)).toEqual([]);
+	});
+});
+
+describe('POST /api/v1/webhooks/stripe', () => {
+	it('marks the payment paid once per event', async () => {
+		const { lead, quote, token } = await quotedLead();
+		interceptSession('cs_test_2');
+		await checkout(quote, token);
+		const event = sessionEvent('evt_1', 'checkout.session.completed', { id: 'cs_test_2', payment_status: 'paid' });
+
+		const response = await stripeWebhook(event);
+
+		expect(await response.json()).toMatchObject({ received: true, status: 'paid' });
+		const [payment] = await listPayments(env.DB, lead.id);
+		expect(payment).toMatchObject({ status: 'paid', paymentIntentId: 'pi_test_1', paidAt: expect.any(String) });
+		expect(await (await stripeWebhook(event)).json()).toEqual({ received: true, duplicate: true });
+
+		const customer = await worker.fetch(
+			new Request(`http://example.com/api/v1/quotes/${quote.id}?token=${token}`),
+			stripeEnv,
+			createExecutionContext()
+		);
+		expect((await customer.json()).payment).toMatchObject({ status: 'paid', amountPaid: 200, amountDue: 0, online: false });
+		const again = await checkout(quote, token);
+		expect((await again.json()).code).toBe('already_paid');
+	});
+
+	it('waits for delayed payment methods and records expired sessions', async () => {
+		const { lead, quote, token } = await quotedLead();
+		interceptSession('cs_test_3');
+		await checkout(quote, token);
+
+		await stripeWebhook(sessionEvent('evt_2', 'checkout.session.completed', { id: 'cs_test_3', payment_status: 'unpaid' }));
+		expect((await listPayments(env.DB, lead.id))[0].status).toBe('pending');
+		await stripeWebhook(sessionEvent('evt_3', 'checkout.session.async_payment_succeeded', { id: 'cs_test_3' }));
+		expect((await listPayments(env.DB, lead.id))[0].status).toBe('paid');
+
+		// An expiry arriving late doesn't undo the payment
+		const late = await stripeWebhook(sessionEvent('evt_4', 'checkout.session.expired', { id: 'cs_test_3' }));
+		expect(await late.json()).toEqual({ received: true, ignored: true });
+		expect((await listPayments(env.DB, lead.id))[0].status).toBe('paid');
+	});
+
+	it('moves a lead that was still Quoted to Accepted', async () => {
+		const { lead, quote, token } = await quotedLead();
+		interceptSession('cs_test_4');
+		await checkout(quote, token);
+		await env.DB.prepare("UPDATE leads SET status = 'Quoted' WHERE id = ?").bind(lead.id).run();
+
+		await stripeWebhook(sessionEvent('evt_5', 'checkout.session.completed', { id: 'cs_test_4', payment_status: 'paid' }));
+
+		expect((await getLead(env.DB, lead.id)).status).toBe('Accepted');
+		expect((await listStatusHistory(env.DB, lead.id)).at(-1)).toMatchObject({ to: 'Accepted', actor: 'stripe' });
+	});
+
+	it('rejects unsigned events and acknowledges ones it has no use for', async () => {
+		const event = sessionEvent('evt_6', 'checkout.session.completed', { id: 'cs_unknown', payment_status: 'paid' });
+		expect((await stripeWebhook(event, { secret: 'whsec_wrong' })).status).toBe(400);
+
+		expect(await (await stripeWebhook(event)).json()).toEqual({ received: true, ignored: true });
+		expect(await (await stripeWebhook({ id: 'evt_7', type: 'customer.created', data: { object: {} } })).json()).toEqual({
+			received: true,
+			ignored: true,
+		});
+	});
+});
@@ -0,0 +1,205 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { beforeEach, describe, it, expect } from 'vitest';
+import worker from '../src';
+import { capturedEmails, clearCapturedEmails } from '../src/email/capture.js';
+import { createLead } from '../src/leads.js';
+import { signToken } from '../src/signing.js';
+
+const submission = {
+	appUrl: 'https://myapp.example.com',
+	email: 'founder@example.com',
+	platform: 'Lovable',
+	selectedFeatures: ['Authentication'],
+};
+
+const ADMIN_HEADERS = { Authorization: 'Bearer test-admin-token' };
+
+beforeEach(() => {
+	clearCapturedEmails();
+});
+
+async function call(path, { method = 'GET', headers = {}, body, testEnv = env } = {}) {
+	const init = { method, headers: { ...headers } };
+	if (body !== undefined) {
+		init.body = typeof body === 'string' ? body : JSON.stringify(body);
+		init.headers['Content-Type'] ??= 'application/json';
+	}
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(new Request(`https://finalize.dev${path}`, init), testEnv, ctx);
+	await waitOnExecutionContext(ctx);
+	return response;
+}
+
+/**
+ * Request a sign-in link and return the token from the emailed URL
+ */
+async function requestLoginToken(email) {
+	await call('/api/v1/portal/login', { method: 'POST', body: { email } });
+	const [sent] = capturedEmails();
+	return new URL(/https:\/\/\S+/.exec(sent.text)[0]).searchParams.get('token');
+}
+
+/**
+ * Sign in through an emailed link and return the session cookie
+ */
+async function signIn(email) {
+	const response = await call('/api/v1/portal/session', { method: 'POST', body: { token: await requestLoginToken(email) } });
+	expect(response.status).toBe(200);
+	return response.headers.get('Set-Cookie').split(';')[0];
+}
+
+describe('portal sign-in', () => {
+	it('emails a one-time link to customers with requests', async () => {
+		await createLead(env.DB, submission, { total: 100, discount: 0 });
+
+		const response = await call('/api/v1/portal/login', { method: 'POST', body: { email: 'Founder@Example.com' } });
+
+		expect(response.status).toBe(200);
+		expect(capturedEmails()).toMatchObject([{ to: 'Founder@Example.com', subject: 'Your Finalize sign-in link' }]);
+		expect(capturedEmails()[0].html).toContain('href="https://finalize.dev/portal?token=');
+	});
+
+	it('links to SITE_URL whatever host the request was sent to', async () => {
+		await createLead(env.DB, submission, { total: 100, discount: 0 });
+		const request = new Request('https://evil.example/api/v1/portal/login', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ email: submission.email }),
+		});
+		const ctx = createExecutionContext();
+
+		expect((await worker.fetch(request, env, ctx)).status).toBe(200);
+		await waitOnExecutionContext(ctx);
+		expect(capturedEmails()[0].html).toContain('href="https://finalize.dev/portal?token=');
+		expect(capturedEmails()[0].text).not.toContain('evil.example');
+	});
+
+	it('answers the same way for unknown emails without sending anything', async () => {
+		await createLead(env.DB, submission, { total: 100, discount: 0 });
+
+		const known = await call('/api/v1/portal/login', { method: 'POST', body: { email: 'founder@example.com' } });
+		clearCapturedEmails();
+		const unknown = await call('/api/v1/portal/login', { method: 'POST', body: { email: 'stranger@example.com' } });
+
+		expect(await unknown.json()).toEqual(await known.json());
+		expect(capturedEmails()).toEqual([]);
+		expect((await call('/api/v1/portal/login', { method: 'POST', body: { email: 'nope' } })).status).toBe(400);
+	});
+
+	it('sets an HttpOnly session cookie and only accepts each link once', async () => {
+		await createLead(env.DB, submission, { total: 100, discount: 0 });
+		const token = await requestLoginToken('founder@example.com');
+
+		const response = await call('/api/v1/portal/session', { method: 'POST', body: { token } });
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Set-Cookie')).toMatch(
+			/^finalize_portal=[\w-]+\.[\w-]+; Path=\/api\/; Max-Age=604800; HttpOnly; Secure; SameSite=Lax$/
+		);
+
+		const reused = await call('/api/v1/portal/session', { method: 'POST', body: { token } });
+		expect(reused.status).toBe(401);
+		expect(await reused.json()).toMatchObject({ code: 'portal_link_invalid' });
+	});
+
+	it('rejects expired links', async () => {
+		await createLead(env.DB, submission, { total: 100, discount: 0 });
+		const token = await requestLoginToken('founder@example.com');
+		await env.DB.prepare('UPDATE portal_login_tokens SET expires_at = ?').bind('2020-01-01T00:00:00.000Z').run();
+
+		expect((await call('/api/v1/portal/session', { method: 'POST', body: { token } })).status).toBe(401);
+	});
+
+	it('limits sign-in requests per email', async () => {
+		const testEnv = { ...env, RATE_LIMIT_PORTAL_EMAIL_MAX: '1', RATE_LIMIT_PORTAL_EMAIL_WINDOW_SECONDS: '60' };
+
+		expect((await call('/api/v1/portal/login', { method: 'POST', body: { email: 'a@example.com' }, testEnv })).status).toBe(200);
+		expect((await call('/api/v1/portal/login', { method: 'POST', body: { email: 'A+x@example.com' }, testEnv })).status).toBe(429);
+	});
+});
+
+describe('portal requests', () => {
+	it('lists every request made with the signed-in email', async () => {
+		const older = await createLead(env.DB, submission, { total: 100, discount: 0 });
+		await env.DB.prepare("UPDATE leads SET submitted_at = '2026-01-05T10:00:00.000Z' WHERE id = ?").bind(older.id).run();
+		const newer = await createLead(env.DB, { ...submission, email: 'FOUNDER@example.com' }, { total: 100, discount: 0 });
+		await createLead(env.DB, { ...submission, email: 'someone@example.com' }, { total: 100, discount: 0 });
+		const cookie = await signIn('founder@example.com');
+
+		const response = await call('/api/v1/portal/requests', { headers: { Cookie: cookie } });
+
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Cache-Control')).toBe('no-store');
+		const body = await response.json();
+		expect(body.requests.map(request => request.reference)).toEqual([newer.reference, older.reference]);
+		expect(body.requests[0]).toMatchObject({ status: 'New', estimatedPrice: 100, quote: { total: 100 }, notes: [], documents: [] });
+	});
+
+	it('requires a valid session', async () => {
+		const forged = await signToken({ purpose: 'portal-session', email: 'founder@example.com', exp: 4102444800 }, 'not-the-secret');
+		const expired = await signToken({ purpose: 'portal-session', email: 'founder@example.com', exp: 1 }, env.LINK_SIGNING_SECRET);
+
+		for (const cookie of [null, `finalize_portal=${forged}`, `finalize_portal=${expired}`]) {
+			const response = await call('/api/v1/portal/requests', { headers: cookie ? { Cookie: cookie } : {} });
+			expect(response.status).toBe(401);
+			expect(await response.json()).toMatchObject({ code: 'portal_session_required' });
+		}
+	});
+
+	it('shows delivery notes and documents shared by the team', async () => {
+		const lead = await createLead(env.DB, submission, { total: 100, discount: 0 });
+
+		const noted = await call(`/api/v1/admin/leads/${lead.id}/notes`, {
+			method: 'POST',
+			headers: ADMIN_HEADERS,
+			body: { body: 'Deployed to staging' },
+		});
+		expect(noted.status).toBe(201);
+		const uploaded = await call(`/api/v1/admin/leads/${lead.id}/documents?filename=handover.pdf`, {
+			method: 'POST',
+			headers: { ...ADMIN_HEADERS, 'Content-Type': 'application/pdf' },
+			body: '%PDF-1.7 handover',
+		});
+		expect(uploaded.status).toBe(201);
+		const { document } = await uploaded.json();
+
+		const cookie = await signIn('founder@example.com');
+		const { requests } = await (await call('/api/v1/portal/requests', { headers: { Cookie: cookie } })).json();
+		expect(requests[0].notes).toEqual([{ body: 'Deployed to staging', createdAt: expect.any(String) }]);
+		expect(requests[0].documents).toEqual([
+			{
+				id: document.id,
+				filename: 'handover.pdf',
+				contentType: 'application/pdf',
+				size: 17,
+				createdAt: expect.any(String),
+				url: `/api/v1/portal/documents/${document.id}`,
+			},
+		]);
+
+		const download = await call(requests[0].documents[0].url, { headers: { Cookie: cookie } });
+		expect(download.status).toBe(200);
+		expect(download.headers.get('Content-Disposition')).toBe(`attachment; filename="handover.pdf"; filename*=UTF-8''handover.pdf`);
+		expect(await download.text()).toBe('%PDF-1.7 handover');
+	});
+
+	it("hides other customers' documents", async () => {
+		const lead = await createLead(env.DB, submission, { total: 100, discount: 0 });
+		await createLead(env.DB, { ...submission, email: 'someone@example.com' }, { total: 100, discount: 0 });
+		const uploaded = await call(`/api/v1/admin/leads/${lead.id}/documents?filename=handover.pdf`, {
+			method: 'POST',
+			headers: ADMIN_HEADERS,
+			body: 'private',
+		});
+		const { document } = await uploaded.json();
+
+		const cookie = await signIn('someone@example.com');
+
+		expect((await call(`/api/v1/portal/documents/${document.id}`, { headers: { Cookie: cookie } })).status).toBe(404);
+	});
+
+	it('signs out by clearing the cookie', async () => {
+		const response = await call('/api/v1/portal/logout', { method: 'POST' });
+
+		expect(response.headers.get('Set-Cookie')).toBe('finalize_portal=; Path=/api/; Max-Age=0; HttpOnly; Secure; SameSite=Lax');
+	});
+});
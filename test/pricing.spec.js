@@ -0,0 +1,96 @@
+import { SELF } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { CATALOG, buildQuote, calculatePricing } from '../src/pricing.js';
+
+describe('calculatePricing', () => {
+	it('accepts display names and ids', () => {
+		expect(calculatePricing(['Authentication', 'payments'], ['UI/UX Review'], false)).toEqual({ total: 350, discount: 0 });
+	});
+
+	it('applies the feature bundle discount from the catalog', () => {
+		expect(calculatePricing(['Authentication', 'Payments', 'File Uploads'], [], false)).toEqual({ total: 270, discount: 30 });
+	});
+
+	it('ignores unknown items, including for the discount threshold', () => {
+		expect(calculatePricing(['Authentication', 'Payments', 'Teleportation'], [], false)).toEqual({ total: 200, discount: 0 });
+	});
+
+	it('adds the custom request base price', () => {
+		expect(calculatePricing([], [], true)).toEqual({ total: CATALOG.customRequest.basePrice, discount: 0 });
+	});
+});
+
+describe('buildQuote', () => {
+	it('itemizes selections, discounts and the custom request base', () => {
+		const quote = buildQuote({
+			selectedFeatures: ['Authentication', 'Payments', 'File Uploads'],
+			selectedServices: ['Deploy to Production'],
+			hasCustomRequest: true,
+		});
+
+		expect(quote.lineItems.map(line => [line.id, line.unitPrice, line.amount])).toEqual([
+			['authentication', 100, 100],
+			['payments', 100, 100],
+			['uploads', 100, 100],
+			['deployment', 100, 100],
+		]);
+		expect(quote.discounts).toEqual([
+			{
+				id: 'feature-bundle',
+				label: '10% discount applied for 3+ features!',
+				rule: { appliesTo: 'features', minItems: 3, rate: 0.1 },
+				base: 300,
+				amount: 30,
+			},
+		]);
+		expect(quote.customRequest).toEqual({ id: 'custom-request', name: 'Custom Request', basePrice: 250 });
+		expect(quote.subtotal).toBe(650);
+		expect(quote.total).toBe(620);
+		expect(quote.isFinal).toBe(false);
+	});
+
+	it('reports unknown, duplicate and invalid values', () => {
+		const quote = buildQuote({ selectedFeatures: ['Payments', 'payments', 'Teleportation', 42], selectedServices: [] });
+
+		expect(quote.lineItems).toHaveLength(1);
+		expect(quote.ignored).toEqual([
+			{ type: 'feature', value: 'payments', reason: 'duplicate' },
+			{ type: 'feature', value: 'Teleportation', reason: 'unknown_item' },
+			{ type: 'feature', value: 42, reason: 'invalid_value' },
+		]);
+	});
+});
+
+describe('POST /api/quote', () => {
+	it('returns the server quote for a partial form', async () => {
+		const response = await SELF.fetch('http://example.com/api/quote', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ selectedFeatures: ['Payments'], selectedServices: ['UI/UX Review'] }),
+		});
+		expect(response.status).toBe(200);
+		const body = await response.json();
+		expect(body.quote.total).toBe(250);
+		expect(body.quote.isFinal).toBe(true);
+	});
+
+	it('rejects selections that are not arrays', async () => {
+		const response = await SELF.fetch('http://example.com/api/quote', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ selectedFeatures: 'Payments' }),
+		});
+		expect(response.status).toBe(400);
+		expect((await response.json()).errors).toEqual(['Selected features must be an array']);
+	});
+});
+
+describe('GET /api/pricing', () => {
+	it('returns the full catalog', async () => {
+		const response = await SELF.fetch('http://example.com/api/pricing');
+		expect(response.status).toBe(200);
+		const body = await response.json();
+		expect(body.success).toBe(true);
+		expect(body.catalog).toEqual(CATALOG);
+	});
+});
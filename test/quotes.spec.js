@@ -0,0 +1,391 @@
+import { env, createExecutionContext, fetchMock, waitOnExecutionContext } from 'cloudflare:test';
+import { afterEach, beforeAll, beforeEach, describe, it, expect, vi } from 'vitest';
+import worker from '../src';
+import { capturedEmails, clearCapturedEmails } from '../src/email/capture.js';
+import { changeLeadStatus, listStatusHistory } from '../src/lead-status.js';
+import { createLead, getLead } from '../src/leads.js';
+import { CURRENT_TERMS_VERSION, QUOTE_TERMS } from '../src/quote-terms.js';
+import { hexEncode } from '../src/signing.js';
+import { listWebhookDeliveries } from '../src/webhooks.js';
+
+const ADMIN_HEADERS = { Authorization: 'Bearer test-admin-token', 'Content-Type': 'application/json' };
+
+const submission = {
+	appUrl: 'https://myapp.example.com',
+	email: 'founder@example.com',
+	platform: 'Web',
+	selectedFeatures: ['Authentication', 'Payments'],
+	hasCustomRequest: true,
+	customRequestText: 'Move our Bubble backend to Supabase',
+};
+
+beforeAll(() => {
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+beforeEach(() => {
+	clearCapturedEmails();
+});
+
+afterEach(() => {
+	vi.restoreAllMocks();
+	vi.useRealTimers();
+	fetchMock.assertNoPendingInterceptors();
+});
+
+function adminRequest(path, { method = 'GET', body, testEnv = env } = {}) {
+	const request = new Request(`http://example.com/api/v1/admin/leads/${path}`, {
+		method,
+		headers: ADMIN_HEADERS,
+		body: body === undefined ? undefined : JSON.stringify(body),
+	});
+	return worker.fetch(request, testEnv, createExecutionContext());
+}
+
+async function reviewingLead() {
+	const lead = await createLead(env.DB, submission, { total: 450, discount: 0 });
+	await changeLeadStatus(env, lead.id, { to: 'Reviewing', actor: 'ops@finalize.dev' });
+	return lead;
+}
+
+// The id and token from a link in the last email sent
+function reviewLink(label = 'Review your quote') {
+	const [, href] = new RegExp(`${label}: (\\S+)`).exec(capturedEmails().at(-1).text);
+	const url = new URL(href);
+	return { id: url.searchParams.get('id'), token: url.searchParams.get('token'), url };
+}
+
+function customerQuote(id, token) {
+	const request = new Request(`http://example.com/api/v1/quotes/${id}?token=${encodeURIComponent(token)}`);
+	return worker.fetch(request, env, createExecutionContext());
+}
+
+async function answerQuote(id, action, body, { headers = {}, testEnv = env } = {}) {
+	const request = new Request(`http://example.com/api/v1/quotes/${id}/${action}`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json', ...headers },
+		body: JSON.stringify(body),
+	});
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(request, testEnv, ctx);
+	await waitOnExecutionContext(ctx);
+	return response;
+}
+
+// A lead with version 1 of its quote sent, and the links from the email
+async function sentQuote(draft = {}) {
+	const lead = await reviewingLead();
+	await adminRequest(`${lead.id}/quotes`, { method: 'POST', body: draft });
+	await adminRequest(`${lead.id}/quotes/1/send`, { method: 'POST' });
+	return { lead, review: reviewLink(), accept: reviewLink('Accept this quote'), decline: reviewLink('Decline this quote') };
+}
+
+function acceptance(link, fields = {}) {
+	return { token: link.token, name: 'Ada Lovelace', agree: true, termsVersion: CURRENT_TERMS_VERSION, ...fields };
+}
+
+describe('quote drafts', () => {
+	it('starts the first version from the estimate', async () => {
+		const lead = await reviewingLead();
+
+		const response = await adminRequest(`${lead.id}/quotes`, { method: 'POST', body: {} });
+		const { quote } = await response.json();
+
+		expect(response.status).toBe(201);
+		expect(quote).toMatchObject({ version: 1, status: 'draft', createdBy: 'admin-token', subtotal: 450, total: 450 });
+		expect(quote.lineItems).toEqual([
+			{ catalogId: 'authentication', description: 'Authentication', hours: null, price: 100 },
+			{ catalogId: 'payments', description: 'Payments', hours: null, price: 100 },
+			{ catalogId: 'custom-request', description: 'Move our Bubble backend to Supabase', hours: null, price: 250 },
+		]);
+		expect(Date.parse(quote.expiresOn)).toBeGreaterThan(Date.now() + 29 * 24 * 60 * 60 * 1000);
+
+		const again = await adminRequest(`${lead.id}/quotes`, { method: 'POST', body: {} });
+		expect(again.status).toBe(409);
+		expect(await again.json()).toMatchObject({ code: 'quote_draft_exists', details: { version: 1 } });
+	});
+
+	it('edits a draft and recalculates its totals', async () => {
+		const lead = await reviewingLead();
+		await adminRequest(`${lead.id}/quotes`, { method: 'POST', body: {} });
+
+		const response = await adminRequest(`${lead.id}/quotes/1`, {
+			method: 'PUT',
+			body: {
+				lineItems: [
+					{ catalogId: 'payments', description: 'Payments', hours: null, price: 100 },
+					{ catalogId: null, description: 'Bubble to Supabase migration', hours: 12.5, price: 1250 },
+				],
+				discount: 50,
+				message: ' Happy to walk you through it. ',
+			},
+		});
+
+		expect(response.status).toBe(200);
+		expect((await response.json()).quote).toMatchObject({
+			subtotal: 1350,
+			discount: 50,
+			total: 1300,
+			message: 'Happy to walk you through it.',
+		});
+	});
+
+	it('rejects invalid line items with every problem listed', async () => {
+		const lead = await reviewingLead();
+		await adminRequest(`${lead.id}/quotes`, { method: 'POST', body: {} });
+
+		const response = await adminRequest(`${lead.id}/quotes/1`, {
+			method: 'PUT',
+			body: { lineItems: [{ catalogId: 'teleport', description: ' ', hours: -1, price: 9.99 }], discount: 500 },
+		});
+
+		expect(response.status).toBe(400);
+		expect((await response.json()).errors).toEqual([
+			'Line item 1 needs a description of at most 500 characters',
+			'Line item 1 price must be a whole amount between 0 and 1000000',
+			'Line item 1 hours must be a number between 0 and 10000',
+			'Line item 1 refers to an unknown catalog item',
+			'discount must be a whole amount no larger than the subtotal',
+		]);
+	});
+
+	it('discards drafts but keeps sent versions', async () => {
+		const lead = await reviewingLead();
+		await adminRequest(`${lead.id}/quotes`, { method: 'POST', body: {} });
+		expect((await adminRequest(`${lead.id}/quotes/1`, { method: 'DELETE' })).status).toBe(200);
+		expect((await (await adminRequest(`${lead.id}/quotes`)).json()).quotes).toEqual([]);
+
+		await adminRequest(`${lead.id}/quotes`, { method: 'POST', body: {} });
+		await adminRequest(`${lead.id}/quotes/1/send`, { method: 'POST' });
+		const response = await adminRequest(`${lead.id}/quotes/1`, { method: 'DELETE' });
+		expect(response.status).toBe(409);
+		expect((await response.json()).code).toBe('quote_not_draft');
+	});
+});
+
+describe('sending quotes', () => {
+	it('moves the lead to Quoted and emails the customer a review link', async () => {
+		const lead = await reviewingLead();
+		await adminRequest(`${lead.id}/quotes`, { method: 'POST', body: { message: 'Thanks for waiting!' } });
+
+		const response = await adminRequest(`${lead.id}/quotes/1/send`, { method: 'POST' });
+		const body = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(body).toMatchObject({ quote: { version: 1, status: 'sent', sentBy: 'admin-token' }, leadStatus: 'Quoted', emailSent: true });
+		expect((await getLead(env.DB, lead.id)).status).toBe('Quoted');
+		expect((await listStatusHistory(env.DB, lead.id)).at(-1)).toMatchObject({ to: 'Quoted', note: 'Quote version 1 sent' });
+
+		const [email] = capturedEmails();
+		expect(email).toMatchObject({ to: 'founder@example.com', subject: `Your Finalize quote for ${lead.reference}` });
+		expect(email.text).toContain('Thanks for waiting!');
+		const link = reviewLink();
+		expect(link.url.origin + link.url.pathname).toBe('https://finalize.dev/quote');
+		expect(body.reviewUrl).toBe(link.url.href);
+
+		const customer = await customerQuote(link.id, link.token);
+		expect(customer.headers.get('Cache-Control')).toBe('no-store');
+		expect(await customer.json()).toMatchObject({
+			reference: lead.reference,
+			quote: { version: 1, status: 'sent', total: 450, expired: false },
+		});
+		expect((await (await customerQuote(link.id, link.token)).json()).quote.lineItems[0]).toEqual({
+			description: 'Authentication',
+			hours: null,
+			price: 100,
+		});
+
+		const edit = await adminRequest(`${lead.id}/quotes/1`, { method: 'PUT', body: { discount: 10 } });
+		expect(edit.status).toBe(409);
+	});
+
+	it('keeps earlier versions, superseding the last one sent', async () => {
+		const lead = await reviewingLead();
+		await adminRequest(`${lead.id}/quotes`, { method: 'POST', body: {} });
+		await adminRequest(`${lead.id}/quotes/1/send`, { method: 'POST' });
+		const first = reviewLink();
+
+		const { quote: draft } = await (await adminRequest(`${lead.id}/quotes`, { method: 'POST', body: { discount: 50 } })).json();
+		expect(draft).toMatchObject({ version: 2, total: 400 });
+		await adminRequest(`${lead.id}/quotes/2/send`, { method: 'POST' });
+
+		const { quotes } = await (await adminRequest(`${lead.id}/quotes`)).json();
+		expect(quotes.map(quote => [quote.version, quote.status])).toEqual([
+			[2, 'sent'],
+			[1, 'superseded'],
+		]);
+		expect(capturedEmails().at(-1).subject).toBe(`Your Finalize quote for ${lead.reference} (revised)`);
+		expect((await listStatusHistory(env.DB, lead.id)).filter(entry => entry.to === 'Quoted')).toHaveLength(1);
+		expect((await (await customerQuote(first.id, first.token)).json()).quote.status).toBe('superseded');
+	});
+
+	it("refuses to send while the lead can't move to Quoted", async () => {
+		const lead = await createLead(env.DB, submission, { total: 450, discount: 0 });
+		await adminRequest(`${lead.id}/quotes`, { method: 'POST', body: {} });
+
+		const response = await adminRequest(`${lead.id}/quotes/1/send`, { method: 'POST' });
+
+		expect(response.status).toBe(409);
+		expect(await response.json()).toMatchObject({ code: 'invalid_status_transition', details: { status: 'New' } });
+		expect((await (await adminRequest(`${lead.id}/quotes`)).json()).quotes[0].status).toBe('draft');
+		expect(capturedEmails()).toEqual([]);
+	});
+
+	it('still sends the quote when the email fails, returning the link to share', async () => {
+		const lead = await reviewingLead();
+		await adminRequest(`${lead.id}/quotes`, { method: 'POST', body: {} });
+		vi.spyOn(console, 'error').mockImplementation(() => {});
+
+		const response = await adminRequest(`${lead.id}/quotes/1/send`, { method: 'POST', testEnv: { ...env, EMAIL_PROVIDER: undefined } });
+
+		expect(await response.json()).toMatchObject({
+			quote: { status: 'sent' },
+			emailSent: false,
+			reviewUrl: expect.stringContaining('/quote?id='),
+		});
+	});
+});
+
+describe('GET /api/v1/quotes/:id', () => {
+	it('only opens a quote with its own link', async () => {
+		const lead = await reviewingLead();
+		const other = await reviewingLead();
+		for (const { id } of [lead, other]) {
+			await adminRequest(`${id}/quotes`, { method: 'POST', body: {} });
+			await adminRequest(`${id}/quotes/1/send`, { method: 'POST' });
+		}
+		const [first, second] = capturedEmails().map(email => new URL(/Review your quote: (\S+)/.exec(email.text)[1]).searchParams);
+
+		expect((await customerQuote(first.get('id'), second.get('token'))).status).toBe(404);
+		expect((await customerQuote(first.get('id'), 'forged')).status).toBe(404);
+		expect((await customerQuote(first.get('id'), first.get('token'))).status).toBe(200);
+	});
+});
+
+describe('answering quotes', () => {
+	it('accepts with an e-signature against the pinned terms', async () => {
+		const { lead, accept } = await sentQuote();
+		expect(accept.url.searchParams.get('action')).toBe('accept');
+
+		const opened = await (await customerQuote(accept.id, accept.token)).json();
+		expect(opened).toMatchObject({
+			terms: { version: CURRENT_TERMS_VERSION, text: QUOTE_TERMS[CURRENT_TERMS_VERSION] },
+			response: null,
+		});
+
+		let slackBody;
+		fetchMock
+			.get('http://slack.test')
+			.intercept({ path: '/services/T000/B000/secret', method: 'POST' })
+			.reply(200, ({ body }) => {
+				slackBody = JSON.parse(body);
+				return 'ok';
+			});
+		const testEnv = {
+			...env,
+			SLACK_WEBHOOK_URL: 'http://slack.test/services/T000/B000/secret',
+			EVENT_WEBHOOKS: JSON.stringify([{ id: 'billing', url: 'https://billing.test/hooks', secret: 's', events: ['quote.accepted'] }]),
+			WEBHOOK_QUEUE: { send: async () => {} },
+		};
+		const headers = { 'CF-Connecting-IP': '203.0.113.7', 'User-Agent': 'Mozilla/5.0 (Test)' };
+
+		const response = await answerQuote(accept.id, 'accept', acceptance(accept, { name: ' Ada Lovelace ' }), { headers, testEnv });
+
+		expect(response.status).toBe(200);
+		expect(await response.json()).toMatchObject({
+			quote: { status: 'accepted' },
+			response: { decision: 'accepted', signatureName: 'Ada Lovelace' },
+		});
+		expect((await getLead(env.DB, lead.id)).status).toBe('Accepted');
+		expect((await listStatusHistory(env.DB, lead.id)).at(-1)).toMatchObject({
+			to: 'Accepted',
+			actor: 'customer',
+			note: 'Quote version 1 accepted by Ada Lovelace',
+		});
+
+		const terms = QUOTE_TERMS[CURRENT_TERMS_VERSION];
+		const digest = hexEncode(new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(terms))));
+		const { quotes } = await (await adminRequest(`${lead.id}/quotes`)).json();
+		expect(quotes[0].response).toMatchObject({
+			decision: 'accepted',
+			signatureName: 'Ada Lovelace',
+			termsVersion: CURRENT_TERMS_VERSION,
+			termsSha256: digest,
+			ip: '203.0.113.7',
+			userAgent: 'Mozilla/5.0 (Test)',
+		});
+		const stored = await env.DB.prepare('SELECT terms_text FROM quote_responses WHERE quote_id = ?').bind(accept.id).first();
+		expect(stored.terms_text).toBe(terms);
+
+		const [delivery] = await listWebhookDeliveries(env.DB, { leadId: lead.id });
+		expect(delivery).toMatchObject({ eventType: 'quote.accepted', endpointId: 'billing' });
+		expect(delivery.payload.data).toMatchObject({
+			lead: { id: lead.id, status: 'Accepted' },
+			quote: { version: 1, status: 'accepted' },
+			acceptance: { signatureName: 'Ada Lovelace', termsSha256: digest },
+		});
+		expect(delivery.payload.data.acceptance).not.toHaveProperty('ip');
+		expect(slackBody.text).toBe(`Quote accepted for ${lead.reference}: ${lead.appUrl}`);
+		expect(slackBody.blocks.at(-1).elements[0].url).toBe(`https://finalize.dev/admin/leads/${lead.id}`);
+
+		const again = await answerQuote(accept.id, 'accept', acceptance(accept));
+		expect(again.status).toBe(409);
+		expect((await again.json()).code).toBe('quote_already_answered');
+	});
+
+	it('declines with an optional reason', async () => {
+		const { lead, review, accept, decline } = await sentQuote();
+
+		const response = await answerQuote(decline.id, 'decline', { token: decline.token, reason: ' Over budget for now ' });
+
+		expect(response.status).toBe(200);
+		expect((await getLead(env.DB, lead.id)).status).toBe('Declined');
+		const { quotes } = await (await adminRequest(`${lead.id}/quotes`)).json();
+		expect(quotes[0]).toMatchObject({
+			status: 'declined',
+			response: { decision: 'declined', reason: 'Over budget for now', signatureName: null },
+		});
+		expect((await (await customerQuote(review.id, review.token)).json()).response).toMatchObject({ decision: 'declined' });
+		expect((await answerQuote(accept.id, 'accept', acceptance(accept))).status).toBe(409);
+	});
+
+	it('only takes answers from the matching link', async () => {
+		const { review, accept, decline } = await sentQuote();
+
+		expect((await answerQuote(accept.id, 'accept', acceptance(review))).status).toBe(404);
+		expect((await answerQuote(accept.id, 'accept', acceptance(decline))).status).toBe(404);
+		expect((await answerQuote(decline.id, 'decline', { token: accept.token })).status).toBe(404);
+	});
+
+	it('checks the signature and the terms shown', async () => {
+		const { accept } = await sentQuote();
+
+		const unsigned = await answerQuote(accept.id, 'accept', acceptance(accept, { name: ' ', agree: false }));
+		expect(unsigned.status).toBe(400);
+		expect((await unsigned.json()).errors).toEqual(['Please type your full name to sign', 'Please confirm you agree to the terms']);
+
+		const outdated = await answerQuote(accept.id, 'accept', acceptance(accept, { termsVersion: '2020-01-01' }));
+		expect(outdated.status).toBe(409);
+		expect((await outdated.json()).code).toBe('terms_changed');
+	});
+
+	it('stops accepting answers once the quote is superseded, expired or closed', async () => {
+		const { lead, accept } = await sentQuote({ expiresOn: new Date().toISOString().slice(0, 10) });
+		await adminRequest(`${lead.id}/quotes`, { method: 'POST', body: {} });
+		await adminRequest(`${lead.id}/quotes/2/send`, { method: 'POST' });
+		const superseded = await answerQuote(accept.id, 'accept', acceptance(accept));
+		expect((await superseded.json()).code).toBe('quote_superseded');
+
+		const latest = reviewLink('Accept this quote');
+		await changeLeadStatus(env, lead.id, { to: 'Reviewing', actor: 'ops@finalize.dev' });
+		const closed = await answerQuote(latest.id, 'accept', acceptance(latest));
+		expect((await closed.json()).code).toBe('quote_closed');
+
+		vi.useFakeTimers({ toFake: ['Date'] });
+		vi.setSystemTime(Date.now() + 2 * 24 * 60 * 60 * 1000);
+		const expired = await answerQuote(accept.id, 'accept', acceptance(accept));
+		expect(expired.status).toBe(401);
+		expect((await expired.json()).code).toBe('quote_link_expired');
+	});
+});
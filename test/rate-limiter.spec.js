@@ -0,0 +1,79 @@
+import { env, createExecutionContext, runDurableObjectAlarm, runInDurableObject } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src';
+import { solveBotCheck } from './helpers.js';
+import { normalizeEmail } from '../src/rate-limiter.js';
+
+const submission = {
+	appUrl: 'https://myapp.example.com',
+	email: 'founder@example.com',
+	selectedFeatures: ['Payments'],
+};
+
+// Each submission needs its own challenge, since a challenge is only accepted once
+async function submit(testEnv, { email = submission.email, ip = '203.0.113.7' } = {}) {
+	const request = new Request('http://example.com/api/submit-request', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': ip },
+		body: JSON.stringify({ ...submission, email, botCheck: await solveBotCheck() }),
+	});
+	return worker.fetch(request, testEnv, createExecutionContext());
+}
+
+function limitedEnv(overrides) {
+	return { ...env, LEAD_SYNC_QUEUE: { send: async () => {} }, ...overrides };
+}
+
+describe('normalizeEmail', () => {
+	it('lowercases and strips plus tags', () => {
+		expect(normalizeEmail('  Founder+Leads@Example.COM ')).toBe('founder@example.com');
+	});
+});
+
+describe('submission rate limits', () => {
+	it('limits submissions per normalized email', async () => {
+		const testEnv = limitedEnv({ RATE_LIMIT_EMAIL_MAX: '2', RATE_LIMIT_EMAIL_WINDOW_SECONDS: '600' });
+
+		expect((await submit(testEnv, { ip: '203.0.113.1' })).status).toBe(200);
+		expect((await submit(testEnv, { ip: '203.0.113.2', email: 'Founder+2@example.com' })).status).toBe(200);
+
+		const response = await submit(testEnv, { ip: '203.0.113.3' });
+		expect(response.status).toBe(429);
+		expect(Number(response.headers.get('Retry-After'))).toBeGreaterThan(590);
+		expect(await response.json()).toMatchObject({
+			code: 'rate_limited',
+			error: "You've sent several requests in a short time. Please try again in 10 minutes.",
+		});
+	});
+
+	it('limits submissions per client IP', async () => {
+		const testEnv = limitedEnv({ RATE_LIMIT_IP_MAX: '1', RATE_LIMIT_IP_WINDOW_SECONDS: '60' });
+
+		expect((await submit(testEnv, { email: 'a@example.com' })).status).toBe(200);
+		expect((await submit(testEnv, { email: 'b@example.com' })).status).toBe(429);
+		expect((await submit(testEnv, { email: 'c@example.com', ip: '198.51.100.1' })).status).toBe(200);
+	});
+
+	it('does not store rejected submissions', async () => {
+		const testEnv = limitedEnv({ RATE_LIMIT_EMAIL_MAX: '1' });
+
+		await submit(testEnv);
+		await submit(testEnv);
+
+		const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM leads').first();
+		expect(count).toBe(1);
+	});
+
+	it('clears the window when the alarm fires', async () => {
+		const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName('email:alarm@example.com'));
+
+		expect(await stub.hit(1, 60)).toMatchObject({ allowed: true, remaining: 0 });
+		expect(await stub.hit(1, 60)).toMatchObject({ allowed: false });
+
+		expect(await runDurableObjectAlarm(stub)).toBe(true);
+		await runInDurableObject(stub, async (instance, state) => {
+			expect(await state.storage.get('hits')).toBeUndefined();
+		});
+		expect(await stub.hit(1, 60)).toMatchObject({ allowed: true });
+	});
+});
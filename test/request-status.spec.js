@@ -0,0 +1,117 @@
+import { env, createExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src';
+import { getCounter } from '../src/counters.js';
+import { createLead } from '../src/leads.js';
+import { statusUrl } from '../src/request-status.js';
+import { signToken } from '../src/signing.js';
+import { solveBotCheck } from './helpers.js';
+
+const submission = {
+	appUrl: 'https://myapp.example.com',
+	email: 'Founder@Example.com',
+	platform: 'Replit',
+	selectedFeatures: ['Authentication', 'Payments'],
+	hasCustomRequest: true,
+	customRequestText: 'Add a waitlist',
+};
+
+const YEAR = new Date().getFullYear();
+
+function lookup(path, { headers = {}, testEnv = env } = {}) {
+	return worker.fetch(new Request(`http://example.com${path}`, { headers }), testEnv, createExecutionContext());
+}
+
+describe('reference numbers', () => {
+	it('numbers leads sequentially within the year', async () => {
+		const first = await createLead(env.DB, submission, { total: 450, discount: 0 });
+		const second = await createLead(env.DB, submission, { total: 450, discount: 0 });
+
+		expect(first.reference).toBe(`FIN-${YEAR}-0001`);
+		expect(second.reference).toBe(`FIN-${YEAR}-0002`);
+		expect(await getCounter(env.DB, `lead-reference:${YEAR}`)).toBe(2);
+	});
+
+	it('returns the reference from submit-request', async () => {
+		const request = new Request('http://example.com/api/submit-request', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ ...submission, botCheck: await solveBotCheck() }),
+		});
+
+		const response = await worker.fetch(request, { ...env, LEAD_SYNC_QUEUE: { send: async () => {} } }, createExecutionContext());
+
+		expect(await response.json()).toMatchObject({ success: true, reference: `FIN-${YEAR}-0001` });
+	});
+});
+
+describe('GET /api/v1/requests/:ref', () => {
+	it('shows the request to someone with the matching email', async () => {
+		const lead = await createLead(env.DB, submission, { total: 450, discount: 0 });
+
+		const response = await lookup(`/api/v1/requests/${lead.reference.toLowerCase()}?email=founder%40example.com`);
+
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Cache-Control')).toBe('no-store');
+		const { request } = await response.json();
+		expect(request).toMatchObject({
+			reference: lead.reference,
+			status: 'New',
+			selectedFeatures: submission.selectedFeatures,
+			customRequestText: 'Add a waitlist',
+			estimatedPrice: 450,
+			quote: { lineItems: [{ name: 'Authentication' }, { name: 'Payments' }], customRequest: { basePrice: 250 } },
+		});
+		expect(request).not.toHaveProperty('email');
+	});
+
+	it('answers wrong emails and unknown references the same way', async () => {
+		const lead = await createLead(env.DB, submission, { total: 450, discount: 0 });
+
+		const wrongEmail = await lookup(`/api/v1/requests/${lead.reference}?email=someone@example.com`);
+		const unknown = await lookup(`/api/v1/requests/FIN-${YEAR}-9999?email=founder@example.com`);
+
+		expect(wrongEmail.status).toBe(404);
+		expect(unknown.status).toBe(404);
+		expect((await wrongEmail.json()).error).toBe((await unknown.json()).error);
+		expect((await lookup(`/api/v1/requests/${lead.reference}`)).status).toBe(400);
+	});
+
+	it('accepts the signed link from the confirmation email', async () => {
+		const lead = await createLead(env.DB, submission, { total: 450, discount: 0 });
+		const link = new URL(await statusUrl(env, 'https://finalize.dev', lead));
+
+		expect(link.pathname).toBe('/status');
+		expect(link.searchParams.get('ref')).toBe(lead.reference);
+
+		const byQuery = await lookup(`/api/v1/requests/${lead.reference}?token=${link.searchParams.get('token')}`);
+		expect(byQuery.status).toBe(200);
+
+		const byHeader = await lookup(`/api/v1/requests/${lead.reference}`, { headers: { Authorization: `Bearer ${link.searchParams.get('token')}` } });
+		expect(byHeader.status).toBe(200);
+	});
+
+	it('rejects tokens for other requests, forged tokens and expired links', async () => {
+		const lead = await createLead(env.DB, submission, { total: 450, discount: 0 });
+		const other = await createLead(env.DB, submission, { total: 450, discount: 0 });
+		const otherToken = new URL(await statusUrl(env, 'https://finalize.dev', other)).searchParams.get('token');
+		const forged = await signToken({ purpose: 'request-status', ref: lead.reference, exp: 4102444800 }, 'not-the-secret');
+		const expired = await signToken({ purpose: 'request-status', ref: lead.reference, exp: 1 }, env.LINK_SIGNING_SECRET);
+
+		expect((await lookup(`/api/v1/requests/${lead.reference}?token=${otherToken}`)).status).toBe(404);
+		expect((await lookup(`/api/v1/requests/${lead.reference}?token=${forged}`)).status).toBe(404);
+
+		const response = await lookup(`/api/v1/requests/${lead.reference}?token=${expired}`);
+		expect(response.status).toBe(401);
+		expect(await response.json()).toMatchObject({ code: 'status_link_expired' });
+	});
+
+	it('rate limits email lookups per client IP', async () => {
+		const lead = await createLead(env.DB, submission, { total: 450, discount: 0 });
+		const testEnv = { ...env, RATE_LIMIT_LOOKUP_MAX: '1', RATE_LIMIT_LOOKUP_WINDOW_SECONDS: '60' };
+		const headers = { 'CF-Connecting-IP': '203.0.113.9' };
+
+		expect((await lookup(`/api/v1/requests/${lead.reference}?email=nope@example.com`, { headers, testEnv })).status).toBe(404);
+		expect((await lookup(`/api/v1/requests/${lead.reference}?email=founder@example.com`, { headers, testEnv })).status).toBe(429);
+	});
+});
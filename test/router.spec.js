@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { corsPolicy } from '../src/cors.js';
+import { Router, resolveApiPath } from '../src/router.js';
+import { ConfigurationError, NotFoundError } from '../src/errors.js';
+import { json } from '../src/http.js';
+
+describe('resolveApiPath', () => {
+	it('maps unversioned API paths to the current version', () => {
+		expect(resolveApiPath('/api/submit-request')).toBe('/api/v1/submit-request');
+	});
+
+	it('leaves versioned and non-API paths alone', () => {
+		expect(resolveApiPath('/api/v1/submit-request')).toBe('/api/v1/submit-request');
+		expect(resolveApiPath('/api/v2/things')).toBe('/api/v2/things');
+		expect(resolveApiPath('/estimate.html')).toBe('/estimate.html');
+	});
+});
+
+describe('Router', () => {
+	const router = new Router({ cors: corsPolicy({ origins: ['https://finalize.dev'] }) })
+		.route('/api/v1/things/:id', {
+			GET: ({ params }) => json({ id: params.id }),
+		})
+		.route('/api/v1/missing', {
+			GET: () => {
+				throw new NotFoundError('Thing not found');
+			},
+		})
+		.route('/api/v1/broken', {
+			GET: () => {
+				throw new ConfigurationError('SECRET is not set');
+			},
+		});
+
+	it('passes path params to handlers', async () => {
+		const response = await router.handle(new Request('http://example.com/api/v1/things/a%20b'), {}, {});
+		expect(await response.json()).toEqual({ id: 'a b' });
+	});
+
+	it('answers HEAD with the GET handler', async () => {
+		const response = await router.handle(new Request('http://example.com/api/v1/things/1', { method: 'HEAD' }), {}, {});
+		expect(response.status).toBe(200);
+	});
+
+	it('maps typed errors to JSON bodies', async () => {
+		const response = await router.handle(new Request('http://example.com/api/v1/missing'), {}, {});
+		expect(response.status).toBe(404);
+		expect(await response.json()).toEqual({ success: false, error: 'Thing not found', code: 'not_found', requestId: expect.any(String) });
+	});
+
+	it('hides configuration details from clients', async () => {
+		const response = await router.handle(new Request('http://example.com/api/v1/broken'), {}, {});
+		expect(response.status).toBe(500);
+		expect(await response.json()).toEqual({
+			success: false,
+			error: 'Server configuration error',
+			code: 'configuration_error',
+			requestId: expect.any(String),
+		});
+	});
+
+	it('answers malformed percent-encoding with a JSON error', async () => {
+		const request = new Request('http://example.com/api/v1/things/%E0%A4%A', { headers: { Origin: 'https://finalize.dev' } });
+		const response = await router.handle(request, {}, {});
+
+		expect(response.status).toBe(400);
+		expect(response.headers.get('X-Request-Id')).toBeTruthy();
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBe('https://finalize.dev');
+		expect(await response.json()).toMatchObject({ success: false, code: 'malformed_path' });
+	});
+});
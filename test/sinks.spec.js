@@ -0,0 +1,172 @@
+import { env, createExecutionContext, createMessageBatch, fetchMock, getQueueResult } from 'cloudflare:test';
+import { afterEach, beforeAll, describe, it, expect } from 'vitest';
+import worker from '../src';
+import { listDeadLetters } from '../src/dead-letters.js';
+import { createLead, getSinkDeliveries, getSinkDelivery } from '../src/leads.js';
+import { enqueueLeadSync } from '../src/lead-sync.js';
+import { createLogger } from '../src/logger.js';
+import { configuredSinks } from '../src/sinks/index.js';
+import { solveBotCheck } from './helpers.js';
+
+const submission = {
+	appUrl: 'https://myapp.example.com',
+	email: 'founder@example.com',
+	platform: 'Cursor',
+	selectedFeatures: ['Payments'],
+	additionalContext: 'Launching next week',
+};
+
+const CRM_BASE = 'http://crm.test';
+const WEBHOOK_URL = 'http://hooks.test/leads';
+
+const sinkEnv = {
+	...env,
+	HUBSPOT_API_BASE: CRM_BASE,
+	HUBSPOT_ACCESS_TOKEN: 'test-hubspot-token',
+	LEAD_WEBHOOK_URL: WEBHOOK_URL,
+	LEAD_WEBHOOK_TOKEN: 'test-webhook-token',
+};
+
+beforeAll(() => {
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+afterEach(() => {
+	fetchMock.assertNoPendingInterceptors();
+});
+
+async function sync(leadId, sink, testEnv = sinkEnv) {
+	const batch = createMessageBatch('finalize-lead-sync', [{ id: 'msg', timestamp: new Date(), attempts: 1, body: { leadId, sink } }]);
+	const ctx = createExecutionContext();
+	await worker.queue(batch, testEnv, ctx);
+	return getQueueResult(batch, ctx);
+}
+
+describe('sink configuration', () => {
+	it('defaults to Airtable', () => {
+		expect(configuredSinks({})).toEqual(['airtable']);
+	});
+
+	it('enables listed sinks and reports unknown ones', async () => {
+		const errors = [];
+		const log = { ...createLogger({ requestId: 'ray-sinks' }), error: (event, fields) => errors.push({ event, ...fields }) };
+		const sent = [];
+		const testEnv = { LEAD_SINKS: 'airtable, webhook, salesforce, webhook', LEAD_SYNC_QUEUE: { send: async body => sent.push(body) } };
+
+		expect(await enqueueLeadSync(testEnv, 'lead-1', log)).toEqual(['airtable', 'webhook']);
+		expect(sent).toEqual([
+			{ leadId: 'lead-1', requestId: 'ray-sinks', sink: 'airtable' },
+			{ leadId: 'lead-1', requestId: 'ray-sinks', sink: 'webhook' },
+		]);
+		expect(errors).toEqual([expect.objectContaining({ event: 'lead_sync.unknown_sinks', sinks: ['salesforce'] })]);
+	});
+
+	it('tracks a pending delivery per sink for new submissions', async () => {
+		const testEnv = { ...sinkEnv, LEAD_SINKS: 'airtable,hubspot', LEAD_SYNC_QUEUE: { send: async () => {} } };
+		const request = new Request('http://example.com/api/submit-request', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ ...submission, botCheck: await solveBotCheck() }),
+		});
+
+		expect((await worker.fetch(request, testEnv, createExecutionContext())).status).toBe(200);
+
+		const { id } = await env.DB.prepare('SELECT id FROM leads').first();
+		expect((await getSinkDeliveries(env.DB, id)).map(({ sink, status }) => ({ sink, status }))).toEqual([
+			{ sink: 'airtable', status: 'pending' },
+			{ sink: 'hubspot', status: 'pending' },
+		]);
+	});
+});
+
+describe('HubSpot-compatible sink', () => {
+	it('upserts the contact and creates an associated deal', async () => {
+		const lead = await createLead(env.DB, submission, { total: 250, discount: 0 });
+		const requests = [];
+		const crm = fetchMock.get(CRM_BASE);
+		crm.intercept({ path: '/crm/v3/objects/contacts/batch/upsert', method: 'POST' }).reply(200, ({ body, headers }) => {
+			requests.push({ body: JSON.parse(body), headers });
+			return { status: 'COMPLETE', results: [{ id: '501', properties: {} }] };
+		});
+		crm.intercept({ path: '/crm/v3/objects/deals', method: 'POST' }).reply(201, ({ body }) => {
+			requests.push({ body: JSON.parse(body) });
+			return { id: '9001', properties: {} };
+		});
+
+		const result = await sync(lead.id, 'hubspot');
+
+		expect(result.explicitAcks).toEqual(['msg']);
+		expect(requests[0].headers.authorization).toBe('Bearer test-hubspot-token');
+		expect(requests[0].body).toEqual({
+			inputs: [{ idProperty: 'email', id: 'founder@example.com', properties: { email: 'founder@example.com', website: submission.appUrl } }],
+		});
+		expect(requests[1].body).toMatchObject({
+			properties: { dealname: 'Estimate request: myapp.example.com', amount: '250', pipeline: 'default' },
+			associations: [{ to: { id: '501' }, types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: 3 }] }],
+		});
+		expect(requests[1].body.properties.description).toContain('Features: Payments');
+		expect(await getSinkDelivery(env.DB, lead.id, 'hubspot')).toMatchObject({
+			status: 'delivered',
+			externalIds: { contactId: '501', dealId: '9001' },
+		});
+	});
+
+	it('dead-letters deliveries without credentials', async () => {
+		const lead = await createLead(env.DB, submission, { total: 250, discount: 0 });
+
+		await sync(lead.id, 'hubspot', { ...sinkEnv, HUBSPOT_ACCESS_TOKEN: undefined });
+
+		expect(await listDeadLetters(env.DB)).toMatchObject([{ destination: 'hubspot', error: 'HUBSPOT_ACCESS_TOKEN is not set' }]);
+		expect(await getSinkDelivery(env.DB, lead.id, 'hubspot')).toMatchObject({ status: 'dead_lettered' });
+	});
+});
+
+describe('webhook sink', () => {
+	it('posts the lead with a bearer token and idempotency key', async () => {
+		const lead = await createLead(env.DB, submission, { total: 250, discount: 0 });
+		let received;
+		fetchMock
+			.get('http://hooks.test')
+			.intercept({ path: '/leads', method: 'POST' })
+			.reply(202, ({ body, headers }) => {
+				received = { body: JSON.parse(body), headers };
+				return { ok: true };
+			});
+
+		await sync(lead.id, 'webhook');
+
+		expect(received.headers.authorization).toBe('Bearer test-webhook-token');
+		expect(received.headers['idempotency-key']).toBe(lead.id);
+		expect(received.body).toMatchObject({ event: 'lead.created', lead: { id: lead.id, email: 'founder@example.com', estimatedPrice: 250 } });
+		expect(await getSinkDelivery(env.DB, lead.id, 'webhook')).toMatchObject({ status: 'delivered' });
+	});
+
+	it('retries server errors and dead-letters client errors', async () => {
+		const lead = await createLead(env.DB, submission, { total: 250, discount: 0 });
+		const hooks = fetchMock.get('http://hooks.test');
+		hooks.intercept({ path: '/leads', method: 'POST' }).reply(502, 'Bad gateway');
+		hooks.intercept({ path: '/leads', method: 'POST' }).reply(400, { message: 'Missing column Email' });
+
+		const first = await sync(lead.id, 'webhook');
+		expect(first.retryMessages).toEqual([expect.objectContaining({ msgId: 'msg' })]);
+		expect(await getSinkDelivery(env.DB, lead.id, 'webhook')).toMatchObject({ status: 'failed', lastError: 'POST /leads failed with 502: Bad gateway' });
+
+		const second = await sync(lead.id, 'webhook');
+		expect(second.explicitAcks).toEqual(['msg']);
+		expect(await listDeadLetters(env.DB)).toMatchObject([
+			{ destination: 'webhook', errorStatus: 400, error: 'POST /leads failed with 400: Missing column Email' },
+		]);
+	});
+});
+
+describe('unknown sinks', () => {
+	it('dead-letters messages for sinks that no longer exist', async () => {
+		const lead = await createLead(env.DB, submission, { total: 250, discount: 0 });
+
+		const result = await sync(lead.id, 'salesforce');
+
+		expect(result.explicitAcks).toEqual(['msg']);
+		expect(await listDeadLetters(env.DB)).toMatchObject([{ destination: 'salesforce', error: 'Unknown lead sink salesforce' }]);
+	});
+});
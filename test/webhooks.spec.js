@@ -0,0 +1,227 @@
+import { env, createExecutionContext, createMessageBatch, fetchMock, getQueueResult } from 'cloudflare:test';
+import { afterEach, beforeAll, describe, it, expect } from 'vitest';
+import worker from '../src';
+import { ConfigurationError } from '../src/errors.js';
+import { createLead } from '../src/leads.js';
+import { signatureHeader, verifySignatureHeader } from '../src/signing.js';
+import { emitEvent, getWebhookDelivery, leadEventData, webhookEndpoints } from '../src/webhooks.js';
+import { solveBotCheck } from './helpers.js';
+
+const submission = {
+	appUrl: 'https://myapp.example.com',
+	email: 'founder@example.com',
+	platform: 'Cursor',
+	selectedFeatures: ['Authentication', 'Payments'],
+};
+
+const ADMIN_HEADERS = { Authorization: 'Bearer test-admin-token' };
+
+const ENDPOINTS = [
+	{ id: 'ops', url: 'http://ops.test/hooks', secret: 'ops-secret' },
+	{ id: 'billing', url: 'http://billing.test/hooks', secret: 'billing-secret', events: ['quote.accepted'] },
+];
+
+function webhookEnv(sent = []) {
+	return { ...env, EVENT_WEBHOOKS: JSON.stringify(ENDPOINTS), WEBHOOK_QUEUE: { send: async body => sent.push(body) } };
+}
+
+async function deliver(deliveryId, testEnv = webhookEnv(), attempts = 1) {
+	const batch = createMessageBatch('finalize-webhooks', [{ id: 'msg', timestamp: new Date(), attempts, body: { deliveryId } }]);
+	const ctx = createExecutionContext();
+	await worker.queue(batch, testEnv, ctx);
+	return getQueueResult(batch, ctx);
+}
+
+function admin(path, testEnv, method = 'GET') {
+	return worker.fetch(new Request(`http://example.com${path}`, { method, headers: ADMIN_HEADERS }), testEnv, createExecutionContext());
+}
+
+beforeAll(() => {
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+afterEach(() => {
+	fetchMock.assertNoPendingInterceptors();
+});
+
+describe('signature header', () => {
+	it('round-trips and rejects tampering or stale timestamps', async () => {
+		const now = Date.now();
+		const header = await signatureHeader('secret', '{"a":1}', Math.floor(now / 1000));
+
+		expect(header).toMatch(/^t=\d+,v1=[0-9a-f]{64}$/);
+		expect(await verifySignatureHeader(header, '{"a":1}', 'secret', { now })).toBe(true);
+		expect(await verifySignatureHeader(header, '{"a":2}', 'secret', { now })).toBe(false);
+		expect(await verifySignatureHeader(header, '{"a":1}', 'other', { now })).toBe(false);
+		expect(await verifySignatureHeader(header, '{"a":1}', 'secret', { now: now + 301_000 })).toBe(false);
+	});
+});
+
+describe('endpoint configuration', () => {
+	it('defaults subscriptions to every event', () => {
+		expect(webhookEndpoints(webhookEnv())[0].events).toEqual(['lead.created', 'lead.status_changed', 'quote.accepted']);
+		expect(webhookEndpoints({})).toEqual([]);
+	});
+
+	it('rejects malformed endpoints', () => {
+		const configure = endpoint => () => webhookEndpoints({ EVENT_WEBHOOKS: JSON.stringify([endpoint]) });
+
+		expect(() => webhookEndpoints({ EVENT_WEBHOOKS: '{' })).toThrow(ConfigurationError);
+		expect(configure({ id: 'x', url: 'ftp://x', secret: 's' })).toThrow(ConfigurationError);
+		expect(configure({ id: 'x', url: 'http://x' })).toThrow(ConfigurationError);
+		expect(configure({ id: 'x', url: 'http://x', secret: 's', events: ['lead.deleted'] })).toThrow(ConfigurationError);
+	});
+});
+
+describe('emitting events', () => {
+	it('queues lead.created for subscribed endpoints on submit', async () => {
+		const sent = [];
+		const request = new Request('http://example.com/api/submit-request', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json', 'cf-ray': 'ray-hook' },
+			body: JSON.stringify({ ...submission, botCheck: await solveBotCheck() }),
+		});
+
+		const response = await worker.fetch(request, { ...webhookEnv(sent), LEAD_SYNC_QUEUE: { send: async () => {} } }, createExecutionContext());
+		expect(response.status).toBe(200);
+
+		// Only ops subscribes to lead.created
+		expect(sent).toEqual([{ deliveryId: expect.any(String), requestId: 'ray-hook' }]);
+		const delivery = await getWebhookDelivery(env.DB, sent[0].deliveryId);
+		expect(delivery).toMatchObject({ endpointId: 'ops', eventType: 'lead.created', status: 'pending' });
+		expect(delivery.payload).toMatchObject({
+			id: expect.stringMatching(/^evt_/),
+			type: 'lead.created',
+			data: {
+				lead: { email: submission.email, selectedFeatures: submission.selectedFeatures, estimatedPrice: expect.any(Number) },
+				pricing: { total: delivery.payload.data.lead.estimatedPrice, lineItems: expect.any(Array) },
+			},
+		});
+	});
+});
+
+describe('emitting events when the queue is down', () => {
+	it('marks unqueued deliveries failed so they can be redelivered', async () => {
+		const testEnv = {
+			...webhookEnv(),
+			WEBHOOK_QUEUE: {
+				send: async () => {
+					throw new Error('Queue unavailable');
+				},
+			},
+		};
+		await expect(emitEvent(testEnv, 'quote.accepted', { quoteId: 'quote-1' })).rejects.toThrow('Queue unavailable');
+
+		const { results } = await env.DB.prepare('SELECT id, status, last_error FROM webhook_deliveries').all();
+		expect(results).toHaveLength(2);
+		expect(results.map(({ status, last_error }) => ({ status, last_error }))).toEqual([
+			{ status: 'failed', last_error: 'Could not queue delivery: Queue unavailable' },
+			{ status: 'failed', last_error: 'Could not queue delivery: Queue unavailable' },
+		]);
+
+		const sent = [];
+		const response = await admin(`/api/v1/admin/webhooks/deliveries/${results[0].id}/redeliver`, webhookEnv(sent), 'POST');
+		expect(response.status).toBe(200);
+		expect(sent).toEqual([{ deliveryId: results[0].id, requestId: expect.any(String) }]);
+	});
+});
+
+describe('delivering events', () => {
+	it('signs the body with the endpoint secret', async () => {
+		const lead = await createLead(env.DB, submission, { total: 300, discount: 0 });
+		const [deliveryId] = await emitEvent(webhookEnv(), 'lead.created', leadEventData(lead));
+		let received;
+		fetchMock
+			.get('http://ops.test')
+			.intercept({ path: '/hooks', method: 'POST' })
+			.reply(204, ({ body, headers }) => {
+				received = { body, headers };
+				return '';
+			});
+
+		const result = await deliver(deliveryId);
+
+		expect(result.explicitAcks).toEqual(['msg']);
+		expect(received.headers['finalize-event']).toBe('lead.created');
+		expect(received.headers['finalize-delivery']).toBe(deliveryId);
+		expect(await verifySignatureHeader(received.headers['finalize-signature'], received.body, 'ops-secret')).toBe(true);
+		expect(JSON.parse(received.body)).toMatchObject({ type: 'lead.created', data: { lead: { id: lead.id } } });
+		expect(await getWebhookDelivery(env.DB, deliveryId)).toMatchObject({ status: 'delivered', attempts: 1, deliveredAt: expect.any(String) });
+	});
+
+	it('retries server errors and marks client errors failed', async () => {
+		const lead = await createLead(env.DB, submission, { total: 300, discount: 0 });
+		const [deliveryId] = await emitEvent(webhookEnv(), 'lead.created', leadEventData(lead));
+		const ops = fetchMock.get('http://ops.test');
+		ops.intercept({ path: '/hooks', method: 'POST' }).reply(503, 'Unavailable');
+		ops.intercept({ path: '/hooks', method: 'POST' }).reply(410, { message: 'Gone' });
+
+		const first = await deliver(deliveryId);
+		expect(first.retryMessages).toEqual([expect.objectContaining({ msgId: 'msg' })]);
+		expect(await getWebhookDelivery(env.DB, deliveryId)).toMatchObject({ status: 'retrying', responseStatus: 503 });
+
+		const second = await deliver(deliveryId, webhookEnv(), 2);
+		expect(second.explicitAcks).toEqual(['msg']);
+		expect(await getWebhookDelivery(env.DB, deliveryId)).toMatchObject({
+			status: 'failed',
+			attempts: 2,
+			responseStatus: 410,
+			lastError: 'POST /hooks failed with 410: Gone',
+		});
+	});
+
+	it('fails deliveries for endpoints that were removed', async () => {
+		// Both endpoints subscribe to quote.accepted; the second delivery is billing's
+		const [, deliveryId] = await emitEvent(webhookEnv(), 'quote.accepted', { quoteId: 'quote-1' });
+
+		await deliver(deliveryId, { ...env, EVENT_WEBHOOKS: JSON.stringify([ENDPOINTS[0]]) });
+
+		expect(await getWebhookDelivery(env.DB, deliveryId)).toMatchObject({
+			endpointId: 'billing',
+			status: 'failed',
+			lastError: 'Webhook endpoint billing is no longer configured',
+		});
+	});
+});
+
+describe('admin webhook endpoints', () => {
+	it('lists endpoints without their secrets', async () => {
+		const response = await admin('/api/v1/admin/webhooks/endpoints', webhookEnv());
+		const { endpoints } = await response.json();
+		expect(endpoints.map(endpoint => endpoint.id)).toEqual(['ops', 'billing']);
+		expect(JSON.stringify(endpoints)).not.toContain('secret');
+	});
+
+	it('lists the delivery log per endpoint', async () => {
+		const lead = await createLead(env.DB, submission, { total: 300, discount: 0 });
+		await emitEvent(webhookEnv(), 'lead.created', leadEventData(lead));
+		await emitEvent(webhookEnv(), 'quote.accepted', { quoteId: 'quote-1' });
+
+		const response = await admin('/api/v1/admin/webhooks/deliveries?endpoint=billing', webhookEnv());
+		expect((await response.json()).deliveries).toMatchObject([{ endpointId: 'billing', eventType: 'quote.accepted' }]);
+
+		const ops = await admin('/api/v1/admin/webhooks/deliveries?endpoint=ops&event=lead.created', webhookEnv());
+		expect((await ops.json()).deliveries).toMatchObject([{ endpointId: 'ops', leadId: lead.id }]);
+
+		expect((await admin('/api/v1/admin/webhooks/deliveries?status=lost', webhookEnv())).status).toBe(400);
+		expect((await worker.fetch(new Request('http://example.com/api/v1/admin/webhooks/deliveries'), env, createExecutionContext())).status).toBe(401);
+	});
+
+	it('redelivers a failed delivery with the same event', async () => {
+		const [deliveryId] = await emitEvent(webhookEnv(), 'quote.accepted', { quoteId: 'quote-1' });
+		const sent = [];
+
+		const queued = await admin(`/api/v1/admin/webhooks/deliveries/${deliveryId}/redeliver`, webhookEnv(sent), 'POST');
+		expect(queued.status).toBe(409);
+		expect(await queued.json()).toMatchObject({ code: 'webhook_delivery_queued' });
+
+		await env.DB.prepare("UPDATE webhook_deliveries SET status = 'failed' WHERE id = ?").bind(deliveryId).run();
+		const response = await admin(`/api/v1/admin/webhooks/deliveries/${deliveryId}/redeliver`, webhookEnv(sent), 'POST');
+		expect(response.status).toBe(200);
+		expect(await response.json()).toMatchObject({ delivery: { id: deliveryId, status: 'pending', redeliveryCount: 1 } });
+		expect(sent).toEqual([{ deliveryId, requestId: expect.any(String) }]);
+
+		expect((await admin('/api/v1/admin/webhooks/deliveries/nope/redeliver', webhookEnv(), 'POST')).status).toBe(404);
+	});
+});
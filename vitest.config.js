@@ -1,11 +1,33 @@
-import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
+import path from 'node:path';
+import { defineWorkersConfig, readD1Migrations } from '@cloudflare/vitest-pool-workers/config';
 
-export default defineWorkersConfig({
-	test: {
-		poolOptions: {
-			workers: {
-				wrangler: { configPath: './wrangler.jsonc' },
+export default defineWorkersConfig(async () => {
+	const migrations = await readD1Migrations(path.join(__dirname, 'migrations'));
+
+	return {
+		test: {
+			include: ['test/**/*.spec.js'],
+			setupFiles: ['./test/apply-migrations.js'],
+			poolOptions: {
+				workers: {
+					wrangler: { configPath: './wrangler.jsonc' },
+					miniflare: {
+						bindings: {
+							TEST_MIGRATIONS: migrations,
+							AIRTABLE_API_KEY: 'test-airtable-key',
+							AIRTABLE_BASE_ID: 'appTest',
+							BOT_DEFENSE_SECRET: 'test-bot-defense-secret',
+							ADMIN_API_TOKEN: 'test-admin-token',
+							LINK_SIGNING_SECRET: 'test-link-signing-secret',
+							// Cheap challenges and no minimum fill time, so tests can submit immediately
+							POW_DIFFICULTY: '4',
+							BOT_MIN_SUBMIT_SECONDS: '0',
+							CORS_ALLOWED_ORIGINS: 'https://finalize.dev, https://*.finalize.dev',
+							EMAIL_PROVIDER: 'capture',
+						},
+					},
+				},
 			},
 		},
-	},
+	};
 });